@@ -0,0 +1,586 @@
+/**
+ * auth.js — authentication, roles, users, invitations & organizations
+ * ─────────────────────────────────────────────────────────────
+ * Tokens are `<payload>.<signature>` (base64url), HMAC-SHA256 over
+ * { sub, tv, exp } with AUTH_TOKEN_SECRET. Every request reloads the
+ * user, so role changes and deactivation apply immediately and a
+ * token_version bump revokes outstanding tokens.
+ * REST: `Authorization: Bearer <token>` · Socket.IO: handshake auth.token
+ *
+ * Roles: viewer (read) < operator (alert workflow, seals, commands,
+ * shadow, shipments) < admin (its organization's registry, thresholds,
+ * geofences, users and invitations) < superadmin (organizations,
+ * quarantine, dead letters). Every user belongs to one organization
+ * and only ever sees that organization's data.
+ *
+ * index.js calls configure() at load, mounts `router` before every
+ * other /api route and installs authenticateSocket on Socket.IO.
+ */
+
+'use strict';
+
+const crypto   = require('crypto');
+const express  = require('express');
+const mongoose = require('mongoose');
+const { log, warn, error, QueryError } = require('./common');
+const { Organization, defaultOrgId } = require('./tenancy');
+
+// User: dashboard / API account. Passwords are scrypt hashes and never
+// leave the server (select: false). Bumping token_version revokes every
+// token issued so far (password change, role change, disable).
+// admin manages its own organization; superadmin manages organizations.
+const USER_ROLES = ['viewer', 'operator', 'admin', 'superadmin'];   // ascending privilege
+
+const userSchema = new mongoose.Schema(
+  {
+    username:      { type: String, required: true, unique: true, trim: true, lowercase: true },
+    org_id:        { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+    name:          { type: String, default: null },
+    password_hash: { type: String, required: true, select: false },
+    role:          { type: String, enum: USER_ROLES, default: 'viewer' },
+    active:        { type: Boolean, default: true },
+    token_version: { type: Number, default: 0 },
+    lastLoginAt:   { type: Date,   default: null },
+    createdAt:     { type: Date,   default: Date.now },
+  },
+  { collection: 'users', versionKey: false }
+);
+
+const User = mongoose.model('User', userSchema);
+
+// Invitation: single-use sign-up link a tenant admin sends out. Only
+// the SHA-256 of the token is stored; the token itself is shown once.
+const invitationSchema = new mongoose.Schema(
+  {
+    org_id:      { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+    token_hash:  { type: String, required: true, unique: true, select: false },
+    email:       { type: String, default: null, trim: true, lowercase: true },
+    role:        { type: String, enum: USER_ROLES, default: 'viewer' },
+    invited_by:  { type: String, default: null },
+    createdAt:   { type: Date, default: Date.now },
+    expiresAt:   { type: Date, required: true },
+    acceptedAt:  { type: Date, default: null },
+    accepted_by: { type: String, default: null },
+  },
+  { collection: 'invitations', versionKey: false }
+);
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+const scrypt = require('util').promisify(crypto.scrypt);
+
+// Set by configure()
+let TOKEN_TTL_MS, TOKEN_SECRET, INVITE_TTL_MS, ADMIN_USERNAME, ADMIN_PASSWORD;
+// Provided by index.js: the Device model and Socket.IO session teardown
+let Device, disconnectUser, disconnectOrg;
+
+function configure(options) {
+  TOKEN_TTL_MS   = options.tokenTtlH * 3_600_000;
+  INVITE_TTL_MS  = options.inviteTtlH * 3_600_000;
+  ADMIN_USERNAME = options.adminUsername;
+  ADMIN_PASSWORD = options.adminPassword;
+  TOKEN_SECRET   = options.tokenSecret || crypto.randomBytes(32).toString('hex');
+  if (!options.tokenSecret) {
+    warn('AUTH_TOKEN_SECRET not set — using a random secret, tokens will not survive a restart');
+  }
+  ({ Device, disconnectUser, disconnectOrg } = options);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual   = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Equalises login timing for unknown usernames
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+const PASSWORD_MIN_LENGTH = 8;
+
+function assertPassword(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    throw new QueryError(`\`password\` must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+}
+
+const signPart = (data) => crypto.createHmac('sha256', TOKEN_SECRET).update(data).digest('base64url');
+
+function issueToken(user, now = Date.now()) {
+  const expiresAt = new Date(now + TOKEN_TTL_MS);
+  const payload   = Buffer.from(JSON.stringify({
+    sub: String(user._id),
+    tv:  user.token_version,
+    exp: expiresAt.getTime(),
+  })).toString('base64url');
+  return { token: `${payload}.${signPart(payload)}`, expiresAt };
+}
+
+class AuthError extends Error {}
+
+// Token → active user (lean), or throws AuthError
+async function authenticateToken(token) {
+  const [payload, signature] = String(token ?? '').split('.');
+  if (!payload || !signature) throw new AuthError('Missing or malformed token');
+
+  const expected = Buffer.from(signPart(payload));
+  const given    = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new AuthError('Invalid token');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    throw new AuthError('Invalid token');
+  }
+  if (!(claims.exp > Date.now())) throw new AuthError('Token expired');
+
+  const user = mongoose.isValidObjectId(claims.sub) ? await User.findById(claims.sub).lean() : null;
+  if (!user || !user.active || user.token_version !== claims.tv) {
+    throw new AuthError('Token revoked');
+  }
+  if (!(await Organization.exists({ _id: user.org_id, active: true }))) {
+    throw new AuthError('Organization disabled');
+  }
+  return user;
+}
+
+const publicUser = ({ _id, username, name, role, org_id, active, lastLoginAt, createdAt }) =>
+  ({ _id, username, name, role, org_id, active, lastLoginAt, createdAt });
+
+const hasRole = (user, role) => USER_ROLES.indexOf(user?.role) >= USER_ROLES.indexOf(role);
+
+// Express: 401 without a valid token; sets req.user
+async function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') ?? '').split(' ');
+  try {
+    if (scheme !== 'Bearer') throw new AuthError('Missing bearer token');
+    req.user = await authenticateToken(token);
+    next();
+  } catch (err) {
+    if (err instanceof AuthError) return res.status(401).json({ error: err.message });
+    error('Auth error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Express: 403 unless req.user has at least `role`
+const requireRole = (role) => (req, res, next) => (
+  hasRole(req.user, role)
+    ? next()
+    : res.status(403).json({ error: `Requires ${role} role` })
+);
+
+// Socket.IO middleware: reject the handshake without a valid token
+function authenticateSocket(socket, next) {
+  authenticateToken(socket.handshake.auth?.token)
+    .then((user) => {
+      socket.data.user = publicUser(user);
+      next();
+    })
+    .catch((err) => {
+      if (!(err instanceof AuthError)) error('Socket.IO auth error:', err.message);
+      next(new Error('unauthorized'));
+    });
+}
+
+// First boot: create the superadmin from ADMIN_USERNAME / ADMIN_PASSWORD
+// in the default organization
+async function seedAdmin() {
+  if (await User.exists({})) return;
+  if (!ADMIN_PASSWORD) {
+    warn('No users yet — set ADMIN_USERNAME / ADMIN_PASSWORD to create the first admin');
+    return;
+  }
+  await User.create({
+    username:      ADMIN_USERNAME,
+    password_hash: await hashPassword(ADMIN_PASSWORD),
+    role:          'superadmin',
+    org_id:        defaultOrgId(),
+  });
+  log(`Superadmin user "${ADMIN_USERNAME}" created`);
+}
+
+// Single-use invitation tokens: random, only their hash is stored
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A role the caller may hand out: never above their own
+const assertGrantableRole = (user, role) => {
+  if (!USER_ROLES.includes(role)) throw new QueryError(`\`role\` must be one of ${USER_ROLES.join(', ')}`);
+  if (!hasRole(user, role)) throw new QueryError(`Cannot grant a role above your own (${user.role})`);
+};
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Auth, users & organizations
+//  POST   /api/auth/login         { username, password } → { token, expiresAt, user }
+//  POST   /api/auth/accept-invite { token, username, password, name? } → same as login
+//  GET    /api/auth/me            current user
+//  POST   /api/auth/password      { current, password } — own password
+//  GET    /api/users              (admin) users of the caller's organization
+//  POST   /api/users              (admin) { username, password, role?, name? }
+//  PATCH  /api/users/:id          (admin) { role?, name?, active?, password? }
+//  DELETE /api/users/:id          (admin)
+//  GET    /api/invitations        (admin) pending invitations
+//  POST   /api/invitations        (admin) { role?, email? } → { token, … } (token shown once)
+//  DELETE /api/invitations/:id    (admin) revoke
+//  GET    /api/organizations/current   caller's organization
+//  GET    /api/organizations      (superadmin)
+//  POST   /api/organizations      (superadmin) { name, slug? } → + invitation for its first admin
+//  PATCH  /api/organizations/:id  (superadmin) { name?, active? }
+//  Everything under /api after the first two (here and in every router
+//  mounted after this one) requires a token.
+//  Admins only ever see and grant roles up to their own, in their own
+//  organization.
+// ─────────────────────────────────────────────────────────────
+router.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body ?? {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: '`username` and `password` are required' });
+    }
+
+    const user = await User.findOne({ username: username.trim().toLowerCase() })
+      .select('+password_hash');
+    const ok = await verifyPassword(password, user?.password_hash ?? DUMMY_HASH);
+    if (!user || !ok || !user.active) {
+      warn(`Login failed for "${username}"`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    if (!(await Organization.exists({ _id: user.org_id, active: true }))) {
+      warn(`Login refused for "${username}" — organization disabled`);
+      return res.status(401).json({ error: 'Organization disabled' });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    log(`Login ${user.username} (${user.role})`);
+    res.json({ ...issueToken(user), user: publicUser(user) });
+  } catch (err) {
+    error('POST /api/auth/login error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/auth/accept-invite', async (req, res) => {
+  try {
+    const { token, username, password, name = null } = req.body ?? {};
+    if (typeof token !== 'string' || typeof username !== 'string' || !username.trim()) {
+      return res.status(400).json({ error: '`token` and `username` are required' });
+    }
+    assertPassword(password);
+
+    const invite = await Invitation.findOne({
+      token_hash: hashInviteToken(token),
+      acceptedAt: null,
+      expiresAt:  { $gt: new Date() },
+    });
+    if (!invite || !(await Organization.exists({ _id: invite.org_id, active: true }))) {
+      return res.status(404).json({ error: 'Invitation not found or expired' });
+    }
+
+    const user = await User.create({
+      username, name,
+      role:          invite.role,
+      org_id:        invite.org_id,
+      password_hash: await hashPassword(password),
+      lastLoginAt:   new Date(),
+    });
+    invite.acceptedAt  = new Date();
+    invite.accepted_by = user.username;
+    await invite.save();
+
+    log(`Invitation ${invite._id} accepted by ${user.username} (${user.role})`);
+    res.status(201).json({ ...issueToken(user), user: publicUser(user) });
+  } catch (err) {
+    if (err instanceof QueryError)     return res.status(400).json({ error: err.message });
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    if (err.code === 11000)            return res.status(409).json({ error: 'Username already taken' });
+    error('POST /api/auth/accept-invite error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.use('/api', requireAuth);
+
+router.get('/api/auth/me', (req, res) => res.json(publicUser(req.user)));
+
+router.post('/api/auth/password', async (req, res) => {
+  try {
+    const { current, password } = req.body ?? {};
+    assertPassword(password);
+
+    const user = await User.findById(req.user._id).select('+password_hash');
+    if (!(await verifyPassword(String(current ?? ''), user.password_hash))) {
+      return res.status(403).json({ error: 'Current password is wrong' });
+    }
+
+    user.password_hash  = await hashPassword(password);
+    user.token_version += 1;
+    await user.save();
+
+    log(`Password changed for ${user.username}`);
+    res.json({ ...issueToken(user), user: publicUser(user) });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('POST /api/auth/password error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await User.find({ org_id: req.user.org_id }).sort({ username: 1 }).lean();
+    res.json({ count: users.length, users: users.map(publicUser) });
+  } catch (err) {
+    error('GET /api/users error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role = 'viewer', name = null } = req.body ?? {};
+    if (typeof username !== 'string' || !username.trim()) {
+      return res.status(400).json({ error: '`username` is required' });
+    }
+    assertPassword(password);
+    assertGrantableRole(req.user, role);
+
+    const user = await User.create({
+      username, name, role,
+      org_id:        req.user.org_id,
+      password_hash: await hashPassword(password),
+    });
+
+    log(`User created ${user.username} (${user.role}) by ${req.user.username}`);
+    res.status(201).json(publicUser(user));
+  } catch (err) {
+    if (err instanceof QueryError)     return res.status(400).json({ error: err.message });
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    if (err.code === 11000)            return res.status(409).json({ error: 'Username already taken' });
+    error('POST /api/users error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.patch('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = mongoose.isValidObjectId(id)
+      ? await User.findOne({ _id: id, org_id: req.user.org_id })
+      : null;
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const { role, name, active, password } = req.body ?? {};
+    if (String(user._id) === String(req.user._id) && (role !== undefined || active === false)) {
+      return res.status(400).json({ error: 'Admins cannot demote or deactivate themselves' });
+    }
+    if (!hasRole(req.user, user.role)) {
+      return res.status(403).json({ error: `Cannot modify a ${user.role}` });
+    }
+    if (role !== undefined) assertGrantableRole(req.user, role);
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = Boolean(active);
+    if (password !== undefined) {
+      assertPassword(password);
+      user.password_hash = await hashPassword(password);
+    }
+    // Anything but a rename invalidates outstanding tokens
+    const revoke = role !== undefined || active !== undefined || password !== undefined;
+    if (revoke) user.token_version += 1;
+    await user.save();
+
+    if (revoke) disconnectUser(user._id);
+    log(`User updated ${user.username} by ${req.user.username}`);
+    res.json(publicUser(user));
+  } catch (err) {
+    if (err instanceof QueryError)     return res.status(400).json({ error: err.message });
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('PATCH /api/users/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (String(id) === String(req.user._id)) {
+      return res.status(400).json({ error: 'Admins cannot delete themselves' });
+    }
+    const user = mongoose.isValidObjectId(id)
+      ? await User.findOne({ _id: id, org_id: req.user.org_id }).lean()
+      : null;
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!hasRole(req.user, user.role)) {
+      return res.status(403).json({ error: `Cannot delete a ${user.role}` });
+    }
+
+    await User.deleteOne({ _id: user._id });
+    disconnectUser(user._id);
+    log(`User deleted ${user.username} by ${req.user.username}`);
+    res.json({ deleted: id });
+  } catch (err) {
+    error('DELETE /api/users/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create an invitation into `org_id`; the raw token is only returned here
+async function createInvitation(org_id, { role = 'viewer', email = null } = {}, by) {
+  const token  = crypto.randomBytes(24).toString('base64url');
+  const invite = await Invitation.create({
+    org_id, role, email,
+    token_hash: hashInviteToken(token),
+    invited_by: by,
+    expiresAt:  new Date(Date.now() + INVITE_TTL_MS),
+  });
+  const { token_hash, ...view } = invite.toObject();
+  return { ...view, token };
+}
+
+router.get('/api/invitations', requireRole('admin'), async (req, res) => {
+  try {
+    const invitations = await Invitation
+      .find({ org_id: req.user.org_id, acceptedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json({ count: invitations.length, invitations });
+  } catch (err) {
+    error('GET /api/invitations error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/invitations', requireRole('admin'), async (req, res) => {
+  try {
+    const { role = 'viewer', email = null } = req.body ?? {};
+    assertGrantableRole(req.user, role);
+
+    const invite = await createInvitation(req.user.org_id, { role, email }, req.user.username);
+    log(`Invitation ${invite._id} (${role}) created by ${req.user.username}`);
+    res.status(201).json(invite);
+  } catch (err) {
+    if (err instanceof QueryError)     return res.status(400).json({ error: err.message });
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('POST /api/invitations error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/invitations/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const invite = mongoose.isValidObjectId(id)
+      ? await Invitation.findOneAndDelete({ _id: id, org_id: req.user.org_id, acceptedAt: null }).lean()
+      : null;
+    if (!invite) return res.status(404).json({ error: 'Invitation not found' });
+
+    log(`Invitation ${id} revoked by ${req.user.username}`);
+    res.json({ deleted: id });
+  } catch (err) {
+    error('DELETE /api/invitations/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/organizations/current', async (req, res) => {
+  try {
+    const org = await Organization.findById(req.user.org_id).lean();
+    res.json(org);
+  } catch (err) {
+    error('GET /api/organizations/current error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/organizations', requireRole('superadmin'), async (_req, res) => {
+  try {
+    const [orgs, devices, users] = await Promise.all([
+      Organization.find().sort({ name: 1 }).lean(),
+      Device.aggregate([{ $group: { _id: '$org_id', count: { $sum: 1 } } }]),
+      User.aggregate([{ $group: { _id: '$org_id', count: { $sum: 1 } } }]),
+    ]);
+    const countOf = (rows, id) => rows.find((r) => String(r._id) === String(id))?.count ?? 0;
+    res.json({
+      count:         orgs.length,
+      organizations: orgs.map((o) => ({ ...o, devices: countOf(devices, o._id), users: countOf(users, o._id) })),
+    });
+  } catch (err) {
+    error('GET /api/organizations error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 'Acme Cold Chain' → 'acme-cold-chain'
+const slugify = (text) => String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+router.post('/api/organizations', requireRole('superadmin'), async (req, res) => {
+  try {
+    const { name, slug } = req.body ?? {};
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: '`name` is required' });
+    }
+    const org = await Organization.create({ name, slug: slugify(slug ?? name) || undefined });
+
+    // The tenant admin signs up through this; the token is not shown again
+    const invitation = await createInvitation(org._id, { role: 'admin' }, req.user.username);
+
+    log(`Organization "${org.name}" (${org.slug}) created by ${req.user.username}`);
+    res.status(201).json({ ...org.toObject(), invitation });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    if (err.code === 11000)            return res.status(409).json({ error: 'Organization slug already taken' });
+    error('POST /api/organizations error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.patch('/api/organizations/:id', requireRole('superadmin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const org = mongoose.isValidObjectId(id) ? await Organization.findById(id) : null;
+    if (!org) return res.status(404).json({ error: 'Organization not found' });
+
+    const { name, active } = req.body ?? {};
+    if (active === false && String(org._id) === String(req.user.org_id)) {
+      return res.status(400).json({ error: 'Cannot disable your own organization' });
+    }
+    if (name !== undefined) org.name = name;
+    if (active !== undefined) org.active = Boolean(active);
+    await org.save();
+
+    if (!org.active) disconnectOrg(org._id);
+    log(`Organization "${org.name}" updated by ${req.user.username}`);
+    res.json(org.toObject());
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('PATCH /api/organizations/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  USER_ROLES,
+  User,
+  Invitation,
+  configure,
+  router,
+  hasRole,
+  requireRole,
+  authenticateSocket,
+  seedAdmin,
+};
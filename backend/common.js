@@ -0,0 +1,26 @@
+/**
+ * common.js — helpers shared by index.js and the feature modules
+ * ─────────────────────────────────────────────────────────────
+ * Timestamped, levelled logging, the QueryError every REST handler
+ * answers with 400, and the alert severities that both the alert schema
+ * and notification rules validate against.
+ */
+
+'use strict';
+
+// ── Logging helpers (timestamped, levelled) ─────────────────
+const ts    = () => new Date().toISOString();
+const log   = (...a) => console.log(`[${ts()}] [INFO ]`, ...a);
+const warn  = (...a) => console.warn(`[${ts()}] [WARN ]`, ...a);
+const error = (...a) => console.error(`[${ts()}] [ERROR]`, ...a);
+
+// Bold red for critical alerts — ANSI escape codes
+const CRITICAL = (...a) =>
+  console.error(`\x1b[1;31m[${ts()}] [CRITICAL SHIPMENT ALERT]\x1b[0m`, ...a);
+
+// Thrown for malformed query parameters / request fields → 400
+class QueryError extends Error {}
+
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+module.exports = { log, warn, error, CRITICAL, QueryError, ALERT_SEVERITIES };
@@ -0,0 +1,36 @@
+/**
+ * decoders/firmware-cmd-reply.js — reply to a downlink command
+ * ─────────────────────────────────────────────────────────────
+ * Topic  : cargo/<device_id>/cmd/reply
+ * Payload: { id, status: 'ok' | 'error', result?, error?, device_id? }
+ *          `id` echoes the correlation id the backend sent on
+ *          cargo/<device_id>/cmd. device_id defaults to the topic level.
+ */
+
+'use strict';
+
+module.exports = {
+  name:        'firmware-cmd-reply',
+  description: 'ESP32 cargo_monitor downlink command reply',
+  kind:        'command_reply',
+  topics:      ['cargo/+/cmd/reply'],
+
+  schema: {
+    type: 'object',
+    required: ['id', 'status'],
+    properties: {
+      id:        { type: 'string', minLength: 1 },
+      status:    { enum: ['ok', 'error'] },
+      error:     { type: 'string' },
+      device_id: { type: 'string', minLength: 1 },
+    },
+  },
+
+  decode: (p, topic) => ({
+    device_id:  p.device_id ?? topic.split('/')[1],
+    command_id: p.id,
+    status:     p.status,
+    result:     p.result,
+    error:      p.error,
+  }),
+};
@@ -0,0 +1,34 @@
+/**
+ * decoders/firmware-config-reported.js — device shadow report
+ * ─────────────────────────────────────────────────────────────
+ * Topic  : cargo/<device_id>/config/reported
+ * Payload: { version, config: { interval_s, shock_threshold_g, reporting_mode }, device_id? }
+ *          `version` is the desired version the device has applied
+ *          (0 = running its built-in defaults). device_id defaults to
+ *          the topic level.
+ */
+
+'use strict';
+
+module.exports = {
+  name:        'firmware-config-reported',
+  description: 'ESP32 cargo_monitor reported configuration',
+  kind:        'config_report',
+  topics:      ['cargo/+/config/reported'],
+
+  schema: {
+    type: 'object',
+    required: ['version', 'config'],
+    properties: {
+      version:   { type: 'integer', minimum: 0 },
+      config:    { type: 'object' },
+      device_id: { type: 'string', minLength: 1 },
+    },
+  },
+
+  decode: (p, topic) => ({
+    device_id: p.device_id ?? topic.split('/')[1],
+    version:   p.version,
+    config:    p.config,
+  }),
+};
@@ -0,0 +1,43 @@
+/**
+ * decoders/firmware-shock.js — shock alert published by the firmware
+ * ─────────────────────────────────────────────────────────────
+ * Topic  : cargo/alert/shock (also accepted on telemetry topics when
+ *          the payload carries alert: 'SHOCK_DETECTED')
+ * Payload: { device_id, alert, shock_g, lat, lon, ts }
+ */
+
+'use strict';
+
+module.exports = {
+  name:        'firmware-shock',
+  description: 'ESP32 cargo_monitor shock alert',
+  kind:        'shock',
+  topics:      ['cargo/alert/shock', 'cargo/+/telemetry', 'cargo/telemetry'],
+  // Ahead of the telemetry decoders on the shared topics
+  priority:    10,
+  match:       (payload, topic) => topic === 'cargo/alert/shock' || payload.alert === 'SHOCK_DETECTED',
+
+  schema: {
+    type: 'object',
+    required: ['device_id', 'shock_g', 'ts'],
+    properties: {
+      device_id: { type: 'string', minLength: 1 },
+      alert:     { type: 'string' },
+      shock_g:   { type: 'number' },
+      lat:       { type: ['number', 'null'] },
+      lon:       { type: ['number', 'null'] },
+      ts:        { type: 'number' },
+    },
+  },
+
+  units: { shock_g: 'g', ts: 'ms' },
+
+  decode: (p) => ({
+    device_id: p.device_id,
+    alert:     p.alert,
+    shock_g:   p.shock_g,
+    lat:       p.lat,
+    lon:       p.lon,
+    ts:        p.ts,
+  }),
+};
@@ -0,0 +1,53 @@
+/**
+ * decoders/firmware.js — ESP32 cargo_monitor firmware telemetry
+ * ─────────────────────────────────────────────────────────────
+ * Topic  : cargo/<device_id>/telemetry
+ * Payload: { device_id, temp, hum, shock_g, lat, lon, door_open, ts }
+ *          ts is millis() until the RTC lands — see firmware/.
+ *          battery / battery_v / firmware_version (or fw) are optional.
+ */
+
+'use strict';
+
+module.exports = {
+  name:        'firmware',
+  description: 'ESP32 cargo_monitor firmware telemetry',
+  kind:        'telemetry',
+  topics:      ['cargo/+/telemetry', 'cargo/telemetry'],
+  match:       (payload) => 'temp' in payload,
+
+  schema: {
+    type: 'object',
+    required: ['device_id', 'temp', 'ts'],
+    properties: {
+      device_id: { type: 'string', minLength: 1 },
+      temp:      { type: 'number' },
+      hum:       { type: 'number' },
+      shock_g:   { type: 'number' },
+      lat:       { type: ['number', 'null'] },
+      lon:       { type: ['number', 'null'] },
+      door_open: { type: 'boolean' },
+      battery:   { type: ['number', 'null'] },
+      battery_v: { type: ['number', 'null'] },
+      firmware_version: { type: 'string' },
+      fw:        { type: 'string' },
+      ts:        { type: 'number' },
+    },
+  },
+
+  units: { temp: 'C', shock_g: 'g', ts: 'ms' },
+
+  decode: (p) => ({
+    device_id: p.device_id,
+    temp:      p.temp,
+    hum:       p.hum,
+    shock_g:   p.shock_g,
+    lat:       p.lat,
+    lon:       p.lon,
+    door_open: p.door_open,
+    battery:   p.battery,
+    battery_v: p.battery_v,
+    firmware_version: p.firmware_version ?? p.fw,
+    ts:        p.ts,
+  }),
+};
@@ -0,0 +1,215 @@
+/**
+ * decoders/index.js — payload decoder registry
+ * ─────────────────────────────────────────────────────────────
+ * Every other .js file in this directory is a decoder module:
+ *
+ *   module.exports = {
+ *     name:        'acme-t3',                   // unique
+ *     description: 'ACME T3 reefer tracker',
+ *     kind:        'telemetry',                 // 'telemetry' | 'shock' | 'command_reply' | 'config_report'
+ *     topics:      ['acme/+/up'],               // MQTT patterns (+ and #)
+ *     priority:    0,                           // higher is tried first
+ *     match:       (payload, topic) => bool,    // optional payload signature
+ *     schema:      { ...JSON schema of the raw payload },
+ *     units:       { temp: 'F' },               // see units.js
+ *     decode:      (payload, topic) => reading, // canonical field names
+ *   };
+ *
+ * decode() picks the first decoder whose topic pattern and signature
+ * match, validates the raw payload against its schema, maps it to the
+ * canonical shape, converts units, then validates the result against
+ * CANONICAL_SCHEMAS[kind] (which also fills defaults).
+ *
+ * Adding a tracker vendor = dropping one module in here; the backend
+ * subscribes to the union of all decoder topics.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const Ajv  = require('ajv');
+const { CANONICAL_UNITS, assertUnits, toCanonical } = require('./units');
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+
+const nullableNumber = (extra = {}) => ({ type: ['number', 'null'], default: null, ...extra });
+
+// What handleTelemetry / handleShockAlert / handleCommandReply /
+// handleConfigReport receive
+const CANONICAL_SCHEMAS = {
+  telemetry: {
+    type: 'object',
+    required: ['device_id', 'temp', 'ts'],
+    properties: {
+      device_id: { type: 'string', minLength: 1 },
+      temp:      { type: 'number' },
+      hum:       { type: 'number', default: 0 },
+      shock_g:   { type: 'number', minimum: 0, default: 0 },
+      lat:       nullableNumber({ minimum: -90,  maximum: 90 }),
+      lon:       nullableNumber({ minimum: -180, maximum: 180 }),
+      door_open: { type: 'boolean', default: false },
+      battery:   nullableNumber({ minimum: 0, maximum: 100 }),
+      battery_v: nullableNumber({ minimum: 0 }),
+      firmware_version: { type: ['string', 'null'], default: null },
+      ts:        { type: 'number' },
+    },
+  },
+  shock: {
+    type: 'object',
+    required: ['device_id', 'shock_g', 'ts'],
+    properties: {
+      device_id: { type: 'string', minLength: 1 },
+      alert:     { type: 'string', default: 'SHOCK_DETECTED' },
+      shock_g:   { type: 'number', minimum: 0 },
+      lat:       nullableNumber({ minimum: -90,  maximum: 90 }),
+      lon:       nullableNumber({ minimum: -180, maximum: 180 }),
+      ts:        { type: 'number' },
+    },
+  },
+  command_reply: {
+    type: 'object',
+    required: ['device_id', 'command_id', 'status'],
+    properties: {
+      device_id:  { type: 'string', minLength: 1 },
+      command_id: { type: 'string', minLength: 1 },
+      status:     { enum: ['ok', 'error'] },
+      result:     { default: null },
+      error:      { type: ['string', 'null'], default: null },
+    },
+  },
+  config_report: {
+    type: 'object',
+    required: ['device_id', 'version', 'config'],
+    properties: {
+      device_id: { type: 'string', minLength: 1 },
+      version:   { type: 'integer', minimum: 0 },
+      config:    { type: 'object' },
+    },
+  },
+};
+
+const validateCanonical = Object.fromEntries(
+  Object.entries(CANONICAL_SCHEMAS).map(([kind, schema]) => [kind, ajv.compile(schema)])
+);
+
+// Raised for anything the registry refuses; `stage` says where it failed
+class DecodeError extends Error {
+  constructor(stage, message, decoder = null) {
+    super(message);
+    this.name    = 'DecodeError';
+    this.stage   = stage;     // 'match' | 'schema' | 'decode' | 'canonical'
+    this.decoder = decoder;
+  }
+}
+
+// MQTT topic filter match: '+' = one level, '#' = the rest
+function topicMatches(pattern, topic) {
+  const p = pattern.split('/');
+  const t = topic.split('/');
+  for (let i = 0; i < p.length; i++) {
+    if (p[i] === '#') return true;
+    if (i >= t.length) return false;
+    if (p[i] !== '+' && p[i] !== t[i]) return false;
+  }
+  return p.length === t.length;
+}
+
+function loadDecoders(dir = __dirname) {
+  const decoders = fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.js') && f !== 'index.js' && f !== 'units.js')
+    .sort()
+    .map((file) => {
+      const mod = require(path.join(dir, file));
+      for (const key of ['name', 'kind', 'topics', 'schema', 'decode']) {
+        if (mod[key] == null) throw new Error(`Decoder ${file} is missing "${key}"`);
+      }
+      if (!CANONICAL_SCHEMAS[mod.kind]) throw new Error(`Decoder ${file}: unknown kind "${mod.kind}"`);
+      assertUnits(mod.units);
+      return { priority: 0, units: {}, ...mod, file, validate: ajv.compile(mod.schema) };
+    });
+
+  const names = new Set();
+  for (const d of decoders) {
+    if (names.has(d.name)) throw new Error(`Duplicate decoder name "${d.name}"`);
+    names.add(d.name);
+  }
+
+  return decoders.sort((a, b) => b.priority - a.priority);
+}
+
+const decoders = loadDecoders();
+
+function findDecoder(topic, payload) {
+  return decoders.find((d) =>
+    d.topics.some((pattern) => topicMatches(pattern, topic))
+    && (!d.match || d.match(payload, topic))
+  ) ?? null;
+}
+
+/**
+ * Raw parsed payload → { decoder, kind, reading } in canonical units.
+ * Throws DecodeError when nothing matches or validation fails.
+ */
+function decode(topic, payload) {
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new DecodeError('match', 'Payload is not a JSON object');
+  }
+
+  const decoder = findDecoder(topic, payload);
+  if (!decoder) throw new DecodeError('match', `No decoder for topic ${topic}`);
+
+  if (!decoder.validate(payload)) {
+    throw new DecodeError(
+      'schema',
+      ajv.errorsText(decoder.validate.errors, { dataVar: 'payload' }),
+      decoder.name
+    );
+  }
+
+  let reading;
+  try {
+    reading = toCanonical(decoder.decode(payload, topic), decoder.units);
+  } catch (err) {
+    throw new DecodeError('decode', err.message, decoder.name);
+  }
+
+  const validate = validateCanonical[decoder.kind];
+  if (!validate(reading)) {
+    throw new DecodeError(
+      'canonical',
+      ajv.errorsText(validate.errors, { dataVar: 'reading' }),
+      decoder.name
+    );
+  }
+
+  return { decoder: decoder.name, kind: decoder.kind, reading };
+}
+
+// Union of every decoder's topic patterns — what the MQTT client subscribes to
+function subscriptions() {
+  return [...new Set(decoders.flatMap((d) => d.topics))];
+}
+
+// Public description for GET /api/decoders
+function listDecoders() {
+  return decoders.map(({ name, description, kind, topics, priority, units, schema, file }) => ({
+    name,
+    description: description ?? null,
+    kind,
+    topics,
+    priority,
+    units: { ...CANONICAL_UNITS, ...units },
+    schema,
+    file,
+  }));
+}
+
+module.exports = {
+  CANONICAL_SCHEMAS,
+  DecodeError,
+  decode,
+  subscriptions,
+  listDecoders,
+  topicMatches,
+};
@@ -0,0 +1,47 @@
+/**
+ * decoders/simulator.js — hivemq_random_data.py simulator
+ * ─────────────────────────────────────────────────────────────
+ * Topic  : cargo/telemetry (flat)
+ * Payload: { device_id, timestamp (ISO), location: { lat, lon },
+ *            temperature, battery }
+ * No humidity / shock sensor — the canonical defaults (0) apply.
+ */
+
+'use strict';
+
+module.exports = {
+  name:        'simulator',
+  description: 'Python HiveMQ simulator (hivemq_random_data.py)',
+  kind:        'telemetry',
+  topics:      ['cargo/telemetry', 'cargo/+/telemetry'],
+  match:       (payload) => 'temperature' in payload,
+
+  schema: {
+    type: 'object',
+    required: ['device_id', 'temperature', 'timestamp'],
+    properties: {
+      device_id:   { type: 'string', minLength: 1 },
+      temperature: { type: 'number' },
+      timestamp:   { type: 'string' },
+      location: {
+        type: 'object',
+        properties: {
+          lat: { type: 'number' },
+          lon: { type: 'number' },
+        },
+      },
+      battery: { type: 'number' },
+    },
+  },
+
+  units: { temp: 'C', ts: 'iso' },
+
+  decode: (p) => ({
+    device_id: p.device_id,
+    temp:      p.temperature,
+    lat:       p.location?.lat,
+    lon:       p.location?.lon,
+    battery:   p.battery,
+    ts:        p.timestamp,
+  }),
+};
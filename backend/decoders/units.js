@@ -0,0 +1,78 @@
+/**
+ * decoders/units.js — unit conversion into canonical telemetry units
+ * ─────────────────────────────────────────────────────────────
+ * Canonical units (what the rest of the backend assumes):
+ *   temp      °C          hum       %RH
+ *   shock_g   g           battery   %
+ *   battery_v V           ts        epoch ms
+ *
+ * A decoder declares the units it emits, e.g. `units: { temp: 'F' }`,
+ * and the registry converts those fields before validation.
+ */
+
+'use strict';
+
+const STANDARD_GRAVITY = 9.80665;   // m/s² per g
+
+// field → unit → (value) => canonical value
+const CONVERSIONS = {
+  temp: {
+    C: (v) => v,
+    F: (v) => ((v - 32) * 5) / 9,
+    K: (v) => v - 273.15,
+  },
+  hum: {
+    '%': (v) => v,
+    ratio: (v) => v * 100,          // 0..1
+  },
+  shock_g: {
+    g:      (v) => v,
+    'm/s2': (v) => v / STANDARD_GRAVITY,
+    mg:     (v) => v / 1000,
+  },
+  battery: {
+    '%':   (v) => v,
+    ratio: (v) => v * 100,
+  },
+  battery_v: {
+    V:  (v) => v,
+    mV: (v) => v / 1000,
+  },
+  ts: {
+    ms:  (v) => v,
+    s:   (v) => v * 1000,
+    iso: (v) => Date.parse(v),
+  },
+};
+
+const CANONICAL_UNITS = {
+  temp: 'C', hum: '%', shock_g: 'g', battery: '%', battery_v: 'V', ts: 'ms',
+};
+
+// Throws on a unit the table doesn't know — that's a decoder bug, caught at load
+function assertUnits(units = {}) {
+  for (const [field, unit] of Object.entries(units)) {
+    if (!CONVERSIONS[field]?.[unit]) {
+      const known = CONVERSIONS[field] ? Object.keys(CONVERSIONS[field]).join(', ') : 'none';
+      throw new Error(`Unknown unit "${unit}" for ${field} (known: ${known})`);
+    }
+  }
+}
+
+/**
+ * Convert every field listed in `units` to its canonical unit.
+ * null / undefined pass through; a non-numeric result becomes NaN so the
+ * canonical schema rejects it instead of silently storing garbage.
+ */
+function toCanonical(reading, units = {}) {
+  const out = { ...reading };
+  for (const [field, unit] of Object.entries(units)) {
+    const value = out[field];
+    if (value == null) continue;
+    const converted = CONVERSIONS[field][unit](value);
+    out[field] = typeof converted === 'number' ? converted : NaN;
+  }
+  return out;
+}
+
+module.exports = { CONVERSIONS, CANONICAL_UNITS, assertUnits, toCanonical };
@@ -5,6 +5,13 @@
  *  Stack : Express.js · Mongoose (MongoDB) · MQTT.js · Socket.IO
  *  Topics: cargo/+/telemetry  (wildcard single-level per device)
  *          cargo/alert/shock
+ *          cargo/+/cmd/reply  (downlink command acks; commands go out on cargo/<id>/cmd)
+ *          cargo/+/config/reported (device shadow; desired is retained on
+ *                                   cargo/<id>/config/desired)
+ *          + whatever the modules in ./decoders declare
+ *  Modules: auth.js (tokens, users, organizations) · tenancy.js (device →
+ *           organization cache) · shadow.js · webhooks.js · notifier.js ·
+ *           common.js (logging, QueryError); this file wires them up
  *
  *  Setup:
  *    cp .env.example .env   # fill in your values
@@ -31,6 +38,67 @@ const {
   ALERT_TEMP_MAX    = 8.0,
   ALERT_SHOCK_G_MAX = 2.5,
   CORS_ORIGIN       = 'http://localhost:3000',
+  // Alert debouncing (see "Alert evaluator" below)
+  ALERT_MIN_DURATION_S   = 60,
+  ALERT_COOLDOWN_S       = 900,
+  ALERT_HYSTERESIS_TEMP  = 0.5,
+  ALERT_HYSTERESIS_HUM   = 2.0,
+  ALERT_HYSTERESIS_SHOCK = 0.2,
+  // Door left open longer than this raises a 'door' alert
+  DOOR_OPEN_MAX_S        = 300,
+  // accept | quarantine | drop — see "Device registry gate"
+  UNREGISTERED_DEVICE_POLICY = 'accept',
+  // Watchdog — see "Device watchdog"
+  DEVICE_EXPECTED_INTERVAL_S = 5,
+  DEVICE_STALE_MULTIPLIER    = 3,
+  DEVICE_OFFLINE_MULTIPLIER  = 12,
+  WATCHDOG_INTERVAL_S        = 5,
+  // Battery forecast — see "Battery forecaster"
+  BATTERY_LOW_PCT      = 20,
+  BATTERY_ALERT_LEAD_H = 24,
+  BATTERY_WINDOW_H     = 6,
+  // Event-time reconciliation — see "Clock reconciliation"
+  LATE_DATA_THRESHOLD_S = 120,
+  CLOCK_MAX_SKEW_S      = 300,
+  // Downlink commands without a reply after this are timed_out
+  COMMAND_TIMEOUT_S     = 30,
+  // Socket.IO fleet:summary cadence for subscribed dashboards
+  FLEET_SUMMARY_INTERVAL_S = 10,
+  // Trip analytics — see GET /api/devices/:device_id/trip
+  TRIP_STOP_RADIUS_M    = 75,
+  TRIP_STOP_MIN_S       = 300,
+  TRIP_MAX_SPEED_KMH    = 250,
+  // Planned routes — see "Route corridor evaluator"
+  ROUTE_CORRIDOR_M        = 500,
+  ROUTE_DEVIATION_GRACE_S = 120,
+  ROUTE_ETA_WINDOW_MIN    = 15,
+  // Outbound webhooks — see webhooks.js
+  WEBHOOK_TIMEOUT_S      = 10,
+  WEBHOOK_MAX_ATTEMPTS   = 8,
+  WEBHOOK_RETRY_BASE_S   = 10,
+  WEBHOOK_RETRY_MAX_S    = 3600,
+  // Allow webhook URLs on loopback / private / link-local addresses
+  // (only for a local receiver in development)
+  WEBHOOK_ALLOW_PRIVATE_URLS = 'false',
+  // Email notifications — see notifier.js. No SMTP_HOST = email disabled
+  SMTP_HOST              = '',
+  SMTP_PORT              = 587,
+  SMTP_SECURE            = 'false',
+  SMTP_USER              = '',
+  SMTP_PASSWORD          = '',
+  NOTIFY_FROM            = 'Cargo Monitor <alerts@cargo-monitor.local>',
+  NOTIFY_DIGEST_INTERVAL_MIN = 60,
+  DASHBOARD_URL          = 'http://localhost:3000',
+  // Auth: HMAC secret for login tokens, their lifetime, and the admin
+  // account created on first boot when the users collection is empty
+  AUTH_TOKEN_SECRET     = '',
+  AUTH_TOKEN_TTL_H      = 12,
+  ADMIN_USERNAME        = 'admin',
+  ADMIN_PASSWORD        = '',
+  // Tenancy: organization that pre-existing data, auto-registered
+  // devices and the seeded admin belong to; invitation lifetime
+  DEFAULT_ORG_NAME      = 'Default',
+  INVITE_TTL_H          = 72,
 } = process.env;
 
 // Parse numeric env vars (dotenv gives strings)
@@ -42,23 +110,23 @@ const SHOCK_THRESHOLD = parseFloat(ALERT_SHOCK_G_MAX);
 // ─────────────────────────────────────────────────────────────
 const fs         = require('fs');
 const path       = require('path');
+const crypto     = require('crypto');
 const http       = require('http');
 const express    = require('express');
 const mongoose   = require('mongoose');
 const mqtt       = require('mqtt');
 const { Server } = require('socket.io');
-
-// ─────────────────────────────────────────────────────────────
-//  Logging helpers (timestamped, levelled)
-// ─────────────────────────────────────────────────────────────
-const ts    = () => new Date().toISOString();
-const log   = (...a) => console.log(`[${ts()}] [INFO ]`, ...a);
-const warn  = (...a) => console.warn(`[${ts()}] [WARN ]`, ...a);
-const error = (...a) => console.error(`[${ts()}] [ERROR]`, ...a);
-
-// Bold red for critical alerts — ANSI escape codes
-const CRITICAL = (...a) =>
-  console.error(`\x1b[1;31m[${ts()}] [CRITICAL SHIPMENT ALERT]\x1b[0m`, ...a);
+const decoders   = require('./decoders');
+const auth       = require('./auth');
+const shadow     = require('./shadow');
+const webhooks   = require('./webhooks');
+const notifier   = require('./notifier');
+const {
+  deviceScopes, orgOf, groupOf, defaultOrgId, cacheDevice,
+  Organization, migrateTenants, loadDeviceScopes, scopeDevice,
+} = require('./tenancy');
+const { log, warn, error, CRITICAL, QueryError, ALERT_SEVERITIES } = require('./common');
+const { requireRole, hasRole } = auth;
 
 // ═════════════════════════════════════════════════════════════
 //  1. MONGOOSE — MongoDB Connection & Schema
@@ -68,24 +136,37 @@ const CRITICAL = (...a) =>
 /**
  * CargoTelemetry: mirrors the firmware JSON payload.
  * Stored in a time-series-friendly collection with compound
- * indexes on (device_id + receivedAt) for efficient range queries.
+ * indexes on (device_id + eventAt) for efficient range queries.
  */
 const telemetrySchema = new mongoose.Schema(
   {
     device_id:  { type: String,  required: true, index: true },
+    // Tenant that owned the device when the reading arrived
+    org_id:     { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
     temp:       { type: Number,  required: true },
     hum:        { type: Number,  required: true },
     shock_g:    { type: Number,  required: true },
     lat:        { type: Number,  default: null  },
     lon:        { type: Number,  default: null  },
     door_open:  { type: Boolean, default: false },
+    battery:    { type: Number,  default: null, min: 0, max: 100 },   // %
+    battery_v:  { type: Number,  default: null  },                    // volts, if reported
     // 'ts' from the device (device-local millis or epoch ms).
     // We store it as-received for fidelity.
     ts:         { type: Number,  required: true },
-    // Server-side receive time — authoritative for queries
+    // When the reading was taken, reconciled from `ts` (see "Clock
+    // reconciliation") — authoritative for queries and ordering
+    eventAt:    { type: Date,    required: true },     // index defined below
+    ts_source:  { type: String,  enum: ['epoch', 'uptime', 'server'], default: 'server' },
+    // Server-side receive time; lag_ms = receivedAt − eventAt
     receivedAt: { type: Date,    default: Date.now },   // index defined below
+    lag_ms:     { type: Number,  default: 0 },
+    // Arrived more than LATE_DATA_THRESHOLD_S after it was taken (backfill)
+    late:       { type: Boolean, default: false },
     // Which MQTT topic this arrived on
     topic:      { type: String },
+    // Shipment the device was assigned to when this reading arrived
+    shipment_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Shipment', default: null },
   },
   {
     collection: 'telemetry',
@@ -94,30 +175,617 @@ const telemetrySchema = new mongoose.Schema(
   }
 );
 
-// Compound index: all queries are (device_id + time-descending)
-telemetrySchema.index({ device_id: 1, receivedAt: -1 });
+// Compound index: all queries are (device_id + event-time-descending)
+telemetrySchema.index({ device_id: 1, eventAt: -1 });
+telemetrySchema.index({ org_id: 1, eventAt: -1 });
+
+// Per-trip history: /api/shipments/:id/telemetry
+telemetrySchema.index({ shipment_id: 1, eventAt: -1 });
 
 // TTL index — auto-expire documents after 90 days (optional, remove if unwanted)
 telemetrySchema.index({ receivedAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 90 });
 
 const CargoTelemetry = mongoose.model('CargoTelemetry', telemetrySchema);
 
-// ── Seperate model for shock alerts ──────────────────────────
+// ── Alerts (device shock alerts + backend threshold alerts) ──
+/**
+ * CargoAlert: every alert, whoever raised it.
+ *   type     : 'shock' | 'temperature' | 'humidity' | 'geofence' | 'door' | 'offline' | 'battery' | 'route'
+ *   severity : 'info' | 'warning' | 'critical'
+ *   state    : open → acknowledged → resolved (operator workflow)
+ * `clearedAt` is when the sensor value returned to range — that is
+ * independent of `state`, which only an operator changes.
+ * `eventAt` is when the condition occurred on the device; `historical`
+ * alerts were reconstructed from late (backfilled) readings and were
+ * never broadcast live.
+ */
+const ALERT_STATES     = ['open', 'acknowledged', 'resolved'];
+
+const alertActionSchema = new mongoose.Schema(
+  {
+    by:   { type: String, required: true },
+    at:   { type: Date,   default: Date.now },
+    note: { type: String, default: null },
+  },
+  { _id: false }
+);
+
 const alertSchema = new mongoose.Schema(
   {
     device_id:  { type: String, required: true, index: true },
+    org_id:     { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
     alert:      { type: String, default: 'SHOCK_DETECTED' },
-    shock_g:    { type: Number, required: true },
+    type:       { type: String, default: 'shock', index: true },
+    severity:   { type: String, enum: ALERT_SEVERITIES, default: 'critical' },
+    state:      { type: String, enum: ALERT_STATES,     default: 'open', index: true },
+    message:    { type: String, default: null },
+    // Threshold alerts: which limit was crossed and how far
+    metric:     { type: String, default: null },
+    value:      { type: Number, default: null },
+    threshold:  { type: Number, default: null },
+    peak:       { type: Number, default: null },
+    shock_g:    { type: Number, default: null },
     lat:        { type: Number, default: null },
     lon:        { type: Number, default: null },
     ts:         { type: Number, required: true },
-    receivedAt: { type: Date,   default: Date.now },   // index defined below
+    eventAt:    { type: Date,   default: Date.now },   // index defined below
+    receivedAt: { type: Date,   default: Date.now },
+    historical: { type: Boolean, default: false },
+    clearedAt:   { type: Date,   default: null },
+    duration_ms: { type: Number, default: null },
+    acknowledged: { type: alertActionSchema, default: null },
+    resolved:     { type: alertActionSchema, default: null },
+    shipment_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Shipment', default: null },
+    // ROUTE_DEVIATION: the plan whose corridor was left
+    route_id:    { type: mongoose.Schema.Types.ObjectId, ref: 'RoutePlan', default: null },
   },
   { collection: 'alerts', versionKey: false }
 );
 
+alertSchema.index({ device_id: 1, eventAt: -1 });
+alertSchema.index({ org_id: 1, eventAt: -1 });
+
+// Every newly raised live alert fans out to webhook subscriptions and
+// notification rules (see webhooks.js / notifier.js) — state changes,
+// clears and historical alerts from backfilled data do not
+alertSchema.pre('save', function (next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+alertSchema.post('save', function (doc) {
+  if (!doc.$locals.wasNew) return;
+  webhooks.queueAlertWebhooks(doc);
+  notifier.queueAlertNotifications(doc);
+});
+
 const CargoAlert = mongoose.model('CargoAlert', alertSchema);
 
+// Metric → alert type / severity for backend threshold alerts
+const ALERT_TYPE_BY_METRIC = {
+  temp:    { type: 'temperature', severity: 'critical' },
+  hum:     { type: 'humidity',    severity: 'warning'  },
+  shock_g: { type: 'shock',       severity: 'critical' },
+};
+
+// ── Shipments ─────────────────────────────────────────────────
+/**
+ * Shipment: one trip of one or more trackers.
+ * A tracker is attached to a shipment for a time window (`devices[]`)
+ * so the same device_id can be reused across trips without mixing data.
+ *
+ * Lifecycle: planned → in_transit → completed
+ */
+const SHIPMENT_STATUSES = ['planned', 'in_transit', 'completed'];
+
+const assignmentSchema = new mongoose.Schema(
+  {
+    device_id: { type: String, required: true },
+    from:      { type: Date,   required: true },
+    // null = open-ended; closed automatically when the shipment completes
+    to:        { type: Date,   default: null },
+  },
+  { _id: false }
+);
+
+const shipmentSchema = new mongoose.Schema(
+  {
+    org_id:      { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+    reference:   { type: String, required: true, trim: true },   // customer / waybill ref
+    status:      { type: String, enum: SHIPMENT_STATUSES, default: 'planned', index: true },
+    cargo: {
+      origin:        { type: String, default: null },
+      destination:   { type: String, default: null },
+      consignee:     { type: String, default: null },
+      product_class: { type: String, default: null },
+      description:   { type: String, default: null },
+    },
+    devices:     { type: [assignmentSchema], default: [] },
+    createdAt:   { type: Date, default: Date.now },
+    startedAt:   { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { collection: 'shipments', versionKey: false }
+);
+
+// Active-shipment lookup for every incoming reading
+shipmentSchema.index({ 'devices.device_id': 1, status: 1 });
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+// Far-future sentinel so open-ended windows compare like closed ones
+const END_OF_TIME = new Date(8.64e15);
+
+/**
+ * Attach a tracker to a shipment for [from, to).
+ * The tracker must belong to the shipment's organization.
+ * Rejects windows that overlap another assignment of the same device,
+ * otherwise a reading could belong to two trips at once.
+ * Mutates `shipment` — caller is responsible for save().
+ */
+async function assignDevice(shipment, { device_id, from, to } = {}) {
+  if (!device_id) return { status: 400, error: 'device_id is required' };
+  if (orgOf(device_id) !== String(shipment.org_id)) {
+    return { status: 404, error: `Device ${device_id} not found` };
+  }
+
+  const start = from ? new Date(from) : new Date();
+  const end   = to   ? new Date(to)   : null;
+  if (isNaN(start) || (end && isNaN(end))) {
+    return { status: 400, error: 'from/to must be valid dates' };
+  }
+  if (end && end <= start) return { status: 400, error: '`to` must be after `from`' };
+
+  const overlapsHere = shipment.devices.some((d) =>
+    d.device_id === device_id && d.from < (end ?? END_OF_TIME) && (d.to ?? END_OF_TIME) > start
+  );
+  const overlap = overlapsHere ? shipment : await Shipment.findOne({
+    devices: {
+      $elemMatch: {
+        device_id,
+        from: { $lt: end ?? END_OF_TIME },
+        $or:  [{ to: null }, { to: { $gt: start } }],
+      },
+    },
+  }, { reference: 1 }).lean();
+
+  if (overlap) {
+    return {
+      status: 409,
+      error:  `Device ${device_id} is already assigned to shipment ${overlap.reference} in that window`,
+    };
+  }
+
+  const assignment = { device_id, from: start, to: end };
+  shipment.devices.push(assignment);
+  return { assignment };
+}
+
+/**
+ * Find the in-transit shipment a device is assigned to at time `at`.
+ * Returns `{ _id, cargo }` (lean) or null.
+ */
+async function findActiveShipment(device_id, at = new Date()) {
+  return Shipment.findOne({
+    status:  'in_transit',
+    devices: {
+      $elemMatch: {
+        device_id,
+        from: { $lte: at },
+        $or:  [{ to: null }, { to: { $gt: at } }],
+      },
+    },
+  }, { _id: 1, cargo: 1 }).lean();
+}
+
+// ── Threshold profiles ────────────────────────────────────────
+/**
+ * ThresholdProfile: named min/max limits per metric, e.g.
+ *   "pharma-2-8"   temp 2..8 °C
+ *   "frozen"       temp ..-18 °C
+ *   "electronics"  shock ..1.5 G, hum ..60 %
+ * A null bound means "not checked".
+ *
+ * Resolution order for a reading (see resolveThresholds):
+ *   1. profile assigned to the device
+ *   2. profile matching the active shipment's cargo.product_class
+ *   3. built-in default from ALERT_TEMP_MAX / ALERT_SHOCK_G_MAX
+ */
+const THRESHOLD_METRICS = {
+  temp:    { label: 'TEMPERATURE', unit: '°C' },
+  hum:     { label: 'HUMIDITY',    unit: '%'  },
+  shock_g: { label: 'SHOCK',       unit: 'G'  },
+};
+
+const limitSchema = new mongoose.Schema(
+  {
+    min: { type: Number, default: null },
+    max: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+limitSchema.pre('validate', function (next) {
+  if (this.min != null && this.max != null && this.min > this.max) {
+    this.invalidate('min', `min (${this.min}) must not exceed max (${this.max})`);
+  }
+  next();
+});
+
+const thresholdProfileSchema = new mongoose.Schema(
+  {
+    org_id:        { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    name:          { type: String, required: true, trim: true },
+    description:   { type: String, default: null },
+    // Optional: auto-apply to shipments carrying this product class
+    product_class: { type: String, default: null },
+    limits: {
+      temp:    { type: limitSchema, default: () => ({}) },
+      hum:     { type: limitSchema, default: () => ({}) },
+      shock_g: { type: limitSchema, default: () => ({}) },
+    },
+    updatedAt:     { type: Date, default: Date.now },
+  },
+  { collection: 'threshold_profiles', versionKey: false }
+);
+
+// Names are unique per tenant, and at most one profile per product class
+thresholdProfileSchema.index({ org_id: 1, name: 1 }, { unique: true });
+thresholdProfileSchema.index(
+  { org_id: 1, product_class: 1 },
+  { unique: true, partialFilterExpression: { product_class: { $type: 'string' } } }
+);
+
+const ThresholdProfile = mongoose.model('ThresholdProfile', thresholdProfileSchema);
+
+// device_id → profile, one row per device. Dropped when the device
+// moves to another organization; a leftover one pointing at another
+// organization's profile is ignored.
+const profileAssignmentSchema = new mongoose.Schema(
+  {
+    device_id:  { type: String, required: true, unique: true },
+    profile_id: { type: mongoose.Schema.Types.ObjectId, ref: 'ThresholdProfile', required: true },
+    assignedAt: { type: Date, default: Date.now },
+  },
+  { collection: 'threshold_assignments', versionKey: false }
+);
+
+const ProfileAssignment = mongoose.model('ProfileAssignment', profileAssignmentSchema);
+
+// Fallback when neither the device nor its cargo has a profile
+const DEFAULT_PROFILE = Object.freeze({
+  _id:    null,
+  name:   'default',
+  limits: {
+    temp:    { min: null, max: TEMP_THRESHOLD  },
+    hum:     { min: null, max: null            },
+    shock_g: { min: null, max: SHOCK_THRESHOLD },
+  },
+});
+
+/**
+ * Resolve the threshold profile that applies to a device right now.
+ * Read from Mongo on every call so REST edits apply without a restart.
+ */
+async function resolveThresholds(device_id, shipment = null) {
+  const assignment = await ProfileAssignment
+    .findOne({ device_id })
+    .populate('profile_id')
+    .lean();
+  if (assignment?.profile_id && String(assignment.profile_id.org_id) === orgOf(device_id)) {
+    return assignment.profile_id;
+  }
+
+  const productClass = shipment?.cargo?.product_class;
+  if (productClass) {
+    const profile = await ThresholdProfile.findOne({
+      org_id:        orgOf(device_id),
+      product_class: productClass,
+    }).lean();
+    if (profile) return profile;
+  }
+
+  return DEFAULT_PROFILE;
+}
+
+/**
+ * Compare one value against a {min,max} limit.
+ * Returns { direction: 'high'|'low', threshold } or null when in range.
+ */
+function checkLimit(value, { min = null, max = null } = {}) {
+  if (value == null) return null;
+  if (max != null && value > max) return { direction: 'high', threshold: max };
+  if (min != null && value < min) return { direction: 'low',  threshold: min };
+  return null;
+}
+
+// "TEMPERATURE EXCEEDED: 9.1°C > threshold 8°C"
+function describeViolation(metric, value, { direction, threshold }) {
+  const { label, unit } = THRESHOLD_METRICS[metric];
+  return direction === 'high'
+    ? `${label} EXCEEDED: ${value}${unit} > threshold ${threshold}${unit}`
+    : `${label} BELOW: ${value}${unit} < threshold ${threshold}${unit}`;
+}
+
+// ── Geofences ─────────────────────────────────────────────────
+/**
+ * Geofence: a named area (warehouse, port, customer site…) as either
+ *   circle  → center {lat,lon} + radius_m
+ *   polygon → [[lat, lon], …] (≥ 3 vertices, implicitly closed)
+ * `alert_on` turns enter/exit into persisted CargoAlerts as well.
+ */
+const GEOFENCE_SHAPES = ['circle', 'polygon'];
+
+const geofenceSchema = new mongoose.Schema(
+  {
+    org_id:   { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+    name:     { type: String, required: true, trim: true },
+    category: { type: String, default: 'other' },   // warehouse | port | customer | other
+    shape:    { type: String, enum: GEOFENCE_SHAPES, required: true },
+    center: {
+      lat: { type: Number, default: null },
+      lon: { type: Number, default: null },
+    },
+    radius_m: { type: Number, default: null },
+    polygon:  { type: [[Number]], default: undefined },
+    alert_on: { type: [{ type: String, enum: ['enter', 'exit'] }], default: [] },
+    active:   { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { collection: 'geofences', versionKey: false }
+);
+
+geofenceSchema.pre('validate', function (next) {
+  if (this.shape === 'circle') {
+    if (this.center?.lat == null || this.center?.lon == null) {
+      this.invalidate('center', 'circle geofence needs center.lat and center.lon');
+    }
+    if (!(this.radius_m > 0)) this.invalidate('radius_m', 'circle geofence needs radius_m > 0');
+  }
+  if (this.shape === 'polygon') {
+    const ok = Array.isArray(this.polygon) && this.polygon.length >= 3
+      && this.polygon.every((p) => p.length === 2 && p.every(Number.isFinite));
+    if (!ok) this.invalidate('polygon', 'polygon geofence needs ≥ 3 [lat, lon] vertices');
+  }
+  next();
+});
+
+const Geofence = mongoose.model('Geofence', geofenceSchema);
+
+// GeofenceEvent: one row per enter / exit at event time; exits carry
+// dwell time
+const geofenceEventSchema = new mongoose.Schema(
+  {
+    device_id:     { type: String, required: true },
+    org_id:        { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    geofence_id:   { type: mongoose.Schema.Types.ObjectId, ref: 'Geofence', required: true },
+    geofence_name: { type: String },
+    event:         { type: String, enum: ['enter', 'exit'], required: true },
+    at:            { type: Date,   default: Date.now },
+    lat:           { type: Number, default: null },
+    lon:           { type: Number, default: null },
+    dwell_ms:      { type: Number, default: null },
+    shipment_id:   { type: mongoose.Schema.Types.ObjectId, ref: 'Shipment', default: null },
+    historical:    { type: Boolean, default: false },   // rebuilt from late readings
+  },
+  { collection: 'geofence_events', versionKey: false }
+);
+
+geofenceEventSchema.index({ device_id: 1, at: -1 });
+geofenceEventSchema.index({ geofence_id: 1, at: -1 });
+geofenceEventSchema.index({ org_id: 1, at: -1 });
+
+const GeofenceEvent = mongoose.model('GeofenceEvent', geofenceEventSchema);
+
+// ── Planned routes ────────────────────────────────────────────
+/**
+ * RoutePlan: the intended path of a device or of a shipment (trip) as
+ * a polyline of [lat, lon] waypoints — the last one is the destination —
+ * and a corridor `corridor_m` either side of it. Leaving the corridor
+ * for longer than `grace_s` raises a ROUTE_DEVIATION alert.
+ * Exactly one of device_id / shipment_id is set; a shipment's plan
+ * applies to every tracker on it and wins over a device plan. At most
+ * one plan per device / shipment is active.
+ */
+const routePlanSchema = new mongoose.Schema(
+  {
+    org_id:      { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+    name:        { type: String, required: true, trim: true },
+    device_id:   { type: String, default: null },
+    shipment_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Shipment', default: null },
+    waypoints:   { type: [[Number]], required: true },
+    corridor_m:  { type: Number, default: () => parseFloat(ROUTE_CORRIDOR_M), min: 1 },
+    grace_s:     { type: Number, default: () => parseFloat(ROUTE_DEVIATION_GRACE_S), min: 0 },
+    active:      { type: Boolean, default: true },
+    createdAt:   { type: Date, default: Date.now },
+  },
+  { collection: 'route_plans', versionKey: false }
+);
+
+routePlanSchema.pre('validate', function (next) {
+  if (!this.device_id === !this.shipment_id) {
+    this.invalidate('device_id', 'set exactly one of device_id or shipment_id');
+  }
+  const ok = Array.isArray(this.waypoints) && this.waypoints.length >= 2
+    && this.waypoints.every((p) => p.length === 2 && p.every(Number.isFinite)
+      && Math.abs(p[0]) <= 90 && Math.abs(p[1]) <= 180);
+  if (!ok) this.invalidate('waypoints', 'route needs ≥ 2 [lat, lon] waypoints');
+  next();
+});
+
+routePlanSchema.index({ device_id: 1, active: 1 });
+routePlanSchema.index({ shipment_id: 1, active: 1 });
+
+const RoutePlan = mongoose.model('RoutePlan', routePlanSchema);
+
+// ── Door events ───────────────────────────────────────────────
+/**
+ * DoorEvent: one open → close cycle of a container door, derived
+ * from `door_open` transitions in telemetry. `closedAt` is null while
+ * the door is still open. `sealed` marks openings during a seal window.
+ */
+const doorEventSchema = new mongoose.Schema(
+  {
+    device_id:   { type: String, required: true },
+    org_id:      { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    openedAt:    { type: Date,   required: true },
+    closedAt:    { type: Date,   default: null },
+    duration_ms: { type: Number, default: null },
+    lat:         { type: Number, default: null },
+    lon:         { type: Number, default: null },
+    sealed:      { type: Boolean, default: false },
+    // CargoAlert raised for this opening (sealed or open too long)
+    alert_id:    { type: mongoose.Schema.Types.ObjectId, ref: 'CargoAlert', default: null },
+    shipment_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Shipment', default: null },
+    historical:  { type: Boolean, default: false },   // rebuilt from late readings
+  },
+  { collection: 'door_events', versionKey: false }
+);
+
+doorEventSchema.index({ device_id: 1, openedAt: -1 });
+
+const DoorEvent = mongoose.model('DoorEvent', doorEventSchema);
+
+// DoorSeal: window during which any door opening is unauthorized
+const doorSealSchema = new mongoose.Schema(
+  {
+    device_id: { type: String, required: true, index: true },
+    org_id:    { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    from:      { type: Date,   default: Date.now },
+    to:        { type: Date,   default: null },   // null = until unsealed
+    by:        { type: String, default: null },
+    reason:    { type: String, default: null },
+  },
+  { collection: 'door_seals', versionKey: false }
+);
+
+const DoorSeal = mongoose.model('DoorSeal', doorSealSchema);
+
+// ── Device registry ───────────────────────────────────────────
+/**
+ * Device: one physical tracker. Created via REST, or automatically on
+ * first contact when UNREGISTERED_DEVICE_POLICY=accept (`auto_registered`,
+ * filed under the default organization).
+ * firstSeen / lastSeen / lastPosition are maintained by the MQTT path.
+ * device_id stays globally unique — it is the MQTT topic segment.
+ */
+const deviceSchema = new mongoose.Schema(
+  {
+    device_id:        { type: String, required: true, unique: true, trim: true },
+    org_id:           { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+    name:             { type: String, default: null },
+    // Free-form fleet group ('reefers-north', 'customer-x'…) — a Socket.IO
+    // subscription target alongside single devices
+    group:            { type: String, default: null, trim: true },
+    firmware_version: { type: String, default: null },
+    owner:            { type: String, default: null },
+    notes:            { type: String, default: null },
+    auto_registered:  { type: Boolean, default: false },
+    firstSeen:        { type: Date, default: null },
+    lastSeen:         { type: Date, default: null },
+    lastPosition: {
+      lat: { type: Number, default: null },
+      lon: { type: Number, default: null },
+      at:  { type: Date,   default: null },
+    },
+    // Watchdog: seconds between packets (null → DEVICE_EXPECTED_INTERVAL_S)
+    expected_interval_s: { type: Number, default: null, min: 1 },
+    status:           { type: String, enum: ['online', 'stale', 'offline'], default: 'offline' },
+    statusChangedAt:  { type: Date, default: null },
+    createdAt:        { type: Date, default: Date.now },
+  },
+  { collection: 'devices', versionKey: false }
+);
+
+const Device = mongoose.model('Device', deviceSchema);
+
+// DeviceStatusEvent: every watchdog transition (online / stale / offline)
+const deviceStatusEventSchema = new mongoose.Schema(
+  {
+    device_id: { type: String, required: true },
+    org_id:    { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    status:    { type: String, required: true },
+    previous:  { type: String, default: null },
+    at:        { type: Date,   default: Date.now },
+    lastSeen:  { type: Date,   default: null },
+    age_ms:    { type: Number, default: null },
+  },
+  { collection: 'device_status_events', versionKey: false }
+);
+
+deviceStatusEventSchema.index({ device_id: 1, at: -1 });
+
+const DeviceStatusEvent = mongoose.model('DeviceStatusEvent', deviceStatusEventSchema);
+
+// Messages from unregistered IDs held back under the 'quarantine' policy
+const quarantineSchema = new mongoose.Schema(
+  {
+    device_id:  { type: String, required: true, index: true },
+    topic:      { type: String, required: true },
+    payload:    { type: mongoose.Schema.Types.Mixed, required: true },
+    receivedAt: { type: Date, default: Date.now },
+  },
+  { collection: 'quarantine', versionKey: false }
+);
+
+const QuarantinedMessage = mongoose.model('QuarantinedMessage', quarantineSchema);
+
+// DeadLetter: MQTT messages the pipeline rejected or failed to store.
+// payload is the raw UTF-8 text so even invalid JSON can be replayed.
+const DEAD_LETTER_REASONS  = ['invalid_json', 'decode', 'registry', 'handler'];
+const DEAD_LETTER_STATUSES = ['pending', 'replayed', 'failed'];
+
+const deadLetterSchema = new mongoose.Schema(
+  {
+    topic:      { type: String, required: true },
+    payload:    { type: String, required: true },
+    reason:     { type: String, enum: DEAD_LETTER_REASONS, required: true },
+    error:      { type: String, default: null },
+    stage:      { type: String, default: null },   // decoder stage for reason 'decode'
+    decoder:    { type: String, default: null },
+    device_id:  { type: String, default: null },
+    receivedAt: { type: Date,   default: Date.now },
+    // Replay bookkeeping
+    status:        { type: String, enum: DEAD_LETTER_STATUSES, default: 'pending' },
+    attempts:      { type: Number, default: 0 },
+    lastAttemptAt: { type: Date,   default: null },
+    replayedAt:    { type: Date,   default: null },
+    outcome:       { type: String, default: null },   // 'processed' | 'held'
+  },
+  { collection: 'dead_letters', versionKey: false }
+);
+
+deadLetterSchema.index({ status: 1, receivedAt: -1 });
+deadLetterSchema.index({ device_id: 1, receivedAt: -1 });
+
+const DeadLetter = mongoose.model('DeadLetter', deadLetterSchema);
+
+// DeviceCommand: downlink published on cargo/<id>/cmd and tracked by
+// correlation id until the device answers on cargo/<id>/cmd/reply
+const COMMAND_STATUSES = ['pending', 'acked', 'failed', 'timed_out'];
+
+const deviceCommandSchema = new mongoose.Schema(
+  {
+    command_id:   { type: String, required: true, unique: true },   // correlation id
+    device_id:    { type: String, required: true },
+    org_id:       { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    command:      { type: String, required: true },
+    params:       { type: mongoose.Schema.Types.Mixed, default: {} },
+    status:       { type: String, enum: COMMAND_STATUSES, default: 'pending' },
+    requested_by: { type: String, default: null },
+    sentAt:       { type: Date,   default: Date.now },
+    expiresAt:    { type: Date,   required: true },
+    repliedAt:    { type: Date,   default: null },
+    result:       { type: mongoose.Schema.Types.Mixed, default: null },
+    error:        { type: String, default: null },
+  },
+  { collection: 'device_commands', versionKey: false }
+);
+
+deviceCommandSchema.index({ device_id: 1, sentAt: -1 });
+deviceCommandSchema.index({ status: 1, expiresAt: 1 });
+
+const DeviceCommand = mongoose.model('DeviceCommand', deviceCommandSchema);
+
 // ── Connection ────────────────────────────────────────────────
 async function connectMongo() {
   log(`MongoDB connecting → ${MONGO_URI}`);
@@ -128,8 +796,26 @@ async function connectMongo() {
   log('MongoDB connected ✓');
 }
 
+// Readings / alerts stored before event-time reconciliation existed:
+// the receive time is the best event time we have for them
+async function migrateEventTimes() {
+  const [readings, alerts] = await Promise.all([
+    CargoTelemetry.updateMany(
+      { eventAt: { $exists: false } },
+      [{ $set: { eventAt: '$receivedAt', ts_source: 'server', lag_ms: 0, late: false } }]
+    ),
+    CargoAlert.updateMany({ eventAt: { $exists: false } }, [{ $set: { eventAt: '$receivedAt' } }]),
+  ]);
+  if (readings.modifiedCount || alerts.modifiedCount) {
+    log(`Event times backfilled — ${readings.modifiedCount} readings, ${alerts.modifiedCount} alerts`);
+  }
+}
+
 mongoose.connection.on('disconnected', () => warn('MongoDB disconnected — will auto-reconnect'));
-mongoose.connection.on('reconnected',  () => log('MongoDB reconnected ✓'));
+mongoose.connection.on('reconnected',  () => {
+  log('MongoDB reconnected ✓');
+  flushDeadLetterBacklog();
+});
 mongoose.connection.on('error',        (err) => error('MongoDB error:', err.message));
 
 // ═════════════════════════════════════════════════════════════
@@ -148,15 +834,97 @@ const io = new Server(server, {
   perMessageDeflate: { threshold: 512 },
 });
 
+// ── Rooms & subscriptions ─────────────────────────────────────
+// Clients only receive what they asked for:
+//   org:<org>              every socket — organization-wide events
+//                          (shipment:status, thresholds:changed, geofence:changed)
+//   device:<id>            `subscribe { devices: [...] }` — everything about one tracker
+//   group:<org>:<group>    `subscribe { groups: [...] }` — every device in a fleet group
+//   fleet:<org>            `subscribe { fleet: true }` — fleet:summary every
+//                          FLEET_SUMMARY_INTERVAL_S plus the low-volume FLEET_EVENTS
+//                          (alerts, geofence crossings, status changes) of every device
+// Device rooms are checked against the user's organization on subscribe.
+// Both calls ack with { devices, groups, fleet, rejected }.
+const orgRoom    = (org_id) => `org:${org_id}`;
+const deviceRoom = (device_id) => `device:${device_id}`;
+const groupRoom  = (org_id, group) => `group:${org_id}:${group}`;
+const fleetRoom  = (org_id) => `fleet:${org_id}`;
+
+const FLEET_EVENTS = new Set([
+  'cargo:alert', 'cargo:alert_cleared', 'cargo:shock_alert', 'alert:state',
+  'geofence:enter', 'geofence:exit',
+  'device:online', 'device:stale', 'device:offline',
+]);
+const MAX_SUBSCRIPTIONS = 500;   // rooms per subscribe / unsubscribe call
+
+// { devices?, groups?, fleet? } → rooms this socket may use + rejected ids
+function resolveSubscription(socket, request = {}) {
+  const org_id  = String(socket.data.user.org_id);
+  const list    = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]).map(String);
+  const devices = list(request.devices).slice(0, MAX_SUBSCRIPTIONS);
+  const groups  = list(request.groups).slice(0, MAX_SUBSCRIPTIONS);
+
+  const allowed  = devices.filter((id) => orgOf(id) === org_id);
+  const rejected = devices.filter((id) => orgOf(id) !== org_id);
+  const rooms    = [
+    ...allowed.map(deviceRoom),
+    ...groups.map((g) => groupRoom(org_id, g)),
+    ...(request.fleet ? [fleetRoom(org_id)] : []),
+  ];
+  return { rooms, reply: { devices: allowed, groups, fleet: !!request.fleet, rejected } };
+}
+
+// Every socket joins its organization's room; the rest is opt-in
 io.on('connection', (socket) => {
-  log(`Socket.IO client connected  id=${socket.id}`);
+  socket.join(orgRoom(socket.data.user.org_id));
+  log(`Socket.IO client connected  id=${socket.id}  user=${socket.data.user.username}`);
+
+  socket.on('subscribe', (request, ack) => {
+    const { rooms, reply } = resolveSubscription(socket, request);
+    socket.join(rooms);
+    if (reply.fleet) sendFleetSummary(socket.data.user.org_id, socket);
+    if (typeof ack === 'function') ack(reply);
+  });
+
+  socket.on('unsubscribe', (request, ack) => {
+    const { rooms, reply } = resolveSubscription(socket, request);
+    for (const room of rooms) socket.leave(room);
+    if (typeof ack === 'function') ack(reply);
+  });
+
   socket.on('disconnect', (reason) =>
     log(`Socket.IO client disconnected id=${socket.id}  reason=${reason}`)
   );
 });
 
-// Helper: broadcast a named event to all connected clients
-const broadcast = (event, payload) => io.emit(event, payload);
+// Device unregistered or moved to another organization
+const leaveDeviceRoom = (device_id) => io.in(deviceRoom(device_id)).socketsLeave(deviceRoom(device_id));
+
+/**
+ * Helper: send a named event to the clients that subscribed to it.
+ * Device events (payload.device_id) go to that device's room, its group
+ * room and — for FLEET_EVENTS — the fleet room; anything else goes to
+ * the whole organization, passed as org_id. An event whose tenant
+ * cannot be resolved is dropped rather than sent to everyone.
+ */
+function broadcast(event, payload, org_id = orgOf(payload?.device_id)) {
+  if (!org_id) {
+    warn(`Broadcast ${event} has no organization — dropped`);
+    return;
+  }
+
+  const device_id = payload?.device_id;
+  if (!device_id) {
+    io.to(orgRoom(org_id)).emit(event, payload);
+    return;
+  }
+
+  const rooms = [deviceRoom(device_id)];
+  const group = groupOf(device_id);
+  if (group) rooms.push(groupRoom(org_id, group));
+  if (FLEET_EVENTS.has(event)) rooms.push(fleetRoom(org_id));
+  io.to(rooms).emit(event, payload);
+}
 
 // ── Express Middleware ────────────────────────────────────────
 app.use(express.json());
@@ -164,8 +932,8 @@ app.use(express.json());
 // CORS for REST endpoints (Socket.IO has its own cors config above)
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin',  CORS_ORIGIN);
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
 });
@@ -181,317 +949,3930 @@ app.get('/health', (_req, res) => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────
+//  Authentication & roles — tokens, users and organizations live in
+//  ./auth.js; Socket.IO sessions are checked and dropped here
+// ─────────────────────────────────────────────────────────────
+// Drop live sessions of a user whose access was revoked
+function disconnectUser(userId) {
+  for (const socket of io.of('/').sockets.values()) {
+    if (String(socket.data.user?._id) === String(userId)) socket.disconnect(true);
+  }
+}
+
+// Drop live sessions of a whole organization (disabled)
+const disconnectOrg = (org_id) => io.in(orgRoom(org_id)).disconnectSockets(true);
+
+auth.configure({
+  tokenSecret:   AUTH_TOKEN_SECRET,
+  tokenTtlH:     parseFloat(AUTH_TOKEN_TTL_H),
+  inviteTtlH:    parseFloat(INVITE_TTL_H),
+  adminUsername: ADMIN_USERNAME,
+  adminPassword: ADMIN_PASSWORD,
+  Device,
+  disconnectUser,
+  disconnectOrg,
+});
+
+// Socket.IO: reject the handshake without a valid token
+io.use(auth.authenticateSocket);
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Auth, users & organizations: see ./auth.js
+//  Only login and invitation sign-up are public; every /api route
+//  mounted after auth.router requires a token.
+// ─────────────────────────────────────────────────────────────
+app.use(auth.router);
+
+// ─────────────────────────────────────────────────────────────
+//  Telemetry history helpers — shared by device and shipment routes
+//
+//  Query parameters:
+//    from, to  ISO date or epoch ms (eventAt range, inclusive)
+//    limit     raw records per page (default 100, max 500)
+//    order     'desc' (default, newest-first) | 'asc'
+//    cursor    opaque `next_cursor` from the previous page
+//    bucket    1m|5m|15m|1h|6h|1d → min/avg/max per metric per bucket
+//              instead of raw records (default window: last 24 h)
+// ─────────────────────────────────────────────────────────────
+const BUCKET_SIZES_MS = {
+  '1m':  60_000,
+  '5m':  5  * 60_000,
+  '15m': 15 * 60_000,
+  '1h':  60 * 60_000,
+  '6h':  6  * 60 * 60_000,
+  '1d':  24 * 60 * 60_000,
+};
+const MAX_BUCKETS = 2_000;   // bounded point count for charts
+
+// '2026-10-17T00:00:00Z' | '1760659200000' → Date (undefined when absent)
+function parseTimeParam(value, name) {
+  if (value == null || value === '') return undefined;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  if (isNaN(date)) throw new QueryError(`Invalid \`${name}\` — expected ISO date or epoch ms`);
+  return date;
+}
+
+// { from, to } from the query string, validated
+function parseTimeRange(query) {
+  const from = parseTimeParam(query.from, 'from');
+  const to   = parseTimeParam(query.to,   'to');
+  if (from && to && from > to) throw new QueryError('`from` must be before `to`');
+  return { from, to };
+}
+
+// Mongo date condition for a range (undefined when unbounded)
+function timeCondition({ from, to }) {
+  if (!from && !to) return undefined;
+  const cond = {};
+  if (from) cond.$gte = from;
+  if (to)   cond.$lte = to;
+  return cond;
+}
+
+// Keyset cursor: (eventAt, _id) of the last record on the page
+const encodeCursor = (doc) =>
+  Buffer.from(JSON.stringify([doc.eventAt.getTime(), String(doc._id)])).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const [t, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isFinite(t) || !mongoose.isValidObjectId(id)) throw new Error();
+    return { eventAt: new Date(t), _id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw new QueryError('Invalid `cursor`');
+  }
+}
+
+/**
+ * Raw records or per-bucket aggregates for `baseFilter`
+ * (e.g. { device_id } or { shipment_id }), driven by the query string.
+ * Throws QueryError on bad parameters.
+ */
+async function queryTelemetryHistory(baseFilter, query) {
+  const range = parseTimeRange(query);
+
+  if (query.bucket) return aggregateTelemetry(baseFilter, range, query.bucket);
+
+  const limit = Math.min(parseInt(query.limit, 10) || 100, 500);
+  const dir   = query.order === 'asc' ? 1 : -1;
+  const cmp   = dir === 1 ? '$gt' : '$lt';
+
+  const filter = { ...baseFilter };
+  const when   = timeCondition(range);
+  if (when) filter.eventAt = when;
+
+  if (query.cursor) {
+    const c = decodeCursor(query.cursor);
+    filter.$or = [
+      { eventAt: { [cmp]: c.eventAt } },
+      { eventAt: c.eventAt, _id: { [cmp]: c._id } },
+    ];
+  }
+
+  // One extra row tells us whether another page exists
+  const rows = await CargoTelemetry
+    .find(filter)
+    .sort({ eventAt: dir, _id: dir })
+    .limit(limit + 1)
+    .lean();
+
+  const records = rows.slice(0, limit);
+  return {
+    count:       records.length,
+    next_cursor: rows.length > limit ? encodeCursor(records[records.length - 1]) : null,
+    records,
+  };
+}
+
+// Min / avg / max per metric per time bucket, oldest-first
+async function aggregateTelemetry(baseFilter, range, bucket) {
+  const size = BUCKET_SIZES_MS[bucket];
+  if (!size) {
+    throw new QueryError(`Invalid \`bucket\` — one of ${Object.keys(BUCKET_SIZES_MS).join(', ')}`);
+  }
+
+  const to   = range.to   ?? new Date();
+  const from = range.from ?? new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  if ((to - from) / size > MAX_BUCKETS) {
+    throw new QueryError(`Range too large for bucket ${bucket} (max ${MAX_BUCKETS} buckets)`);
+  }
+
+  const stats = (field) => ({
+    [`${field}_min`]: { $min: `$${field}` },
+    [`${field}_avg`]: { $avg: `$${field}` },
+    [`${field}_max`]: { $max: `$${field}` },
+  });
+  const shape = (field) => ({
+    min: `$${field}_min`,
+    avg: { $round: [`$${field}_avg`, 3] },
+    max: `$${field}_max`,
+  });
+
+  const buckets = await CargoTelemetry.aggregate([
+    { $match: { ...baseFilter, eventAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        // Floor eventAt to the bucket boundary (epoch-aligned)
+        _id: {
+          $subtract: [
+            { $toLong: '$eventAt' },
+            { $mod: [{ $toLong: '$eventAt' }, size] },
+          ],
+        },
+        count: { $sum: 1 },
+        ...stats('temp'),
+        ...stats('hum'),
+        ...stats('shock_g'),
+        ...stats('battery'),
+      },
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id:     0,
+        t:       { $toDate: '$_id' },
+        count:   1,
+        temp:    shape('temp'),
+        hum:     shape('hum'),
+        shock_g: shape('shock_g'),
+        battery: shape('battery'),
+      },
+    },
+  ]);
+
+  return { bucket, from, to, count: buckets.length, buckets };
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Tenant scoping — every /api/…/:device_id route answers 404 for a
+//  device of another organization, exactly as for an unknown one.
+//  Collection queries add { org_id: req.user.org_id } themselves.
+//  Routers with device routes (shadow.js) install scopeDevice too.
+// ─────────────────────────────────────────────────────────────
+app.param('device_id', scopeDevice);
+
 // ─────────────────────────────────────────────────────────────
 //  REST API — GET /api/telemetry/:device_id
 //  Returns the latest 100 records for a given device,
-//  sorted newest-first. Accepts optional ?limit= (max 500).
+//  sorted newest-first. Accepts optional ?limit= (max 500),
+//  plus from / to / cursor / order / bucket (see helpers above).
 // ─────────────────────────────────────────────────────────────
 app.get('/api/telemetry/:device_id', async (req, res) => {
   try {
     const { device_id } = req.params;
-    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const result = await queryTelemetryHistory({ device_id, org_id: req.user.org_id }, req.query);
+
+    res.json({ device_id, ...result });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('GET /api/telemetry error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — GET /api/alerts/:device_id
+//  Returns the latest 50 alerts for a device.
+//  Optional filters: ?state=open|acknowledged|resolved  ?type=
+//  ?from= / ?to= (eventAt range, as for telemetry)
+// ─────────────────────────────────────────────────────────────
+
+// Shared ?state= / ?type= / ?from= / ?to= filter for alert listings
+function alertFilter(query, base = {}) {
+  const filter = { ...base };
+  if (query.state) filter.state = query.state;
+  if (query.type)  filter.type  = query.type;
+  const when = timeCondition(parseTimeRange(query));
+  if (when) filter.eventAt = when;
+  return filter;
+}
+
+app.get('/api/alerts/:device_id', async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const alerts = await CargoAlert
+      .find(alertFilter(req.query, { device_id, org_id: req.user.org_id }))
+      .sort({ eventAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ device_id, count: alerts.length, alerts });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('GET /api/alerts error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — GET /api/alerts
+//  Latest alerts across the organization's devices (same filters as above).
+// ─────────────────────────────────────────────────────────────
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const alerts = await CargoAlert
+      .find(alertFilter(req.query, { org_id: req.user.org_id }))
+      .sort({ eventAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ count: alerts.length, alerts });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('GET /api/alerts error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Alert workflow
+//  POST /api/alerts/:id/acknowledge   { note? }  open → acknowledged
+//  POST /api/alerts/:id/resolve       { note? }  open|acknowledged → resolved
+//  `by` is the signed-in user.
+//  Each transition is broadcast as `alert:state` with the full alert.
+// ─────────────────────────────────────────────────────────────
+const ALERT_TRANSITIONS = {
+  acknowledge: { from: ['open'],                 to: 'acknowledged', field: 'acknowledged' },
+  resolve:     { from: ['open', 'acknowledged'], to: 'resolved',     field: 'resolved'     },
+};
+
+for (const [action, { from, to, field }] of Object.entries(ALERT_TRANSITIONS)) {
+  app.post(`/api/alerts/:id/${action}`, requireRole('operator'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { note = null } = req.body ?? {};
+      const by = req.user.username;
+
+      const alert = mongoose.isValidObjectId(id)
+        ? await CargoAlert.findOne({ _id: id, org_id: req.user.org_id })
+        : null;
+      if (!alert) return res.status(404).json({ error: 'Alert not found' });
+      if (!from.includes(alert.state)) {
+        return res.status(409).json({ error: `Cannot ${action} an alert that is ${alert.state}` });
+      }
+
+      alert.state  = to;
+      alert[field] = { by, note, at: new Date() };
+      await alert.save();
+
+      log(`Alert ${alert.id} (${alert.type}, ${alert.device_id}) ${to} by ${by}`);
+      broadcast('alert:state', alert.toObject(), alert.org_id);
+      res.json(alert);
+    } catch (err) {
+      error(`POST /api/alerts/:id/${action} error:`, err.message);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Device registry (the caller's organization)
+//  GET    /api/devices                 registry with live status
+//  POST   /api/devices                 (admin) register { device_id, name?, … }
+//  GET    /api/devices/:device_id      single device + live status
+//  PATCH  /api/devices/:device_id      (admin) update metadata;
+//                                      superadmin may also move it { org_id }
+//  DELETE /api/devices/:device_id      (admin) unregister
+//  GET    /api/quarantine              (superadmin) held messages (?device_id=)
+//  DELETE /api/quarantine              (superadmin) purge (?device_id=)
+// ─────────────────────────────────────────────────────────────
+const DEVICE_FIELDS = ['name', 'group', 'firmware_version', 'owner', 'notes', 'expected_interval_s'];
+
+function pickDevice(body = {}) {
+  const out = {};
+  for (const key of DEVICE_FIELDS) {
+    if (body[key] !== undefined) out[key] = body[key];
+  }
+  return out;
+}
+
+// Registry row + live status (same rules as the watchdog)
+function withLiveStatus(device, now = Date.now()) {
+  const age_ms = device.lastSeen ? now - new Date(device.lastSeen).getTime() : null;
+  return {
+    ...device,
+    status: classifyDeviceAge(age_ms, intervalMsOf(device)),
+    age_ms,
+  };
+}
+
+app.get('/api/devices', async (req, res) => {
+  try {
+    const devices = await Device.find({ org_id: req.user.org_id }).sort({ device_id: 1 }).lean();
+    res.json({
+      count:   devices.length,
+      policy:  DEVICE_POLICY,
+      devices: devices.map((d) => withLiveStatus(d)),
+    });
+  } catch (err) {
+    error('GET /api/devices error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/devices', requireRole('admin'), async (req, res) => {
+  try {
+    const { device_id } = req.body ?? {};
+    if (!device_id) return res.status(400).json({ error: 'device_id is required' });
+
+    const device = await Device.create({ device_id, ...pickDevice(req.body), org_id: req.user.org_id });
+    cacheDevice(device);
+
+    const quarantined = await QuarantinedMessage.countDocuments({ device_id: device.device_id });
+    log(`Device registered ${device.device_id}` + (quarantined ? ` (${quarantined} quarantined msgs)` : ''));
+    res.status(201).json({ ...withLiveStatus(device.toObject()), quarantined });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    if (err.code === 11000) {
+      // device_id is global (it is the MQTT topic segment): answer the
+      // same whoever holds it, so this cannot probe other tenants
+      warn(`Device registration refused for ${req.user.username}: ${req.body.device_id} already registered to organization ${orgOf(req.body.device_id)}`);
+      return res.status(409).json({ error: 'device_id is not available' });
+    }
+    error('POST /api/devices error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/devices/:device_id', async (req, res) => {
+  try {
+    const device = await Device.findOne({ device_id: req.params.device_id }).lean();
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+    res.json(withLiveStatus(device));
+  } catch (err) {
+    error('GET /api/devices/:device_id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Per-device state that belongs to its registration: live alert,
+// battery, door and route tracking, the threshold profile and the
+// shadow. Dropped when a device is unregistered or moves to another
+// organization; stored history is left as it is.
+async function forgetDevice(device_id) {
+  for (const states of [alertStates, activeAlertIds, backfillStates, backfillAlertIds]) {
+    for (const key of states.keys()) {
+      if (key.startsWith(`${device_id}:`)) states.delete(key);
+    }
+  }
+  restoredDevices.delete(device_id);
+  batteryStates.delete(device_id);
+  openDoors.delete(device_id);
+  backfillDoors.delete(device_id);
+  routeStates.delete(device_id);
+
+  await ProfileAssignment.deleteOne({ device_id });
+  await shadow.DeviceShadow.deleteOne({ device_id });
+  shadow.clearDesired(device_id).catch((err) => warn(`Shadow ${device_id} clear failed:`, err.message));
+}
+
+app.patch('/api/devices/:device_id', requireRole('admin'), async (req, res) => {
+  try {
+    const update = { ...pickDevice(req.body), auto_registered: false };
+
+    // Hand a tracker over to another tenant; its history stays behind,
+    // visible to the previous organization only
+    const { org_id } = req.body ?? {};
+    if (org_id !== undefined) {
+      if (!hasRole(req.user, 'superadmin')) {
+        return res.status(403).json({ error: 'Requires superadmin role' });
+      }
+      if (!mongoose.isValidObjectId(org_id) || !(await Organization.exists({ _id: org_id }))) {
+        return res.status(400).json({ error: 'Unknown organization' });
+      }
+      update.org_id = org_id;
+    }
+
+    const device = await Device.findOneAndUpdate(
+      { device_id: req.params.device_id },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+
+    cacheDevice(device);
+    if (update.org_id) {
+      leaveDeviceRoom(device.device_id);   // old tenant's subscribers
+      await forgetDevice(device.device_id);   // nothing carries over
+    }
+    const clock = deviceClock.get(device.device_id);
+    if (clock) clock.intervalMs = intervalMsOf(device);
+
+    log(`Device updated ${device.device_id}` + (update.org_id ? ` → organization ${device.org_id}` : ''));
+    res.json(withLiveStatus(device));
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('PATCH /api/devices/:device_id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/devices/:device_id', requireRole('admin'), async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const { deletedCount } = await Device.deleteOne({ device_id });
+    if (!deletedCount) return res.status(404).json({ error: 'Device not found' });
+
+    // History stays; new packets now go through UNREGISTERED_DEVICE_POLICY
+    deviceScopes.delete(device_id);
+    lastReadings.delete(device_id);
+    leaveDeviceRoom(device_id);
+    deviceClock.delete(device_id);
+    await forgetDevice(device_id);
+    log(`Device unregistered ${device_id}`);
+    res.json({ deleted: device_id });
+  } catch (err) {
+    error('DELETE /api/devices/:device_id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — GET /api/devices/:device_id/status-events
+//  Watchdog transition history, newest first. ?from= &to= &limit=
+// ─────────────────────────────────────────────────────────────
+app.get('/api/devices/:device_id/status-events', async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const filter = { device_id, org_id: req.user.org_id };
+    const when = timeCondition(parseTimeRange(req.query));
+    if (when) filter.at = when;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    const events = await DeviceStatusEvent.find(filter).sort({ at: -1 }).limit(limit).lean();
+    res.json({ device_id, count: events.length, events });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('GET /api/devices/:device_id/status-events error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — GET /api/devices/:device_id/battery
+//  Latest level / voltage plus the drain-rate forecast over the
+//  last BATTERY_WINDOW_H hours (see "Battery forecaster").
+// ─────────────────────────────────────────────────────────────
+app.get('/api/devices/:device_id/battery', async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const latest = await CargoTelemetry
+      .findOne({ device_id, org_id: req.user.org_id, battery: { $ne: null } }, { battery: 1, battery_v: 1, eventAt: 1 })
+      .sort({ eventAt: -1 })
+      .lean();
+    if (!latest) return res.status(404).json({ error: 'No battery readings for this device' });
+
+    // Forecast from the window ending at the last reading, not "now",
+    // so a silent device still gets the curve it was on
+    const end  = latest.eventAt.getTime();
+    const docs = await CargoTelemetry
+      .find(
+        {
+          device_id,
+          org_id:  req.user.org_id,
+          battery: { $ne: null },
+          eventAt: { $gte: new Date(end - BATTERY.windowMs) },
+        },
+        { battery: 1, eventAt: 1 }
+      )
+      .sort({ eventAt: 1 })
+      .lean();
+    const samples = [];
+    for (const d of docs) pushBatterySample(samples, d.eventAt.getTime(), d.battery);
+
+    const alert = await CargoAlert
+      .findOne({ device_id, org_id: req.user.org_id, type: 'battery', clearedAt: null })
+      .sort({ eventAt: -1 })
+      .lean();
+
+    res.json({
+      device_id,
+      battery:   latest.battery,
+      battery_v: latest.battery_v,
+      at:        latest.eventAt,
+      forecast:  forecastBattery(samples, end),
+      low_pct:   BATTERY.lowPct,
+      alert_lead_ms: BATTERY.leadMs,
+      alert,
+    });
+  } catch (err) {
+    error('GET /api/devices/:device_id/battery error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — GET /api/decoders
+//  Loaded payload decoders (./decoders): topics, schema, units
+// ─────────────────────────────────────────────────────────────
+app.get('/api/decoders', (req, res) => {
+  res.json({ decoders: decoders.listDecoders() });
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Downlink commands
+//  POST /api/devices/:device_id/commands   { command, params?, timeout_s? }
+//       publishes { id, command, params, ts } on cargo/<id>/cmd → 202
+//  GET  /api/devices/:device_id/commands   history, newest first (?status= &limit=)
+//  GET  /api/commands/:command_id          single command
+//  Status: pending → acked | failed (device reply) | timed_out (no reply)
+// ─────────────────────────────────────────────────────────────
+
+// command → params validator (throws QueryError, returns clean params)
+const DEVICE_COMMANDS = {
+  ping:         () => ({}),
+  reboot:       () => ({}),
+  flush_buffer: () => ({}),
+  set_interval: ({ interval_s } = {}) => {
+    const n = Number(interval_s);
+    if (!Number.isInteger(n) || n < 1 || n > 3600) {
+      throw new QueryError('`params.interval_s` must be an integer between 1 and 3600');
+    }
+    return { interval_s: n };
+  },
+};
+
+const commandTopic = (device_id) => `cargo/${device_id}/cmd`;
+
+app.post('/api/devices/:device_id/commands', requireRole('operator'), async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const { command, params, timeout_s } = req.body ?? {};
+    const by = req.user.username;
+
+    if (!Object.hasOwn(DEVICE_COMMANDS, command)) {
+      return res.status(400).json({
+        error: `\`command\` must be one of ${Object.keys(DEVICE_COMMANDS).join(', ')}`,
+      });
+    }
+    if (/[+#/]/.test(device_id)) {
+      return res.status(400).json({ error: 'device_id cannot be used in an MQTT topic' });
+    }
+    const cleanParams = DEVICE_COMMANDS[command](params ?? {});
+    const timeoutMs   = timeout_s != null ? Number(timeout_s) * 1000 : COMMAND_TIMEOUT_MS;
+    if (!(timeoutMs > 0)) return res.status(400).json({ error: '`timeout_s` must be positive' });
+
+    if (!(await Device.exists({ device_id }))) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    if (!mqttConnected) {
+      return res.status(503).json({ error: 'MQTT broker unavailable — command not sent' });
+    }
+
+    const sentAt = new Date();
+    const cmd = await DeviceCommand.create({
+      command_id:   crypto.randomUUID(),
+      device_id,
+      org_id:       req.user.org_id,
+      command,
+      params:       cleanParams,
+      requested_by: by,
+      sentAt,
+      expiresAt:    new Date(sentAt.getTime() + timeoutMs),
+    });
+
+    try {
+      await mqttClient.publishAsync(
+        commandTopic(device_id),
+        JSON.stringify({ id: cmd.command_id, command, params: cleanParams, ts: sentAt.getTime() }),
+        { qos: 1 }
+      );
+    } catch (err) {
+      cmd.status = 'failed';
+      cmd.error  = `Publish failed: ${err.message}`;
+      await cmd.save();
+      error(`Command ${command} → ${device_id} publish error:`, err.message);
+      broadcast('command:updated', cmd.toObject());
+      return res.status(502).json(cmd);
+    }
+
+    log(`Command ${command} → ${device_id} (${cmd.command_id})`);
+    broadcast('command:sent', cmd.toObject());
+    res.status(202).json(cmd);
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('POST /api/devices/:device_id/commands error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/devices/:device_id/commands', async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const filter = { device_id, org_id: req.user.org_id };
+    if (req.query.status) filter.status = req.query.status;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const commands = await DeviceCommand.find(filter).sort({ sentAt: -1 }).limit(limit).lean();
+    res.json({ device_id, count: commands.length, commands });
+  } catch (err) {
+    error('GET /api/devices/:device_id/commands error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/commands/:command_id', async (req, res) => {
+  try {
+    const cmd = await DeviceCommand.findOne({ command_id: req.params.command_id, org_id: req.user.org_id }).lean();
+    if (!cmd) return res.status(404).json({ error: 'Command not found' });
+    res.json(cmd);
+  } catch (err) {
+    error('GET /api/commands/:command_id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Device shadow (desired vs reported configuration):
+//  see ./shadow.js
+// ─────────────────────────────────────────────────────────────
+shadow.configure({ Device, publish: mqttPublish, broadcast, touchDevice, applyReportedInterval });
+app.use(shadow.router);
+
+app.get('/api/quarantine', requireRole('superadmin'), async (req, res) => {
+  try {
+    const filter = req.query.device_id ? { device_id: req.query.device_id } : {};
+    const limit  = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const [messages, byDevice] = await Promise.all([
+      QuarantinedMessage.find(filter).sort({ receivedAt: -1 }).limit(limit).lean(),
+      QuarantinedMessage.aggregate([
+        { $match: filter },
+        { $group: { _id: '$device_id', count: { $sum: 1 }, lastSeen: { $max: '$receivedAt' } } },
+        { $project: { _id: 0, device_id: '$_id', count: 1, lastSeen: 1 } },
+        { $sort: { lastSeen: -1 } },
+      ]),
+    ]);
+    res.json({ count: messages.length, devices: byDevice, messages });
+  } catch (err) {
+    error('GET /api/quarantine error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/quarantine', requireRole('superadmin'), async (req, res) => {
+  try {
+    const filter = req.query.device_id ? { device_id: req.query.device_id } : {};
+    const { deletedCount } = await QuarantinedMessage.deleteMany(filter);
+    log(`Quarantine purged ${deletedCount} message(s)`);
+    res.json({ deleted: deletedCount });
+  } catch (err) {
+    error('DELETE /api/quarantine error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Dead letters (rejected / failed MQTT messages)
+//  Superadmin only: like quarantine, these never reached a tenant.
+//  GET    /api/dead-letters                 list, newest first
+//         ?status= &reason= &topic= &device_id= &decoder= &from= &to= &limit=
+//  GET    /api/dead-letters/:id             single entry
+//  POST   /api/dead-letters/:id/replay      re-run through the pipeline
+//  POST   /api/dead-letters/replay          bulk replay, oldest first
+//         body { ids: [...] } or the same filters as GET (default
+//         status pending + failed), limit ≤ 500
+//  DELETE /api/dead-letters/:id             discard one
+//  DELETE /api/dead-letters                 purge by filter (?status=replayed …)
+// ─────────────────────────────────────────────────────────────
+const MAX_REPLAY_BATCH = 500;
+
+function deadLetterFilter(params = {}) {
+  const filter = {};
+  for (const key of ['status', 'reason', 'topic', 'device_id', 'decoder']) {
+    if (params[key]) filter[key] = String(params[key]);
+  }
+  if (filter.status && !DEAD_LETTER_STATUSES.includes(filter.status)) {
+    throw new QueryError(`Invalid \`status\` — one of ${DEAD_LETTER_STATUSES.join(', ')}`);
+  }
+  if (filter.reason && !DEAD_LETTER_REASONS.includes(filter.reason)) {
+    throw new QueryError(`Invalid \`reason\` — one of ${DEAD_LETTER_REASONS.join(', ')}`);
+  }
+  const when = timeCondition(parseTimeRange(params));
+  if (when) filter.receivedAt = when;
+  return filter;
+}
+
+async function loadDeadLetter(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Dead letter not found' });
+    return null;
+  }
+  const entry = await DeadLetter.findById(req.params.id).lean();
+  if (!entry) res.status(404).json({ error: 'Dead letter not found' });
+  return entry;
+}
+
+app.get('/api/dead-letters', requireRole('superadmin'), async (req, res) => {
+  try {
+    const filter = deadLetterFilter(req.query);
+    const limit  = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const [entries, byReason] = await Promise.all([
+      DeadLetter.find(filter).sort({ receivedAt: -1 }).limit(limit).lean(),
+      DeadLetter.aggregate([
+        { $match: filter },
+        { $group: { _id: { reason: '$reason', status: '$status' }, count: { $sum: 1 } } },
+        { $project: { _id: 0, reason: '$_id.reason', status: '$_id.status', count: 1 } },
+        { $sort: { count: -1 } },
+      ]),
+    ]);
+    res.json({ count: entries.length, summary: byReason, entries });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('GET /api/dead-letters error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/dead-letters/replay', requireRole('superadmin'), async (req, res) => {
+  try {
+    const body  = req.body ?? {};
+    const limit = Math.min(parseInt(body.limit, 10) || 100, MAX_REPLAY_BATCH);
+    let filter;
+    if (Array.isArray(body.ids)) {
+      if (body.ids.length > MAX_REPLAY_BATCH) {
+        return res.status(400).json({ error: `At most ${MAX_REPLAY_BATCH} ids per replay` });
+      }
+      filter = { _id: { $in: body.ids.filter((id) => mongoose.isValidObjectId(id)) } };
+    } else {
+      filter = deadLetterFilter(body);
+      if (!filter.status) filter.status = { $in: ['pending', 'failed'] };
+    }
+
+    // Oldest first so replayed readings land in their original order
+    const entries = await DeadLetter.find(filter).sort({ receivedAt: 1 }).limit(limit).lean();
+    const results = [];
+    for (const entry of entries) results.push(await replayDeadLetter(entry));
+
+    const replayed = results.filter((r) => r.ok).length;
+    log(`Dead-letter bulk replay: ${replayed}/${results.length} OK`);
+    res.json({ attempted: results.length, replayed, failed: results.length - replayed, results });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('POST /api/dead-letters/replay error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/dead-letters/:id', requireRole('superadmin'), async (req, res) => {
+  try {
+    const entry = await loadDeadLetter(req, res);
+    if (entry) res.json(entry);
+  } catch (err) {
+    error('GET /api/dead-letters/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/dead-letters/:id/replay', requireRole('superadmin'), async (req, res) => {
+  try {
+    const entry = await loadDeadLetter(req, res);
+    if (!entry) return;
+    if (entry.status === 'replayed') {
+      return res.status(409).json({ error: 'Dead letter was already replayed' });
+    }
+    const result = await replayDeadLetter(entry);
+    res.status(result.ok ? 200 : 422).json(result);
+  } catch (err) {
+    error('POST /api/dead-letters/:id/replay error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/dead-letters/:id', requireRole('superadmin'), async (req, res) => {
+  try {
+    const entry = await loadDeadLetter(req, res);
+    if (!entry) return;
+    await DeadLetter.deleteOne({ _id: entry._id });
+    log(`Dead letter discarded ${entry._id}`);
+    res.json({ deleted: entry._id });
+  } catch (err) {
+    error('DELETE /api/dead-letters/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/dead-letters', requireRole('superadmin'), async (req, res) => {
+  try {
+    const { deletedCount } = await DeadLetter.deleteMany(deadLetterFilter(req.query));
+    log(`Dead letters purged ${deletedCount} message(s)`);
+    res.json({ deleted: deletedCount });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('DELETE /api/dead-letters error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Shipments
+//  POST  /api/shipments                 create (status: planned)
+//  GET   /api/shipments                 list, optional ?status=
+//  GET   /api/shipments/:id             single shipment
+//  PATCH /api/shipments/:id             update reference / cargo metadata
+//  POST  /api/shipments/:id/start       planned    → in_transit
+//  POST  /api/shipments/:id/complete    in_transit → completed
+//  POST  /api/shipments/:id/devices     assign a tracker for a time window
+//  GET   /api/shipments/:id/telemetry   readings tagged with this trip
+//                                       (same query params as /api/telemetry)
+// ─────────────────────────────────────────────────────────────
+const CARGO_FIELDS = ['origin', 'destination', 'consignee', 'product_class', 'description'];
+
+// Pick only known cargo metadata keys from a request body
+function pickCargo(body = {}) {
+  const cargo = {};
+  for (const key of CARGO_FIELDS) {
+    if (body[key] !== undefined) cargo[key] = body[key];
+  }
+  return cargo;
+}
+
+// Load a shipment by :id, replying 404 when it is missing or malformed
+async function loadShipment(req, res) {
+  const { id } = req.params;
+  const shipment = mongoose.isValidObjectId(id)
+    ? await Shipment.findOne({ _id: id, org_id: req.user.org_id })
+    : null;
+  if (!shipment) res.status(404).json({ error: 'Shipment not found' });
+  return shipment;
+}
+
+app.post('/api/shipments', requireRole('operator'), async (req, res) => {
+  try {
+    const { reference, cargo = {}, devices = [] } = req.body ?? {};
+    if (!reference) return res.status(400).json({ error: 'reference is required' });
+
+    const shipment = new Shipment({ reference, cargo: pickCargo(cargo), org_id: req.user.org_id });
+
+    for (const d of devices) {
+      const result = await assignDevice(shipment, d);
+      if (result.error) return res.status(result.status).json({ error: result.error });
+    }
+    await shipment.save();
+
+    log(`Shipment created id=${shipment.id} ref=${reference}`);
+    res.status(201).json(shipment);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('POST /api/shipments error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/shipments', async (req, res) => {
+  try {
+    const filter = { org_id: req.user.org_id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.device_id) filter['devices.device_id'] = req.query.device_id;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const shipments = await Shipment
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ count: shipments.length, shipments });
+  } catch (err) {
+    error('GET /api/shipments error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/shipments/:id', async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (shipment) res.json(shipment);
+  } catch (err) {
+    error('GET /api/shipments/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/shipments/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    const { reference, cargo } = req.body ?? {};
+    if (reference !== undefined) shipment.reference = reference;
+    if (cargo) shipment.set('cargo', { ...shipment.cargo.toObject(), ...pickCargo(cargo) });
+
+    await shipment.save();
+    res.json(shipment);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('PATCH /api/shipments/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/shipments/:id/start', requireRole('operator'), async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+    if (shipment.status !== 'planned') {
+      return res.status(409).json({ error: `Cannot start a shipment that is ${shipment.status}` });
+    }
+
+    shipment.status    = 'in_transit';
+    shipment.startedAt = new Date();
+    await shipment.save();
+
+    log(`Shipment started id=${shipment.id} ref=${shipment.reference}`);
+    broadcast('shipment:status', { shipment_id: shipment.id, status: shipment.status }, shipment.org_id);
+    res.json(shipment);
+  } catch (err) {
+    error('POST /api/shipments/:id/start error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/shipments/:id/complete', requireRole('operator'), async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+    if (shipment.status !== 'in_transit') {
+      return res.status(409).json({ error: `Cannot complete a shipment that is ${shipment.status}` });
+    }
+
+    const now = new Date();
+    shipment.status      = 'completed';
+    shipment.completedAt = now;
+    // Release every tracker so it can be reused on the next trip
+    shipment.devices.forEach((d) => {
+      if (!d.to || d.to > now) d.to = now;
+    });
+    await shipment.save();
+
+    log(`Shipment completed id=${shipment.id} ref=${shipment.reference}`);
+    broadcast('shipment:status', { shipment_id: shipment.id, status: shipment.status }, shipment.org_id);
+    res.json(shipment);
+  } catch (err) {
+    error('POST /api/shipments/:id/complete error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/shipments/:id/devices', requireRole('operator'), async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+    if (shipment.status === 'completed') {
+      return res.status(409).json({ error: 'Cannot assign devices to a completed shipment' });
+    }
+
+    const result = await assignDevice(shipment, req.body ?? {});
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    await shipment.save();
+    log(`Shipment ${shipment.id}: assigned device ${result.assignment.device_id}`);
+    res.status(201).json(shipment);
+  } catch (err) {
+    error('POST /api/shipments/:id/devices error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/shipments/:id/telemetry', async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+    const result = await queryTelemetryHistory(
+      { shipment_id: shipment._id, org_id: shipment.org_id },
+      req.query
+    );
+
+    res.json({ shipment_id: shipment.id, ...result });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('GET /api/shipments/:id/telemetry error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Threshold profiles (per organization)
+//  GET    /api/threshold-profiles                      list
+//  POST   /api/threshold-profiles                      create
+//  GET    /api/threshold-profiles/:id                  single profile
+//  PATCH  /api/threshold-profiles/:id                  update name / limits
+//  DELETE /api/threshold-profiles/:id                  delete + unassign
+//  PUT    /api/devices/:device_id/threshold-profile    assign { profile_id }
+//  DELETE /api/devices/:device_id/threshold-profile    revert to default
+//  GET    /api/devices/:device_id/thresholds           limits in effect now
+//
+//  Every change emits `thresholds:changed` so dashboards can refetch.
+// ─────────────────────────────────────────────────────────────
+
+// Normalise a `limits` body: only known metrics, numeric-or-null bounds.
+// `partial` (PATCH) keeps only the bounds present in the body, so
+// { temp: { max: 8 } } leaves temp.min alone; `temp: null` clears both.
+function pickLimits(limits = {}, { partial = false } = {}) {
+  const out = {};
+  for (const metric of Object.keys(THRESHOLD_METRICS)) {
+    const limit = limits?.[metric];
+    if (limit === undefined) continue;
+    out[metric] = {};
+    for (const bound of ['min', 'max']) {
+      if (partial && limit !== null && limit[bound] === undefined) continue;
+      out[metric][bound] = limit?.[bound] ?? null;
+    }
+  }
+  return out;
+}
+
+// Load a profile by :id, replying 404 when it is missing or malformed
+async function loadProfile(req, res) {
+  const { id } = req.params;
+  const profile = mongoose.isValidObjectId(id)
+    ? await ThresholdProfile.findOne({ _id: id, org_id: req.user.org_id })
+    : null;
+  if (!profile) res.status(404).json({ error: 'Threshold profile not found' });
+  return profile;
+}
+
+app.get('/api/threshold-profiles', async (req, res) => {
+  try {
+    const profiles = await ThresholdProfile.find({ org_id: req.user.org_id }).sort({ name: 1 }).lean();
+    res.json({ count: profiles.length, default: DEFAULT_PROFILE, profiles });
+  } catch (err) {
+    error('GET /api/threshold-profiles error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/threshold-profiles', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, description, product_class, limits } = req.body ?? {};
+    if (!name) return res.status(400).json({ error: 'name is required' });
+
+    const profile = await ThresholdProfile.create({
+      org_id: req.user.org_id,
+      name,
+      description,
+      product_class,
+      limits: pickLimits(limits),
+    });
+
+    log(`Threshold profile created name=${profile.name}`);
+    broadcast('thresholds:changed', { profile_id: profile.id }, profile.org_id);
+    res.status(201).json(profile);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    if (err.code === 11000) return res.status(409).json({ error: 'Profile name or product_class already in use' });
+    error('POST /api/threshold-profiles error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/threshold-profiles/:id', async (req, res) => {
+  try {
+    const profile = await loadProfile(req, res);
+    if (profile) res.json(profile);
+  } catch (err) {
+    error('GET /api/threshold-profiles/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/threshold-profiles/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const profile = await loadProfile(req, res);
+    if (!profile) return;
+
+    const { name, description, product_class, limits } = req.body ?? {};
+    if (name          !== undefined) profile.name          = name;
+    if (description   !== undefined) profile.description   = description;
+    if (product_class !== undefined) profile.product_class = product_class;
+    for (const [metric, bounds] of Object.entries(pickLimits(limits, { partial: true }))) {
+      for (const [bound, value] of Object.entries(bounds)) profile.set(`limits.${metric}.${bound}`, value);
+    }
+    profile.updatedAt = new Date();
+
+    await profile.save();
+    log(`Threshold profile updated name=${profile.name}`);
+    broadcast('thresholds:changed', { profile_id: profile.id }, profile.org_id);
+    res.json(profile);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    if (err.code === 11000) return res.status(409).json({ error: 'Profile name or product_class already in use' });
+    error('PATCH /api/threshold-profiles/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/threshold-profiles/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const profile = await loadProfile(req, res);
+    if (!profile) return;
+
+    // Devices on this profile fall back to product-class / default limits
+    const { deletedCount } = await ProfileAssignment.deleteMany({ profile_id: profile._id });
+    await profile.deleteOne();
+
+    log(`Threshold profile deleted name=${profile.name} (unassigned ${deletedCount} devices)`);
+    broadcast('thresholds:changed', { profile_id: profile.id }, profile.org_id);
+    res.json({ deleted: profile.id, unassigned: deletedCount });
+  } catch (err) {
+    error('DELETE /api/threshold-profiles/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/devices/:device_id/threshold-profile', requireRole('operator'), async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const { profile_id } = req.body ?? {};
+
+    const profile = mongoose.isValidObjectId(profile_id)
+      ? await ThresholdProfile.findOne({ _id: profile_id, org_id: req.user.org_id }).lean()
+      : null;
+    if (!profile) return res.status(404).json({ error: 'Threshold profile not found' });
+
+    await ProfileAssignment.findOneAndUpdate(
+      { device_id },
+      { profile_id: profile._id, assignedAt: new Date() },
+      { upsert: true }
+    );
+
+    log(`Device ${device_id}: threshold profile → ${profile.name}`);
+    broadcast('thresholds:changed', { device_id });
+    res.json({ device_id, profile });
+  } catch (err) {
+    error('PUT /api/devices/:device_id/threshold-profile error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/devices/:device_id/threshold-profile', requireRole('operator'), async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    await ProfileAssignment.deleteOne({ device_id });
+
+    log(`Device ${device_id}: threshold profile unassigned`);
+    broadcast('thresholds:changed', { device_id });
+    res.json({ device_id, profile: null });
+  } catch (err) {
+    error('DELETE /api/devices/:device_id/threshold-profile error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/devices/:device_id/thresholds', async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const shipment = await findActiveShipment(device_id);
+    const profile  = await resolveThresholds(device_id, shipment);
+
+    res.json({
+      device_id,
+      profile_id: profile._id,
+      profile:    profile.name,
+      limits:     profile.limits,
+    });
+  } catch (err) {
+    error('GET /api/devices/:device_id/thresholds error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Geofences (per organization; a fence only applies to
+//  its own organization's devices)
+//  GET    /api/geofences                      list (?active=true|false)
+//  POST   /api/geofences                      create circle / polygon
+//  GET    /api/geofences/events               enter/exit history
+//                                             ?device_id= &geofence_id= &from= &to=
+//  GET    /api/geofences/:id                  single fence
+//  PATCH  /api/geofences/:id                  update
+//  DELETE /api/geofences/:id                  delete
+//  GET    /api/devices/:device_id/geofences   fences the device is inside now
+//
+//  Every change reloads the evaluator cache and emits `geofence:changed`.
+// ─────────────────────────────────────────────────────────────
+const GEOFENCE_FIELDS = ['name', 'category', 'shape', 'center', 'radius_m', 'polygon', 'alert_on', 'active'];
+
+function pickGeofence(body = {}) {
+  const out = {};
+  for (const key of GEOFENCE_FIELDS) {
+    if (body[key] !== undefined) out[key] = body[key];
+  }
+  return out;
+}
+
+async function loadGeofence(req, res) {
+  const { id } = req.params;
+  const fence = mongoose.isValidObjectId(id)
+    ? await Geofence.findOne({ _id: id, org_id: req.user.org_id })
+    : null;
+  if (!fence) res.status(404).json({ error: 'Geofence not found' });
+  return fence;
+}
+
+async function geofencesChanged(fence) {
+  await reloadGeofences();
+  broadcast('geofence:changed', { geofence_id: fence.id }, fence.org_id);
+}
+
+app.get('/api/geofences', async (req, res) => {
+  try {
+    const filter = { org_id: req.user.org_id };
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    const geofences = await Geofence.find(filter).sort({ name: 1 }).lean();
+    res.json({ count: geofences.length, geofences });
+  } catch (err) {
+    error('GET /api/geofences error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/geofences', requireRole('admin'), async (req, res) => {
+  try {
+    const fence = await Geofence.create({ ...pickGeofence(req.body), org_id: req.user.org_id });
+    log(`Geofence created name=${fence.name} shape=${fence.shape}`);
+    await geofencesChanged(fence);
+    res.status(201).json(fence);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('POST /api/geofences error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/geofences/events', async (req, res) => {
+  try {
+    const filter = { org_id: req.user.org_id };
+    if (req.query.device_id) filter.device_id = req.query.device_id;
+    if (req.query.geofence_id) {
+      if (!mongoose.isValidObjectId(req.query.geofence_id)) {
+        return res.status(400).json({ error: 'Invalid geofence_id' });
+      }
+      filter.geofence_id = req.query.geofence_id;
+    }
+    const when = timeCondition(parseTimeRange(req.query));
+    if (when) filter.at = when;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const events = await GeofenceEvent.find(filter).sort({ at: -1 }).limit(limit).lean();
+    res.json({ count: events.length, events });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('GET /api/geofences/events error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/geofences/:id', async (req, res) => {
+  try {
+    const fence = await loadGeofence(req, res);
+    if (fence) res.json(fence);
+  } catch (err) {
+    error('GET /api/geofences/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/geofences/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const fence = await loadGeofence(req, res);
+    if (!fence) return;
+
+    fence.set(pickGeofence(req.body));
+    await fence.save();
+
+    log(`Geofence updated name=${fence.name}`);
+    await geofencesChanged(fence);
+    res.json(fence);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('PATCH /api/geofences/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/geofences/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const fence = await loadGeofence(req, res);
+    if (!fence) return;
+
+    await fence.deleteOne();
+    log(`Geofence deleted name=${fence.name}`);
+    await geofencesChanged(fence);
+    res.json({ deleted: fence.id });
+  } catch (err) {
+    error('DELETE /api/geofences/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/devices/:device_id/geofences', async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const inside = await getMembership(device_id);
+    const fences = geofenceCache
+      .filter((f) => inside.has(String(f._id)) && String(f.org_id) === String(req.user.org_id))
+      .map((f) => ({ ...f, enteredAt: inside.get(String(f._id)) }));
+
+    res.json({ device_id, count: fences.length, geofences: fences });
+  } catch (err) {
+    error('GET /api/devices/:device_id/geofences error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Planned routes (per organization)
+//  GET    /api/routes                  list (?device_id= &shipment_id= &active=)
+//  POST   /api/routes                  (operator) { name, waypoints: [[lat, lon], …],
+//                                      corridor_m?, grace_s?, device_id | shipment_id }
+//  GET    /api/routes/:id              single plan
+//  PATCH  /api/routes/:id              (operator) name / waypoints / corridor_m /
+//                                      grace_s / active
+//  DELETE /api/routes/:id              (operator)
+//  GET    /api/devices/:device_id/route   plan in effect now + last route:status
+//
+//  Activating a plan deactivates the other plans of its device / shipment.
+//  Every change reloads the evaluator cache and emits `route:changed`.
+// ─────────────────────────────────────────────────────────────
+const ROUTE_FIELDS = ['name', 'waypoints', 'corridor_m', 'grace_s', 'active'];
+
+function pickRoute(body = {}) {
+  const out = {};
+  for (const key of ROUTE_FIELDS) {
+    if (body[key] !== undefined) out[key] = body[key];
+  }
+  return out;
+}
+
+async function loadRoute(req, res) {
+  const { id } = req.params;
+  const plan = mongoose.isValidObjectId(id)
+    ? await RoutePlan.findOne({ _id: id, org_id: req.user.org_id })
+    : null;
+  if (!plan) res.status(404).json({ error: 'Route not found' });
+  return plan;
+}
+
+async function routesChanged(plan) {
+  if (plan.active) {
+    const target = plan.shipment_id ? { shipment_id: plan.shipment_id } : { device_id: plan.device_id };
+    await RoutePlan.updateMany({ ...target, _id: { $ne: plan._id }, active: true }, { active: false });
+  }
+  await reloadRoutePlans();
+  broadcast('route:changed', { route_id: plan.id, device_id: plan.device_id, shipment_id: plan.shipment_id }, plan.org_id);
+}
+
+app.get('/api/routes', async (req, res) => {
+  try {
+    const filter = { org_id: req.user.org_id };
+    if (req.query.device_id) filter.device_id = req.query.device_id;
+    if (req.query.shipment_id) {
+      if (!mongoose.isValidObjectId(req.query.shipment_id)) {
+        return res.status(400).json({ error: 'Invalid shipment_id' });
+      }
+      filter.shipment_id = req.query.shipment_id;
+    }
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    const routes = await RoutePlan.find(filter).sort({ createdAt: -1 }).lean();
+    res.json({ count: routes.length, routes });
+  } catch (err) {
+    error('GET /api/routes error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/routes', requireRole('operator'), async (req, res) => {
+  try {
+    const { device_id = null, shipment_id = null } = req.body ?? {};
+    const org_id = req.user.org_id;
+
+    // The device / shipment must be the caller's
+    if (device_id && orgOf(device_id) !== String(org_id)) {
+      return res.status(404).json({ error: `Device ${device_id} not found` });
+    }
+    if (shipment_id && !(mongoose.isValidObjectId(shipment_id)
+        && await Shipment.exists({ _id: shipment_id, org_id }))) {
+      return res.status(404).json({ error: 'Shipment not found' });
+    }
+
+    const plan = await RoutePlan.create({ ...pickRoute(req.body), device_id, shipment_id, org_id });
+    log(`Route created name=${plan.name} ${device_id ? `device=${device_id}` : `shipment=${shipment_id}`}`);
+    await routesChanged(plan);
+    res.status(201).json(plan);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('POST /api/routes error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/routes/:id', async (req, res) => {
+  try {
+    const plan = await loadRoute(req, res);
+    if (plan) res.json(plan);
+  } catch (err) {
+    error('GET /api/routes/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/routes/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const plan = await loadRoute(req, res);
+    if (!plan) return;
+
+    plan.set(pickRoute(req.body));
+    await plan.save();
+
+    log(`Route updated name=${plan.name}`);
+    await routesChanged(plan);
+    res.json(plan);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('PATCH /api/routes/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/routes/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const plan = await loadRoute(req, res);
+    if (!plan) return;
+
+    await plan.deleteOne();
+    log(`Route deleted name=${plan.name}`);
+    plan.active = false;
+    await routesChanged(plan);
+    res.json({ deleted: plan.id });
+  } catch (err) {
+    error('DELETE /api/routes/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/devices/:device_id/route', async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const shipment = await findActiveShipment(device_id);
+    const plan     = findRoutePlan(device_id, shipment?._id ?? null);
+    const state    = routeStates.get(device_id);
+
+    res.json({
+      device_id,
+      route:  plan,
+      status: plan && state?.plan_id === String(plan._id) ? state.last ?? null : null,
+    });
+  } catch (err) {
+    error('GET /api/devices/:device_id/route error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Outbound webhooks (admin): see ./webhooks.js
+// ─────────────────────────────────────────────────────────────
+webhooks.configure({
+  timeoutS:         parseFloat(WEBHOOK_TIMEOUT_S),
+  maxAttempts:      parseInt(WEBHOOK_MAX_ATTEMPTS, 10),
+  retryBaseS:       parseFloat(WEBHOOK_RETRY_BASE_S),
+  retryMaxS:        parseFloat(WEBHOOK_RETRY_MAX_S),
+  allowPrivateUrls: WEBHOOK_ALLOW_PRIVATE_URLS === 'true',
+});
+app.use(webhooks.router);
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Notification rules & log (admin): see ./notifier.js
+// ─────────────────────────────────────────────────────────────
+notifier.configure({
+  from:              NOTIFY_FROM,
+  digestIntervalMin: parseFloat(NOTIFY_DIGEST_INTERVAL_MIN),
+  dashboardUrl:      DASHBOARD_URL,
+  smtp: {
+    host:     SMTP_HOST,
+    port:     parseInt(SMTP_PORT, 10),
+    secure:   SMTP_SECURE === 'true',
+    user:     SMTP_USER,
+    password: SMTP_PASSWORD,
+  },
+  CargoAlert,
+});
+app.use(notifier.router);
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Door events & seals
+//  GET    /api/devices/:device_id/door-events   open/close history
+//                                               ?from= &to= &limit=
+//  GET    /api/devices/:device_id/seal          current seal (or null)
+//  POST   /api/devices/:device_id/seal          seal { reason?, from?, to? }
+//  DELETE /api/devices/:device_id/seal          unseal now
+// ─────────────────────────────────────────────────────────────
+app.get('/api/devices/:device_id/door-events', async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const filter = { device_id, org_id: req.user.org_id };
+    const when = timeCondition(parseTimeRange(req.query));
+    if (when) filter.openedAt = when;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    const events = await DoorEvent.find(filter).sort({ openedAt: -1 }).limit(limit).lean();
+    res.json({ device_id, count: events.length, events });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('GET /api/devices/:device_id/door-events error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Seal in force right now (latest one if several overlap)
+const currentSeal = (device_id, org_id, at = new Date()) => DoorSeal
+  .findOne({ device_id, org_id, from: { $lte: at }, $or: [{ to: null }, { to: { $gt: at } }] })
+  .sort({ from: -1 })
+  .lean();
+
+app.get('/api/devices/:device_id/seal', async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    res.json({ device_id, seal: await currentSeal(device_id, req.user.org_id) });
+  } catch (err) {
+    error('GET /api/devices/:device_id/seal error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/devices/:device_id/seal', requireRole('operator'), async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const { reason = null } = req.body ?? {};
+    const by    = req.user.username;
+    const range = parseTimeRange(req.body ?? {});
+
+    const seal = await DoorSeal.create({
+      device_id,
+      org_id: req.user.org_id,
+      from: range.from ?? new Date(),
+      to:   range.to   ?? null,
+      by,
+      reason,
+    });
+
+    log(`Device=${device_id} sealed by ${by}`);
+    broadcast('door:sealed', seal.toObject());
+    res.status(201).json(seal);
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('POST /api/devices/:device_id/seal error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/devices/:device_id/seal', requireRole('operator'), async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const now = new Date();
+    const { modifiedCount } = await DoorSeal.updateMany(
+      { device_id, org_id: req.user.org_id, from: { $lte: now }, $or: [{ to: null }, { to: { $gt: now } }] },
+      { to: now }
+    );
+
+    log(`Device=${device_id} unsealed by ${req.user.username} (${modifiedCount} seal(s) closed)`);
+    broadcast('door:unsealed', { device_id, at: now });
+    res.json({ device_id, unsealed: modifiedCount });
+  } catch (err) {
+    error('DELETE /api/devices/:device_id/seal error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — GET /api/reports/compliance/:device_id
+//  Cold-chain compliance report for a device and time window.
+//    ?from=&to=          window (required: from; to defaults to now)
+//    ?format=json|csv|html
+//  csv  → full temperature log with a summary header (download)
+//  html → printable summary (browser "Save as PDF")
+//  The SHA-256 checksum covers every telemetry and alert record in
+//  the window; regenerating the report must reproduce it exactly.
+// ─────────────────────────────────────────────────────────────
+const MAX_REPORT_RECORDS = 200_000;
+// Longer gaps between samples are counted as missing data, not as
+// time spent in or out of range
+const MAX_SAMPLE_GAP_MS  = 10 * 60_000;
+// Mean kinetic temperature: ΔH/R with ΔH = 83.144 kJ/mol (USP <1160>)
+const MKT_DH_OVER_R      = 10_000;
+
+// Shipment of `org_id` the device was assigned to for the largest part
+// of [from, to], or null. Its product class picks the profile the window
+// is judged by, as it did for the live alerts of that trip.
+async function findShipmentInWindow(device_id, from, to, org_id) {
+  const shipments = await Shipment.find(
+    {
+      org_id,
+      devices: {
+        $elemMatch: {
+          device_id,
+          from: { $lt: to },
+          $or:  [{ to: null }, { to: { $gt: from } }],
+        },
+      },
+    },
+    { reference: 1, cargo: 1, devices: 1 }
+  ).lean();
+
+  let best = null;
+  let bestMs = 0;
+  for (const shipment of shipments) {
+    for (const d of shipment.devices) {
+      if (d.device_id !== device_id) continue;
+      const overlapMs = Math.min(to, d.to ?? to) - Math.max(from, d.from);
+      if (overlapMs > bestMs) [best, bestMs] = [shipment, overlapMs];
+    }
+  }
+  return best;
+}
+
+// Mean kinetic temperature (°C) of a list of °C samples
+function meanKineticTemperature(temps) {
+  if (temps.length === 0) return null;
+  const sum = temps.reduce((acc, t) => acc + Math.exp(-MKT_DH_OVER_R / (t + 273.15)), 0);
+  return MKT_DH_OVER_R / -Math.log(sum / temps.length) - 273.15;
+}
+
+/**
+ * Pure summary over time-ordered telemetry + shock alerts.
+ * `limits` is the temp {min,max} the cargo must stay within.
+ */
+function buildComplianceReport({ device_id, from, to, shipment = null, profile, records, shockAlerts }) {
+  const limits = profile.limits?.temp ?? {};
+  const temps  = records.map((r) => r.temp);
+
+  let aboveMs = 0;
+  let belowMs = 0;
+  let gapMs   = 0;
+  const excursions = [];
+  const doorEvents = [];
+  let current = null;   // open excursion
+  let door    = null;   // open door event
+
+  records.forEach((r, i) => {
+    const t    = r.eventAt.getTime();
+    const next = records[i + 1];
+    const raw  = next ? next.eventAt.getTime() - t : 0;
+    const dt   = Math.min(raw, MAX_SAMPLE_GAP_MS);
+    gapMs += raw - dt;
+
+    // ── Temperature excursions ────────────────────────
+    const v = checkLimit(r.temp, limits);
+    if (v?.direction === 'high') aboveMs += dt;
+    if (v?.direction === 'low')  belowMs += dt;
+
+    if (current && current.direction !== v?.direction) {
+      current.end = r.eventAt;
+      excursions.push(current);
+      current = null;
+    }
+    if (v && !current) {
+      current = { direction: v.direction, threshold: v.threshold, start: r.eventAt, peak: r.temp };
+    }
+    if (current) {
+      current.peak = current.direction === 'high'
+        ? Math.max(current.peak, r.temp)
+        : Math.min(current.peak, r.temp);
+    }
+
+    // ── Door open / close transitions ─────────────────
+    if (r.door_open && !door) door = { openedAt: r.eventAt, lat: r.lat, lon: r.lon };
+    if (!r.door_open && door) {
+      doorEvents.push({ ...door, closedAt: r.eventAt });
+      door = null;
+    }
+  });
+
+  const last = records[records.length - 1];
+  if (current) excursions.push({ ...current, end: last.eventAt, ongoing: true });
+  if (door)    doorEvents.push({ ...door, closedAt: null, ongoing: true });
+
+  excursions.forEach((e) => { e.duration_ms = e.end - e.start; });
+  doorEvents.forEach((d) => { d.duration_ms = d.closedAt ? d.closedAt - d.openedAt : null; });
+
+  const longest = excursions.reduce((a, b) => (!a || b.duration_ms > a.duration_ms ? b : a), null);
+  const round   = (x, n = 2) => (x == null ? null : Number(x.toFixed(n)));
+
+  return {
+    device_id,
+    from,
+    to,
+    generatedAt: new Date(),
+    shipment:    shipment && { _id: shipment._id, reference: shipment.reference },
+    profile:     { name: profile.name, temp: { min: limits.min ?? null, max: limits.max ?? null } },
+    samples:     records.length,
+    temperature: {
+      min: temps.length ? Math.min(...temps) : null,
+      max: temps.length ? Math.max(...temps) : null,
+      avg: temps.length ? round(temps.reduce((a, b) => a + b, 0) / temps.length) : null,
+      mkt: round(meanKineticTemperature(temps)),
+    },
+    time_above_range_ms: aboveMs,
+    time_below_range_ms: belowMs,
+    data_gap_ms:         gapMs,
+    compliant:           excursions.length === 0,
+    longest_excursion:   longest,
+    excursions,
+    shock_events: shockAlerts.map((a) => ({
+      at:      a.eventAt,
+      shock_g: a.shock_g,
+      lat:     a.lat,
+      lon:     a.lon,
+      state:   a.state,
+    })),
+    door_events: doorEvents,
+  };
+}
+
+// SHA-256 over a canonical serialisation of the underlying records
+function reportChecksum(records, alerts) {
+  const hash = crypto.createHash('sha256');
+  for (const r of records) {
+    hash.update(JSON.stringify([
+      String(r._id), r.eventAt.toISOString(), r.ts,
+      r.temp, r.hum, r.shock_g, r.door_open, r.lat, r.lon,
+    ]) + '\n');
+  }
+  for (const a of alerts) {
+    hash.update(JSON.stringify([
+      String(a._id), a.eventAt.toISOString(), a.ts, a.type, a.shock_g, a.lat, a.lon,
+    ]) + '\n');
+  }
+  return hash.digest('hex');
+}
+
+const csvCell = (v) => {
+  if (v == null) return '';
+  const str = v instanceof Date ? v.toISOString() : String(v);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+const csvRow = (cells) => cells.map(csvCell).join(',');
+
+const fmtMs = (ms) => {
+  if (ms == null) return '--';
+  const m = Math.round(ms / 60_000);
+  return m < 60 ? `${m} min` : `${Math.floor(m / 60)} h ${m % 60} min`;
+};
+
+function renderReportCsv(report, records) {
+  const t = report.temperature;
+  const lines = [
+    '# Cold-chain compliance report',
+    csvRow(['# device_id', report.device_id]),
+    csvRow(['# window', report.from, report.to]),
+    csvRow(['# generated_at', report.generatedAt]),
+    csvRow(['# shipment', report.shipment?.reference]),
+    csvRow(['# profile', report.profile.name, report.profile.temp.min, report.profile.temp.max]),
+    csvRow(['# compliant', report.compliant]),
+    csvRow(['# samples', report.samples]),
+    csvRow(['# temp_min_avg_max_mkt', t.min, t.avg, t.max, t.mkt]),
+    csvRow(['# time_above_range_ms', report.time_above_range_ms]),
+    csvRow(['# time_below_range_ms', report.time_below_range_ms]),
+    csvRow(['# longest_excursion_ms', report.longest_excursion?.duration_ms ?? 0]),
+    csvRow(['# shock_events', report.shock_events.length]),
+    csvRow(['# door_events', report.door_events.length]),
+    csvRow(['# sha256', report.checksum]),
+    csvRow(['event_at', 'received_at', 'late', 'ts', 'temp', 'hum', 'shock_g', 'door_open', 'lat', 'lon']),
+    ...records.map((r) => csvRow([
+      r.eventAt, r.receivedAt, r.late, r.ts, r.temp, r.hum, r.shock_g, r.door_open, r.lat, r.lon,
+    ])),
+  ];
+  return lines.join('\n') + '\n';
+}
+
+const escapeHtml = (v) => String(v ?? '--')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function renderReportHtml(report) {
+  const t   = report.temperature;
+  const iso = (d) => (d ? new Date(d).toISOString().replace('T', ' ').slice(0, 19) + 'Z' : '--');
+  const pos = (lat, lon) => (lat != null && lon != null ? `${lat.toFixed(4)}, ${lon.toFixed(4)}` : '--');
+  const row = (...cells) => `<tr>${cells.map((c) => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`;
+  const table = (head, rows, empty) => (rows.length
+    ? `<table><thead><tr>${head.map((h) => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`
+    : `<p class="muted">${empty}</p>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Compliance report — ${escapeHtml(report.device_id)}</title>
+<style>
+  body  { font: 12px/1.5 system-ui, sans-serif; color: #111; margin: 2rem; }
+  h1    { font-size: 18px; margin-bottom: 0; }
+  h2    { font-size: 14px; margin-top: 1.5rem; border-bottom: 1px solid #ccc; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+  th    { background: #f3f4f6; }
+  .ok   { color: #047857; font-weight: bold; }
+  .bad  { color: #b91c1c; font-weight: bold; }
+  .muted { color: #6b7280; }
+  code  { font-size: 10px; word-break: break-all; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>Cold-chain compliance report</h1>
+<p class="muted">Device ${escapeHtml(report.device_id)} · ${iso(report.from)} → ${iso(report.to)}
+ · generated ${iso(report.generatedAt)}</p>
+<p class="${report.compliant ? 'ok' : 'bad'}">${report.compliant ? 'COMPLIANT' : 'NOT COMPLIANT'}
+ — profile “${escapeHtml(report.profile.name)}”
+ (${escapeHtml(report.profile.temp.min)} … ${escapeHtml(report.profile.temp.max)} °C)
+ · shipment ${escapeHtml(report.shipment?.reference)}</p>
+
+<h2>Temperature</h2>
+<table><tbody>
+${row('Samples', report.samples)}
+${row('Min / Avg / Max', `${t.min ?? '--'} / ${t.avg ?? '--'} / ${t.max ?? '--'} °C`)}
+${row('Mean kinetic temperature', t.mkt != null ? `${t.mkt} °C` : '--')}
+${row('Time above range', fmtMs(report.time_above_range_ms))}
+${row('Time below range', fmtMs(report.time_below_range_ms))}
+${row('Longest excursion', report.longest_excursion
+    ? `${fmtMs(report.longest_excursion.duration_ms)} from ${iso(report.longest_excursion.start)} (peak ${report.longest_excursion.peak} °C)`
+    : 'none')}
+${row('Missing data (gaps)', fmtMs(report.data_gap_ms))}
+</tbody></table>
+
+<h2>Excursions</h2>
+${table(['Start', 'End', 'Duration', 'Direction', 'Peak'],
+    report.excursions.map((e) => row(iso(e.start), e.ongoing ? 'ongoing' : iso(e.end), fmtMs(e.duration_ms), e.direction, `${e.peak} °C`)),
+    'No temperature excursions.')}
+
+<h2>Shock events</h2>
+${table(['Time', 'Shock', 'Location', 'State'],
+    report.shock_events.map((s) => row(iso(s.at), `${s.shock_g} G`, pos(s.lat, s.lon), s.state)),
+    'No shock events.')}
+
+<h2>Door openings</h2>
+${table(['Opened', 'Closed', 'Duration', 'Location'],
+    report.door_events.map((d) => row(iso(d.openedAt), d.ongoing ? 'still open' : iso(d.closedAt), fmtMs(d.duration_ms), pos(d.lat, d.lon))),
+    'No door openings.')}
+
+<h2>Integrity</h2>
+<p>SHA-256 over ${report.checksum_covers.telemetry} telemetry and ${report.checksum_covers.alerts} alert records:</p>
+<p><code>${report.checksum}</code></p>
+</body>
+</html>
+`;
+}
+
+app.get('/api/reports/compliance/:device_id', async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const format = req.query.format ?? 'json';
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({ error: '`format` must be json, csv or html' });
+    }
+
+    const range = parseTimeRange(req.query);
+    if (!range.from) return res.status(400).json({ error: '`from` is required' });
+    const from = range.from;
+    const to   = range.to ?? new Date();
+    const scope = { device_id, org_id: req.user.org_id, eventAt: { $gte: from, $lte: to } };
+
+    const total = await CargoTelemetry.countDocuments(scope);
+    if (total > MAX_REPORT_RECORDS) {
+      return res.status(400).json({
+        error: `Window holds ${total} records (max ${MAX_REPORT_RECORDS}) — narrow the range`,
+      });
+    }
+
+    const shipment = await findShipmentInWindow(device_id, from, to, req.user.org_id);
+    const [records, alerts, profile] = await Promise.all([
+      CargoTelemetry.find(scope).sort({ eventAt: 1, _id: 1 }).lean(),
+      CargoAlert.find(scope).sort({ eventAt: 1, _id: 1 }).lean(),
+      resolveThresholds(device_id, shipment),
+    ]);
+
+    const shockAlerts = alerts.filter((a) => a.type === 'shock');
+    const report = buildComplianceReport({ device_id, from, to, shipment, profile, records, shockAlerts });
+    report.checksum        = reportChecksum(records, alerts);
+    report.checksum_covers = { telemetry: records.length, alerts: alerts.length };
+
+    const stamp    = from.toISOString().slice(0, 10);
+    const filename = `compliance_${device_id}_${stamp}`.replace(/[^\w.-]/g, '_');
+    log(`Compliance report device=${device_id} records=${records.length} format=${format}`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(renderReportCsv(report, records));
+    }
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(renderReportHtml(report));
+    }
+    res.json(report);
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('GET /api/reports/compliance error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — GET /api/devices/:device_id/trip
+//  Trip analytics from the GPS points of a device's readings:
+//    ?from=&to=          window (from defaults to 24 h before to)
+//  → distance travelled (haversine), instantaneous / average speed,
+//    stops (stayed within TRIP_STOP_RADIUS_M for TRIP_STOP_MIN_S or
+//    longer) with location, start, duration and the temperature
+//    while stopped, plus the route itself for the map.
+//  Fixes implying more than TRIP_MAX_SPEED_KMH are GPS jumps and
+//  are dropped before anything is computed.
+// ─────────────────────────────────────────────────────────────
+const TRIP = {
+  stopRadiusM:  parseFloat(TRIP_STOP_RADIUS_M),
+  stopMinMs:    parseFloat(TRIP_STOP_MIN_S) * 1000,
+  maxSpeedKmh:  parseFloat(TRIP_MAX_SPEED_KMH),
+  defaultMs:    24 * 3_600_000,
+};
+const MAX_TRIP_RECORDS = 50_000;
+
+const kmh = (meters, ms) => (ms > 0 ? (meters / ms) * 3600 : null);
+
+/**
+ * Pure analysis over time-ordered readings ({ eventAt, lat, lon, temp }).
+ * Readings without a fix are ignored. Segments longer than
+ * MAX_SAMPLE_GAP_MS still add distance but get no instantaneous speed.
+ */
+function analyzeTrip(records, opts = TRIP) {
+  // ── Route: valid fixes, GPS jumps filtered out ────────
+  const route = [];
+  for (const r of records) {
+    if (r.lat == null || r.lon == null) continue;
+    const at   = r.eventAt.getTime();
+    const prev = route[route.length - 1];
+    if (prev) {
+      const dt = at - prev.at;
+      if (dt <= 0) continue;   // duplicate timestamp
+      const d  = haversineMeters(prev.lat, prev.lon, r.lat, r.lon);
+      const v  = kmh(d, dt);
+      if (v > opts.maxSpeedKmh) continue;
+      route.push({ at, lat: r.lat, lon: r.lon, temp: r.temp, dist_m: d,
+                   speed_kmh: dt <= MAX_SAMPLE_GAP_MS ? v : null });
+    } else {
+      route.push({ at, lat: r.lat, lon: r.lon, temp: r.temp, dist_m: 0, speed_kmh: null });
+    }
+  }
+
+  // ── Stops: anchor on a point, extend while inside the radius ──
+  const stops = [];
+  const inStop = new Set();   // route indexes reached while stopped
+  let i = 0;
+  while (i < route.length) {
+    const anchor = route[i];
+    let j = i;
+    while (j + 1 < route.length
+      && haversineMeters(anchor.lat, anchor.lon, route[j + 1].lat, route[j + 1].lon) <= opts.stopRadiusM) {
+      j += 1;
+    }
+    if (route[j].at - anchor.at >= opts.stopMinMs) {
+      const members = route.slice(i, j + 1);
+      const temps   = members.map((p) => p.temp).filter((t) => t != null);
+      stops.push({
+        lat:         members.reduce((n, p) => n + p.lat, 0) / members.length,
+        lon:         members.reduce((n, p) => n + p.lon, 0) / members.length,
+        start:       new Date(anchor.at),
+        end:         new Date(route[j].at),
+        duration_ms: route[j].at - anchor.at,
+        ongoing:     j === route.length - 1,
+        temp_avg:    temps.length ? Number((temps.reduce((a, b) => a + b, 0) / temps.length).toFixed(2)) : null,
+        temp_max:    temps.length ? Math.max(...temps) : null,
+      });
+      for (let k = i + 1; k <= j; k++) inStop.add(k);
+      i = j + 1;
+    } else {
+      i += 1;
+    }
+  }
+
+  // ── Totals ────────────────────────────────────────────
+  let distance = 0;
+  let movingMs = 0;
+  let movingM  = 0;
+  let maxSpeed = null;
+  route.forEach((p, k) => {
+    distance += p.dist_m;
+    if (k === 0 || inStop.has(k)) return;
+    const dt = p.at - route[k - 1].at;
+    if (dt > MAX_SAMPLE_GAP_MS) return;
+    movingMs += dt;
+    movingM  += p.dist_m;
+    if (p.speed_kmh != null) maxSpeed = Math.max(maxSpeed ?? 0, p.speed_kmh);
+  });
+
+  const first  = route[0];
+  const last   = route[route.length - 1];
+  const elapsed = first ? last.at - first.at : 0;
+  const round  = (x, n = 1) => (x == null ? null : Number(x.toFixed(n)));
+
+  return {
+    points:               route.length,
+    distance_m:           Math.round(distance),
+    elapsed_ms:           elapsed,
+    moving_ms:            movingMs,
+    stopped_ms:           stops.reduce((n, s) => n + s.duration_ms, 0),
+    avg_speed_kmh:        round(kmh(distance, elapsed)),
+    avg_moving_speed_kmh: round(kmh(movingM, movingMs)),
+    max_speed_kmh:        round(maxSpeed),
+    current_speed_kmh:    last && !stops.at(-1)?.ongoing ? round(last.speed_kmh) : (last ? 0 : null),
+    stops,
+    route:                route.map((p) => ({
+      at: new Date(p.at), lat: p.lat, lon: p.lon, speed_kmh: round(p.speed_kmh),
+    })),
+  };
+}
+
+app.get('/api/devices/:device_id/trip', async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const range = parseTimeRange(req.query);
+    const to    = range.to   ?? new Date();
+    const from  = range.from ?? new Date(to.getTime() - TRIP.defaultMs);
+    const scope = {
+      device_id,
+      org_id:  req.user.org_id,
+      eventAt: { $gte: from, $lte: to },
+      lat:     { $ne: null },
+      lon:     { $ne: null },
+    };
+
+    const total = await CargoTelemetry.countDocuments(scope);
+    if (total > MAX_TRIP_RECORDS) {
+      return res.status(400).json({
+        error: `Window holds ${total} records (max ${MAX_TRIP_RECORDS}) — narrow the range`,
+      });
+    }
+
+    const records = await CargoTelemetry
+      .find(scope, { eventAt: 1, lat: 1, lon: 1, temp: 1 })
+      .sort({ eventAt: 1, _id: 1 })
+      .lean();
+
+    res.json({ device_id, from, to, ...analyzeTrip(records) });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('GET /api/devices/:device_id/trip error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════
+//  3. MQTT CLIENT
+// ═════════════════════════════════════════════════════════════
+let mqttConnected = false;
+let mqttClient    = null;   // set by connectMqtt — used to publish downlink commands
+
+// Publish on the shared client; resolves false while the broker is unreachable
+async function mqttPublish(topic, payload, options) {
+  if (!mqttConnected) return false;
+  await mqttClient.publishAsync(topic, payload, options);
+  return true;
+}
+
+/**
+ * Build TLS options for MQTTS connections.
+ * Loads CA cert from disk if MQTT_CA_CERT_PATH is set.
+ */
+function buildMqttOptions() {
+  const opts = {
+    clientId:             `cargo-backend-${Math.random().toString(16).slice(2, 8)}`,
+    clean:                true,
+    reconnectPeriod:      5_000,
+    connectTimeout:       30_000,
+    keepalive:            60,
+    rejectUnauthorized:   true,   // Always verify broker cert in production
+  };
+
+  if (MQTT_USERNAME) opts.username = MQTT_USERNAME;
+  if (MQTT_PASSWORD) opts.password = MQTT_PASSWORD;
+
+  // Load CA cert for MQTTS
+  if (MQTT_BROKER_URL.startsWith('mqtts://') || MQTT_BROKER_URL.startsWith('ssl://')) {
+    if (MQTT_CA_CERT_PATH) {
+      const certPath = path.resolve(MQTT_CA_CERT_PATH);
+      if (fs.existsSync(certPath)) {
+        opts.ca = fs.readFileSync(certPath);
+        log(`MQTT TLS: loaded CA from ${certPath}`);
+      } else {
+        warn(`MQTT TLS: CA cert not found at ${certPath} — using system CAs`);
+      }
+    }
+    // For dev with self-signed certs uncomment next line:
+    // opts.rejectUnauthorized = false;
+  }
+
+  return opts;
+}
+
+// ── Topic subscription map ─────────────────────────────────────
+// Union of the topic patterns declared by the payload decoders
+// (./decoders), e.g.:
+//   cargo/+/telemetry  → individual device telemetry
+//   cargo/alert/shock  → shock alerts published by devices directly
+//   cargo/telemetry    → flat topic used by hivemq_random_data.py
+const SUBSCRIBE_TOPICS = Object.fromEntries(
+  decoders.subscriptions().map((topic) => [topic, { qos: 1 }])
+);
+
+function connectMqtt() {
+  log(`MQTT connecting → ${MQTT_BROKER_URL}`);
+  mqttClient = mqtt.connect(MQTT_BROKER_URL, buildMqttOptions());
+
+  // ── Event: connected ────────────────────────────────────
+  mqttClient.on('connect', () => {
+    mqttConnected = true;
+    log('MQTT connected ✓');
+
+    mqttClient.subscribe(SUBSCRIBE_TOPICS, (err, granted) => {
+      if (err) {
+        error('MQTT subscribe error:', err.message);
+        return;
+      }
+      granted.forEach(({ topic, qos }) =>
+        log(`MQTT subscribed → ${topic}  (QoS ${qos})`)
+      );
+    });
+
+    // Desired configs changed while the broker was unreachable
+    shadow.republishDesired().catch((err) => error('Shadow republish error:', err.message));
+  });
+
+  // ── Event: message ──────────────────────────────────────
+  mqttClient.on('message', (topic, rawPayload) => {
+    handleMessage(topic, rawPayload);
+  });
+
+  // ── Event: lifecycle ────────────────────────────────────
+  mqttClient.on('reconnect',   () => { mqttConnected = false; warn('MQTT reconnecting...'); });
+  mqttClient.on('offline',     () => { mqttConnected = false; warn('MQTT offline');         });
+  mqttClient.on('close',       () => { mqttConnected = false; log('MQTT connection closed');});
+  mqttClient.on('error',       (err) => error('MQTT error:', err.message));
+
+  return mqttClient;
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Device registry gate
+// ─────────────────────────────────────────────────────────────
+// UNREGISTERED_DEVICE_POLICY decides what happens to a device_id that
+// is not in the registry:
+//   accept     → auto-register it and process normally (default)
+//   quarantine → park the message in `quarantine`, do not process
+//   drop       → log and discard
+// Known IDs and their organization are cached in deviceScopes (see
+// tenancy.js); auto-registered devices join the default organization.
+const DEVICE_POLICIES = ['accept', 'quarantine', 'drop'];
+const DEVICE_POLICY   = DEVICE_POLICIES.includes(UNREGISTERED_DEVICE_POLICY)
+  ? UNREGISTERED_DEVICE_POLICY
+  : 'accept';
+
+async function admitDevice(topic, device_id, payload) {
+  if (deviceScopes.has(device_id)) return true;
+
+  const known = await Device.findOne({ device_id }, { device_id: 1, org_id: 1, group: 1 }).lean();
+  if (known) {
+    cacheDevice(known);
+    return true;
+  }
+
+  if (DEVICE_POLICY === 'drop') {
+    warn(`MQTT [${topic}] unregistered device ${device_id} — dropped`);
+    return false;
+  }
+
+  if (DEVICE_POLICY === 'quarantine') {
+    warn(`MQTT [${topic}] unregistered device ${device_id} — quarantined`);
+    try {
+      await QuarantinedMessage.create({ device_id, topic, payload });
+    } catch (err) {
+      error('MongoDB insert quarantine error:', err.message);
+    }
+    return false;
+  }
+
+  // accept: upsert so two racing first packets don't collide on the unique index
+  const device = await Device.findOneAndUpdate(
+    { device_id },
+    { $setOnInsert: { device_id, name: device_id, auto_registered: true, org_id: defaultOrgId() } },
+    { upsert: true, new: true, projection: { device_id: 1, org_id: 1, group: 1 } }
+  ).lean();
+  cacheDevice(device);
+  log(`Device ${device_id} auto-registered`);
+  return true;
+}
+
+// Record contact: lastSeen, firstSeen (once), position and firmware if sent
+async function touchDevice(device_id, { lat = null, lon = null, firmware_version = null } = {}) {
+  const now = new Date();
+  const set = {
+    lastSeen:  now,
+    firstSeen: { $ifNull: ['$firstSeen', now] },
+  };
+  if (lat != null && lon != null) set.lastPosition = { lat, lon, at: now };
+  if (firmware_version) set.firmware_version = { $literal: String(firmware_version) };
+
+  try {
+    await Device.updateOne({ device_id }, [{ $set: set }]);
+    await markDeviceSeen(device_id, now.getTime());
+  } catch (err) {
+    error('MongoDB update device error:', err.message);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Device watchdog — online → stale → offline
+//  A device is stale after DEVICE_STALE_MULTIPLIER × its expected
+//  interval without data and offline after DEVICE_OFFLINE_MULTIPLIER ×.
+//  Transitions are persisted (DeviceStatusEvent + Device.status),
+//  broadcast as device:online / device:stale / device:offline, and going
+//  offline opens an 'offline' CargoAlert that is cleared on return.
+// ─────────────────────────────────────────────────────────────
+const WATCHDOG = {
+  defaultIntervalMs: parseFloat(DEVICE_EXPECTED_INTERVAL_S) * 1000,
+  staleMultiplier:   parseFloat(DEVICE_STALE_MULTIPLIER),
+  offlineMultiplier: parseFloat(DEVICE_OFFLINE_MULTIPLIER),
+  tickMs:            parseFloat(WATCHDOG_INTERVAL_S) * 1000,
+};
+
+// device_id → { lastSeen: ms|null, intervalMs, status }
+const deviceClock = new Map();
+let watchdogTimer = null;
+
+// Status a device should have given how long it has been silent
+function classifyDeviceAge(age_ms, intervalMs = WATCHDOG.defaultIntervalMs) {
+  if (age_ms == null) return 'offline';
+  if (age_ms > intervalMs * WATCHDOG.offlineMultiplier) return 'offline';
+  if (age_ms > intervalMs * WATCHDOG.staleMultiplier)   return 'stale';
+  return 'online';
+}
+
+const intervalMsOf = (device) =>
+  (device.expected_interval_s ? device.expected_interval_s * 1000 : WATCHDOG.defaultIntervalMs);
+
+async function setDeviceStatus(device_id, entry, next, now = Date.now()) {
+  const previous = entry.status;
+  entry.status = next;
+
+  const at      = new Date(now);
+  const age_ms  = entry.lastSeen != null ? now - entry.lastSeen : null;
+  const payload = {
+    device_id,
+    status:   next,
+    previous,
+    at,
+    lastSeen: entry.lastSeen != null ? new Date(entry.lastSeen) : null,
+    age_ms,
+  };
+
+  if (next === 'offline') {
+    warn(`Device=${device_id} OFFLINE — no data for ${Math.round((age_ms ?? 0) / 1000)}s`);
+  } else {
+    log(`Device=${device_id} ${previous ?? 'unknown'} → ${next}`);
+  }
+
+  try {
+    await Promise.all([
+      DeviceStatusEvent.create({ ...payload, org_id: orgOf(device_id) }),
+      Device.updateOne({ device_id }, { status: next, statusChangedAt: at }),
+    ]);
+
+    if (next === 'offline') {
+      const message = `DEVICE OFFLINE: no data for ${Math.round((age_ms ?? 0) / 1000)}s`;
+      const alert = await CargoAlert.create({
+        device_id,
+        org_id:   orgOf(device_id),
+        alert:    'DEVICE_OFFLINE',
+        type:     'offline',
+        severity: 'warning',
+        message,
+        ts:       now,
+      });
+      payload.alert_id = alert._id;
+    }
+
+    if (next === 'online' && previous === 'offline') {
+      // Close every open offline alert for this device with its downtime
+      await CargoAlert.updateMany(
+        { device_id, type: 'offline', clearedAt: null },
+        [{ $set: { clearedAt: at, duration_ms: { $subtract: [at, '$receivedAt'] } } }]
+      );
+      payload.downtime_ms = age_ms;
+    }
+  } catch (err) {
+    error('MongoDB device status error:', err.message);
+  }
+
+  broadcast(`device:${next}`, payload);
+}
+
+// Called for every accepted packet
+async function markDeviceSeen(device_id, now = Date.now()) {
+  let entry = deviceClock.get(device_id);
+  if (!entry) {
+    const device = await Device.findOne({ device_id }, { expected_interval_s: 1, status: 1 }).lean();
+    entry = {
+      lastSeen:   null,
+      intervalMs: device ? intervalMsOf(device) : WATCHDOG.defaultIntervalMs,
+      status:     device?.status ?? null,
+    };
+    deviceClock.set(device_id, entry);
+  }
+
+  // Transition before overwriting lastSeen so age_ms reports the outage
+  if (entry.status !== 'online') await setDeviceStatus(device_id, entry, 'online', now);
+  entry.lastSeen = now;
+}
+
+// The device reports on a new cadence (device shadow) — keep the
+// watchdog in step
+async function applyReportedInterval(device_id, interval_s) {
+  const device = await Device.findOneAndUpdate(
+    { device_id },
+    { expected_interval_s: interval_s },
+    { new: true }
+  ).lean();
+  const clock = deviceClock.get(device_id);
+  if (device && clock) clock.intervalMs = intervalMsOf(device);
+}
+
+async function watchdogTick() {
+  const now = Date.now();
+  for (const [device_id, entry] of deviceClock) {
+    if (entry.lastSeen == null) continue;
+    const next = classifyDeviceAge(now - entry.lastSeen, entry.intervalMs);
+    if (next !== entry.status) await setDeviceStatus(device_id, entry, next, now);
+  }
+}
+
+async function startWatchdog() {
+  const devices = await Device
+    .find({}, { device_id: 1, lastSeen: 1, expected_interval_s: 1, status: 1 })
+    .lean();
+  for (const d of devices) {
+    deviceClock.set(d.device_id, {
+      lastSeen:   d.lastSeen ? d.lastSeen.getTime() : null,
+      intervalMs: intervalMsOf(d),
+      status:     d.status ?? null,
+    });
+  }
+
+  watchdogTimer = setInterval(() => {
+    watchdogTick().catch((err) => error('Watchdog error:', err.message));
+  }, WATCHDOG.tickMs);
+  log(`Watchdog started — ${devices.length} devices, tick ${WATCHDOG.tickMs / 1000}s`);
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Fleet summary — one compact row per device, pushed as
+//  `fleet:summary` to every organization's fleet room with subscribers
+//  each FLEET_SUMMARY_INTERVAL_S, and to a socket as soon as it
+//  subscribes:
+//    { at, counts: { online, stale, offline }, open_alerts,
+//      devices: [{ device_id, name, group, status, lastSeen, position,
+//                  last, open_alerts }] }
+//  `last` is the latest live reading, kept in memory (null after a
+//  restart until the device reports again).
+// ─────────────────────────────────────────────────────────────
+const FLEET_SUMMARY_MS = parseFloat(FLEET_SUMMARY_INTERVAL_S) * 1000;
+const lastReadings = new Map();   // device_id → { temp, hum, shock_g, door_open, battery, eventAt }
+let fleetSummaryTimer = null;
+
+async function buildFleetSummary(org_id) {
+  const [devices, alertCounts] = await Promise.all([
+    Device.find({ org_id }, {
+      device_id: 1, name: 1, group: 1, lastSeen: 1, lastPosition: 1, expected_interval_s: 1,
+    }).sort({ device_id: 1 }).lean(),
+    CargoAlert.aggregate([
+      { $match: { org_id: new mongoose.Types.ObjectId(String(org_id)), state: 'open' } },
+      { $group: { _id: '$device_id', count: { $sum: 1 } } },
+    ]),
+  ]);
+  const openAlerts = new Map(alertCounts.map((a) => [a._id, a.count]));
+
+  const counts = { online: 0, stale: 0, offline: 0 };
+  const rows = devices.map((d) => {
+    const { status } = withLiveStatus(d);
+    counts[status] += 1;
+    return {
+      device_id:   d.device_id,
+      name:        d.name,
+      group:       d.group ?? null,
+      status,
+      lastSeen:    d.lastSeen,
+      position:    d.lastPosition?.lat != null ? d.lastPosition : null,
+      last:        lastReadings.get(d.device_id) ?? null,
+      open_alerts: openAlerts.get(d.device_id) ?? 0,
+    };
+  });
+
+  return {
+    at:          new Date(),
+    counts,
+    open_alerts: rows.reduce((n, r) => n + r.open_alerts, 0),
+    devices:     rows,
+  };
+}
+
+async function sendFleetSummary(org_id, target = io.to(fleetRoom(org_id))) {
+  try {
+    target.emit('fleet:summary', await buildFleetSummary(org_id));
+  } catch (err) {
+    error('Fleet summary error:', err.message);
+  }
+}
+
+function startFleetSummaries() {
+  fleetSummaryTimer = setInterval(() => {
+    for (const [room, sockets] of io.of('/').adapter.rooms) {
+      if (room.startsWith('fleet:') && sockets.size) sendFleetSummary(room.slice('fleet:'.length));
+    }
+  }, FLEET_SUMMARY_MS);
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Message Handler — parse, validate, alert, persist, broadcast
+// ─────────────────────────────────────────────────────────────
+// Live MQTT entry point: anything the pipeline rejects or fails to
+// store is kept in the dead-letter collection for inspection / replay.
+async function handleMessage(topic, rawPayload) {
+  const text   = rawPayload.toString('utf8');
+  const result = await processMessage(topic, text);
+  if (!result.ok) await storeDeadLetter({ topic, payload: text, ...result });
+}
+
+/**
+ * Parse → decode → registry gate → handler. Shared by live MQTT and
+ * dead-letter replay, so it never dead-letters by itself. Resolves
+ *   { ok: true,  outcome: 'processed' | 'held' }
+ *   { ok: false, reason, error, stage?, decoder?, device_id? }
+ */
+async function processMessage(topic, text) {
+  // ── 1. Parse JSON ────────────────────────────────────────
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    warn(`MQTT [${topic}] invalid JSON — dead-lettered`);
+    return { ok: false, reason: 'invalid_json', error: err.message };
+  }
+
+  log(`MQTT RX [${topic}]`, JSON.stringify(data));
+  const device_id = typeof data?.device_id === 'string' ? data.device_id : null;
+
+  // ── 2. Decode → canonical reading (schema + units) ───────
+  let decoded;
+  try {
+    decoded = decoders.decode(topic, data);
+  } catch (err) {
+    if (err instanceof decoders.DecodeError) {
+      warn(`MQTT [${topic}] rejected by ${err.decoder ?? 'decoder registry'} (${err.stage}): ${err.message}`);
+    } else {
+      error(`MQTT [${topic}] decoder crashed:`, err.message);
+    }
+    return {
+      ok:      false,
+      reason:  'decode',
+      stage:   err.stage ?? 'decode',
+      decoder: err.decoder ?? null,
+      device_id,
+      error:   err.message,
+    };
+  }
+  const { kind, reading, decoder } = decoded;
+
+  // ── 3. Registry gate (unregistered IDs per policy) ───────
+  try {
+    if (!(await admitDevice(topic, reading.device_id, data))) return { ok: true, outcome: 'held' };
+  } catch (err) {
+    error('Device registry error:', err.message);
+    return { ok: false, reason: 'registry', decoder, device_id: reading.device_id, error: err.message };
+  }
+
+  // ── 4. Route by decoder kind ─────────────────────────────
+  // Handlers throw when the reading could not be stored
+  try {
+    if (kind === 'shock') {
+      await handleShockAlert(topic, reading);
+    } else if (kind === 'command_reply') {
+      await handleCommandReply(topic, reading);
+    } else if (kind === 'config_report') {
+      await shadow.handleConfigReport(topic, reading);
+    } else {
+      await handleTelemetry(topic, reading);
+    }
+  } catch (err) {
+    error(`MQTT [${topic}] ${kind} handler failed:`, err.message);
+    return { ok: false, reason: 'handler', decoder, device_id: reading.device_id, error: err.message };
+  }
+
+  return { ok: true, outcome: 'processed' };
+}
+
+// ── Dead-letter store ──────────────────────────────────────
+// When the failure *is* MongoDB, the dead-letter insert fails too:
+// those entries wait in memory and are flushed on reconnect.
+const MAX_DEAD_LETTER_BACKLOG = 10_000;
+const deadLetterBacklog = [];
+
+async function storeDeadLetter({ topic, payload, reason, error: message, stage = null, decoder = null, device_id = null }) {
+  const doc = {
+    topic,
+    payload,
+    reason,
+    error: message ?? null,
+    stage,
+    decoder,
+    device_id,
+    receivedAt: new Date(),
+  };
+  try {
+    await DeadLetter.create(doc);
+  } catch (err) {
+    if (deadLetterBacklog.length >= MAX_DEAD_LETTER_BACKLOG) deadLetterBacklog.shift();
+    deadLetterBacklog.push(doc);
+    error(`Dead-letter insert failed (${deadLetterBacklog.length} held in memory):`, err.message);
+  }
+}
+
+async function flushDeadLetterBacklog() {
+  if (!deadLetterBacklog.length) return;
+  const batch = deadLetterBacklog.splice(0);
+  try {
+    await DeadLetter.insertMany(batch, { ordered: false });
+    log(`Dead-letter backlog flushed: ${batch.length} message(s)`);
+  } catch (err) {
+    deadLetterBacklog.unshift(...batch.slice(err.insertedDocs?.length ?? 0));
+    error('Dead-letter backlog flush failed:', err.message);
+  }
+}
+
+/**
+ * Push one dead letter back through processMessage and record the attempt.
+ * A successful replay marks it 'replayed'; another failure marks it
+ * 'failed' with the new error so the entry stays in the queue.
+ */
+async function replayDeadLetter(entry) {
+  const result = await processMessage(entry.topic, entry.payload);
+  const now    = new Date();
+  const update = result.ok
+    ? { status: 'replayed', replayedAt: now, lastAttemptAt: now, outcome: result.outcome }
+    : {
+        status:        'failed',
+        lastAttemptAt: now,
+        reason:        result.reason,
+        stage:         result.stage ?? null,
+        decoder:       result.decoder ?? null,
+        error:         result.error,
+      };
+  await DeadLetter.updateOne({ _id: entry._id }, { $set: update, $inc: { attempts: 1 } });
+
+  log(`Dead letter ${entry._id} replay ${result.ok ? `OK (${result.outcome})` : `failed: ${result.error}`}`);
+  return result.ok
+    ? { _id: entry._id, ok: true, outcome: result.outcome }
+    : { _id: entry._id, ok: false, reason: result.reason, error: result.error };
+}
+
+// ── Alert evaluator ────────────────────────────────────────
+// Stateful per (device, metric) so a long excursion produces one
+// "raised" and one "cleared" event instead of one alert per packet.
+//
+//   normal ──(out of range)──▶ pending ──(≥ minDurationMs)──▶ active
+//      ▲                          │                              │
+//      └──────(back in range)─────┘                              │
+//      └───────────(inside limit ∓ hysteresis)───────────────────┘
+//
+// While active, a reminder "raised" (repeat: true) is emitted every
+// cooldownMs. Shock is an impulse, so it raises on the first sample.
+// State is in-memory; after a restart a device's uncleared alerts are
+// reloaded on its first reading (restoreAlertStates), so a continuing
+// excursion neither raises twice nor stays open forever.
+const ALERT_TUNING = {
+  temp: {
+    minDurationMs: parseFloat(ALERT_MIN_DURATION_S) * 1000,
+    hysteresis:    parseFloat(ALERT_HYSTERESIS_TEMP),
+    cooldownMs:    parseFloat(ALERT_COOLDOWN_S) * 1000,
+  },
+  hum: {
+    minDurationMs: parseFloat(ALERT_MIN_DURATION_S) * 1000,
+    hysteresis:    parseFloat(ALERT_HYSTERESIS_HUM),
+    cooldownMs:    parseFloat(ALERT_COOLDOWN_S) * 1000,
+  },
+  shock_g: {
+    minDurationMs: 0,
+    hysteresis:    parseFloat(ALERT_HYSTERESIS_SHOCK),
+    cooldownMs:    parseFloat(ALERT_COOLDOWN_S) * 1000,
+  },
+};
+
+// `${device_id}:${metric}` → { phase, direction, threshold, since, raisedAt, notifiedAt, peak }
+const alertStates = new Map();
+
+// `${device_id}:${metric}` → CargoAlert _id of the active excursion
+const activeAlertIds = new Map();
+
+// Same bookkeeping for late readings: their excursions are rebuilt on
+// event time and stored as historical alerts without touching live state
+const backfillStates   = new Map();
+const backfillAlertIds = new Map();
+
+// Devices whose uncleared alerts have been reloaded since boot
+const restoredDevices = new Set();
+
+// Rebuild the active excursions of a device from its threshold alerts
+// that were raised in its current organization but never cleared
+// (a move leaves the old tenant's behind). The start is not stored: an
+// excursion is raised minDurationMs after it began.
+async function restoreAlertStates(device_id) {
+  if (restoredDevices.has(device_id)) return;
+
+  const open = await CargoAlert.find(
+    { device_id, org_id: orgOf(device_id), threshold: { $ne: null }, clearedAt: null, historical: { $ne: true } },
+    { alert: 1, metric: 1, threshold: 1, peak: 1, eventAt: 1 }
+  ).sort({ eventAt: 1 }).lean();
+
+  for (const alert of open) {
+    if (!ALERT_TUNING[alert.metric]) continue;
+    const key      = `${device_id}:${alert.metric}`;
+    const raisedAt = alert.eventAt.getTime();
+    alertStates.set(key, {
+      phase:      'active',
+      direction:  alert.alert.endsWith('_LOW') ? 'low' : 'high',
+      threshold:  alert.threshold,
+      since:      raisedAt - ALERT_TUNING[alert.metric].minDurationMs,
+      raisedAt,
+      notifiedAt: raisedAt,
+      peak:       alert.peak,
+    });
+    activeAlertIds.set(key, alert._id);   // newest wins
+  }
+  restoredDevices.add(device_id);
+}
+
+// Value has moved back inside the limit by at least the hysteresis band
+function isCleared(value, { direction, threshold }, hysteresis) {
+  return direction === 'high'
+    ? value <= threshold - hysteresis
+    : value >= threshold + hysteresis;
+}
+
+/**
+ * Feed one reading through the evaluator.
+ * Returns a list of { kind: 'raised'|'cleared', metric, ... } events.
+ * `now` is the reading's event time; `states` lets late readings run
+ * through a separate state machine (see backfillStates).
+ */
+function evaluateAlerts(device_id, reading, limits, now = Date.now(), states = alertStates) {
+  const events = [];
+
+  for (const metric of Object.keys(THRESHOLD_METRICS)) {
+    const value = reading[metric];
+    if (value == null) continue;
+
+    const key       = `${device_id}:${metric}`;
+    const tuning    = ALERT_TUNING[metric];
+    const violation = checkLimit(value, limits?.[metric]);
+    let   state     = states.get(key);
+
+    // ── Active excursion: clear, flip direction, or remind ──
+    if (state?.phase === 'active') {
+      // Compare against the limit in force now — the profile may have been edited
+      const bound   = limits?.[metric]?.[state.direction === 'high' ? 'max' : 'min'] ?? null;
+      const cleared = violation
+        ? violation.direction !== state.direction
+        : bound == null || isCleared(value, { direction: state.direction, threshold: bound }, tuning.hysteresis);
+
+      if (cleared) {
+        events.push({
+          kind:        'cleared',
+          metric,
+          value,
+          direction:   state.direction,
+          threshold:   state.threshold,
+          peak:        state.peak,
+          since:       new Date(state.since),
+          raisedAt:    new Date(state.raisedAt),
+          clearedAt:   new Date(now),
+          duration_ms: now - state.since,
+        });
+        states.delete(key);
+        state = undefined;
+      } else {
+        if (violation) {
+          state.peak = state.direction === 'high'
+            ? Math.max(state.peak, value)
+            : Math.min(state.peak, value);
+        }
+        if (now - state.notifiedAt >= tuning.cooldownMs) {
+          state.notifiedAt = now;
+          events.push({
+            kind:      'raised',
+            repeat:    true,
+            metric,
+            value,
+            direction: state.direction,
+            threshold: state.threshold,
+            peak:      state.peak,
+            since:     new Date(state.since),
+            message:   describeViolation(metric, value, state),
+          });
+        }
+        continue;
+      }
+    }
+
+    // ── Not (or no longer) active ──────────────────────────
+    if (!violation) {
+      states.delete(key);   // pending excursion ended before minDuration
+      continue;
+    }
+
+    if (!state || state.direction !== violation.direction) {
+      state = { phase: 'pending', ...violation, since: now, peak: value };
+      states.set(key, state);
+    } else {
+      state.threshold = violation.threshold;
+      state.peak = violation.direction === 'high'
+        ? Math.max(state.peak, value)
+        : Math.min(state.peak, value);
+    }
+
+    if (now - state.since >= tuning.minDurationMs) {
+      state.phase      = 'active';
+      state.raisedAt   = now;
+      state.notifiedAt = now;
+      events.push({
+        kind:      'raised',
+        repeat:    false,
+        metric,
+        value,
+        direction: state.direction,
+        threshold: state.threshold,
+        peak:      state.peak,
+        since:     new Date(state.since),
+        message:   describeViolation(metric, value, state),
+      });
+    }
+  }
+
+  return events;
+}
+
+// Save a freshly raised threshold alert; returns its _id (null on failure)
+async function persistThresholdAlert(context, evt) {
+  const { type, severity } = ALERT_TYPE_BY_METRIC[evt.metric];
+  try {
+    const doc = await CargoAlert.create({
+      device_id:   context.device_id,
+      org_id:      orgOf(context.device_id),
+      alert:       `${THRESHOLD_METRICS[evt.metric].label}_${evt.direction === 'high' ? 'HIGH' : 'LOW'}`,
+      type,
+      severity,
+      message:     evt.message,
+      metric:      evt.metric,
+      value:       evt.value,
+      threshold:   evt.threshold,
+      peak:        evt.peak,
+      shock_g:     context.shock_g,
+      lat:         context.lat,
+      lon:         context.lon,
+      ts:          context.ts,
+      eventAt:     context.eventAt,
+      historical:  context.historical,
+      shipment_id: context.shipment_id,
+    });
+    return doc._id;
+  } catch (err) {
+    error('MongoDB insert alert error:', err.message);
+    return null;
+  }
+}
+
+// ── Geo helpers ────────────────────────────────────────────
+const EARTH_RADIUS_M = 6_371_000;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in metres
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+          + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+// Ray casting on raw lat/lon — fine for site-sized polygons
+function pointInPolygon(lat, lon, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    const crosses = (lonI > lon) !== (lonJ > lon)
+      && lat < ((latJ - latI) * (lon - lonI)) / (lonJ - lonI) + latI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+function isInsideGeofence(lat, lon, fence) {
+  if (fence.shape === 'circle') {
+    return haversineMeters(lat, lon, fence.center.lat, fence.center.lon) <= fence.radius_m;
+  }
+  return pointInPolygon(lat, lon, fence.polygon);
+}
+
+// ── Geofence evaluator ─────────────────────────────────────
+// Active fences are cached in memory and reloaded whenever the REST
+// API changes one. Membership (device → fences it is inside) is also
+// in memory, rehydrated per device from the last stored events so a
+// restart does not re-fire "enter" for trucks already parked inside.
+// Late readings run through a separate membership, like the alert
+// evaluator's backfill state: their transitions are stored at event
+// time as historical events / alerts and never broadcast.
+let geofenceCache = [];
+const fenceMembership    = new Map();   // device_id → Map(geofence_id → enteredAt)
+const backfillMembership = new Map();   // same, for late readings
+
+async function reloadGeofences() {
+  geofenceCache = await Geofence.find({ active: true }).lean();
+  log(`Geofences loaded: ${geofenceCache.length} active`);
+}
+
+// Live membership from the last live events; backfill membership from
+// every event up to the first late reading's event time
+async function getMembership(device_id, { late = false, at = null } = {}) {
+  const cache = late ? backfillMembership : fenceMembership;
+  if (cache.has(device_id)) return cache.get(device_id);
+
+  const latest = await GeofenceEvent.aggregate([
+    { $match: late ? { device_id, at: { $lte: at } } : { device_id, historical: { $ne: true } } },
+    { $sort: { at: -1 } },
+    { $group: { _id: '$geofence_id', event: { $first: '$event' }, at: { $first: '$at' } } },
+  ]);
+  const inside = new Map(
+    latest.filter((e) => e.event === 'enter').map((e) => [String(e._id), e.at])
+  );
+  cache.set(device_id, inside);
+  return inside;
+}
+
+/**
+ * Check one position against every active fence, persist + broadcast
+ * enter/exit transitions at `eventAt`. Returns the fences the device is
+ * inside now. `late` readings go to the backfill path (see above).
+ */
+async function checkGeofences({ device_id, lat, lon, shipment_id, ts, eventAt, late = false }) {
+  if (lat == null || lon == null) return [];
+
+  const inside = await getMembership(device_id, { late, at: eventAt });
+  const now    = eventAt;
+  const org_id = orgOf(device_id);
+  const fences = new Map(
+    geofenceCache.filter((f) => String(f.org_id) === org_id).map((f) => [String(f._id), f])
+  );
+
+  // Fences deleted / deactivated since we last looked: forget silently
+  for (const id of inside.keys()) {
+    if (!fences.has(id)) inside.delete(id);
+  }
+
+  for (const [id, fence] of fences) {
+    const isIn  = isInsideGeofence(lat, lon, fence);
+    const wasIn = inside.has(id);
+    if (isIn === wasIn) continue;
+
+    const event    = isIn ? 'enter' : 'exit';
+    const dwell_ms = isIn ? null : now - inside.get(id);
+    if (isIn) inside.set(id, now); else inside.delete(id);
+
+    const payload = {
+      device_id,
+      shipment_id,
+      geofence_id:   id,
+      geofence_name: fence.name,
+      category:      fence.category,
+      event,
+      at:            now,
+      lat,
+      lon,
+      dwell_ms,
+    };
+
+    log(
+      `Device=${device_id} ${event === 'enter' ? 'entered' : 'left'} geofence "${fence.name}"` +
+      (dwell_ms != null ? ` after ${Math.round(dwell_ms / 1000)}s` : '') +
+      (late ? ` [backfill, ${now.toISOString()}]` : '')
+    );
+
+    try {
+      await GeofenceEvent.create({ ...payload, org_id, historical: late });
+    } catch (err) {
+      error('MongoDB insert geofence event error:', err.message);
+    }
+    if (!late) broadcast(`geofence:${event}`, payload);
+
+    // Location-based rule: fence configured to alert on this transition
+    if (fence.alert_on?.includes(event)) {
+      try {
+        const message = `GEOFENCE ${event.toUpperCase()}: ${fence.name}`;
+        const doc = await CargoAlert.create({
+          device_id,
+          org_id,
+          alert:    `GEOFENCE_${event.toUpperCase()}`,
+          type:     'geofence',
+          severity: 'warning',
+          message,
+          lat,
+          lon,
+          ts,
+          eventAt:    now,
+          historical: late,
+          shipment_id,
+        });
+        if (!late) broadcast('cargo:alert', { ...payload, alert_id: doc._id, message, alerts: [message] });
+      } catch (err) {
+        error('MongoDB insert alert error:', err.message);
+      }
+    }
+  }
+
+  return [...inside.keys()].map((id) => ({ _id: id, name: fences.get(id).name }));
+}
+
+// ── Route corridor evaluator ───────────────────────────────
+// Active plans are cached like geofences. Per device we keep when it
+// left the corridor, the open ROUTE_DEVIATION alert (rehydrated from
+// Mongo after a restart) and a ROUTE_ETA_WINDOW_MIN window of fixes
+// whose ground speed drives the ETA: remaining distance along the
+// route ÷ recent speed. Every live fix emits `route:status`.
+const ROUTE = {
+  etaWindowMs:  parseFloat(ROUTE_ETA_WINDOW_MIN) * 60_000,
+  minSpeedKmh:  2,         // slower than this counts as stopped → no ETA
+};
+
+let routePlanCache = [];
+const routeStates = new Map();   // device_id → { plan_id, outsideSince, alert_id, maxOffset, fixes }
+
+async function reloadRoutePlans() {
+  routePlanCache = (await RoutePlan.find({ active: true }).lean()).map((plan) => ({
+    ...plan,
+    length_m: routeLength(plan.waypoints),
+  }));
+  log(`Route plans loaded: ${routePlanCache.length} active`);
+}
+
+// Plan in effect for a reading: the shipment's first, else the device's own
+function findRoutePlan(device_id, shipment_id) {
+  const org_id = orgOf(device_id);
+  const mine   = routePlanCache.filter((p) => String(p.org_id) === org_id);
+  return (shipment_id && mine.find((p) => String(p.shipment_id) === String(shipment_id)))
+    || mine.find((p) => p.device_id === device_id)
+    || null;
+}
+
+function routeLength(waypoints) {
+  let total = 0;
+  for (let i = 1; i < waypoints.length; i++) {
+    total += haversineMeters(...waypoints[i - 1], ...waypoints[i]);
+  }
+  return total;
+}
+
+/**
+ * Closest point of the route to (lat, lon): how far off it is and how
+ * far along the route that point lies. Segments are projected onto a
+ * local equirectangular plane — accurate at corridor scale.
+ */
+function locateOnRoute(lat, lon, waypoints) {
+  const kx = 111_320 * Math.cos(toRad(lat));   // metres per degree of longitude here
+  const ky = 110_540;                          // metres per degree of latitude
+  let best  = { offset_m: Infinity, along_m: 0 };
+  let start = 0;
+
+  for (let i = 1; i < waypoints.length; i++) {
+    const [aLat, aLon] = waypoints[i - 1];
+    const [bLat, bLon] = waypoints[i];
+    const ax = (aLon - lon) * kx, ay = (aLat - lat) * ky;
+    const bx = (bLon - lon) * kx, by = (bLat - lat) * ky;
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t    = len2 ? Math.min(Math.max(-(ax * dx + ay * dy) / len2, 0), 1) : 0;
+    const offset = Math.hypot(ax + t * dx, ay + t * dy);
+    const seg    = haversineMeters(aLat, aLon, bLat, bLon);
+
+    if (offset < best.offset_m) best = { offset_m: offset, along_m: start + t * seg };
+    start += seg;
+  }
+  return best;
+}
+
+async function getRouteState(device_id, plan) {
+  let state = routeStates.get(device_id);
+  if (state?.plan_id === String(plan._id)) return state;
+
+  // New (or changed) plan: pick up a deviation alert still open for it;
+  // one raised against a previous plan stays with that plan
+  const open = await CargoAlert.findOne(
+    { device_id, alert: 'ROUTE_DEVIATION', route_id: plan._id, clearedAt: null },
+    { eventAt: 1, peak: 1 }
+  ).sort({ eventAt: -1 }).lean();
+
+  state = {
+    plan_id:      String(plan._id),
+    outsideSince: open ? open.eventAt.getTime() : null,
+    alert_id:     open?._id ?? null,
+    maxOffset:    open?.peak ?? 0,
+    fixes:        [],
+  };
+  routeStates.set(device_id, state);
+  return state;
+}
+
+// Ground speed over the recent window of fixes (km/h), null without history
+function recentSpeedKmh(fixes) {
+  if (fixes.length < 2) return null;
+  let meters = 0;
+  for (let i = 1; i < fixes.length; i++) {
+    meters += haversineMeters(fixes[i - 1].lat, fixes[i - 1].lon, fixes[i].lat, fixes[i].lon);
+  }
+  const ms = fixes[fixes.length - 1].t - fixes[0].t;
+  return ms > 0 ? (meters / ms) * 3600 : null;
+}
 
-    const records = await CargoTelemetry
-      .find({ device_id })
-      .sort({ receivedAt: -1 })
-      .limit(limit)
-      .lean();
+/**
+ * Check one live fix against the plan in effect: corridor deviation
+ * (raise after grace_s outside, clear on return) and ETA.
+ * Persists / broadcasts the alert itself; returns the route status
+ * (also broadcast as `route:status`) or null when no plan applies.
+ */
+async function checkRoute({ device_id, lat, lon, shipment_id, ts, eventAt }) {
+  if (lat == null || lon == null) return null;
+  const plan = findRoutePlan(device_id, shipment_id);
+  if (!plan) return null;
 
-    res.json({
-      device_id,
-      count:   records.length,
-      records,
-    });
-  } catch (err) {
-    error('GET /api/telemetry error:', err.message);
-    res.status(500).json({ error: 'Internal server error' });
+  const now   = eventAt.getTime();
+  const state = await getRouteState(device_id, plan);
+  const { offset_m, along_m } = locateOnRoute(lat, lon, plan.waypoints);
+  const inside = offset_m <= plan.corridor_m;
+
+  state.fixes.push({ t: now, lat, lon });
+  while (state.fixes.length && state.fixes[0].t < now - ROUTE.etaWindowMs) state.fixes.shift();
+
+  // ── Corridor ──────────────────────────────────────────
+  if (!inside) {
+    state.outsideSince ??= now;
+    state.maxOffset = Math.max(state.maxOffset, offset_m);
+
+    if (!state.alert_id && now - state.outsideSince >= plan.grace_s * 1000) {
+      const message = `ROUTE DEVIATION: ${(offset_m / 1000).toFixed(2)} km off "${plan.name}"`
+        + ` for ${Math.round((now - state.outsideSince) / 1000)}s`;
+      CRITICAL(`Device=${device_id} | ${message} | lat=${lat} lon=${lon}`);
+      try {
+        const alert = await CargoAlert.create({
+          device_id,
+          org_id:    orgOf(device_id),
+          alert:     'ROUTE_DEVIATION',
+          type:      'route',
+          severity:  'critical',
+          metric:    'route',
+          message,
+          value:     Math.round(offset_m),
+          threshold: plan.corridor_m,
+          lat,
+          lon,
+          ts,
+          eventAt:   new Date(state.outsideSince),
+          shipment_id,
+          route_id:  plan._id,
+        });
+        state.alert_id = alert._id;
+        broadcast('cargo:alert', {
+          device_id,
+          shipment_id,
+          alert_id: alert._id,
+          type:     'route',
+          metric:   'route',
+          route_id: state.plan_id,
+          message,
+          alerts:   [message],
+          offset_m: Math.round(offset_m),
+          lat,
+          lon,
+          ts,
+          receivedAt: new Date().toISOString(),
+        });
+      } catch (err) {
+        error('MongoDB insert alert error:', err.message);
+      }
+    }
+  } else if (state.outsideSince != null) {
+    const duration_ms = now - state.outsideSince;
+    const peak        = Math.round(state.maxOffset);
+    if (state.alert_id) {
+      log(`Device=${device_id} | back on route "${plan.name}" after ${Math.round(duration_ms / 1000)}s`);
+      const alert_id = state.alert_id;
+      await CargoAlert.updateOne({ _id: alert_id }, { clearedAt: eventAt, duration_ms, peak });
+      broadcast('cargo:alert_cleared', { device_id, shipment_id, alert_id, metric: 'route', duration_ms, peak });
+    }
+    state.outsideSince = null;
+    state.alert_id     = null;
+    state.maxOffset    = 0;
   }
-});
 
-// ─────────────────────────────────────────────────────────────
-//  REST API — GET /api/alerts/:device_id
-//  Returns the latest 50 shock alerts for a device.
-// ─────────────────────────────────────────────────────────────
-app.get('/api/alerts/:device_id', async (req, res) => {
-  try {
-    const { device_id } = req.params;
-    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  // ── ETA from recent speed ─────────────────────────────
+  const remaining_m = Math.max(plan.length_m - along_m, 0);
+  const speed_kmh   = recentSpeedKmh(state.fixes);
+  const arrived     = remaining_m <= plan.corridor_m;
+  const eta_ms      = !arrived && speed_kmh >= ROUTE.minSpeedKmh
+    ? Math.round((remaining_m / 1000 / speed_kmh) * 3_600_000)
+    : null;
 
-    const alerts = await CargoAlert
-      .find({ device_id })
-      .sort({ receivedAt: -1 })
-      .limit(limit)
-      .lean();
+  const status = {
+    device_id,
+    shipment_id,
+    route_id:      state.plan_id,
+    name:          plan.name,
+    status:        arrived ? 'arrived' : state.alert_id ? 'deviated' : inside ? 'on_route' : 'off_route',
+    offset_m:      Math.round(offset_m),
+    corridor_m:    plan.corridor_m,
+    outside_since: state.outsideSince != null ? new Date(state.outsideSince) : null,
+    alert_id:      state.alert_id,
+    progress:      plan.length_m ? Number((along_m / plan.length_m).toFixed(3)) : 1,
+    remaining_m:   Math.round(remaining_m),
+    speed_kmh:     speed_kmh != null ? Number(speed_kmh.toFixed(1)) : null,
+    eta_ms,
+    eta:           eta_ms != null ? new Date(now + eta_ms) : arrived ? eventAt : null,
+    at:            eventAt,
+  };
+  state.last = status;
+  broadcast('route:status', status);
+  return status;
+}
 
-    res.json({ device_id, count: alerts.length, alerts });
-  } catch (err) {
-    error('GET /api/alerts error:', err.message);
-    res.status(500).json({ error: 'Internal server error' });
+// ── Door tracker ───────────────────────────────────────────
+// Turns per-packet `door_open` into DoorEvent open/close records and
+// raises a 'door' alert when the door opens inside a seal window or
+// stays open longer than DOOR_OPEN_MAX_S, all on event time. The open
+// event per device is cached in memory and rehydrated from Mongo after a
+// restart. Late readings keep their own open event (starting closed)
+// and produce historical door events / alerts that are not broadcast.
+const DOOR_OPEN_MAX_MS = parseFloat(DOOR_OPEN_MAX_S) * 1000;
+const openDoors     = new Map();   // device_id → DoorEvent (lean) | null
+const backfillDoors = new Map();   // same, for late readings
+
+async function getOpenDoor(device_id, late = false) {
+  if (late) return backfillDoors.get(device_id) ?? null;
+  if (!openDoors.has(device_id)) {
+    const open = await DoorEvent
+      .findOne({ device_id, org_id: orgOf(device_id), closedAt: null, historical: { $ne: true } })
+      .sort({ openedAt: -1 })
+      .lean();
+    openDoors.set(device_id, open);
   }
-});
+  return openDoors.get(device_id);
+}
 
-// ─────────────────────────────────────────────────────────────
-//  REST API — GET /api/devices
-//  Returns unique list of device IDs seen in the last 24h.
-// ─────────────────────────────────────────────────────────────
-app.get('/api/devices', async (_req, res) => {
+async function isSealed(device_id, at) {
+  return !!(await DoorSeal.exists({
+    device_id,
+    org_id: orgOf(device_id),
+    from: { $lte: at },
+    $or:  [{ to: null }, { to: { $gt: at } }],
+  }));
+}
+
+async function raiseDoorAlert(door, { code, message, severity, ts, eventAt, late }) {
+  if (late) {
+    warn(`Device=${door.device_id} | past door event at ${eventAt.toISOString()}: ${message}`);
+  } else {
+    CRITICAL(`Device=${door.device_id} | ${message} | lat=${door.lat} lon=${door.lon}`);
+  }
   try {
-    const since   = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const devices = await CargoTelemetry.distinct('device_id', {
-      receivedAt: { $gte: since },
+    const alert = await CargoAlert.create({
+      device_id:   door.device_id,
+      org_id:      orgOf(door.device_id),
+      alert:       code,
+      type:        'door',
+      severity,
+      message,
+      lat:         door.lat,
+      lon:         door.lon,
+      ts,
+      eventAt,
+      historical:  late,
+      shipment_id: door.shipment_id,
+    });
+    door.alert_id = alert._id;
+    await DoorEvent.updateOne({ _id: door._id }, { alert_id: alert._id });
+    if (late) return;
+    broadcast('cargo:alert', {
+      device_id:   door.device_id,
+      shipment_id: door.shipment_id,
+      alert_id:    alert._id,
+      type:        'door',
+      message,
+      alerts:      [message],
+      lat:         door.lat,
+      lon:         door.lon,
+      ts,
+      receivedAt:  new Date().toISOString(),
     });
-    res.json({ count: devices.length, devices });
   } catch (err) {
-    error('GET /api/devices error:', err.message);
-    res.status(500).json({ error: 'Internal server error' });
+    error('MongoDB insert alert error:', err.message);
   }
-});
-
-// ═════════════════════════════════════════════════════════════
-//  3. MQTT CLIENT
-// ═════════════════════════════════════════════════════════════
-let mqttConnected = false;
+}
 
-/**
- * Build TLS options for MQTTS connections.
- * Loads CA cert from disk if MQTT_CA_CERT_PATH is set.
- */
-function buildMqttOptions() {
-  const opts = {
-    clientId:             `cargo-backend-${Math.random().toString(16).slice(2, 8)}`,
-    clean:                true,
-    reconnectPeriod:      5_000,
-    connectTimeout:       30_000,
-    keepalive:            60,
-    rejectUnauthorized:   true,   // Always verify broker cert in production
-  };
+async function trackDoor({ device_id, door_open, lat, lon, shipment_id, ts, eventAt, late = false }) {
+  const now   = eventAt;
+  const doors = late ? backfillDoors : openDoors;
+  const door  = await getOpenDoor(device_id, late);
+  const tag   = late ? ` [backfill, ${now.toISOString()}]` : '';
 
-  if (MQTT_USERNAME) opts.username = MQTT_USERNAME;
-  if (MQTT_PASSWORD) opts.password = MQTT_PASSWORD;
+  // ── closed → open ──────────────────────────────────────
+  if (door_open && !door) {
+    const sealed = await isSealed(device_id, now);
+    const doc = (await DoorEvent.create({
+      device_id, org_id: orgOf(device_id), openedAt: now, lat, lon, sealed, shipment_id, historical: late,
+    })).toObject();
+    doors.set(device_id, doc);
 
-  // Load CA cert for MQTTS
-  if (MQTT_BROKER_URL.startsWith('mqtts://') || MQTT_BROKER_URL.startsWith('ssl://')) {
-    if (MQTT_CA_CERT_PATH) {
-      const certPath = path.resolve(MQTT_CA_CERT_PATH);
-      if (fs.existsSync(certPath)) {
-        opts.ca = fs.readFileSync(certPath);
-        log(`MQTT TLS: loaded CA from ${certPath}`);
-      } else {
-        warn(`MQTT TLS: CA cert not found at ${certPath} — using system CAs`);
-      }
+    log(`Device=${device_id} door OPENED${sealed ? ' (SEALED)' : ''}${tag}`);
+    if (!late) broadcast('door:opened', doc);
+    if (sealed) {
+      await raiseDoorAlert(doc, {
+        code:     'DOOR_OPENED_SEALED',
+        message:  'UNAUTHORIZED DOOR OPENING: container is sealed',
+        severity: 'critical',
+        ts,
+        eventAt:  now,
+        late,
+      });
     }
-    // For dev with self-signed certs uncomment next line:
-    // opts.rejectUnauthorized = false;
+    return;
   }
 
-  return opts;
+  // ── open → closed ──────────────────────────────────────
+  if (!door_open && door) {
+    const closedAt    = now;
+    const duration_ms = closedAt - new Date(door.openedAt);
+    await DoorEvent.updateOne({ _id: door._id }, { closedAt, duration_ms });
+    doors.set(device_id, null);
+
+    log(`Device=${device_id} door CLOSED after ${Math.round(duration_ms / 1000)}s${tag}`);
+    if (!late) broadcast('door:closed', { ...door, closedAt, duration_ms });
+    return;
+  }
+
+  // ── still open: too long? (one alert per opening) ──────
+  if (door_open && door && !door.alert_id && now - new Date(door.openedAt) > DOOR_OPEN_MAX_MS) {
+    await raiseDoorAlert(door, {
+      code:     'DOOR_OPEN_TOO_LONG',
+      message:  `DOOR OPEN TOO LONG: open for ${Math.round((now - new Date(door.openedAt)) / 1000)}s`,
+      severity: 'warning',
+      ts,
+      eventAt:  now,
+      late,
+    });
+  }
 }
 
-// ── Topic subscription map ─────────────────────────────────────
-// Subscribes to wildcard topic that covers all device IDs:
-//   cargo/+/telemetry  → individual device telemetry
-//   cargo/alert/shock  → shock alerts published by devices directly
-const SUBSCRIBE_TOPICS = {
-  'cargo/+/telemetry': { qos: 1 },
-  'cargo/alert/shock': { qos: 1 },
-  // Also cover the flat topic pattern used by hivemq_random_data.py
-  'cargo/telemetry':   { qos: 1 },
+// ── Battery forecaster ─────────────────────────────────────
+// Keeps a per-device window of (eventAt, level) samples and fits a
+// least-squares line through them: the slope is the drain rate and
+// level / rate is the time to empty. A LOW_BATTERY alert is raised once
+// per discharge when the level drops to BATTERY_LOW_PCT or the battery is
+// forecast to die within BATTERY_ALERT_LEAD_H — early enough to swap the
+// tracker. A jump of BATTERY_SWAP_JUMP_PCT or more means a swap / recharge:
+// the window is reset and any open alert is cleared.
+const BATTERY = {
+  lowPct:       parseFloat(BATTERY_LOW_PCT),
+  leadMs:       parseFloat(BATTERY_ALERT_LEAD_H) * 3_600_000,
+  windowMs:     parseFloat(BATTERY_WINDOW_H) * 3_600_000,
+  sampleMs:     60_000,    // keep at most one sample per minute
+  minSamples:   5,
+  minSpanMs:    10 * 60_000,
+  swapJumpPct:  10,
+  hysteresis:   5,         // % above lowPct before a low alert clears
 };
 
-function connectMqtt() {
-  log(`MQTT connecting → ${MQTT_BROKER_URL}`);
-  const mqttClient = mqtt.connect(MQTT_BROKER_URL, buildMqttOptions());
+// device_id → { samples: [{ t, level }], alert_id, raisedAt, lowest }
+const batteryStates = new Map();
 
-  // ── Event: connected ────────────────────────────────────
-  mqttClient.on('connect', () => {
-    mqttConnected = true;
-    log('MQTT connected ✓');
+/**
+ * Drain-rate forecast from oldest-first { t (ms), level (%) } samples.
+ * Returns null until there is enough history to fit a slope.
+ * time_to_empty_ms is null when the battery is not discharging.
+ */
+function forecastBattery(samples, now = Date.now()) {
+  if (samples.length < BATTERY.minSamples) return null;
+  const t0   = samples[0].t;
+  const span = samples[samples.length - 1].t - t0;
+  if (span < BATTERY.minSpanMs) return null;
 
-    mqttClient.subscribe(SUBSCRIBE_TOPICS, (err, granted) => {
-      if (err) {
-        error('MQTT subscribe error:', err.message);
-        return;
-      }
-      granted.forEach(({ topic, qos }) =>
-        log(`MQTT subscribed → ${topic}  (QoS ${qos})`)
-      );
-    });
-  });
+  const n = samples.length;
+  let sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (const { t, level } of samples) {
+    const x = (t - t0) / 3_600_000;   // hours since the first sample
+    sx += x; sy += level; sxx += x * x; sxy += x * level;
+  }
+  const slope = (n * sxy - sx * sy) / (n * sxx - sx * sx);   // %/h
+  const level = samples[n - 1].level;
+  const drain_pct_per_h = Math.round(-slope * 1000) / 1000;
 
-  // ── Event: message ──────────────────────────────────────
-  mqttClient.on('message', (topic, rawPayload) => {
-    handleMessage(topic, rawPayload);
-  });
+  const time_to_empty_ms = drain_pct_per_h > 0
+    ? Math.round((level / drain_pct_per_h) * 3_600_000)
+    : null;
 
-  // ── Event: lifecycle ────────────────────────────────────
-  mqttClient.on('reconnect',   () => { mqttConnected = false; warn('MQTT reconnecting...'); });
-  mqttClient.on('offline',     () => { mqttConnected = false; warn('MQTT offline');         });
-  mqttClient.on('close',       () => { mqttConnected = false; log('MQTT connection closed');});
-  mqttClient.on('error',       (err) => error('MQTT error:', err.message));
+  return {
+    level,
+    drain_pct_per_h,
+    time_to_empty_ms,
+    empty_at: time_to_empty_ms != null ? new Date(now + time_to_empty_ms) : null,
+    samples:  n,
+    window_ms: span,
+  };
+}
 
-  return mqttClient;
+// Add a sample (one per sampleMs) and drop anything outside the window
+function pushBatterySample(samples, t, level) {
+  const last = samples[samples.length - 1];
+  if (last && t - last.t < BATTERY.sampleMs) {
+    last.level = level;   // same minute: keep the freshest reading
+  } else {
+    samples.push({ t, level });
+  }
+  while (samples.length && samples[0].t < t - BATTERY.windowMs) samples.shift();
 }
 
-// ─────────────────────────────────────────────────────────────
-//  Message Handler — parse, validate, alert, persist, broadcast
-// ─────────────────────────────────────────────────────────────
-async function handleMessage(topic, rawPayload) {
-  // ── 1. Parse JSON ────────────────────────────────────────
-  let data;
-  try {
-    data = JSON.parse(rawPayload.toString('utf8'));
-  } catch {
-    warn(`MQTT [${topic}] invalid JSON — skipping`);
-    return;
+// In-memory state, rehydrated from Mongo after a restart
+async function getBatteryState(device_id, now = Date.now()) {
+  let state = batteryStates.get(device_id);
+  if (state) return state;
+
+  const [docs, open] = await Promise.all([
+    CargoTelemetry
+      .find(
+        { device_id, battery: { $ne: null }, eventAt: { $gte: new Date(now - BATTERY.windowMs) } },
+        { eventAt: 1, battery: 1 }
+      )
+      .sort({ eventAt: 1 })
+      .lean(),
+    CargoAlert.findOne({ device_id, org_id: orgOf(device_id), type: 'battery', clearedAt: null }, { eventAt: 1, value: 1 }).lean(),
+  ]);
+
+  state = {
+    samples:  [],
+    alert_id: open?._id ?? null,
+    raisedAt: open ? open.eventAt.getTime() : null,
+    lowest:   open?.value ?? null,
+  };
+  for (const d of docs) pushBatterySample(state.samples, d.eventAt.getTime(), d.battery);
+  batteryStates.set(device_id, state);
+  return state;
+}
+
+/**
+ * Feed one battery reading through the forecaster.
+ * Returns { forecast, raised?, cleared? } for the caller to persist / broadcast.
+ */
+async function trackBattery(device_id, level, now = Date.now()) {
+  const state = await getBatteryState(device_id, now);
+  const prev  = state.samples[state.samples.length - 1];
+  const result = {};
+
+  // Swap or recharge: old discharge curve no longer applies
+  if (prev && level - prev.level >= BATTERY.swapJumpPct) {
+    log(`Device=${device_id} battery ${prev.level}% → ${level}% — swap/recharge detected`);
+    state.samples = [];
   }
+  pushBatterySample(state.samples, now, level);
 
-  log(`MQTT RX [${topic}]`, JSON.stringify(data));
+  const forecast = forecastBattery(state.samples, now);
+  result.forecast = forecast;
 
-  // ── 2. Route by topic ────────────────────────────────────
-  const isShockAlert = topic.endsWith('shock') || data.alert === 'SHOCK_DETECTED';
+  const dyingSoon = forecast?.time_to_empty_ms != null && forecast.time_to_empty_ms <= BATTERY.leadMs;
+  const isLow     = level <= BATTERY.lowPct;
 
-  if (isShockAlert) {
-    await handleShockAlert(topic, data);
-    return;
+  if (!state.alert_id) {
+    if (isLow || dyingSoon) {
+      const message = isLow
+        ? `LOW BATTERY: ${level}% (≤ ${BATTERY.lowPct}%)`
+          + (forecast?.time_to_empty_ms != null ? `, empty in ~${Math.round(forecast.time_to_empty_ms / 3_600_000)}h` : '')
+        : `LOW BATTERY: ${level}%, forecast empty in ~${Math.round(forecast.time_to_empty_ms / 3_600_000)}h`;
+      state.raisedAt = now;
+      state.lowest   = level;
+      result.raised  = { message, value: level, threshold: BATTERY.lowPct };
+    }
+    return result;
   }
 
-  await handleTelemetry(topic, data);
+  state.lowest = Math.min(state.lowest ?? level, level);
+  const recovered = level >= BATTERY.lowPct + BATTERY.hysteresis
+    && (forecast?.time_to_empty_ms == null || forecast.time_to_empty_ms > BATTERY.leadMs);
+  if (recovered) {
+    result.cleared = {
+      alert_id:    state.alert_id,
+      clearedAt:   new Date(now),
+      duration_ms: now - state.raisedAt,
+      peak:        state.lowest,
+    };
+    state.alert_id = null;
+    state.raisedAt = null;
+    state.lowest   = null;
+  }
+  return result;
 }
 
-// ── Payload normalizer ────────────────────────────────────
-// Accepts both firmware format AND legacy simulator format:
-//   Firmware : { temp, hum, shock_g, ts, lat, lon, door_open, device_id }
-//   Simulator: { temperature, timestamp, location:{lat,lon}, battery, device_id }
-function normalizePayload(raw) {
-  const temp    = raw.temp    ?? raw.temperature    ?? null;
-  const hum     = raw.hum     ?? raw.humidity       ?? 0;     // not in simulator — default 0
-  const shock_g = raw.shock_g ?? raw.shock          ?? 0;     // not in simulator — default 0
-  const lat     = raw.lat     ?? raw.location?.lat  ?? null;
-  const lon     = raw.lon     ?? raw.location?.lon  ?? null;
-  const door_open = raw.door_open ?? false;
-  const battery   = raw.battery   ?? null;  // store simulator extra field
+// ── Clock reconciliation ───────────────────────────────────
+// `ts` is either epoch ms (simulator, RTC/NTP firmware) or millis()
+// since boot (current firmware). Epoch values are trusted unless they
+// are in the future. Uptime values are mapped through a per-device
+// offset — the server time at which the device booted — estimated as
+// the smallest (receivedAt − ts) seen since boot: network and SD-buffer
+// delays only ever make that difference larger, so the minimum is the
+// best estimate. Uptime going backwards by more than
+// rebootToleranceMs means a reboot and restarts the estimate.
+//
+// Limitation: the first reading after a reboot fixes the offset, so if
+// it is itself a buffered one, event times run late until a live
+// reading arrives and pulls the estimate down.
+const CLOCK = {
+  epochFloorMs:      1e12,   // ≈ Sep 2001 — anything smaller is uptime
+  maxFutureMs:       parseFloat(CLOCK_MAX_SKEW_S) * 1000,
+  lateMs:            parseFloat(LATE_DATA_THRESHOLD_S) * 1000,
+  rebootToleranceMs: 60_000,
+};
 
-  // Normalise timestamp: ISO string → epoch ms, or pass-through number
-  let ts = raw.ts ?? raw.timestamp ?? null;
-  if (typeof ts === 'string') ts = new Date(ts).getTime();
+// device_id → { offset (ms), lastUptime (ms) }
+const clockOffsets = new Map();
 
-  return { device_id: raw.device_id, temp, hum, shock_g, lat, lon, door_open, battery, ts };
-}
+async function getClockOffset(device_id) {
+  if (clockOffsets.has(device_id)) return clockOffsets.get(device_id);
 
-// ── Telemetry handler ──────────────────────────────────────
-async function handleTelemetry(topic, raw) {
-  const data = normalizePayload(raw);
+  // Rehydrate from the last uptime-stamped reading after a restart
+  const last = await CargoTelemetry
+    .findOne({ device_id, ts_source: 'uptime' }, { ts: 1, eventAt: 1 })
+    .sort({ receivedAt: -1 })
+    .lean();
+  const clock = last ? { offset: last.eventAt.getTime() - last.ts, lastUptime: last.ts } : null;
+  clockOffsets.set(device_id, clock);
+  return clock;
+}
 
-  // Validate required fields after normalization
-  const { device_id, temp, hum, shock_g, ts } = data;
+/**
+ * Device `ts` → { eventAt, ts_source, lag_ms, late }.
+ * ts_source: 'epoch' (device clock), 'uptime' (offset-corrected) or
+ * 'server' (device clock unusable, receive time used instead).
+ */
+async function resolveEventTime(device_id, ts, receivedAt = new Date()) {
+  const now   = receivedAt.getTime();
+  const stamp = (t, ts_source) => ({
+    eventAt: new Date(t),
+    ts_source,
+    lag_ms:  now - t,
+    late:    now - t > CLOCK.lateMs,
+  });
 
-  if (!device_id || temp == null || ts == null) {
-    warn(`Telemetry payload missing required fields from [${topic}]:`, raw);
-    return;
+  if (ts >= CLOCK.epochFloorMs) {
+    if (ts > now + CLOCK.maxFutureMs) {
+      warn(`Device=${device_id} clock ${Math.round((ts - now) / 1000)}s ahead — using server time`);
+      return stamp(now, 'server');
+    }
+    return stamp(Math.min(ts, now), 'epoch');
   }
 
-  // ── 3. Alert Logic ────────────────────────────────────────
-  const alerts = [];
-  if (temp > TEMP_THRESHOLD) {
-    alerts.push(`TEMPERATURE EXCEEDED: ${temp}°C > threshold ${TEMP_THRESHOLD}°C`);
+  let clock = await getClockOffset(device_id);
+  const candidate = now - ts;
+  if (!clock || ts < clock.lastUptime - CLOCK.rebootToleranceMs) {
+    if (clock) log(`Device=${device_id} uptime went backwards — reboot, clock offset reset`);
+    clock = { offset: candidate, lastUptime: ts };
+    clockOffsets.set(device_id, clock);
+  } else {
+    clock.offset     = Math.min(clock.offset, candidate);
+    clock.lastUptime = Math.max(clock.lastUptime, ts);
   }
-  if (shock_g > SHOCK_THRESHOLD) {
-    alerts.push(`SHOCK EXCEEDED: ${shock_g}G > threshold ${SHOCK_THRESHOLD}G`);
+  return stamp(clock.offset + ts, 'uptime');
+}
+
+// ── Telemetry handler ──────────────────────────────────────
+// `data` is a canonical reading from the decoder registry: required
+// fields are present and every optional one has its default.
+//
+// Late readings (SD-buffer backfill, replays) are stored with their
+// event time and run through the backfill evaluators: excursions,
+// geofence and door transitions become historical records, and nothing
+// is broadcast live — no CRITICAL log, no battery transitions, no
+// position update.
+async function handleTelemetry(topic, data) {
+  const { device_id, temp, hum, shock_g, ts } = data;
+  const receivedAt = new Date();
+  const clock      = await resolveEventTime(device_id, ts, receivedAt);
+  const { eventAt, late } = clock;
+
+  // Tag the reading with whichever trip the tracker was on at event time,
+  // then pick the limits that apply to this device / cargo
+  let shipment = null;
+  let profile  = DEFAULT_PROFILE;
+  try {
+    shipment = await findActiveShipment(device_id, eventAt);
+    profile  = await resolveThresholds(device_id, shipment);
+  } catch (err) {
+    error('Shipment/threshold lookup error:', err.message);
   }
-  if (alerts.length > 0) {
-    alerts.forEach((msg) =>
-      CRITICAL(`Device=${device_id} | ${msg} | lat=${data.lat} lon=${data.lon} | ts=${ts}`)
-    );
-    // Broadcast a dedicated alert event to the frontend
-    broadcast('cargo:alert', {
-      device_id,
-      alerts,
-      temp,
-      shock_g,
-      lat:  data.lat  ?? null,
-      lon:  data.lon  ?? null,
-      ts,
-      receivedAt: new Date().toISOString(),
-    });
+  try {
+    await restoreAlertStates(device_id);
+  } catch (err) {
+    error('Alert state reload error:', err.message);   // retried on the next reading
   }
+  const shipment_id = shipment?._id ?? null;
 
-  // ── 4. Persist to MongoDB ────────────────────────────────
+  // ── 3. Persist to MongoDB ────────────────────────────────
+  // Before any alert: a reading that fails to store goes to the dead
+  // letter and is evaluated when it is replayed, so its alerts must not
+  // exist yet
   try {
     await CargoTelemetry.create({
       device_id,
+      org_id:    orgOf(device_id),
       temp,
       hum,
       shock_g,
       lat:       data.lat       ?? null,
       lon:       data.lon       ?? null,
       door_open: data.door_open ?? false,
+      battery:   data.battery   ?? null,
+      battery_v: data.battery_v ?? null,
       ts,
+      ...clock,
+      receivedAt,
       topic,
+      shipment_id,
     });
   } catch (err) {
     error('MongoDB insert telemetry error:', err.message);
+    throw err;   // → dead letter
+  }
+
+  // ── 4. Alert Logic ────────────────────────────────────────
+  const states    = late ? backfillStates   : alertStates;
+  const activeIds = late ? backfillAlertIds : activeAlertIds;
+  const alertEvents = evaluateAlerts(
+    device_id, { temp, hum, shock_g }, profile.limits, eventAt.getTime(), states
+  );
+  for (const evt of alertEvents) {
+    const { kind, ...detail } = evt;
+    const context = {
+      device_id,
+      shipment_id,
+      profile: profile.name,
+      temp,
+      hum,
+      shock_g,
+      lat:  data.lat  ?? null,
+      lon:  data.lon  ?? null,
+      ts,
+      eventAt,
+      historical: late,
+      receivedAt: receivedAt.toISOString(),
+    };
+
+    const stateKey = `${device_id}:${evt.metric}`;
+
+    if (kind === 'raised') {
+      if (late) {
+        warn(`Device=${device_id} | past excursion at ${eventAt.toISOString()}: ${evt.message}`);
+      } else {
+        CRITICAL(
+          `Device=${device_id} | ${evt.message}${evt.repeat ? ' (still active)' : ''} | ` +
+          `lat=${data.lat} lon=${data.lon} | ts=${ts}`
+        );
+      }
+      const alert_id = evt.repeat
+        ? activeIds.get(stateKey) ?? null
+        : await persistThresholdAlert(context, evt);
+      if (alert_id) activeIds.set(stateKey, alert_id);
+
+      // Broadcast a dedicated alert event to the frontend
+      if (!late) broadcast('cargo:alert', { ...context, ...detail, alert_id, alerts: [evt.message] });
+    } else {
+      log(
+        `Device=${device_id} | ${THRESHOLD_METRICS[evt.metric].label} back in range ` +
+        `after ${Math.round(evt.duration_ms / 1000)}s (peak ${evt.peak})${late ? ' [backfill]' : ''}`
+      );
+      const alert_id = activeIds.get(stateKey) ?? null;
+      activeIds.delete(stateKey);
+      if (alert_id) {
+        CargoAlert.updateOne(
+          { _id: alert_id },
+          { clearedAt: evt.clearedAt, duration_ms: evt.duration_ms, peak: evt.peak }
+        ).catch((err) => error('MongoDB update alert error:', err.message));
+      }
+      if (!late) broadcast('cargo:alert_cleared', { ...context, ...detail, alert_id });
+    }
+  }
+
+  // Geofence / door transitions on event time; backfill ones stay historical
+  const position = { device_id, lat: data.lat ?? null, lon: data.lon ?? null, shipment_id, ts, eventAt, late };
+  let geofences = [];
+  try {
+    geofences = await checkGeofences(position);
+  } catch (err) {
+    error('Geofence check error:', err.message);
+  }
+
+  // Door open / close transitions, sealed & open-too-long alerts
+  try {
+    await trackDoor({ ...position, door_open: data.door_open ?? false });
+  } catch (err) {
+    error('Door tracking error:', err.message);
+  }
+
+  // Backfill: stored and evaluated — the device is alive, nothing else is live
+  if (late) {
+    log(`Device=${device_id} late reading stored (event ${eventAt.toISOString()}, lag ${Math.round(clock.lag_ms / 1000)}s)`);
+    await touchDevice(device_id, { firmware_version: data.firmware_version });
     return;
   }
 
-  // ── 5. Broadcast to all WebSocket clients ─────────────────
+  // Planned route: corridor deviation + ETA (persisted + broadcast inside)
+  try {
+    await checkRoute({ device_id, lat: data.lat, lon: data.lon, shipment_id, ts, eventAt });
+  } catch (err) {
+    error('Route check error:', err.message);
+  }
+
+  // Battery drain forecast + low-battery alert
+  let battery_forecast = null;
+  if (data.battery != null) {
+    try {
+      const { forecast, raised, cleared } = await trackBattery(device_id, data.battery, eventAt.getTime());
+      battery_forecast = forecast;
+
+      if (raised) {
+        warn(`Device=${device_id} | ${raised.message}`);
+        const alert = await CargoAlert.create({
+          device_id,
+          org_id:   orgOf(device_id),
+          alert:    'LOW_BATTERY',
+          type:     'battery',
+          severity: 'warning',
+          metric:   'battery',
+          ...raised,
+          lat:      data.lat ?? null,
+          lon:      data.lon ?? null,
+          ts,
+          eventAt,
+          shipment_id,
+        });
+        batteryStates.get(device_id).alert_id = alert._id;
+        broadcast('cargo:alert', {
+          device_id,
+          shipment_id,
+          alert_id: alert._id,
+          type:     'battery',
+          metric:   'battery',
+          ...raised,
+          forecast,
+          alerts:   [raised.message],
+          lat:      data.lat ?? null,
+          lon:      data.lon ?? null,
+          ts,
+          receivedAt: new Date().toISOString(),
+        });
+      }
+
+      if (cleared) {
+        log(`Device=${device_id} | battery back at ${data.battery}% — low-battery alert cleared`);
+        const { alert_id, ...detail } = cleared;
+        await CargoAlert.updateOne({ _id: alert_id }, detail);
+        broadcast('cargo:alert_cleared', { device_id, shipment_id, alert_id, metric: 'battery', ...detail });
+      }
+    } catch (err) {
+      error('Battery tracking error:', err.message);
+    }
+  }
+
+  await touchDevice(device_id, {
+    lat:              data.lat,
+    lon:              data.lon,
+    firmware_version: data.firmware_version,
+  });
+  lastReadings.set(device_id, {
+    temp,
+    hum,
+    shock_g,
+    door_open: data.door_open ?? false,
+    battery:   data.battery   ?? null,
+    eventAt,
+  });
+
+  // ── 5. Broadcast to the device's subscribers ──────────────
   broadcast('cargo:telemetry', {
     device_id,
+    shipment_id,
+    geofences,
     temp,
     hum,
     shock_g,
     lat:       data.lat       ?? null,
     lon:       data.lon       ?? null,
     door_open: data.door_open ?? false,
+    battery:   data.battery   ?? null,
+    battery_v: data.battery_v ?? null,
+    battery_forecast,
     ts,
-    receivedAt: new Date().toISOString(),
+    eventAt:    eventAt.toISOString(),
+    receivedAt: receivedAt.toISOString(),
   });
 }
 
+// ── Downlink command replies + timeouts ────────────────────
+const COMMAND_TIMEOUT_MS = parseFloat(COMMAND_TIMEOUT_S) * 1000;
+let commandSweepTimer = null;
+
+// Device answered on cargo/<id>/cmd/reply — settle the pending command
+async function handleCommandReply(topic, data) {
+  const { device_id, command_id, status, result, error: reason } = data;
+
+  const cmd = await DeviceCommand.findOneAndUpdate(
+    { command_id, device_id, status: 'pending' },
+    {
+      status:    status === 'ok' ? 'acked' : 'failed',
+      repliedAt: new Date(),
+      result,
+      error:     reason,
+    },
+    { new: true }
+  ).lean();
+
+  await touchDevice(device_id);
+
+  if (!cmd) {
+    warn(`Device=${device_id} reply for unknown or already settled command ${command_id}`);
+    return;
+  }
+
+  log(`Device=${device_id} command ${cmd.command} ${cmd.status}${reason ? `: ${reason}` : ''}`);
+
+  if (cmd.command === 'set_interval' && cmd.status === 'acked') {
+    await applyReportedInterval(device_id, cmd.params.interval_s);
+  }
+
+  broadcast('command:updated', cmd);
+}
+
+// Pending commands past their expiresAt → timed_out
+async function expireCommands(now = new Date()) {
+  const expired = await DeviceCommand.find({ status: 'pending', expiresAt: { $lte: now } }).lean();
+  for (const cmd of expired) {
+    const { modifiedCount } = await DeviceCommand.updateOne(
+      { _id: cmd._id, status: 'pending' },
+      { status: 'timed_out' }
+    );
+    if (!modifiedCount) continue;   // reply landed in between
+    warn(`Device=${cmd.device_id} command ${cmd.command} (${cmd.command_id}) timed out`);
+    broadcast('command:updated', { ...cmd, status: 'timed_out' });
+  }
+}
+
+function startCommandSweeper() {
+  commandSweepTimer = setInterval(() => {
+    expireCommands().catch((err) => error('Command sweep error:', err.message));
+  }, 5_000);
+}
+
 // ── Shock alert handler ────────────────────────────────────
+// A late shock (buffered on the SD card) is stored as a historical alert
 async function handleShockAlert(topic, data) {
   const { device_id, shock_g, ts } = data;
+  const receivedAt = new Date();
+  const { eventAt, late } = await resolveEventTime(device_id, ts, receivedAt);
 
-  if (!device_id || shock_g == null || ts == null) {
-    warn(`Shock alert missing fields from [${topic}]:`, data);
-    return;
+  if (late) {
+    warn(`Device=${device_id} | past shock ${shock_g}G at ${eventAt.toISOString()}`);
+  } else {
+    CRITICAL(
+      `SHOCK ALERT from Device=${device_id} | ${shock_g}G | ` +
+      `lat=${data.lat ?? 'N/A'} lon=${data.lon ?? 'N/A'} | ts=${ts}`
+    );
   }
 
-  CRITICAL(
-    `SHOCK ALERT from Device=${device_id} | ${shock_g}G | ` +
-    `lat=${data.lat ?? 'N/A'} lon=${data.lon ?? 'N/A'} | ts=${ts}`
-  );
-
+  let shipment_id = null;
+  let alert_id    = null;
   try {
-    await CargoAlert.create({
+    shipment_id = (await findActiveShipment(device_id, eventAt))?._id ?? null;
+    const doc = await CargoAlert.create({
       device_id,
-      alert:  data.alert ?? 'SHOCK_DETECTED',
+      org_id:   orgOf(device_id),
+      alert:    data.alert,
+      type:     'shock',
+      severity: 'critical',
+      message:  `SHOCK DETECTED: ${shock_g}G`,
+      metric:   'shock_g',
+      value:    shock_g,
       shock_g,
       lat: data.lat ?? null,
       lon: data.lon ?? null,
       ts,
+      eventAt,
+      receivedAt,
+      historical: late,
+      shipment_id,
     });
+    alert_id = doc._id;
   } catch (err) {
     error('MongoDB insert alert error:', err.message);
+    throw err;   // → dead letter
+  }
+
+  if (late) {
+    await touchDevice(device_id);
     return;
   }
 
+  await touchDevice(device_id, { lat: data.lat, lon: data.lon });
+
   broadcast('cargo:shock_alert', {
     device_id,
+    shipment_id,
+    alert_id,
     shock_g,
     lat:       data.lat ?? null,
     lon:       data.lon ?? null,
     ts,
-    receivedAt: new Date().toISOString(),
+    eventAt:    eventAt.toISOString(),
+    receivedAt: receivedAt.toISOString(),
   });
 }
 
 // ═════════════════════════════════════════════════════════════
 //  4. BOOTSTRAP — connect everything, then start HTTP server
 // ═════════════════════════════════════════════════════════════
-(async () => {
+async function bootstrap() {
   try {
     // MongoDB must be available before we handle messages
     await connectMongo();
+    await migrateEventTimes();
+    await migrateTenants(DEFAULT_ORG_NAME);
+    await auth.seedAdmin();
+    await loadDeviceScopes();
+    await reloadGeofences();
+    await reloadRoutePlans();
+    await startWatchdog();
+    startCommandSweeper();
+    webhooks.start();
+    notifier.start();
+    startFleetSummaries();
 
     // MQTT client (auto-reconnects on failure)
     connectMqtt();
@@ -501,19 +4882,25 @@ async function handleShockAlert(topic, data) {
       log(`HTTP server listening on http://localhost:${PORT}`);
       log(`Socket.IO accepting connections on ws://localhost:${PORT}`);
       log('─────────────────────────────────────────────────────────');
-      log(`Alert thresholds — Temp > ${TEMP_THRESHOLD}°C | Shock > ${SHOCK_THRESHOLD}G`);
+      log(`Default thresholds — Temp > ${TEMP_THRESHOLD}°C | Shock > ${SHOCK_THRESHOLD}G`);
+      log(`Unregistered devices — ${DEVICE_POLICY}`);
     });
   } catch (err) {
     error('Bootstrap failed:', err);
     process.exit(1);
   }
-})();
+}
 
 // ═════════════════════════════════════════════════════════════
 //  5. GRACEFUL SHUTDOWN
 // ═════════════════════════════════════════════════════════════
 async function shutdown(signal) {
   warn(`Received ${signal} — shutting down gracefully...`);
+  clearInterval(watchdogTimer);
+  clearInterval(commandSweepTimer);
+  webhooks.stop();
+  notifier.stop();
+  clearInterval(fleetSummaryTimer);
   server.close(() => log('HTTP server closed'));
   await mongoose.disconnect();
   log('MongoDB disconnected');
@@ -524,3 +4911,23 @@ process.on('SIGTERM', () => shutdown('SIGTERM'));
 process.on('SIGINT',  () => shutdown('SIGINT'));
 process.on('uncaughtException',  (err) => error('Uncaught Exception:',       err));
 process.on('unhandledRejection', (err) => error('Unhandled Rejection:',      err));
+
+// `npm start` boots the service; the tests in ./test require this file
+// for the helpers exported below without connecting to MongoDB or the broker
+if (require.main === module) bootstrap();
+
+module.exports = {
+  evaluateAlerts,
+  restoreAlertStates,
+  queryTelemetryHistory,
+  findShipmentInWindow,
+  meanKineticTemperature,
+  buildComplianceReport,
+  forecastBattery,
+  trackBattery,
+  resolveEventTime,
+  analyzeTrip,
+  reloadRoutePlans,
+  locateOnRoute,
+  checkRoute,
+};
@@ -0,0 +1,610 @@
+/**
+ * notifier.js — email notification rules, escalation and digests
+ * ─────────────────────────────────────────────────────────────
+ * A new live alert is checked against the organization's
+ * NotificationRules (type / severity / device group); historical ones
+ * from late / replayed data are not notified. Per matching rule:
+ *   - digest severities → queued for the digest
+ *   - otherwise step 0 is emailed at once — unless it is not critical
+ *     and the rule is in quiet hours, then it is only logged
+ *     (suppressed); either way the next step is scheduled
+ * A 30 s sweep fires due escalations while the alert is still open (not
+ * acknowledged / resolved — a reading back in range does not stop it),
+ * and resends failed steps with backoff; every NOTIFY_DIGEST_INTERVAL_MIN
+ * each rule with queued alerts sends step 0 one digest (postponed during
+ * its quiet hours).
+ * Email goes out over SMTP; point SMTP_HOST at a local catcher such as
+ * Mailpit (localhost:1025) to see it.
+ *
+ * index.js calls configure() at load, mounts `router`, queues alerts
+ * from the CargoAlert post-save hook and start() / stop()s the timers.
+ */
+
+'use strict';
+
+const express    = require('express');
+const mongoose   = require('mongoose');
+const nodemailer = require('nodemailer');
+const { log, warn, error, ALERT_SEVERITIES } = require('./common');
+const { groupOf } = require('./tenancy');
+const { requireRole } = require('./auth');
+const { alertWebhookPayload } = require('./webhooks');
+
+// NotificationRule: who gets emailed about which alerts. `match` lists
+// alert types, severities and device groups (each empty = any). Step 0
+// is notified at once; every later step `after_min` minutes after the
+// alert if it is still open (not acknowledged / resolved). During
+// `quiet_hours` (HH:MM–HH:MM in `timezone`, may wrap midnight) only
+// critical alerts go out; severities in `digest_severities` (warnings
+// unless set) are never sent one by one but batched into a periodic
+// digest to step 0.
+const timeOfDay = { type: String, match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'expected HH:MM'] };
+
+const escalationStepSchema = new mongoose.Schema(
+  {
+    after_min:  { type: Number, default: 0, min: 0 },
+    recipients: {
+      type: [{ type: String, trim: true, lowercase: true, match: [/^\S+@\S+\.\S+$/, 'invalid email'] }],
+      validate: { validator: (v) => v.length > 0, message: 'a step needs at least one recipient' },
+    },
+  },
+  { _id: false }
+);
+
+const notificationRuleSchema = new mongoose.Schema(
+  {
+    org_id:   { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+    name:     { type: String, required: true, trim: true },
+    active:   { type: Boolean, default: true },
+    match: {
+      types:      { type: [String], default: [] },
+      severities: { type: [{ type: String, enum: ALERT_SEVERITIES }], default: [] },
+      groups:     { type: [String], default: [] },
+    },
+    steps:    {
+      type: [escalationStepSchema],
+      validate: { validator: (v) => v.length > 0, message: 'at least one step is required' },
+    },
+    quiet_hours: {
+      type: new mongoose.Schema({ start: timeOfDay, end: timeOfDay, timezone: { type: String, default: 'UTC' } }, { _id: false }),
+      default: null,
+    },
+    digest_severities: { type: [{ type: String, enum: ALERT_SEVERITIES }], default: ['warning'] },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { collection: 'notification_rules', versionKey: false }
+);
+
+notificationRuleSchema.pre('validate', function (next) {
+  const after = this.steps.map((st) => st.after_min);
+  if (after.some((m, i) => i > 0 && m <= after[i - 1])) {
+    this.invalidate('steps', 'step after_min must increase');
+  }
+  if (this.quiet_hours) {
+    if (!this.quiet_hours.start || !this.quiet_hours.end) {
+      this.invalidate('quiet_hours', 'quiet_hours needs start and end');
+    }
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: this.quiet_hours.timezone });
+    } catch {
+      this.invalidate('quiet_hours.timezone', `unknown timezone "${this.quiet_hours.timezone}"`);
+    }
+  }
+  next();
+});
+
+const NotificationRule = mongoose.model('NotificationRule', notificationRuleSchema);
+
+// Notification: the log of one rule × alert (or digest). An immediate
+// notification also carries the escalation schedule: `escalate_at` is
+// when the sweep next has work for it — resend this step if it failed
+// (up to NOTIFY.maxAttempts `attempts`), otherwise send step `step + 1`
+// — and null once there is nothing left to do.
+// status: sent | failed | suppressed (quiet hours), or for digest
+// severities queued → digested (`digest_id` = the digest that listed it)
+const NOTIFICATION_STATUSES = ['queued', 'digested', 'sent', 'failed', 'suppressed'];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    org_id:      { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    rule_id:     { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationRule', default: null },
+    alert_id:    { type: mongoose.Schema.Types.ObjectId, ref: 'CargoAlert', default: null },
+    kind:        { type: String, enum: ['alert', 'escalation', 'digest', 'test'], required: true },
+    step:        { type: Number, default: 0 },
+    status:      { type: String, enum: NOTIFICATION_STATUSES, required: true },
+    reason:      { type: String, default: null },   // why suppressed / failed
+    recipients:  { type: [String], default: [] },
+    subject:     { type: String, default: null },
+    // Alert snapshot for digests and the log
+    alert:       { type: mongoose.Schema.Types.Mixed, default: null },
+    digest_id:   { type: mongoose.Schema.Types.ObjectId, default: null },
+    message_id:  { type: String, default: null },   // SMTP Message-ID
+    escalate_at: { type: Date, default: null },
+    attempts:    { type: Number, default: 0 },     // sends of this step
+    createdAt:   { type: Date, default: Date.now },
+    sentAt:      { type: Date, default: null },
+  },
+  { collection: 'notifications', versionKey: false }
+);
+
+notificationSchema.index({ org_id: 1, createdAt: -1 });
+notificationSchema.index({ escalate_at: 1 }, { partialFilterExpression: { escalate_at: { $type: 'date' } } });
+notificationSchema.index({ status: 1, rule_id: 1 });
+notificationSchema.index({ alert_id: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+const NOTIFY = {
+  from:         null,        // set by configure()
+  digestMs:     null,
+  dashboardUrl: null,
+  batch:        20,          // escalations handled per sweep
+  digestMax:    100,         // alerts listed in one digest email
+  maxAttempts:  5,           // sends of one step before moving on
+  retryBaseMs:  60_000,      // failed step resent after 1, 2, 4, 8 min
+  leaseMs:      5 * 60_000,  // a claimed escalation is retried after this
+};
+let notifySweepTimer = null;
+let digestTimer = null;
+// SMTP transport (null = email disabled) and the CargoAlert model, set by configure()
+let mailer = null;
+let CargoAlert;
+
+// `smtp` is { host, port, secure, user, password }; no host = email
+// disabled. A ready `mailer` (anything with sendMail) replaces SMTP.
+function configure({ from, digestIntervalMin, dashboardUrl, smtp = {}, mailer: transport, CargoAlert: alerts }) {
+  Object.assign(NOTIFY, {
+    from,
+    digestMs:     digestIntervalMin * 60_000,
+    dashboardUrl: dashboardUrl.replace(/\/+$/, ''),
+  });
+  mailer = transport ?? (smtp.host
+    ? nodemailer.createTransport({
+      host:   smtp.host,
+      port:   smtp.port,
+      secure: smtp.secure,
+      auth:   smtp.user ? { user: smtp.user, pass: smtp.password } : undefined,
+    })
+    : null);
+  CargoAlert = alerts;
+}
+
+// Minutes since local midnight in `timeZone`
+function minutesOfDay(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+const hhmmToMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// start == end means no quiet hours; start > end wraps midnight
+function inQuietHours(quiet, now = new Date()) {
+  if (!quiet?.start || !quiet?.end) return false;
+  const start = hhmmToMinutes(quiet.start);
+  const end   = hhmmToMinutes(quiet.end);
+  const at    = minutesOfDay(now, quiet.timezone || 'UTC');
+  return start <= end ? at >= start && at < end : at >= start || at < end;
+}
+
+function ruleMatches(rule, alert, group) {
+  const { types = [], severities = [], groups = [] } = rule.match ?? {};
+  return (!types.length || types.includes(alert.type))
+    && (!severities.length || severities.includes(alert.severity))
+    && (!groups.length || groups.includes(group));
+}
+
+const deviceLink = (device_id) => `${NOTIFY.dashboardUrl}/#/devices/${encodeURIComponent(device_id)}`;
+
+function alertLines(a) {
+  return [
+    `${a.severity.toUpperCase()} ${a.type} alert on device ${a.device_id}`,
+    a.message,
+    `Raised:   ${new Date(a.eventAt).toISOString()}`,
+    a.lat != null ? `Position: ${a.lat}, ${a.lon}` : null,
+    a.shipment_id ? `Shipment: ${a.shipment_id}` : null,
+    `Open:     ${deviceLink(a.device_id)}`,
+  ].filter(Boolean);
+}
+
+function alertEmail(rule, a, step) {
+  const prefix = step > 0 ? `[ESCALATION ${step}] ` : '';
+  return {
+    subject: `${prefix}[${a.severity.toUpperCase()}] ${a.message} — device ${a.device_id}`,
+    text: [
+      ...(step > 0
+        ? [`Not acknowledged after ${rule.steps[step].after_min} min — escalating to step ${step}.`, '']
+        : []),
+      ...alertLines(a),
+      '',
+      `Rule: ${rule.name}`,
+    ].join('\n'),
+  };
+}
+
+function digestEmail(rule, queued) {
+  const listed = queued.slice(0, NOTIFY.digestMax);
+  const more   = queued.length - listed.length;
+  return {
+    subject: `[DIGEST] ${queued.length} alert${queued.length === 1 ? '' : 's'} — ${rule.name}`,
+    text: [
+      `${queued.length} alert${queued.length === 1 ? '' : 's'} queued since the last digest:`,
+      '',
+      ...listed.flatMap((n) => [...alertLines(n.alert), '']),
+      ...(more > 0 ? [`… and ${more} more`, ''] : []),
+      `Rule: ${rule.name}`,
+    ].join('\n'),
+  };
+}
+
+// Email one message → { status: 'sent' | 'failed', reason, message_id, sentAt }.
+// Never rejects.
+async function sendEmail(kind, recipients, { subject, text }) {
+  try {
+    if (!mailer) throw new Error('SMTP not configured (SMTP_HOST)');
+    const info = await mailer.sendMail({ from: NOTIFY.from, to: recipients, subject, text });
+    log(`Notification ${kind} → ${recipients.join(', ')}: ${subject}`);
+    return { status: 'sent', reason: null, message_id: info.messageId ?? null, sentAt: new Date() };
+  } catch (err) {
+    warn(`Notification ${kind} → ${recipients.join(', ')} failed: ${err.message}`);
+    return { status: 'failed', reason: err.message, message_id: null, sentAt: null };
+  }
+}
+
+// Email `fields.recipients` and log the result as a Notification. Never rejects.
+async function sendNotification(fields, email) {
+  const result = await sendEmail(fields.kind, fields.recipients, email);
+  try {
+    return await Notification.create({ ...fields, subject: email.subject, ...result });
+  } catch (err) {
+    error('Notification log error:', err.message);
+    return null;
+  }
+}
+
+// When step `step` is due for an alert raised at `raisedAt`, or null
+function escalationDue(rule, step, raisedAt) {
+  const next = rule.steps[step];
+  return next ? new Date(new Date(raisedAt).getTime() + next.after_min * 60_000) : null;
+}
+
+const notifyRetryDelayMs = (attempts) => NOTIFY.retryBaseMs * 2 ** (attempts - 1);
+
+/**
+ * Send step `step` of a rule for one alert (`attempts` = sends so far),
+ * or suppress it during quiet hours. Resolves with the Notification
+ * fields to store, `escalate_at` pointing at the next thing to do: a
+ * resend if it failed and attempts are left, else step + 1.
+ */
+async function deliverStep(rule, alert, snapshot, step, attempts = 0) {
+  const email = alertEmail(rule, snapshot, step);
+  const next  = escalationDue(rule, step + 1, alert.receivedAt ?? alert.eventAt);
+
+  if (alert.severity !== 'critical' && inQuietHours(rule.quiet_hours)) {
+    log(`Notification step ${step} for alert ${alert._id} suppressed (quiet hours, rule "${rule.name}")`);
+    return { subject: email.subject, status: 'suppressed', reason: 'quiet hours', attempts, escalate_at: next };
+  }
+
+  const result = await sendEmail(step > 0 ? 'escalation' : 'alert', rule.steps[step].recipients, email);
+  attempts += 1;
+  const resend = result.status === 'failed' && attempts < NOTIFY.maxAttempts;
+  return {
+    subject:     email.subject,
+    ...result,
+    attempts,
+    escalate_at: resend ? new Date(Date.now() + notifyRetryDelayMs(attempts)) : next,
+  };
+}
+
+// First send of a step: a new Notification
+async function notifyStep(rule, alert, snapshot, step) {
+  return Notification.create({
+    org_id:     rule.org_id,
+    rule_id:    rule._id,
+    alert_id:   alert._id,
+    kind:       step > 0 ? 'escalation' : 'alert',
+    step,
+    recipients: rule.steps[step].recipients,
+    alert:      snapshot,
+    ...(await deliverStep(rule, alert, snapshot, step)),
+  });
+}
+
+// Called from the CargoAlert post-save hook — never rejects, resolves
+// once every matching rule has been notified or queued
+async function queueAlertNotifications(alert) {
+  if (alert.historical) return;
+  try {
+    const rules = await NotificationRule.find({ org_id: alert.org_id, active: true }).lean();
+    const group = groupOf(alert.device_id);
+    const matching = rules.filter((rule) => ruleMatches(rule, alert, group));
+    if (!matching.length) return;
+
+    const snapshot = alertWebhookPayload(alert).alert;
+    await Promise.all(matching.map((rule) => {
+      if (rule.digest_severities.includes(alert.severity)) {
+        return Notification.create({
+          org_id:     rule.org_id,
+          rule_id:    rule._id,
+          alert_id:   alert._id,
+          kind:       'digest',
+          recipients: rule.steps[0].recipients,
+          alert:      snapshot,
+          status:     'queued',
+        });
+      }
+      return notifyStep(rule, alert, snapshot, 0);
+    }));
+  } catch (err) {
+    error('Notification queue error:', err.message);
+  }
+}
+
+async function sweepEscalations() {
+  const due = await Notification
+    .find({ escalate_at: { $lte: new Date() } }, { _id: 1, escalate_at: 1 })
+    .sort({ escalate_at: 1 })
+    .limit(NOTIFY.batch)
+    .lean();
+
+  for (const { _id, escalate_at } of due) {
+    // Lease it: an overlapping sweep skips it, and if this attempt dies
+    // half-way the next sweep after NOTIFY.leaseMs picks it up again
+    const notification = await Notification.findOneAndUpdate(
+      { _id, escalate_at },
+      { $set: { escalate_at: new Date(Date.now() + NOTIFY.leaseMs) } }
+    ).lean();
+    if (!notification) continue;
+
+    try {
+      await advanceEscalation(notification);
+    } catch (err) {
+      error(`Escalation ${_id} error (retried in ${NOTIFY.leaseMs / 1000}s):`, err.message);
+    }
+  }
+}
+
+// Resend a failed step or send the next one; `escalate_at` is only
+// cleared once that is stored
+async function advanceEscalation(notification) {
+  const done = () => Notification.updateOne({ _id: notification._id }, { $set: { escalate_at: null } });
+
+  const [rule, alert] = await Promise.all([
+    NotificationRule.findOne({ _id: notification.rule_id, active: true }).lean(),
+    CargoAlert.findById(notification.alert_id).lean(),
+  ]);
+  if (!rule || !alert || alert.state !== 'open') return done();
+
+  const snapshot = notification.alert ?? alertWebhookPayload(alert).alert;
+  const resend   = notification.status === 'failed' && notification.attempts < NOTIFY.maxAttempts;
+  const step     = resend ? notification.step : notification.step + 1;
+  if (!rule.steps[step]) return done();   // steps were edited since
+
+  if (resend) {
+    warn(`Alert ${alert._id} — resending step ${step} of rule "${rule.name}" (attempt ${notification.attempts + 1})`);
+    const fields = await deliverStep(rule, alert, snapshot, step, notification.attempts);
+    return Notification.updateOne(
+      { _id: notification._id },
+      { $set: { ...fields, recipients: rule.steps[step].recipients } }
+    );
+  }
+
+  warn(`Alert ${alert._id} still open — escalating to step ${step} of rule "${rule.name}"`);
+  await notifyStep(rule, alert, snapshot, step);
+  return done();
+}
+
+async function sendDigests() {
+  const ruleIds = await Notification.distinct('rule_id', { status: 'queued' });
+  for (const rule_id of ruleIds) {
+    const rule = await NotificationRule.findById(rule_id).lean();
+    if (!rule?.active) {
+      await Notification.updateMany(
+        { rule_id, status: 'queued' },
+        { $set: { status: 'suppressed', reason: rule ? 'rule disabled' : 'rule deleted' } }
+      );
+      continue;
+    }
+    if (inQuietHours(rule.quiet_hours)) continue;
+
+    const queued = await Notification.find({ rule_id, status: 'queued' }).sort({ createdAt: 1 }).lean();
+    if (!queued.length) continue;
+
+    const digest = await sendNotification({
+      org_id:     rule.org_id,
+      rule_id:    rule._id,
+      kind:       'digest',
+      recipients: rule.steps[0].recipients,
+    }, digestEmail(rule, queued));
+    if (digest?.status !== 'sent') continue;   // retried with the next digest
+
+    await Notification.updateMany(
+      { _id: { $in: queued.map((n) => n._id) } },
+      { $set: { status: 'digested', digest_id: digest._id, sentAt: digest.sentAt } }
+    );
+  }
+}
+
+function start() {
+  notifySweepTimer = setInterval(() => {
+    sweepEscalations().catch((err) => error('Escalation sweep error:', err.message));
+  }, 30_000);
+  digestTimer = setInterval(() => {
+    sendDigests().catch((err) => error('Digest error:', err.message));
+  }, NOTIFY.digestMs);
+  if (!mailer) warn('SMTP_HOST not set — notification emails will be logged as failed');
+}
+
+function stop() {
+  clearInterval(notifySweepTimer);
+  clearInterval(digestTimer);
+}
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Notification rules (admin, per organization)
+//  GET    /api/notification-rules             rules
+//  POST   /api/notification-rules             { name, match?: { types?, severities?, groups? },
+//                                               steps: [{ after_min, recipients }],
+//                                               quiet_hours?: { start, end, timezone },
+//                                               digest_severities?, active? }
+//  GET    /api/notification-rules/:id         single rule
+//  PATCH  /api/notification-rules/:id         any of the POST fields
+//  DELETE /api/notification-rules/:id         remove (log is kept)
+//  POST   /api/notification-rules/:id/test    email a test message to a step
+//                                             { step? } (default 0)
+//  GET    /api/notifications                  notification log, newest first
+//                                             ?rule_id= &alert_id= &status= &kind= &limit=
+//  Routing / escalation / digests: see the top of this file.
+// ─────────────────────────────────────────────────────────────
+const NOTIFICATION_RULE_FIELDS = ['name', 'active', 'match', 'steps', 'quiet_hours', 'digest_severities'];
+
+function pickNotificationRule(body = {}) {
+  const out = {};
+  for (const key of NOTIFICATION_RULE_FIELDS) {
+    if (body[key] !== undefined) out[key] = body[key];
+  }
+  return out;
+}
+
+async function loadNotificationRule(req, res) {
+  const { id } = req.params;
+  const rule = mongoose.isValidObjectId(id)
+    ? await NotificationRule.findOne({ _id: id, org_id: req.user.org_id })
+    : null;
+  if (!rule) res.status(404).json({ error: 'Notification rule not found' });
+  return rule;
+}
+
+router.get('/api/notification-rules', requireRole('admin'), async (req, res) => {
+  try {
+    const rules = await NotificationRule.find({ org_id: req.user.org_id }).sort({ name: 1 }).lean();
+    res.json({ count: rules.length, rules });
+  } catch (err) {
+    error('GET /api/notification-rules error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/notification-rules', requireRole('admin'), async (req, res) => {
+  try {
+    const rule = await NotificationRule.create({ ...pickNotificationRule(req.body), org_id: req.user.org_id });
+    log(`Notification rule created "${rule.name}" (${rule.steps.length} steps)`);
+    res.status(201).json(rule);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('POST /api/notification-rules error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/notification-rules/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const rule = await loadNotificationRule(req, res);
+    if (rule) res.json(rule);
+  } catch (err) {
+    error('GET /api/notification-rules/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.patch('/api/notification-rules/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const rule = await loadNotificationRule(req, res);
+    if (!rule) return;
+
+    rule.set(pickNotificationRule(req.body));
+    await rule.save();
+    log(`Notification rule updated "${rule.name}"`);
+    res.json(rule);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    error('PATCH /api/notification-rules/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/notification-rules/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const rule = await loadNotificationRule(req, res);
+    if (!rule) return;
+
+    await rule.deleteOne();
+    log(`Notification rule deleted "${rule.name}"`);
+    res.json({ deleted: rule.id });
+  } catch (err) {
+    error('DELETE /api/notification-rules/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/notification-rules/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    const rule = await loadNotificationRule(req, res);
+    if (!rule) return;
+    const step = parseInt(req.body?.step ?? 0, 10);
+    if (!rule.steps[step]) return res.status(400).json({ error: `Rule has no step ${req.body?.step}` });
+
+    const notification = await sendNotification({
+      org_id:     rule.org_id,
+      rule_id:    rule._id,
+      kind:       'test',
+      step,
+      recipients: rule.steps[step].recipients,
+    }, {
+      subject: `[TEST] ${rule.name} — step ${step}`,
+      text: [
+        `Test message for notification rule "${rule.name}", step ${step}, sent by ${req.user.username}.`,
+        '',
+        `Dashboard: ${NOTIFY.dashboardUrl}`,
+      ].join('\n'),
+    });
+    res.status(201).json(notification);
+  } catch (err) {
+    error('POST /api/notification-rules/:id/test error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/notifications', requireRole('admin'), async (req, res) => {
+  try {
+    const filter = { org_id: req.user.org_id };
+    for (const key of ['rule_id', 'alert_id']) {
+      if (!req.query[key]) continue;
+      if (!mongoose.isValidObjectId(req.query[key])) {
+        return res.status(400).json({ error: `Invalid ${key}` });
+      }
+      filter[key] = req.query[key];
+    }
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.kind)   filter.kind   = req.query.kind;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const notifications = await Notification.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ count: notifications.length, notifications });
+  } catch (err) {
+    error('GET /api/notifications error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  NotificationRule,
+  Notification,
+  configure,
+  router,
+  start,
+  stop,
+  inQuietHours,
+  ruleMatches,
+  escalationDue,
+  queueAlertNotifications,
+  sweepEscalations,
+  sendDigests,
+};
@@ -0,0 +1,286 @@
+/**
+ * shadow.js — device shadow (desired vs reported configuration)
+ * ─────────────────────────────────────────────────────────────
+ * The backend publishes the desired configuration retained on
+ * cargo/<id>/config/desired; the device confirms what it runs on
+ * cargo/<id>/config/reported (handleConfigReport). The shadow is in
+ * sync once the reported version has caught up and no desired field
+ * differs. A reported interval_s is handed to the watchdog.
+ *
+ * index.js calls configure() at load, mounts `router`, routes config
+ * reports here and republishes out-of-sync shadows on MQTT connect.
+ */
+
+'use strict';
+
+const express  = require('express');
+const mongoose = require('mongoose');
+const { log, error, QueryError } = require('./common');
+const { orgOf, scopeDevice } = require('./tenancy');
+const { requireRole } = require('./auth');
+
+// DeviceShadow: configuration the backend wants (desired, published
+// retained on cargo/<id>/config/desired) vs what the device last
+// confirmed (reported, read from cargo/<id>/config/reported). One per
+// device, owned by the device's current organization — a move drops it.
+// normal = 50 Hz shock sampling · eco = 10 Hz, for long unpowered legs
+const REPORTING_MODES = ['normal', 'eco'];
+
+const deviceShadowSchema = new mongoose.Schema(
+  {
+    device_id:        { type: String, required: true, unique: true },
+    org_id:           { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', default: null },
+    desired:          { type: mongoose.Schema.Types.Mixed, default: {} },
+    desired_version:  { type: Number, default: 0 },
+    desiredAt:        { type: Date,   default: null },
+    desired_by:       { type: String, default: null },
+    reported:         { type: mongoose.Schema.Types.Mixed, default: {} },
+    reported_version: { type: Number, default: 0 },
+    reportedAt:       { type: Date,   default: null },
+    in_sync:          { type: Boolean, default: true },
+    syncedAt:         { type: Date,   default: null },
+  },
+  { collection: 'device_shadows', versionKey: false, minimize: false }
+);
+
+const DeviceShadow = mongoose.model('DeviceShadow', deviceShadowSchema);
+
+// Provided by index.js: the Device model, MQTT publish (resolves false
+// while the broker is unreachable), broadcast(), touchDevice() and the
+// watchdog's applyReportedInterval()
+let Device, publish, broadcast, touchDevice, applyReportedInterval;
+
+function configure(options) {
+  ({ Device, publish, broadcast, touchDevice, applyReportedInterval } = options);
+}
+
+const desiredTopic = (device_id) => `cargo/${device_id}/config/desired`;
+
+// Devices store floats as float32 — 2.7 may come back as 2.7000000477
+const sameConfigValue = (a, b) => a === b
+  || (typeof a === 'number' && typeof b === 'number' && Math.abs(a - b) <= 1e-4 * Math.max(1, Math.abs(a)));
+
+// Desired keys whose reported value differs → { field: { desired, reported } }
+function shadowDelta(desired = {}, reported = {}) {
+  const delta = {};
+  for (const [field, value] of Object.entries(desired)) {
+    if (!sameConfigValue(value, reported[field])) delta[field] = { desired: value, reported: reported[field] ?? null };
+  }
+  return delta;
+}
+
+function shadowView(shadow) {
+  const delta = shadowDelta(shadow.desired, shadow.reported);
+  return {
+    device_id:        shadow.device_id,
+    desired:          shadow.desired ?? {},
+    desired_version:  shadow.desired_version ?? 0,
+    desiredAt:        shadow.desiredAt ?? null,
+    desired_by:       shadow.desired_by ?? null,
+    reported:         shadow.reported ?? {},
+    reported_version: shadow.reported_version ?? 0,
+    reportedAt:       shadow.reportedAt ?? null,
+    delta,
+    in_sync:          (shadow.reported_version ?? 0) >= (shadow.desired_version ?? 0)
+                      && Object.keys(delta).length === 0,
+    syncedAt:         shadow.syncedAt ?? null,
+  };
+}
+
+// Retained, so a device that is offline now picks it up on its next
+// subscribe. Resolves false when the broker is down — the 'connect'
+// handler republishes every shadow still out of sync.
+async function publishDesired(shadow) {
+  try {
+    return await publish(
+      desiredTopic(shadow.device_id),
+      JSON.stringify({ version: shadow.desired_version, config: shadow.desired, ts: Date.now() }),
+      { qos: 1, retain: true }
+    );
+  } catch (err) {
+    error(`Shadow ${shadow.device_id} publish error:`, err.message);
+    return false;
+  }
+}
+
+async function republishDesired() {
+  const pending = await DeviceShadow.find({ in_sync: false, desired_version: { $gt: 0 } }).lean();
+  for (const shadow of pending) await publishDesired(shadow);
+  if (pending.length) log(`Shadow: republished ${pending.length} desired configuration(s)`);
+}
+
+// Empty retained payload deletes the retained message on the broker
+async function clearDesired(device_id) {
+  await publish(desiredTopic(device_id), '', { qos: 1, retain: true });
+}
+
+// Device confirmed the configuration it is running
+async function handleConfigReport(topic, data) {
+  const { device_id, version, config } = data;
+  const now = new Date();
+
+  const before = await DeviceShadow.findOneAndUpdate(
+    { device_id },
+    { $set: { org_id: orgOf(device_id), reported: config, reported_version: version, reportedAt: now } },
+    { upsert: true }
+  ).lean();
+  await touchDevice(device_id);
+
+  const wasInSync = before?.in_sync ?? true;
+  const view = shadowView({
+    desired: {}, desired_version: 0, syncedAt: null,
+    ...before, device_id, reported: config, reported_version: version, reportedAt: now,
+  });
+
+  if (view.in_sync !== wasInSync) {
+    view.syncedAt = view.in_sync ? now : null;
+    await DeviceShadow.updateOne({ device_id }, { in_sync: view.in_sync, syncedAt: view.syncedAt });
+  }
+
+  if (Number.isInteger(config.interval_s) && config.interval_s !== before?.reported?.interval_s) {
+    await applyReportedInterval(device_id, config.interval_s);
+  }
+
+  log(`Shadow ${device_id} reported v${version}${view.in_sync ? ' — in sync' : ` — delta: ${Object.keys(view.delta).join(', ') || 'version'}`}`);
+  broadcast('shadow:updated', view);
+  if (view.in_sync && !wasInSync) {
+    log(`Shadow ${device_id} converged on v${view.desired_version}`);
+    broadcast('shadow:converged', view);
+  }
+}
+
+const router = express.Router();
+router.param('device_id', scopeDevice);
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Device shadow (desired vs reported configuration)
+//  GET   /api/devices/:device_id/shadow          both documents + delta
+//  PATCH /api/devices/:device_id/shadow/desired  { config: {...} }
+//        merges into desired (null removes a key), bumps the version
+//        and publishes it retained on cargo/<id>/config/desired
+//  GET   /api/devices/:device_id/shadow/delta    only what still differs
+//  Socket.IO: shadow:updated on every change, shadow:converged once the
+//  device reports the current desired version with no delta left
+// ─────────────────────────────────────────────────────────────
+
+// field → validator (throws QueryError, returns the clean value)
+const SHADOW_FIELDS = {
+  interval_s: (v) => {
+    if (!Number.isInteger(v) || v < 1 || v > 3600) {
+      throw new QueryError('`interval_s` must be an integer between 1 and 3600');
+    }
+    return v;
+  },
+  shock_threshold_g: (v) => {
+    if (typeof v !== 'number' || !(v >= 0.1 && v <= 16)) {
+      throw new QueryError('`shock_threshold_g` must be a number between 0.1 and 16');
+    }
+    return v;
+  },
+  reporting_mode: (v) => {
+    if (!REPORTING_MODES.includes(v)) {
+      throw new QueryError(`\`reporting_mode\` must be one of ${REPORTING_MODES.join(', ')}`);
+    }
+    return v;
+  },
+};
+
+router.get('/api/devices/:device_id/shadow', async (req, res) => {
+  try {
+    const shadow = await loadShadow(req, res);
+    if (shadow) res.json(shadowView(shadow));
+  } catch (err) {
+    error('GET /api/devices/:device_id/shadow error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/devices/:device_id/shadow/delta', async (req, res) => {
+  try {
+    const shadow = await loadShadow(req, res);
+    if (!shadow) return;
+    const { device_id, desired_version, reported_version, delta, in_sync } = shadowView(shadow);
+    res.json({ device_id, desired_version, reported_version, in_sync, delta });
+  } catch (err) {
+    error('GET /api/devices/:device_id/shadow/delta error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.patch('/api/devices/:device_id/shadow/desired', requireRole('operator'), async (req, res) => {
+  try {
+    const { device_id } = req.params;
+    const { config } = req.body ?? {};
+    const by = req.user.username;
+
+    if (!config || typeof config !== 'object' || Array.isArray(config) || !Object.keys(config).length) {
+      return res.status(400).json({ error: '`config` must be a non-empty object' });
+    }
+    if (/[+#/]/.test(device_id)) {
+      return res.status(400).json({ error: 'device_id cannot be used in an MQTT topic' });
+    }
+
+    const $set   = {};
+    const $unset = {};
+    for (const [field, value] of Object.entries(config)) {
+      if (!Object.hasOwn(SHADOW_FIELDS, field)) {
+        return res.status(400).json({
+          error: `Unknown config field "${field}" (known: ${Object.keys(SHADOW_FIELDS).join(', ')})`,
+        });
+      }
+      if (value === null) $unset[`desired.${field}`] = '';
+      else $set[`desired.${field}`] = SHADOW_FIELDS[field](value);
+    }
+
+    if (!(await Device.exists({ device_id }))) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const update = {
+      $set: { ...$set, org_id: req.user.org_id, desiredAt: new Date(), desired_by: by, in_sync: false, syncedAt: null },
+      $inc: { desired_version: 1 },
+    };
+    if (Object.keys($unset).length) update.$unset = $unset;
+
+    const shadow = await DeviceShadow.findOneAndUpdate(
+      { device_id }, update, { new: true, upsert: true }
+    ).lean();
+
+    const published = await publishDesired(shadow);
+    log(`Shadow ${device_id} desired v${shadow.desired_version}${published ? '' : ' (publish deferred)'}`);
+
+    const view = shadowView(shadow);
+    broadcast('shadow:updated', view);
+    res.json({ ...view, published });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    error('PATCH /api/devices/:device_id/shadow/desired error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Shadow for a registered device (an empty one if nothing was set yet);
+// sends the 404 itself
+async function loadShadow(req, res) {
+  const { device_id } = req.params;
+  const shadow = await DeviceShadow.findOne({ device_id, org_id: req.user.org_id }).lean();
+  if (shadow) return shadow;
+  if (!(await Device.exists({ device_id }))) {
+    res.status(404).json({ error: 'Device not found' });
+    return null;
+  }
+  return { device_id, desired: {}, desired_version: 0, reported: {}, reported_version: 0 };
+}
+
+module.exports = {
+  REPORTING_MODES,
+  DeviceShadow,
+  configure,
+  router,
+  shadowDelta,
+  shadowView,
+  publishDesired,
+  republishDesired,
+  clearDesired,
+  handleConfigReport,
+};
@@ -0,0 +1,129 @@
+/**
+ * tenancy.js — organizations and the device → tenant cache
+ * ─────────────────────────────────────────────────────────────
+ * device_id → { org_id (string), group } for every registered device,
+ * so the MQTT path and broadcast() can resolve a tenant and Socket.IO
+ * rooms without a query. Hydrated at boot (loadDeviceScopes), kept
+ * current by the registry gate and the devices REST API.
+ *
+ * migrateTenants() assigns data stored before organizations existed to
+ * the default organization; scopeDevice is the :device_id param handler
+ * every router with device routes installs.
+ */
+
+'use strict';
+
+const mongoose = require('mongoose');
+const { log } = require('./common');
+
+// Organization: one customer (tenant). Devices, their telemetry, alerts,
+// door / status / command history and shadow, shipments, threshold
+// profiles, geofences and users all carry an org_id; REST queries and
+// Socket.IO broadcasts are scoped by it.
+const organizationSchema = new mongoose.Schema(
+  {
+    name:      { type: String, required: true, trim: true },
+    slug:      { type: String, required: true, unique: true, trim: true, lowercase: true },
+    active:    { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { collection: 'organizations', versionKey: false }
+);
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+const DEFAULT_ORG_SLUG = 'default';
+let defaultOrg = null;   // set by migrateTenants
+const deviceScopes = new Map();
+
+const orgOf   = (device_id) => deviceScopes.get(device_id)?.org_id ?? null;
+const groupOf = (device_id) => deviceScopes.get(device_id)?.group ?? null;
+
+// Organization of pre-tenancy data, auto-registered devices and the seeded admin
+const defaultOrgId = () => defaultOrg?._id ?? null;
+
+const cacheDevice = ({ device_id, org_id, group = null }) =>
+  deviceScopes.set(device_id, { org_id: String(org_id), group });
+
+// Models are looked up by name: they are defined across index.js and the
+// feature modules, all of which are loaded before boot runs this
+const model = (name) => mongoose.model(name);
+
+// Data stored before organizations existed belongs to the default
+// organization (created as `name`), and the oldest admin becomes the
+// first superadmin
+async function migrateTenants(name) {
+  const org = await Organization.findOneAndUpdate(
+    { slug: DEFAULT_ORG_SLUG },
+    { $setOnInsert: { name, slug: DEFAULT_ORG_SLUG } },
+    { upsert: true, new: true }
+  ).lean();
+  defaultOrg = org;
+
+  const models  = ['Device', 'CargoTelemetry', 'CargoAlert', 'Shipment', 'ThresholdProfile', 'Geofence', 'GeofenceEvent', 'User'].map(model);
+  const results = await Promise.all(models.map((Model) =>
+    Model.updateMany({ org_id: { $exists: false } }, { $set: { org_id: org._id } })
+  ));
+  let moved = results.reduce((n, r) => n + r.modifiedCount, 0);
+
+  // Door / status / command history and shadows were keyed by device
+  // only: they go to the device's current organization (the default one
+  // for devices that are no longer registered)
+  const owners = await model('Device').aggregate([{ $group: { _id: '$org_id', devices: { $push: '$device_id' } } }]);
+  for (const Model of ['DoorEvent', 'DoorSeal', 'DeviceStatusEvent', 'DeviceCommand', 'DeviceShadow'].map(model)) {
+    const untagged = { $or: [{ org_id: { $exists: false } }, { org_id: null }] };
+    for (const { _id: org_id, devices } of owners) {
+      const r = await Model.updateMany({ ...untagged, device_id: { $in: devices } }, { $set: { org_id } });
+      moved += r.modifiedCount;
+    }
+    moved += (await Model.updateMany(untagged, { $set: { org_id: org._id } })).modifiedCount;
+  }
+  if (moved) log(`Tenancy: ${moved} documents assigned to organization "${org.name}"`);
+
+  // Profile name / product_class used to be globally unique
+  const ThresholdProfile = model('ThresholdProfile');
+  for (const index of ['name_1', 'product_class_1']) {
+    if (await ThresholdProfile.collection.indexExists(index).catch(() => false)) {
+      await ThresholdProfile.collection.dropIndex(index);
+      log(`Tenancy: dropped global threshold_profiles index ${index}`);
+    }
+  }
+
+  const User = model('User');
+  if (!(await User.exists({ role: 'superadmin' }))) {
+    const admin = await User.findOneAndUpdate(
+      { role: 'admin', active: true },
+      { role: 'superadmin' },
+      { sort: { createdAt: 1 }, new: true }
+    ).lean();
+    if (admin) log(`Tenancy: ${admin.username} promoted to superadmin`);
+  }
+}
+
+async function loadDeviceScopes() {
+  const devices = await model('Device').find({}, { device_id: 1, org_id: 1, group: 1 }).lean();
+  for (const d of devices) cacheDevice(d);
+  log(`Device registry loaded: ${deviceScopes.size} devices`);
+}
+
+// Express param handler for :device_id — a device of another
+// organization answers 404, exactly as an unknown one. Collection
+// queries add { org_id: req.user.org_id } themselves.
+function scopeDevice(req, res, next, device_id) {
+  if (req.user && orgOf(device_id) !== String(req.user.org_id)) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  next();
+}
+
+module.exports = {
+  Organization,
+  deviceScopes,
+  orgOf,
+  groupOf,
+  defaultOrgId,
+  cacheDevice,
+  migrateTenants,
+  loadDeviceScopes,
+  scopeDevice,
+};
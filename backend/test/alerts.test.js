@@ -0,0 +1,195 @@
+'use strict';
+
+// Debounce, hysteresis, cooldown, backfill and restart recovery of the
+// threshold alert evaluator.
+
+const { describe, it } = require('node:test');
+const assert   = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Pin the tuning a local .env could otherwise change
+Object.assign(process.env, {
+  ALERT_MIN_DURATION_S:   '60',
+  ALERT_COOLDOWN_S:       '900',
+  ALERT_HYSTERESIS_TEMP:  '0.5',
+  ALERT_HYSTERESIS_SHOCK: '0.2',
+});
+
+const { evaluateAlerts, restoreAlertStates } = require('../index');
+
+const S      = 1000;
+const T0     = Date.parse('2026-10-18T10:00:00Z');
+const LIMITS = { temp: { min: 2, max: 8 }, shock_g: { min: null, max: 2.5 } };
+
+// Each test runs on its own device: evaluator state is per device and metric
+let devices = 0;
+const nextDevice = () => `test-${++devices}`;
+
+// Feeds [offsetS, temp] readings in order; returns the events of each
+function feed(device_id, readings, limits = LIMITS) {
+  return readings.map(([offsetS, temp]) => evaluateAlerts(device_id, { temp }, limits, T0 + offsetS * S));
+}
+
+describe('alert debounce', () => {
+  it('raises once the excursion has lasted the minimum duration', () => {
+    const [first, middle, due] = feed(nextDevice(), [[0, 9], [30, 9.6], [60, 9.2]]);
+
+    assert.deepEqual(first, []);
+    assert.deepEqual(middle, []);
+    assert.equal(due.length, 1);
+    assert.equal(due[0].kind, 'raised');
+    assert.equal(due[0].repeat, false);
+    assert.equal(due[0].direction, 'high');
+    assert.equal(due[0].threshold, 8);
+    assert.equal(due[0].peak, 9.6);
+    assert.deepEqual(due[0].since, new Date(T0));
+    assert.equal(due[0].message, 'TEMPERATURE EXCEEDED: 9.2°C > threshold 8°C');
+  });
+
+  it('forgets an excursion that ends before the minimum duration', () => {
+    const events = feed(nextDevice(), [[0, 9], [30, 7], [70, 9], [120, 9]]);
+
+    assert.deepEqual(events.flat(), []);   // the second excursion started at 70 s
+  });
+
+  it('restarts the timer when the excursion changes direction', () => {
+    const events = feed(nextDevice(), [[0, 9], [30, 1], [60, 1], [90, 1]]);
+
+    assert.deepEqual(events.slice(0, 3).flat(), []);
+    assert.equal(events[3][0].direction, 'low');
+    assert.deepEqual(events[3][0].since, new Date(T0 + 30 * S));
+  });
+
+  it('raises shock on the first sample', () => {
+    const [event] = evaluateAlerts(nextDevice(), { shock_g: 3.1 }, LIMITS, T0);
+
+    assert.equal(event.kind, 'raised');
+    assert.equal(event.metric, 'shock_g');
+    assert.equal(event.message, 'SHOCK EXCEEDED: 3.1G > threshold 2.5G');
+  });
+
+  it('keeps the state of each device and metric apart', () => {
+    const a = nextDevice();
+    const b = nextDevice();
+    feed(a, [[0, 9]]);
+
+    assert.deepEqual(feed(b, [[60, 9]]).flat(), []);
+    assert.equal(feed(a, [[60, 9]])[0][0].kind, 'raised');
+  });
+});
+
+describe('alert hysteresis', () => {
+  it('clears only once the value is back inside the limit by the band', () => {
+    const device = nextDevice();
+    feed(device, [[0, 9], [60, 9.8]]);
+
+    const [inside, cleared] = feed(device, [[120, 7.8], [180, 7.5]]);
+
+    assert.deepEqual(inside, []);
+    assert.equal(cleared.length, 1);
+    const [event] = cleared;
+    assert.equal(event.kind, 'cleared');
+    assert.equal(event.peak, 9.8);
+    assert.deepEqual(event.raisedAt, new Date(T0 + 60 * S));
+    assert.deepEqual(event.clearedAt, new Date(T0 + 180 * S));
+    assert.equal(event.duration_ms, 180 * S);
+  });
+
+  it('clears against the limit in force, so an edited profile applies', () => {
+    const device = nextDevice();
+    feed(device, [[0, 9], [60, 9]]);
+
+    const [event] = evaluateAlerts(device, { temp: 9 }, { temp: { max: 10 } }, T0 + 120 * S);
+
+    assert.equal(event.kind, 'cleared');
+  });
+
+  it('clears and starts over when the value crosses to the other limit', () => {
+    const device = nextDevice();
+    feed(device, [[0, 9], [60, 9]]);
+
+    const [[cleared], pending, [raised]] = feed(device, [[120, 1], [150, 1], [180, 1]]);
+
+    assert.equal(cleared.kind, 'cleared');
+    assert.equal(cleared.direction, 'high');
+    assert.deepEqual(pending, []);
+    assert.equal(raised.direction, 'low');
+  });
+});
+
+describe('alert cooldown', () => {
+  it('repeats an ongoing excursion once per cooldown', () => {
+    const device = nextDevice();
+    feed(device, [[0, 9], [60, 9]]);   // raised at 60 s
+
+    const events = feed(device, [[600, 9.4], [959, 9], [960, 9], [1200, 9], [1860, 9]]);
+
+    assert.deepEqual(events.map((e) => e.length), [0, 0, 1, 0, 1]);
+    assert.equal(events[2][0].repeat, true);
+    assert.equal(events[2][0].peak, 9.4);
+    assert.deepEqual(events[2][0].since, new Date(T0));
+  });
+});
+
+describe('backfill evaluation', () => {
+  it('rebuilds late excursions on their own state, leaving the live one alone', () => {
+    const device   = nextDevice();
+    const backfill = new Map();
+    feed(device, [[600, 9]]);   // live excursion pending since 600 s
+
+    const late = [[0, 1], [60, 1], [120, 5]].map(([offsetS, temp]) =>
+      evaluateAlerts(device, { temp }, LIMITS, T0 + offsetS * S, backfill));
+
+    assert.deepEqual(late.map((e) => e.map((evt) => evt.kind)), [[], ['raised'], ['cleared']]);
+    assert.equal(feed(device, [[660, 9]])[0][0].kind, 'raised');
+  });
+});
+
+describe('alert state after a restart', () => {
+  const stored = (fields) => ({
+    _id:        'alert-1',
+    alert:      'TEMPERATURE_HIGH',
+    metric:     'temp',
+    threshold:  8,
+    peak:       9.4,
+    eventAt:    new Date(T0),
+    ...fields,
+  });
+  const mockOpenAlerts = (t, alerts) => t.mock.method(mongoose.model('CargoAlert'), 'find', () => ({
+    sort: () => ({ lean: async () => alerts }),
+  }));
+
+  it('continues an uncleared excursion instead of raising it again', async (t) => {
+    const device = nextDevice();
+    mockOpenAlerts(t, [stored()]);
+    await restoreAlertStates(device);
+
+    const [ongoing, [cleared]] = feed(device, [[60, 9.8], [120, 7]]);
+
+    assert.deepEqual(ongoing, []);
+    assert.equal(cleared.kind, 'cleared');
+    assert.equal(cleared.peak, 9.8);
+    assert.deepEqual(cleared.raisedAt, new Date(T0));
+    assert.equal(cleared.duration_ms, 180 * S);   // raised 60 s into the excursion
+  });
+
+  it('restores low excursions and reminds once the cooldown has passed', async (t) => {
+    const device = nextDevice();
+    mockOpenAlerts(t, [stored({ alert: 'TEMPERATURE_LOW', threshold: 2, peak: 0.5 })]);
+    await restoreAlertStates(device);
+
+    const [[reminder]] = feed(device, [[900, 1]]);
+
+    assert.equal(reminder.repeat, true);
+    assert.equal(reminder.direction, 'low');
+  });
+
+  it('reads the stored alerts once per device', async (t) => {
+    const device = nextDevice();
+    const find = mockOpenAlerts(t, []);
+    await restoreAlertStates(device);
+    await restoreAlertStates(device);
+
+    assert.equal(find.mock.callCount(), 1);
+  });
+});
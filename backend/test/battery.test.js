@@ -0,0 +1,121 @@
+'use strict';
+
+// Battery drain forecast and the low-battery alert decisions built on it.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert   = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Pin the tuning a local .env could otherwise change
+Object.assign(process.env, {
+  BATTERY_LOW_PCT:      '20',
+  BATTERY_ALERT_LEAD_H: '24',
+  BATTERY_WINDOW_H:     '6',
+});
+
+const { forecastBattery, trackBattery } = require('../index');
+
+const MIN  = 60_000;
+const HOUR = 60 * MIN;
+const T0   = Date.parse('2026-10-18T08:00:00Z');
+
+// Oldest-first samples every `stepMin` minutes, starting at `level`
+// and changing by `perStep` percent each time
+const series = (count, stepMin, level, perStep) =>
+  Array.from({ length: count }, (_, i) => ({ t: T0 + i * stepMin * MIN, level: level + i * perStep }));
+
+describe('battery forecast', () => {
+  it('needs five samples over at least ten minutes', () => {
+    assert.equal(forecastBattery(series(4, 30, 50, -0.5)), null);
+    assert.equal(forecastBattery(series(5, 2, 50, -0.1)), null);
+  });
+
+  it('fits the drain rate and the time to empty', () => {
+    const samples = series(7, 30, 50, -0.5);   // 1 %/h, 47 % left after 3 h
+    const now     = samples[6].t;
+
+    const forecast = forecastBattery(samples, now);
+
+    assert.equal(forecast.level, 47);
+    assert.equal(forecast.drain_pct_per_h, 1);
+    assert.equal(forecast.time_to_empty_ms, 47 * HOUR);
+    assert.deepEqual(forecast.empty_at, new Date(now + 47 * HOUR));
+    assert.equal(forecast.samples, 7);
+    assert.equal(forecast.window_ms, 3 * HOUR);
+  });
+
+  it('has no time to empty while the battery is not discharging', () => {
+    const forecast = forecastBattery(series(6, 10, 60, 0.2));
+
+    assert.ok(forecast.drain_pct_per_h < 0);
+    assert.equal(forecast.time_to_empty_ms, null);
+    assert.equal(forecast.empty_at, null);
+  });
+});
+
+describe('low-battery alert', () => {
+  let history;
+  let openAlert;
+
+  beforeEach((t) => {
+    history   = [];
+    openAlert = null;
+    t.mock.method(mongoose.model('CargoTelemetry'), 'find', () => ({ sort: () => ({ lean: async () => history }) }));
+    t.mock.method(mongoose.model('CargoAlert'), 'findOne', () => ({ lean: async () => openAlert }));
+    t.mock.method(console, 'log', () => {});
+  });
+
+  let devices = 0;
+  const nextDevice = () => `battery-${++devices}`;
+
+  it('is raised at the low level', async () => {
+    const { raised } = await trackBattery(nextDevice(), 18, T0);
+
+    assert.deepEqual(raised, { message: 'LOW BATTERY: 18% (≤ 20%)', value: 18, threshold: 20 });
+  });
+
+  it('is raised early when the battery is forecast to die within the lead time', async () => {
+    const device  = nextDevice();
+    const results = [];
+    for (const { t, level } of series(5, 10, 80, -1)) {   // 6 %/h
+      results.push(await trackBattery(device, level, t));
+    }
+
+    assert.ok(results.slice(0, 4).every((r) => !r.raised));
+    assert.equal(results[4].raised.message, 'LOW BATTERY: 76%, forecast empty in ~13h');
+  });
+
+  it('is not raised for a slow drain', async () => {
+    const device = nextDevice();
+    let result;
+    for (const { t, level } of series(6, 30, 80, -0.5)) result = await trackBattery(device, level, t);
+
+    assert.equal(result.raised, undefined);
+    assert.equal(result.forecast.drain_pct_per_h, 1);
+  });
+
+  it('continues an alert still open after a restart and clears it once recharged', async () => {
+    const device = nextDevice();
+    openAlert = { _id: 'alert-1', eventAt: new Date(T0 - HOUR), value: 15 };
+
+    const low     = await trackBattery(device, 14, T0);
+    const charged = await trackBattery(device, 95, T0 + 10 * MIN);
+
+    assert.equal(low.raised, undefined);
+    assert.deepEqual(charged.cleared, {
+      alert_id:    'alert-1',
+      clearedAt:   new Date(T0 + 10 * MIN),
+      duration_ms: HOUR + 10 * MIN,
+      peak:        14,
+    });
+  });
+
+  it('starts a new discharge curve after a swap', async () => {
+    const device = nextDevice();
+    history = series(6, 10, 40, -1).map(({ t, level }) => ({ eventAt: new Date(t - HOUR), battery: level }));
+
+    const { forecast } = await trackBattery(device, 100, T0);
+
+    assert.equal(forecast, null);   // one sample since the swap
+  });
+});
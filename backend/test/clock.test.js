@@ -0,0 +1,97 @@
+'use strict';
+
+// Device clock reconciliation: event time from epoch and uptime stamps,
+// clock skew, reboots and the late-data flag for backfilled readings.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert   = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Pin the tuning a local .env could otherwise change
+Object.assign(process.env, {
+  LATE_DATA_THRESHOLD_S: '120',
+  CLOCK_MAX_SKEW_S:      '300',
+});
+
+const { resolveEventTime } = require('../index');
+
+const S   = 1000;
+const MIN = 60 * S;
+const T0  = Date.parse('2026-10-18T12:00:00Z');
+const at  = (offsetMs) => new Date(T0 + offsetMs);
+
+let devices = 0;
+const nextDevice = () => `clock-${++devices}`;
+
+describe('event time', () => {
+  let lastUptimeReading;
+
+  beforeEach((t) => {
+    lastUptimeReading = null;
+    t.mock.method(mongoose.model('CargoTelemetry'), 'findOne', () => ({
+      sort: () => ({ lean: async () => lastUptimeReading }),
+    }));
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+  });
+
+  it('trusts an epoch timestamp from the device clock', async () => {
+    const clock = await resolveEventTime(nextDevice(), T0 - 5 * S, at(0));
+
+    assert.deepEqual(clock, { eventAt: at(-5 * S), ts_source: 'epoch', lag_ms: 5 * S, late: false });
+  });
+
+  it('flags readings that arrive after the late-data threshold', async () => {
+    const device = nextDevice();
+
+    assert.equal((await resolveEventTime(device, T0 - 120 * S, at(0))).late, false);
+    assert.equal((await resolveEventTime(device, T0 - 121 * S, at(0))).late, true);
+  });
+
+  it('uses server time for a clock too far in the future', async () => {
+    const ahead  = await resolveEventTime(nextDevice(), T0 + 301 * S, at(0));
+    const skewed = await resolveEventTime(nextDevice(), T0 + 60 * S, at(0));
+
+    assert.deepEqual(ahead, { eventAt: at(0), ts_source: 'server', lag_ms: 0, late: false });
+    assert.deepEqual(skewed.eventAt, at(0));   // within the skew: clamped, not future
+    assert.equal(skewed.ts_source, 'epoch');
+  });
+
+  it('maps uptime through the smallest delay seen since boot', async () => {
+    const device = nextDevice();
+
+    // The first reading fixes the offset; a faster one 2 s later pulls it down
+    const first = await resolveEventTime(device, 10 * S, at(0));
+    const live  = await resolveEventTime(device, 20 * S, at(8 * S));
+
+    assert.deepEqual(first.eventAt, at(0));
+    assert.equal(first.ts_source, 'uptime');
+    assert.deepEqual(live.eventAt, at(8 * S));
+    assert.equal(live.lag_ms, 0);
+
+    // An SD-buffered reading taken 10 min ago keeps its event time and is late
+    const buffered = await resolveEventTime(device, 30 * S, at(10 * MIN + 18 * S));
+    assert.deepEqual(buffered.eventAt, at(18 * S));
+    assert.equal(buffered.lag_ms, 10 * MIN);
+    assert.equal(buffered.late, true);
+  });
+
+  it('restarts the estimate when uptime goes backwards', async () => {
+    const device = nextDevice();
+    await resolveEventTime(device, 3_600 * S, at(0));
+
+    const rebooted = await resolveEventTime(device, 5 * S, at(MIN));
+
+    assert.deepEqual(rebooted.eventAt, at(MIN));
+    assert.equal(rebooted.late, false);
+  });
+
+  it('continues the offset of the last uptime reading after a restart', async () => {
+    lastUptimeReading = { ts: 100 * S, eventAt: at(-MIN) };   // booted at T0 − 160 s
+
+    const clock = await resolveEventTime(nextDevice(), 200 * S, at(45 * S));
+
+    assert.deepEqual(clock.eventAt, at(40 * S));
+    assert.equal(clock.lag_ms, 5 * S);
+  });
+});
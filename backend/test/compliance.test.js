@@ -0,0 +1,159 @@
+'use strict';
+
+// Cold-chain compliance report: mean kinetic temperature, time out of
+// range, excursions, gaps and door / shock events, plus the shipment a
+// report window is judged by.
+
+const { describe, it } = require('node:test');
+const assert   = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { meanKineticTemperature, buildComplianceReport, findShipmentInWindow } = require('../index');
+
+const MIN     = 60_000;
+const T0      = Date.parse('2026-10-18T08:00:00Z');
+const PROFILE = { name: 'chilled', limits: { temp: { min: 2, max: 8 } } };
+
+// One record per minute from T0, with the given temperatures
+const minutely = (temps, fields = {}) => temps.map((temp, i) => ({
+  eventAt:   new Date(T0 + i * MIN),
+  temp,
+  door_open: false,
+  lat:       52.5,
+  lon:       13.4,
+  ...fields,
+}));
+
+const report = (records, extra = {}) => buildComplianceReport({
+  device_id:   'dev-1',
+  from:        new Date(T0),
+  to:          new Date(T0 + 60 * MIN),
+  profile:     PROFILE,
+  records,
+  shockAlerts: [],
+  ...extra,
+});
+
+describe('mean kinetic temperature', () => {
+  it('equals the temperature when it is constant', () => {
+    assert.ok(Math.abs(meanKineticTemperature([5, 5, 5]) - 5) < 1e-9);
+  });
+
+  it('weights warm samples above the arithmetic mean', () => {
+    const mkt = meanKineticTemperature([4, 4, 4, 12]);
+    assert.ok(Math.abs(mkt - 6.818) < 0.001, `mkt ${mkt}`);
+  });
+
+  it('is null without samples', () => {
+    assert.equal(meanKineticTemperature([]), null);
+  });
+});
+
+describe('compliance report', () => {
+  it('is compliant when every sample is within the profile', () => {
+    const r = report(minutely([4, 5, 6, 5]));
+
+    assert.equal(r.compliant, true);
+    assert.equal(r.samples, 4);
+    assert.deepEqual(r.profile, { name: 'chilled', temp: { min: 2, max: 8 } });
+    assert.deepEqual(r.excursions, []);
+    assert.equal(r.longest_excursion, null);
+    assert.deepEqual(
+      { min: r.temperature.min, max: r.temperature.max, avg: r.temperature.avg },
+      { min: 4, max: 6, avg: 5 }
+    );
+  });
+
+  it('measures excursions and the time spent above and below the range', () => {
+    const r = report(minutely([5, 9, 10, 9, 5, 1, 1, 5]));
+
+    assert.equal(r.compliant, false);
+    assert.equal(r.time_above_range_ms, 3 * MIN);
+    assert.equal(r.time_below_range_ms, 2 * MIN);
+    assert.equal(r.excursions.length, 2);
+    const [high, low] = r.excursions;
+    assert.deepEqual(high, {
+      direction:   'high',
+      threshold:   8,
+      start:       new Date(T0 + MIN),
+      end:         new Date(T0 + 4 * MIN),
+      peak:        10,
+      duration_ms: 3 * MIN,
+    });
+    assert.equal(low.direction, 'low');
+    assert.equal(low.peak, 1);
+    assert.equal(r.longest_excursion, high);
+  });
+
+  it('reports an excursion still open at the end of the window as ongoing', () => {
+    const r = report(minutely([5, 9, 9]));
+
+    assert.equal(r.excursions[0].ongoing, true);
+    assert.deepEqual(r.excursions[0].end, new Date(T0 + 2 * MIN));
+  });
+
+  it('counts long silences as missing data, not as time in or out of range', () => {
+    const records = [
+      { eventAt: new Date(T0),            temp: 9 },
+      { eventAt: new Date(T0 + 30 * MIN), temp: 9 },
+    ];
+    const r = report(records);
+
+    assert.equal(r.time_above_range_ms, 10 * MIN);
+    assert.equal(r.data_gap_ms, 20 * MIN);
+  });
+
+  it('lists door openings and shock events', () => {
+    const records = minutely([5, 5, 5, 5]);
+    Object.assign(records[1], { door_open: true, lat: 48.1 });
+    records[2].door_open = true;
+    const shock = { eventAt: new Date(T0 + MIN), shock_g: 3.2, lat: 48.1, lon: 11.6, state: 'open', type: 'shock' };
+
+    const r = report(records, { shockAlerts: [shock] });
+
+    assert.deepEqual(r.door_events, [{
+      openedAt:    new Date(T0 + MIN),
+      closedAt:    new Date(T0 + 3 * MIN),
+      lat:         48.1,
+      lon:         13.4,
+      duration_ms: 2 * MIN,
+    }]);
+    assert.deepEqual(r.shock_events, [{ at: shock.eventAt, shock_g: 3.2, lat: 48.1, lon: 11.6, state: 'open' }]);
+  });
+
+  it('names the shipment the window was judged for', () => {
+    const shipment = { _id: 'ship-1', reference: 'WB-1001', cargo: { product_class: 'vaccines' } };
+
+    assert.deepEqual(report(minutely([5]), { shipment }).shipment, { _id: 'ship-1', reference: 'WB-1001' });
+    assert.equal(report(minutely([5])).shipment, null);
+  });
+});
+
+describe('shipment of a report window', () => {
+  const Shipment = mongoose.model('Shipment');
+  const at = (h) => new Date(T0 + h * 60 * MIN);
+
+  it('picks the shipment the device was assigned to for most of the window', async (t) => {
+    const find = t.mock.method(Shipment, 'find', () => ({ lean: async () => [
+      { _id: 'early', devices: [{ device_id: 'dev-1', from: at(-10), to: at(2) }] },
+      { _id: 'late',  devices: [{ device_id: 'other', from: at(0), to: null }, { device_id: 'dev-1', from: at(2), to: null }] },
+    ] }));
+
+    const shipment = await findShipmentInWindow('dev-1', at(0), at(10), 'org-1');
+
+    assert.equal(shipment._id, 'late');
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.org_id, 'org-1');
+    assert.deepEqual(filter.devices.$elemMatch, {
+      device_id: 'dev-1',
+      from:      { $lt: at(10) },
+      $or:       [{ to: null }, { to: { $gt: at(0) } }],
+    });
+  });
+
+  it('is null when the device was on no shipment', async (t) => {
+    t.mock.method(Shipment, 'find', () => ({ lean: async () => [] }));
+
+    assert.equal(await findShipmentInWindow('dev-1', at(0), at(10), 'org-1'), null);
+  });
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+// Decoder registry: decoder selection, unit conversion, defaults of the
+// canonical reading and the stage each kind of bad payload fails at.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { decode, DecodeError, subscriptions, listDecoders, topicMatches } = require('../decoders');
+const { toCanonical, assertUnits } = require('../decoders/units');
+
+const TS = Date.parse('2026-10-18T08:00:00Z');
+
+const firmwarePayload = (fields = {}) => ({
+  device_id: 'dev-1',
+  temp:      4.2,
+  hum:       61,
+  shock_g:   0.3,
+  lat:       52.52,
+  lon:       13.4,
+  door_open: false,
+  ts:        TS,
+  ...fields,
+});
+
+// Runs decode() expecting a DecodeError; returns it
+function decodeError(topic, payload) {
+  try {
+    decode(topic, payload);
+  } catch (err) {
+    assert.ok(err instanceof DecodeError, err.message);
+    return err;
+  }
+  assert.fail('payload was accepted');
+}
+
+describe('decoder selection', () => {
+  it('matches MQTT topic filters', () => {
+    assert.equal(topicMatches('cargo/+/telemetry', 'cargo/dev-1/telemetry'), true);
+    assert.equal(topicMatches('cargo/+/telemetry', 'cargo/dev-1/telemetry/x'), false);
+    assert.equal(topicMatches('cargo/#', 'cargo/dev-1/telemetry'), true);
+    assert.equal(topicMatches('cargo/telemetry', 'cargo/dev-1'), false);
+  });
+
+  it('decodes firmware telemetry and fills the canonical defaults', () => {
+    const { decoder, kind, reading } = decode('cargo/dev-1/telemetry', firmwarePayload());
+
+    assert.equal(decoder, 'firmware');
+    assert.equal(kind, 'telemetry');
+    assert.deepEqual(reading, {
+      ...firmwarePayload(),
+      battery:          null,
+      battery_v:        null,
+      firmware_version: null,
+    });
+  });
+
+  it('prefers the shock decoder for shock payloads on telemetry topics', () => {
+    const { decoder, kind, reading } = decode('cargo/dev-1/telemetry', {
+      device_id: 'dev-1', alert: 'SHOCK_DETECTED', shock_g: 3.4, ts: TS,
+    });
+
+    assert.equal(decoder, 'firmware-shock');
+    assert.equal(kind, 'shock');
+    assert.equal(reading.lat, null);
+  });
+
+  it('converts the simulator ISO timestamp and fills missing sensors', () => {
+    const { decoder, reading } = decode('cargo/telemetry', {
+      device_id:   'sim-1',
+      temperature: 5.5,
+      timestamp:   '2026-10-18T08:00:00Z',
+      location:    { lat: 48.1, lon: 11.6 },
+      battery:     87,
+    });
+
+    assert.equal(decoder, 'simulator');
+    assert.equal(reading.ts, TS);
+    assert.equal(reading.hum, 0);
+    assert.equal(reading.shock_g, 0);
+    assert.equal(reading.battery, 87);
+    assert.deepEqual([reading.lat, reading.lon], [48.1, 11.6]);
+  });
+
+  it('subscribes to the union of the decoder topics', () => {
+    const topics = subscriptions();
+    assert.ok(topics.includes('cargo/+/telemetry'));
+    assert.ok(topics.includes('cargo/alert/shock'));
+    assert.equal(new Set(topics).size, topics.length);
+  });
+
+  it('lists each decoder with its units on top of the canonical ones', () => {
+    const simulator = listDecoders().find((d) => d.name === 'simulator');
+    assert.deepEqual(simulator.units, { temp: 'C', hum: '%', shock_g: 'g', battery: '%', battery_v: 'V', ts: 'iso' });
+  });
+});
+
+describe('decode errors', () => {
+  it('fails matching for non-objects and unknown topics', () => {
+    assert.equal(decodeError('cargo/dev-1/telemetry', [1, 2]).stage, 'match');
+    const err = decodeError('acme/dev-1/up', firmwarePayload());
+    assert.equal(err.stage, 'match');
+    assert.equal(err.message, 'No decoder for topic acme/dev-1/up');
+  });
+
+  it('fails the decoder schema for malformed fields', () => {
+    const err = decodeError('cargo/dev-1/telemetry', firmwarePayload({ hum: 'wet' }));
+
+    assert.equal(err.stage, 'schema');
+    assert.equal(err.decoder, 'firmware');
+    assert.match(err.message, /payload\/hum must be number/);
+  });
+
+  it('fails the canonical schema for out-of-range readings', () => {
+    const err = decodeError('cargo/dev-1/telemetry', firmwarePayload({ lat: 123 }));
+
+    assert.equal(err.stage, 'canonical');
+    assert.match(err.message, /reading\/lat must be <= 90/);
+  });
+
+  it('fails the canonical schema for a timestamp that does not convert', () => {
+    const err = decodeError('cargo/telemetry', { device_id: 'sim-1', temperature: 5, timestamp: 'soon' });
+
+    assert.equal(err.stage, 'canonical');
+    assert.equal(err.decoder, 'simulator');
+  });
+});
+
+describe('unit conversion', () => {
+  it('converts each declared field into its canonical unit', () => {
+    const reading = toCanonical(
+      { temp: 41, hum: 0.55, shock_g: 19.6133, battery: 0.5, battery_v: 3700, ts: 1_760_000_000, lat: 1 },
+      { temp: 'F', hum: 'ratio', shock_g: 'm/s2', battery: 'ratio', battery_v: 'mV', ts: 's' }
+    );
+
+    const expected = { temp: 5, hum: 55, shock_g: 2, battery: 50, battery_v: 3.7, ts: 1_760_000_000_000, lat: 1 };
+    for (const [field, value] of Object.entries(expected)) {
+      assert.ok(Math.abs(reading[field] - value) < 1e-9, `${field}: ${reading[field]}`);
+    }
+    assert.ok(Math.abs(toCanonical({ temp: 278.15 }, { temp: 'K' }).temp - 5) < 1e-9);
+  });
+
+  it('passes missing values through', () => {
+    assert.deepEqual(toCanonical({ temp: null }, { temp: 'F', battery: '%' }), { temp: null });
+  });
+
+  it('rejects units it has no conversion for', () => {
+    assert.throws(() => assertUnits({ temp: 'R' }), { message: 'Unknown unit "R" for temp (known: C, F, K)' });
+    assert.throws(() => assertUnits({ speed: 'kmh' }), { message: 'Unknown unit "kmh" for speed (known: none)' });
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+// Time ranges, cursor pages and bucketed aggregates of the telemetry
+// history API. The pipeline and filters are checked as built; the
+// model is mocked, so no MongoDB is needed.
+
+const { describe, it } = require('node:test');
+const assert   = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { queryTelemetryHistory } = require('../index');
+
+const CargoTelemetry = mongoose.model('CargoTelemetry');
+
+const HOUR = 60 * 60_000;
+const FROM = '2026-10-18T00:00:00.000Z';
+const TO   = '2026-10-18T06:00:00.000Z';
+
+// Chainable find() stand-in that records the filter and returns `rows`
+function mockFind(t, rows) {
+  const calls = [];
+  t.mock.method(CargoTelemetry, 'find', (filter) => {
+    const call = { filter };
+    calls.push(call);
+    const q = {
+      sort:  (sort)  => { call.sort = sort; return q; },
+      limit: (limit) => { call.limit = limit; return q; },
+      lean:  async () => rows.slice(0, call.limit),
+    };
+    return q;
+  });
+  return calls;
+}
+
+const row = (i) => ({
+  _id:     new mongoose.Types.ObjectId(),
+  eventAt: new Date(Date.parse(TO) - i * 60_000),
+  temp:    4 + i / 10,
+});
+
+describe('bucketed aggregates', () => {
+  it('groups the range into epoch-aligned buckets of the requested size', async (t) => {
+    const aggregate = t.mock.method(CargoTelemetry, 'aggregate', async () => [{ t: new Date(FROM), count: 3 }]);
+
+    const result = await queryTelemetryHistory({ device_id: 'dev-1' }, { bucket: '15m', from: FROM, to: TO });
+
+    const [[match, group, sort, project]] = aggregate.mock.calls[0].arguments;
+    assert.deepEqual(match.$match, { device_id: 'dev-1', eventAt: { $gte: new Date(FROM), $lte: new Date(TO) } });
+    assert.deepEqual(group.$group._id, {
+      $subtract: [{ $toLong: '$eventAt' }, { $mod: [{ $toLong: '$eventAt' }, 15 * 60_000] }],
+    });
+    for (const metric of ['temp', 'hum', 'shock_g']) {
+      assert.deepEqual(group.$group[`${metric}_min`], { $min: `$${metric}` });
+      assert.deepEqual(group.$group[`${metric}_avg`], { $avg: `$${metric}` });
+      assert.deepEqual(group.$group[`${metric}_max`], { $max: `$${metric}` });
+    }
+    assert.deepEqual(sort, { $sort: { _id: 1 } });
+    assert.deepEqual(project.$project.t, { $toDate: '$_id' });
+    assert.deepEqual(result, {
+      bucket:  '15m',
+      from:    new Date(FROM),
+      to:      new Date(TO),
+      count:   1,
+      buckets: [{ t: new Date(FROM), count: 3 }],
+    });
+  });
+
+  it('covers the last 24 hours without a range', async (t) => {
+    t.mock.method(CargoTelemetry, 'aggregate', async () => []);
+
+    const { from, to } = await queryTelemetryHistory({ device_id: 'dev-1' }, { bucket: '1h' });
+
+    assert.ok(Math.abs(to - Date.now()) < 1000);
+    assert.equal(to - from, 24 * HOUR);
+  });
+
+  it('rejects unknown bucket sizes', async () => {
+    await assert.rejects(
+      queryTelemetryHistory({ device_id: 'dev-1' }, { bucket: '2m' }),
+      { message: 'Invalid `bucket` — one of 1m, 5m, 15m, 1h, 6h, 1d' }
+    );
+  });
+
+  it('rejects ranges of more than 2000 buckets', async () => {
+    await assert.rejects(
+      queryTelemetryHistory({ device_id: 'dev-1' }, { bucket: '1m', from: FROM, to: '2026-10-20T00:00:00Z' }),
+      { message: 'Range too large for bucket 1m (max 2000 buckets)' }
+    );
+  });
+});
+
+describe('time range and cursor pages', () => {
+  it('filters on the range and accepts ISO dates or epoch ms', async (t) => {
+    const calls = mockFind(t, []);
+
+    await queryTelemetryHistory({ device_id: 'dev-1' }, { from: FROM, to: String(Date.parse(TO)) });
+
+    assert.deepEqual(calls[0].filter, {
+      device_id: 'dev-1',
+      eventAt:   { $gte: new Date(FROM), $lte: new Date(TO) },
+    });
+  });
+
+  it('rejects malformed or inverted ranges', async () => {
+    await assert.rejects(queryTelemetryHistory({}, { from: 'yesterday' }), { message: /Invalid `from`/ });
+    await assert.rejects(queryTelemetryHistory({}, { from: TO, to: FROM }), { message: '`from` must be before `to`' });
+  });
+
+  it('returns a cursor that continues after the last record of the page', async (t) => {
+    const rows  = [0, 1, 2, 3].map(row);
+    const calls = mockFind(t, rows);
+
+    const page = await queryTelemetryHistory({ device_id: 'dev-1' }, { limit: '3' });
+
+    assert.equal(page.count, 3);
+    assert.deepEqual(page.records, rows.slice(0, 3));
+    assert.deepEqual(calls[0].sort, { eventAt: -1, _id: -1 });
+    assert.equal(calls[0].limit, 4);   // one extra row tells whether there is a next page
+    assert.ok(page.next_cursor);
+
+    await queryTelemetryHistory({ device_id: 'dev-1' }, { limit: '3', cursor: page.next_cursor });
+
+    const last = rows[2];
+    assert.deepEqual(calls[1].filter.$or, [
+      { eventAt: { $lt: last.eventAt } },
+      { eventAt: last.eventAt, _id: { $lt: last._id } },
+    ]);
+  });
+
+  it('has no cursor on the last page', async (t) => {
+    mockFind(t, [0, 1].map(row));
+
+    const page = await queryTelemetryHistory({ device_id: 'dev-1' }, { limit: '3', order: 'asc' });
+
+    assert.equal(page.next_cursor, null);
+  });
+
+  it('rejects a cursor it did not issue', async () => {
+    await assert.rejects(queryTelemetryHistory({}, { cursor: 'bogus' }), { message: 'Invalid `cursor`' });
+  });
+});
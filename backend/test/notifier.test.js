@@ -0,0 +1,446 @@
+'use strict';
+
+// Quiet hours, digest routing and escalation timing of the notifier.
+// Mongo is never reached: the model statics used are mocked per test
+// and email goes to an in-memory transport.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const notifier = require('../notifier');
+const { cacheDevice } = require('../tenancy');
+
+const { Notification, NotificationRule, inQuietHours, ruleMatches, escalationDue } = notifier;
+
+const MIN = 60_000;
+
+// Query stand-in: every chained call returns itself, lean() resolves `result`
+const query = (result) => {
+  const q = { select: () => q, sort: () => q, limit: () => q, lean: async () => result };
+  return q;
+};
+
+// Transport that records messages, or throws while `fail` is set
+function memoryMailer() {
+  const mailer = {
+    sent: [],
+    fail: false,
+    async sendMail(message) {
+      if (mailer.fail) throw new Error('SMTP down');
+      mailer.sent.push(message);
+      return { messageId: `<${mailer.sent.length}@test>` };
+    },
+  };
+  return mailer;
+}
+
+const hhmm = (date) => date.toISOString().slice(11, 16);
+// A UTC quiet-hours window around the current time, and one that is not
+const quietNow = () => ({ start: hhmm(new Date(Date.now() - 60 * MIN)), end: hhmm(new Date(Date.now() + 60 * MIN)), timezone: 'UTC' });
+const quietLater = () => ({ start: hhmm(new Date(Date.now() + 120 * MIN)), end: hhmm(new Date(Date.now() + 180 * MIN)), timezone: 'UTC' });
+
+const makeRule = (fields = {}) => ({
+  _id:    'rule-1',
+  org_id: 'org-1',
+  name:   'Cold chain',
+  active: true,
+  match:  { types: [], severities: [], groups: [] },
+  steps:  [
+    { after_min: 0,  recipients: ['ops@example.com'] },
+    { after_min: 15, recipients: ['lead@example.com'] },
+    { after_min: 60, recipients: ['director@example.com'] },
+  ],
+  quiet_hours:       null,
+  digest_severities: ['info'],
+  ...fields,
+});
+
+const makeAlert = (fields = {}) => {
+  const raisedAt = new Date(Date.now() - 20 * MIN);
+  return {
+    _id:        'alert-1',
+    org_id:     'org-1',
+    device_id:  'dev-1',
+    alert:      'TEMP_HIGH',
+    type:       'temperature',
+    severity:   'warning',
+    message:    'TEMP HIGH: 9.1°C',
+    state:      'open',
+    clearedAt:  null,
+    historical: false,
+    eventAt:    raisedAt,
+    receivedAt: raisedAt,
+    ...fields,
+  };
+};
+
+// `actual` is within a second of `expected` (both Dates or ms)
+function assertAbout(actual, expected, message) {
+  const delta = Math.abs(new Date(actual).getTime() - new Date(expected).getTime());
+  assert.ok(delta < 1000, `${message ?? 'time'} off by ${delta} ms`);
+}
+
+let mailer;
+let currentAlert;
+
+beforeEach((t) => {
+  mailer = memoryMailer();
+  currentAlert = makeAlert();
+  notifier.configure({
+    from:              'Cargo Monitor <alerts@example.com>',
+    digestIntervalMin: 60,
+    dashboardUrl:      'http://dashboard.example.com/',
+    mailer,
+    CargoAlert:        { findById: () => query(currentAlert) },
+  });
+  cacheDevice({ device_id: 'dev-1', org_id: 'org-1', group: 'reefers' });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+describe('quiet hours', () => {
+  const at = (time) => new Date(`2026-10-18T${time}:00Z`);
+
+  it('wraps midnight when start is after end', () => {
+    const quiet = { start: '22:00', end: '06:00', timezone: 'UTC' };
+    assert.equal(inQuietHours(quiet, at('22:00')), true);
+    assert.equal(inQuietHours(quiet, at('23:30')), true);
+    assert.equal(inQuietHours(quiet, at('05:59')), true);
+    assert.equal(inQuietHours(quiet, at('06:00')), false);
+    assert.equal(inQuietHours(quiet, at('12:00')), false);
+  });
+
+  it('covers start up to, not including, end within a day', () => {
+    const quiet = { start: '09:00', end: '17:00', timezone: 'UTC' };
+    assert.equal(inQuietHours(quiet, at('08:59')), false);
+    assert.equal(inQuietHours(quiet, at('09:00')), true);
+    assert.equal(inQuietHours(quiet, at('16:59')), true);
+    assert.equal(inQuietHours(quiet, at('17:00')), false);
+  });
+
+  it("uses the local time of the rule's timezone", () => {
+    const quiet = { start: '08:00', end: '09:00', timezone: 'Asia/Tokyo' };   // UTC+9
+    assert.equal(inQuietHours(quiet, at('23:30')), true);
+    assert.equal(inQuietHours(quiet, at('08:30')), false);
+  });
+
+  it('is off without a window or with an empty one', () => {
+    assert.equal(inQuietHours(null, at('12:00')), false);
+    assert.equal(inQuietHours({ start: '12:00', end: '12:00' }, at('12:00')), false);
+  });
+
+  it('suppresses non-critical alerts but still schedules the next step', async (t) => {
+    const rule = makeRule({ quiet_hours: quietNow() });
+    t.mock.method(NotificationRule, 'find', () => query([rule]));
+    const create = t.mock.method(Notification, 'create', async (doc) => doc);
+
+    await notifier.queueAlertNotifications(currentAlert);
+
+    assert.equal(mailer.sent.length, 0);
+    const [doc] = create.mock.calls.map((c) => c.arguments[0]);
+    assert.equal(doc.status, 'suppressed');
+    assert.equal(doc.reason, 'quiet hours');
+    assertAbout(doc.escalate_at, currentAlert.receivedAt.getTime() + 15 * MIN, 'next step');
+  });
+
+  it('lets critical alerts through', async (t) => {
+    t.mock.method(NotificationRule, 'find', () => query([makeRule({ quiet_hours: quietNow() })]));
+    const create = t.mock.method(Notification, 'create', async (doc) => doc);
+
+    await notifier.queueAlertNotifications(makeAlert({ severity: 'critical' }));
+
+    assert.equal(mailer.sent.length, 1);
+    assert.equal(create.mock.calls[0].arguments[0].status, 'sent');
+  });
+});
+
+describe('routing', () => {
+  it('matches on type, severity and device group, each empty = any', () => {
+    const alert = makeAlert();
+    assert.equal(ruleMatches(makeRule(), alert, 'reefers'), true);
+    assert.equal(ruleMatches(makeRule({ match: { types: ['temperature', 'door'] } }), alert, 'reefers'), true);
+    assert.equal(ruleMatches(makeRule({ match: { types: ['door'] } }), alert, 'reefers'), false);
+    assert.equal(ruleMatches(makeRule({ match: { severities: ['critical'] } }), alert, 'reefers'), false);
+    assert.equal(ruleMatches(makeRule({ match: { groups: ['reefers'] } }), alert, 'reefers'), true);
+    assert.equal(ruleMatches(makeRule({ match: { groups: ['reefers'] } }), alert, null), false);
+  });
+
+  it('emails step 0 at once for severities outside the digest', async (t) => {
+    t.mock.method(NotificationRule, 'find', () => query([makeRule()]));
+    const create = t.mock.method(Notification, 'create', async (doc) => doc);
+
+    await notifier.queueAlertNotifications(currentAlert);
+
+    assert.equal(mailer.sent.length, 1);
+    assert.deepEqual(mailer.sent[0].to, ['ops@example.com']);
+    assert.match(mailer.sent[0].subject, /^\[WARNING\] TEMP HIGH/);
+    const [doc] = create.mock.calls.map((c) => c.arguments[0]);
+    assert.equal(doc.kind, 'alert');
+    assert.equal(doc.step, 0);
+    assert.equal(doc.status, 'sent');
+    assert.equal(doc.attempts, 1);
+  });
+
+  it('queues digest severities instead of emailing them', async (t) => {
+    t.mock.method(NotificationRule, 'find', () => query([makeRule()]));
+    const create = t.mock.method(Notification, 'create', async (doc) => doc);
+
+    await notifier.queueAlertNotifications(makeAlert({ severity: 'info' }));
+
+    assert.equal(mailer.sent.length, 0);
+    const [doc] = create.mock.calls.map((c) => c.arguments[0]);
+    assert.equal(doc.kind, 'digest');
+    assert.equal(doc.status, 'queued');
+    assert.deepEqual(doc.recipients, ['ops@example.com']);
+    assert.equal(doc.escalate_at, undefined);
+  });
+
+  it('digests warnings unless the rule says otherwise', () => {
+    const rule = new NotificationRule({ org_id: 'org-1', name: 'Defaults', steps: [{ recipients: ['ops@example.com'] }] });
+
+    assert.deepEqual([...rule.digest_severities], ['warning']);
+  });
+
+  it('skips rules for other device groups', async (t) => {
+    t.mock.method(NotificationRule, 'find', () => query([makeRule({ match: { groups: ['dry-van'] } })]));
+    const create = t.mock.method(Notification, 'create', async (doc) => doc);
+
+    await notifier.queueAlertNotifications(currentAlert);
+
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(mailer.sent.length, 0);
+  });
+
+  it('does not notify historical alerts', async (t) => {
+    const find = t.mock.method(NotificationRule, 'find', () => query([makeRule()]));
+
+    await notifier.queueAlertNotifications(makeAlert({ historical: true }));
+
+    assert.equal(find.mock.callCount(), 0);
+    assert.equal(mailer.sent.length, 0);
+  });
+
+  describe('digests', () => {
+    const queued = [
+      { _id: 'n1', alert: { ...makeAlert({ severity: 'info', message: 'Door opened' }) } },
+      { _id: 'n2', alert: { ...makeAlert({ severity: 'info', message: 'Battery at 30%' }) } },
+    ];
+
+    // Mocks the queue of one rule; returns the updateMany mock
+    function mockQueue(t, rule) {
+      t.mock.method(Notification, 'distinct', async () => [rule._id]);
+      t.mock.method(NotificationRule, 'findById', () => query(rule));
+      t.mock.method(Notification, 'find', () => query(queued));
+      t.mock.method(Notification, 'create', async (doc) => ({ _id: 'digest-1', ...doc }));
+      return t.mock.method(Notification, 'updateMany', async () => ({}));
+    }
+
+    it('sends one digest per rule to step 0 and marks the queue digested', async (t) => {
+      const updateMany = mockQueue(t, makeRule());
+
+      await notifier.sendDigests();
+
+      assert.equal(mailer.sent.length, 1);
+      assert.deepEqual(mailer.sent[0].to, ['ops@example.com']);
+      assert.equal(mailer.sent[0].subject, '[DIGEST] 2 alerts — Cold chain');
+      assert.match(mailer.sent[0].text, /Door opened[\s\S]*Battery at 30%/);
+      const [filter, update] = updateMany.mock.calls[0].arguments;
+      assert.deepEqual(filter, { _id: { $in: ['n1', 'n2'] } });
+      assert.equal(update.$set.status, 'digested');
+      assert.equal(update.$set.digest_id, 'digest-1');
+    });
+
+    it('is postponed during quiet hours', async (t) => {
+      const updateMany = mockQueue(t, makeRule({ quiet_hours: quietNow() }));
+
+      await notifier.sendDigests();
+
+      assert.equal(mailer.sent.length, 0);
+      assert.equal(updateMany.mock.callCount(), 0);
+    });
+
+    it('goes out outside quiet hours', async (t) => {
+      mockQueue(t, makeRule({ quiet_hours: quietLater() }));
+
+      await notifier.sendDigests();
+
+      assert.equal(mailer.sent.length, 1);
+    });
+
+    it('keeps the queue for the next digest when the email fails', async (t) => {
+      mailer.fail = true;
+      const updateMany = mockQueue(t, makeRule());
+
+      await notifier.sendDigests();
+
+      assert.equal(updateMany.mock.callCount(), 0);
+    });
+
+    it("suppresses a disabled rule's queue", async (t) => {
+      const updateMany = mockQueue(t, makeRule({ active: false }));
+
+      await notifier.sendDigests();
+
+      assert.equal(mailer.sent.length, 0);
+      const [filter, update] = updateMany.mock.calls[0].arguments;
+      assert.deepEqual(filter, { rule_id: 'rule-1', status: 'queued' });
+      assert.deepEqual(update.$set, { status: 'suppressed', reason: 'rule disabled' });
+    });
+  });
+});
+
+describe('escalation', () => {
+  it('is due after_min minutes after the alert was raised', () => {
+    const rule = makeRule();
+    const raisedAt = new Date('2026-10-18T10:00:00Z');
+    assert.deepEqual(escalationDue(rule, 0, raisedAt), raisedAt);
+    assert.deepEqual(escalationDue(rule, 1, raisedAt), new Date('2026-10-18T10:15:00Z'));
+    assert.deepEqual(escalationDue(rule, 2, raisedAt), new Date('2026-10-18T11:00:00Z'));
+    assert.equal(escalationDue(rule, 3, raisedAt), null);
+  });
+
+  // One due notification for the sweep; returns the mocks to inspect
+  function mockSweep(t, notification, rule = makeRule()) {
+    const due = { _id: notification._id, escalate_at: notification.escalate_at };
+    t.mock.method(Notification, 'find', () => query([due]));
+    const lease = t.mock.method(Notification, 'findOneAndUpdate', () => query(notification));
+    t.mock.method(NotificationRule, 'findOne', () => query(rule));
+    const create = t.mock.method(Notification, 'create', async (doc) => doc);
+    const updateOne = t.mock.method(Notification, 'updateOne', async () => ({}));
+    return { lease, create, updateOne };
+  }
+
+  const sent = (fields = {}) => ({
+    _id:         'notification-1',
+    rule_id:     'rule-1',
+    alert_id:    'alert-1',
+    kind:        'alert',
+    step:        0,
+    status:      'sent',
+    attempts:    1,
+    escalate_at: new Date(Date.now() - MIN),
+    alert:       null,
+    ...fields,
+  });
+
+  it('leases a due notification before working on it', async (t) => {
+    const notification = sent();
+    const { lease } = mockSweep(t, notification);
+
+    await notifier.sweepEscalations();
+
+    const [filter, update] = lease.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: notification._id, escalate_at: notification.escalate_at });
+    assertAbout(update.$set.escalate_at, Date.now() + 5 * MIN, 'lease');
+  });
+
+  it('emails the next step while the alert is still open, then clears the schedule', async (t) => {
+    const { create, updateOne } = mockSweep(t, sent());
+
+    await notifier.sweepEscalations();
+
+    assert.equal(mailer.sent.length, 1);
+    assert.deepEqual(mailer.sent[0].to, ['lead@example.com']);
+    assert.match(mailer.sent[0].subject, /^\[ESCALATION 1\] /);
+    const [doc] = create.mock.calls.map((c) => c.arguments[0]);
+    assert.equal(doc.kind, 'escalation');
+    assert.equal(doc.step, 1);
+    assertAbout(doc.escalate_at, currentAlert.receivedAt.getTime() + 60 * MIN, 'step 2');
+    assert.deepEqual(updateOne.mock.calls[0].arguments, [{ _id: 'notification-1' }, { $set: { escalate_at: null } }]);
+  });
+
+  for (const [state, change] of [
+    ['acknowledged', { state: 'acknowledged' }],
+    ['resolved', { state: 'resolved' }],
+  ]) {
+    it(`stops once the alert is ${state}`, async (t) => {
+      currentAlert = makeAlert(change);
+      const { create, updateOne } = mockSweep(t, sent());
+
+      await notifier.sweepEscalations();
+
+      assert.equal(mailer.sent.length, 0);
+      assert.equal(create.mock.callCount(), 0);
+      assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $set: { escalate_at: null } });
+    });
+  }
+
+  it('keeps escalating an open alert whose reading is back in range', async (t) => {
+    currentAlert = makeAlert({ clearedAt: new Date() });
+    const { create } = mockSweep(t, sent());
+
+    await notifier.sweepEscalations();
+
+    assert.deepEqual(mailer.sent[0].to, ['lead@example.com']);
+    assert.equal(create.mock.calls[0].arguments[0].step, 1);
+  });
+
+  it('stops after the last step', async (t) => {
+    const { create, updateOne } = mockSweep(t, sent({ step: 2 }));
+
+    await notifier.sweepEscalations();
+
+    assert.equal(create.mock.callCount(), 0);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $set: { escalate_at: null } });
+  });
+
+  it('retries a failed first send after one minute', async (t) => {
+    mailer.fail = true;
+    t.mock.method(NotificationRule, 'find', () => query([makeRule()]));
+    const create = t.mock.method(Notification, 'create', async (doc) => doc);
+
+    await notifier.queueAlertNotifications(currentAlert);
+
+    const [doc] = create.mock.calls.map((c) => c.arguments[0]);
+    assert.equal(doc.status, 'failed');
+    assert.equal(doc.reason, 'SMTP down');
+    assert.equal(doc.attempts, 1);
+    assertAbout(doc.escalate_at, Date.now() + MIN, 'retry');
+  });
+
+  it('resends a failed step with doubling delays', async (t) => {
+    mailer.fail = true;
+    const { create, updateOne } = mockSweep(t, sent({ status: 'failed', attempts: 2 }));
+
+    await notifier.sweepEscalations();
+
+    assert.equal(create.mock.callCount(), 0);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: 'notification-1' });
+    assert.equal(update.$set.status, 'failed');
+    assert.equal(update.$set.attempts, 3);
+    assertAbout(update.$set.escalate_at, Date.now() + 4 * MIN, 'third retry');
+  });
+
+  it('goes back to the step schedule once a resend succeeds', async (t) => {
+    const { updateOne } = mockSweep(t, sent({ status: 'failed', attempts: 2 }));
+
+    await notifier.sweepEscalations();
+
+    assert.deepEqual(mailer.sent[0].to, ['ops@example.com']);
+    const { $set } = updateOne.mock.calls[0].arguments[1];
+    assert.equal($set.status, 'sent');
+    assert.equal($set.attempts, 3);
+    assertAbout($set.escalate_at, currentAlert.receivedAt.getTime() + 15 * MIN, 'step 1');
+  });
+
+  it('moves on to the next step once a step has used up its attempts', async (t) => {
+    const { create } = mockSweep(t, sent({ status: 'failed', attempts: 5 }));
+
+    await notifier.sweepEscalations();
+
+    assert.equal(create.mock.calls[0].arguments[0].step, 1);
+    assert.deepEqual(mailer.sent[0].to, ['lead@example.com']);
+  });
+
+  it('keeps the lease when handling a notification fails, so a later sweep retries it', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { updateOne } = mockSweep(t, sent());
+    t.mock.method(NotificationRule, 'findOne', () => ({ lean: async () => { throw new Error('connection lost'); } }));
+
+    await notifier.sweepEscalations();
+
+    assert.equal(updateOne.mock.callCount(), 0);
+    assert.equal(mailer.sent.length, 0);
+  });
+});
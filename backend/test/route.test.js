@@ -0,0 +1,160 @@
+'use strict';
+
+// Planned routes: position along the corridor, deviation alerts after
+// the grace period and the ETA from recent ground speed.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert   = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Pin the tuning a local .env could otherwise change
+Object.assign(process.env, {
+  ROUTE_CORRIDOR_M:        '500',
+  ROUTE_DEVIATION_GRACE_S: '120',
+  ROUTE_ETA_WINDOW_MIN:    '15',
+});
+
+const { locateOnRoute, checkRoute, reloadRoutePlans } = require('../index');
+const { cacheDevice } = require('../tenancy');
+
+const RoutePlan  = mongoose.model('RoutePlan');
+const CargoAlert = mongoose.model('CargoAlert');
+
+const MIN    = 60_000;
+const T0     = Date.parse('2026-10-18T08:00:00Z');
+const ORG    = new mongoose.Types.ObjectId();
+const LEG    = 6_371_000 * 0.01 * Math.PI / 180;   // 0.01° of latitude ≈ 1112 m
+const ROUTE  = [[52, 13.4], [52.5, 13.4]];          // 50 legs due north
+
+const close = (actual, expected, tolerance) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≉ ${expected}`);
+
+// Each test runs on its own device with its own plan: route state is per device
+let devices = 0;
+async function nextDevice(t) {
+  const device_id = `route-${++devices}`;
+  cacheDevice({ device_id, org_id: ORG });
+  const plan = {
+    _id:        new mongoose.Types.ObjectId(),
+    org_id:     ORG,
+    device_id,
+    name:       'Berlin north',
+    waypoints:  ROUTE,
+    corridor_m: 500,
+    grace_s:    120,
+    active:     true,
+  };
+  t.mock.method(RoutePlan, 'find', () => ({ lean: async () => [plan] }));
+  await reloadRoutePlans();
+  return { device_id, plan };
+}
+
+// A fix `legs` × 0.01° north of the start and `east` degrees off the route
+const fix = (device_id, min, legs, east = 0) => checkRoute({
+  device_id,
+  lat:     52 + legs * 0.01,
+  lon:     13.4 + east,
+  ts:      T0 + min * MIN,
+  eventAt: new Date(T0 + min * MIN),
+});
+
+describe('position on a route', () => {
+  it('measures the offset from and the distance along the closest segment', () => {
+    const { offset_m, along_m } = locateOnRoute(52.25, 13.41, ROUTE);
+
+    close(offset_m, 0.01 * 111_320 * Math.cos(52.25 * Math.PI / 180), 1);
+    close(along_m, 25 * LEG, 1);
+  });
+
+  it('clamps positions beyond either end to that end', () => {
+    close(locateOnRoute(51.9, 13.4, ROUTE).along_m, 0, 1e-6);
+    close(locateOnRoute(52.6, 13.4, ROUTE).along_m, 50 * LEG, 1);
+  });
+});
+
+describe('route status', () => {
+  let open;
+
+  beforeEach((t) => {
+    open = null;
+    t.mock.method(CargoAlert, 'findOne', () => ({ sort: () => ({ lean: async () => open }) }));
+    t.mock.method(console, 'log', () => {});
+  });
+
+  it('estimates arrival from the recent ground speed', async (t) => {
+    const { device_id, plan } = await nextDevice(t);
+    let status;
+    for (let min = 0; min <= 5; min++) status = await fix(device_id, min, min);
+
+    assert.equal(status.status, 'on_route');
+    assert.equal(status.route_id, String(plan._id));
+    close(status.speed_kmh, LEG * 60 / 1000, 0.1);
+    close(status.remaining_m, 45 * LEG, 1);
+    close(status.progress, 0.1, 0.001);
+    close(status.eta_ms, 45 * MIN, 1000);
+    close(status.eta.getTime(), T0 + 50 * MIN, 1000);
+  });
+
+  it('only counts fixes inside the ETA window', async (t) => {
+    const { device_id } = await nextDevice(t);
+    await fix(device_id, 0, 0);
+    await fix(device_id, 5, 1);    // slow start, out of the window by the end
+    let status;
+    for (let min = 20; min <= 25; min++) status = await fix(device_id, min, min - 18);
+
+    close(status.speed_kmh, LEG * 60 / 1000, 0.1);
+  });
+
+  it('has no ETA while stopped and arrives at the end of the route', async (t) => {
+    const { device_id } = await nextDevice(t);
+    await fix(device_id, 0, 10);
+    const stopped = await fix(device_id, 1, 10);
+    const arrived = await fix(device_id, 2, 50);
+
+    assert.equal(stopped.eta_ms, null);
+    assert.equal(stopped.eta, null);
+    assert.equal(arrived.status, 'arrived');
+    assert.deepEqual(arrived.eta, new Date(T0 + 2 * MIN));
+  });
+
+  it('raises a deviation after the grace period outside the corridor and clears it on return', async (t) => {
+    const { device_id, plan } = await nextDevice(t);
+    const create = t.mock.method(CargoAlert, 'create', async (doc) => ({ ...doc, _id: 'alert-1' }));
+    const update = t.mock.method(CargoAlert, 'updateOne', async () => ({}));
+    t.mock.method(console, 'error', () => {});
+
+    const left   = await fix(device_id, 0, 1, 0.02);   // ~1.4 km east
+    const grace  = await fix(device_id, 1, 2, 0.02);
+    const raised = await fix(device_id, 2, 3, 0.03);
+    const back   = await fix(device_id, 3, 4);
+
+    assert.equal(left.status, 'off_route');
+    assert.equal(grace.status, 'off_route');
+    assert.equal(create.mock.callCount(), 1);
+    const [alert] = create.mock.calls[0].arguments;
+    assert.equal(alert.alert, 'ROUTE_DEVIATION');
+    assert.equal(alert.route_id, plan._id);
+    assert.deepEqual(alert.eventAt, new Date(T0));
+    assert.equal(raised.status, 'deviated');
+    assert.equal(raised.alert_id, 'alert-1');
+
+    assert.equal(back.status, 'on_route');
+    const [filter, cleared] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: 'alert-1' });
+    assert.equal(cleared.duration_ms, 3 * MIN);
+    close(cleared.peak, 0.03 * 111_320 * Math.cos(52.03 * Math.PI / 180), 2);
+  });
+
+  it('continues a deviation still open for the same plan', async (t) => {
+    const { device_id, plan } = await nextDevice(t);
+    open = { _id: 'alert-2', eventAt: new Date(T0 - 10 * MIN), peak: 900 };
+
+    const status = await fix(device_id, 0, 1, 0.02);
+
+    const [filter] = CargoAlert.findOne.mock.calls.at(-1).arguments;
+    assert.equal(filter.route_id, plan._id);
+    assert.equal(status.status, 'deviated');
+    assert.equal(status.alert_id, 'alert-2');
+    assert.deepEqual(status.outside_since, new Date(T0 - 10 * MIN));
+  });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+// Trip analytics: distance, speeds, GPS jump filtering and stop
+// detection over a device's readings.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Pin the tuning a local .env could otherwise change
+Object.assign(process.env, {
+  TRIP_STOP_RADIUS_M: '75',
+  TRIP_STOP_MIN_S:    '300',
+  TRIP_MAX_SPEED_KMH: '250',
+});
+
+const { analyzeTrip } = require('../index');
+
+const MIN  = 60_000;
+const T0   = Date.parse('2026-10-18T08:00:00Z');
+const STEP = 0.01;                          // degrees of latitude per leg
+const LEG  = 6_371_000 * STEP * Math.PI / 180;   // ≈ 1112 m along a meridian
+
+// A reading at minute `min`, `legs` legs north of the start
+const at = (min, legs, fields = {}) => ({
+  eventAt: new Date(T0 + min * MIN),
+  lat:     52 + legs * STEP,
+  lon:     13.4,
+  temp:    5,
+  ...fields,
+});
+
+const close = (actual, expected, tolerance = 0.1) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≉ ${expected}`);
+
+describe('trip analytics', () => {
+  it('sums the distance and speeds of a drive', () => {
+    const trip = analyzeTrip([0, 1, 2, 3, 4].map((i) => at(i, i)));
+
+    assert.equal(trip.points, 5);
+    assert.equal(trip.distance_m, Math.round(4 * LEG));
+    assert.equal(trip.elapsed_ms, 4 * MIN);
+    assert.equal(trip.moving_ms, 4 * MIN);
+    assert.equal(trip.stopped_ms, 0);
+    close(trip.avg_speed_kmh, LEG * 60 / 1000);
+    close(trip.max_speed_kmh, LEG * 60 / 1000);
+    close(trip.current_speed_kmh, LEG * 60 / 1000);
+    assert.deepEqual(trip.stops, []);
+    assert.equal(trip.route[0].speed_kmh, null);
+  });
+
+  it('drops fixes implying an impossible speed and readings without a fix', () => {
+    const records = [
+      at(0, 0),
+      at(1, 1),
+      at(2, 100),                           // ~110 km in a minute
+      at(3, 2, { lat: null, lon: null }),
+      at(4, 3),
+    ];
+
+    const trip = analyzeTrip(records);
+
+    assert.equal(trip.points, 3);
+    assert.equal(trip.distance_m, Math.round(3 * LEG));
+    assert.deepEqual(trip.route.map((p) => p.at), [new Date(T0), new Date(T0 + MIN), new Date(T0 + 4 * MIN)]);
+  });
+
+  it('finds stops that stay within the radius for the minimum time', () => {
+    const records = [
+      at(0, 0),
+      at(1, 1),
+      // parked for 6 minutes, GPS wandering by a few meters
+      ...[2, 3, 4, 5, 6, 7, 8].map((m, k) => at(m, 2 + (k % 2) * 0.0002, { temp: 5 + k })),
+      at(9, 3),
+      at(10, 4),
+    ];
+
+    const trip = analyzeTrip(records);
+
+    assert.equal(trip.stops.length, 1);
+    const [stop] = trip.stops;
+    assert.deepEqual(stop.start, new Date(T0 + 2 * MIN));
+    assert.deepEqual(stop.end, new Date(T0 + 8 * MIN));
+    assert.equal(stop.duration_ms, 6 * MIN);
+    assert.equal(stop.ongoing, false);
+    assert.equal(stop.temp_avg, 8);
+    assert.equal(stop.temp_max, 11);
+    close(stop.lat, 52 + 2 * STEP, 1e-4);
+
+    assert.equal(trip.stopped_ms, 6 * MIN);
+    assert.equal(trip.moving_ms, 4 * MIN);
+    close(trip.avg_moving_speed_kmh, LEG * 60 / 1000, 0.5);
+  });
+
+  it('does not count a short halt as a stop', () => {
+    const records = [at(0, 0), at(1, 1), at(2, 1), at(3, 1), at(4, 2)];
+
+    assert.deepEqual(analyzeTrip(records).stops, []);
+  });
+
+  it('reports a stop still going at the end of the window and no current speed', () => {
+    const records = [at(0, 0), at(1, 1), ...[2, 4, 6, 8].map((m) => at(m, 2))];
+
+    const trip = analyzeTrip(records);
+
+    assert.equal(trip.stops.length, 1);
+    assert.equal(trip.stops[0].ongoing, true);
+    assert.equal(trip.current_speed_kmh, 0);
+  });
+
+  it('counts the distance across a data gap but no speed for it', () => {
+    const trip = analyzeTrip([at(0, 0), at(1, 1), at(31, 10)]);
+
+    assert.equal(trip.distance_m, Math.round(10 * LEG));
+    assert.equal(trip.route[2].speed_kmh, null);
+    assert.equal(trip.moving_ms, MIN);
+  });
+
+  it('is empty without fixes', () => {
+    const trip = analyzeTrip([at(0, 0, { lat: null, lon: null })]);
+
+    assert.equal(trip.points, 0);
+    assert.equal(trip.distance_m, 0);
+    assert.equal(trip.avg_speed_kmh, null);
+    assert.equal(trip.current_speed_kmh, null);
+    assert.deepEqual(trip.route, []);
+  });
+});
@@ -0,0 +1,221 @@
+'use strict';
+
+// Webhook signing, backoff scheduling, target address checks and which
+// alerts are sent. Mongo is never reached: the model statics used are
+// mocked per test.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('http');
+
+const webhooks = require('../webhooks');
+const { verify, MAX_SKEW_S } = require('../webhook-receiver');
+const { QueryError } = require('../common');
+
+const { Webhook, WebhookDelivery, webhookSignature, retryDelayMs, isNonPublicAddress } = webhooks;
+
+const CONFIG = { timeoutS: 2, maxAttempts: 3, retryBaseS: 10, retryMaxS: 25, allowPrivateUrls: true };
+
+// Query stand-in: every chained call returns itself, lean() resolves `result`
+const query = (result) => {
+  const q = { select: () => q, sort: () => q, limit: () => q, lean: async () => result };
+  return q;
+};
+
+const fakeDelivery = () => ({
+  _id:      '65f0000000000000000000d1',
+  webhook_id: '65f0000000000000000000a1',
+  event:    'shock',
+  status:   'pending',
+  payload:  { event: 'shock', alert: { device_id: 'dev-1' } },
+  attempts: [],
+  async save() { return this; },
+});
+
+// Local receiver answering `status`; resolves with its URL and the requests it saw
+function receiver(status) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(status).end('ignored');
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((done) => server.close(done)),
+  })));
+}
+
+before(() => {
+  webhooks.configure(CONFIG);
+});
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+describe('webhook signature', () => {
+  const secret = 's3cret';
+  const body   = JSON.stringify({ id: 'd1', event: 'shock' });
+  const t      = Math.floor(Date.now() / 1000);
+
+  it('is accepted by the receiver for the exact body and secret', () => {
+    assert.equal(verify(`t=${t},v1=${webhookSignature(secret, t, body)}`, body, secret), null);
+  });
+
+  it('is rejected for another body or secret', () => {
+    const header = `t=${t},v1=${webhookSignature(secret, t, body)}`;
+    assert.equal(verify(header, `${body} `, secret), 'signature mismatch');
+    assert.equal(verify(header, body, 'other'), 'signature mismatch');
+  });
+
+  it('is rejected when the timestamp is outside the replay window', () => {
+    const old = t - MAX_SKEW_S - 1;
+    assert.equal(verify(`t=${old},v1=${webhookSignature(secret, old, body)}`, body, secret), 'stale timestamp');
+  });
+
+  it('is rejected when missing or malformed', () => {
+    assert.equal(verify(undefined, body, secret), 'missing or malformed signature');
+    assert.equal(verify(`t=${t},v1=abc`, body, secret), 'missing or malformed signature');
+  });
+
+  it('signs what is actually sent', async (t) => {
+    const target = await receiver(204);
+    t.after(target.close);
+    t.mock.method(WebhookDelivery, 'findOne', async () => fakeDelivery());
+    t.mock.method(Webhook, 'findById', () => query({ url: target.url, secret: 'hook-secret', active: true }));
+
+    const delivery = await webhooks.attemptDelivery('65f0000000000000000000d1');
+
+    assert.equal(delivery.status, 'delivered');
+    const [{ headers, body: sent }] = target.requests;
+    assert.equal(headers['x-cargo-event'], 'shock');
+    assert.equal(verify(headers['x-cargo-signature'], sent, 'hook-secret'), null);
+  });
+});
+
+describe('retry backoff', () => {
+  it('doubles from the base delay and is capped at the maximum', () => {
+    assert.equal(retryDelayMs(1), 10_000);
+    assert.equal(retryDelayMs(2), 20_000);
+    assert.equal(retryDelayMs(3), 25_000);
+    assert.equal(retryDelayMs(10), 25_000);
+  });
+
+  it('schedules each failed attempt after the backoff and gives up after maxAttempts', async (t) => {
+    const target = await receiver(500);
+    t.after(target.close);
+    const delivery = fakeDelivery();
+    t.mock.method(WebhookDelivery, 'findOne', async () => (['pending', 'retrying'].includes(delivery.status) ? delivery : null));
+    t.mock.method(Webhook, 'findById', () => query({ url: target.url, secret: 'x', active: true }));
+
+    for (const [attempt, delayMs] of [[1, 10_000], [2, 20_000]]) {
+      const before = Date.now();
+      await webhooks.attemptDelivery(delivery._id);
+      assert.equal(delivery.status, 'retrying');
+      assert.equal(delivery.attempts.length, attempt);
+      assert.equal(delivery.last_status_code, 500);
+      const scheduled = delivery.next_attempt_at.getTime() - before;
+      assert.ok(scheduled >= delayMs && scheduled < delayMs + 1000, `attempt ${attempt} scheduled in ${scheduled} ms`);
+    }
+
+    await webhooks.attemptDelivery(delivery._id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, CONFIG.maxAttempts);
+    assert.equal(await webhooks.attemptDelivery(delivery._id), null);   // nothing left to try
+    assert.equal(target.requests.length, CONFIG.maxAttempts);
+  });
+
+  it('records a connection error as a failed attempt without a status code', async (t) => {
+    const target = await receiver(204);
+    await target.close();   // nothing listens on the port any more
+    const delivery = fakeDelivery();
+    t.mock.method(WebhookDelivery, 'findOne', async () => delivery);
+    t.mock.method(Webhook, 'findById', () => query({ url: target.url, secret: 'x', active: true }));
+
+    await webhooks.attemptDelivery(delivery._id);
+    assert.equal(delivery.status, 'retrying');
+    assert.equal(delivery.attempts[0].status_code, undefined);
+    assert.match(delivery.attempts[0].error, /ECONNREFUSED/);
+  });
+
+  it('fails the delivery at once when the webhook was disabled', async (t) => {
+    const delivery = fakeDelivery();
+    t.mock.method(WebhookDelivery, 'findOne', async () => delivery);
+    t.mock.method(Webhook, 'findById', () => query({ url: 'http://127.0.0.1:1/', secret: 'x', active: false }));
+
+    await webhooks.attemptDelivery(delivery._id);
+    assert.equal(delivery.status, 'failed');
+    assert.deepEqual(delivery.attempts, [{ error: 'Webhook disabled' }]);
+  });
+});
+
+describe('target addresses', () => {
+  it('treats loopback, private, link-local and reserved addresses as non-public', () => {
+    for (const address of [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', 'not-an-address',
+    ]) {
+      assert.equal(isNonPublicAddress(address), true, address);
+    }
+  });
+
+  it('accepts public addresses', () => {
+    for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+      assert.equal(isNonPublicAddress(address), false, address);
+    }
+  });
+
+  describe('without WEBHOOK_ALLOW_PRIVATE_URLS', () => {
+    before(() => webhooks.configure({ ...CONFIG, allowPrivateUrls: false }));
+    after(() => webhooks.configure(CONFIG));
+
+    it('refuses to save a URL that resolves to a non-public address', async () => {
+      await assert.rejects(webhooks.checkWebhookUrl('http://127.0.0.1:4010/hook'), QueryError);
+      await assert.rejects(webhooks.checkWebhookUrl('http://[::1]/hook'), QueryError);
+      await assert.rejects(webhooks.checkWebhookUrl('http://localhost/hook'), QueryError);
+    });
+
+    it('does not connect to a non-public address', async (t) => {
+      const target = await receiver(204);
+      t.after(target.close);
+      const delivery = fakeDelivery();
+      t.mock.method(WebhookDelivery, 'findOne', async () => delivery);
+      t.mock.method(Webhook, 'findById', () => query({ url: target.url, secret: 'x', active: true }));
+
+      await webhooks.attemptDelivery(delivery._id);
+      assert.equal(target.requests.length, 0);
+      assert.equal(delivery.status, 'retrying');
+      assert.match(delivery.attempts[0].error, /non-public address/);
+    });
+  });
+});
+
+describe('alert fan-out', () => {
+  const alert = { _id: '65f0000000000000000000e1', org_id: 'org-1', type: 'shock', device_id: 'dev-1' };
+
+  it('looks up the subscriptions of the alert type for a live alert', async (t) => {
+    const find = t.mock.method(Webhook, 'find', () => query([]));
+
+    webhooks.queueAlertWebhooks(alert);
+    await new Promise(setImmediate);
+
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.org_id, 'org-1');
+    assert.deepEqual(filter.$or, [{ events: 'shock' }, { events: { $size: 0 } }]);
+  });
+
+  it('sends nothing for a historical alert', async (t) => {
+    const find = t.mock.method(Webhook, 'find', () => query([]));
+
+    webhooks.queueAlertWebhooks({ ...alert, historical: true });
+    await new Promise(setImmediate);
+
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
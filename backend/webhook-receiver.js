@@ -0,0 +1,77 @@
+/**
+ * webhook-receiver.js — local endpoint for testing outbound webhooks
+ * ─────────────────────────────────────────────────────────────
+ * Logs every POST, verifies X-Cargo-Signature and answers with a
+ * configurable status so retries / failures can be exercised. The
+ * backend refuses non-public webhook URLs such as this one unless its
+ * .env has WEBHOOK_ALLOW_PRIVATE_URLS=true:
+ *
+ *   WEBHOOK_SECRET=<secret from POST /api/webhooks> npm run webhook-receiver
+ *   curl -X POST localhost:4000/api/webhooks -H 'Authorization: Bearer …' \
+ *        -H 'Content-Type: application/json' \
+ *        -d '{"url":"http://localhost:4010/hook","events":["shock"]}'
+ *
+ *   RECEIVER_PORT    listen port (default 4010)
+ *   RECEIVER_STATUS  status to answer with (default 204; try 500)
+ *   WEBHOOK_SECRET   when set, bad or stale signatures get a 401
+ *
+ * verify() is exported for the backend tests; the server only starts
+ * when this file is run directly.
+ */
+
+'use strict';
+
+const http   = require('http');
+const crypto = require('crypto');
+
+const {
+  RECEIVER_PORT   = 4010,
+  RECEIVER_STATUS = 204,
+  WEBHOOK_SECRET  = '',
+} = process.env;
+
+const MAX_SKEW_S = 300;   // reject signatures older than this (replays)
+
+// null when `header` is a valid signature of `body`, else the problem
+function verify(header = '', body, secret = WEBHOOK_SECRET, now = Date.now()) {
+  const match = /t=(\d+),v1=([0-9a-f]{64})/.exec(header);
+  if (!match) return 'missing or malformed signature';
+  const [, t, v1] = match;
+  if (Math.abs(now / 1000 - Number(t)) > MAX_SKEW_S) return 'stale timestamp';
+
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(v1, 'hex'), Buffer.from(expected, 'hex'))
+    ? null
+    : 'signature mismatch';
+}
+
+function listen() {
+  http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const problem = WEBHOOK_SECRET ? verify(req.headers['x-cargo-signature'], body) : null;
+      const status  = problem ? 401 : Number(RECEIVER_STATUS);
+
+      console.log(
+        `[${new Date().toISOString()}] ${req.method} ${req.url}`
+        + ` event=${req.headers['x-cargo-event']} delivery=${req.headers['x-cargo-delivery']}`
+        + ` → ${status}${problem ? ` (${problem})` : WEBHOOK_SECRET ? ' (signature ok)' : ''}`
+      );
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch {
+        console.log(body);
+      }
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: !problem }));
+    });
+  }).listen(RECEIVER_PORT, () => {
+    console.log(`Webhook receiver on http://localhost:${RECEIVER_PORT} — answering ${RECEIVER_STATUS}`);
+  });
+}
+
+if (require.main === module) listen();
+
+module.exports = { verify, MAX_SKEW_S };
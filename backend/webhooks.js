@@ -0,0 +1,543 @@
+/**
+ * webhooks.js — outbound webhook subscriptions and their dispatcher
+ * ─────────────────────────────────────────────────────────────
+ * A new alert becomes one WebhookDelivery per matching subscription,
+ * attempted right away; failures are retried by a 5 s sweep with
+ * exponential backoff (WEBHOOK_RETRY_BASE_S × 2^(attempt-1), capped at
+ * WEBHOOK_RETRY_MAX_S). Deliveries live in Mongo, so retries survive a
+ * restart. Receivers verify
+ *   X-Cargo-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ * and should reject stale timestamps to stop replays.
+ * URLs are tenant input, so unless WEBHOOK_ALLOW_PRIVATE_URLS is set the
+ * target host must resolve to public addresses only — checked when the
+ * webhook is saved and again on every connect (DNS may change). Only the
+ * status code and timing of a response are recorded, never its body.
+ *
+ * index.js calls configure() at load, mounts `router`, queues alerts
+ * from the CargoAlert post-save hook and start() / stop()s the sweep.
+ */
+
+'use strict';
+
+const crypto   = require('crypto');
+const http     = require('http');
+const https    = require('https');
+const dns      = require('dns');
+const net      = require('net');
+const express  = require('express');
+const mongoose = require('mongoose');
+const { log, warn, error, QueryError } = require('./common');
+const { requireRole } = require('./auth');
+
+// Webhook: an outbound HTTP subscription of one organization. `events`
+// filters on alert type (empty = every type). Payloads are signed with
+// HMAC-SHA256 using `secret`, which is only returned when it is set.
+const WEBHOOK_EVENTS = ['shock', 'temperature', 'humidity', 'door', 'offline', 'battery', 'geofence', 'route'];
+
+const webhookSchema = new mongoose.Schema(
+  {
+    org_id:      { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+    url:         {
+      type: String, required: true, trim: true,
+      validate: { validator: (v) => /^https?:\/\/\S+$/i.test(v), message: 'url must be an http(s) URL' },
+    },
+    description: { type: String, default: null },
+    events:      { type: [{ type: String, enum: WEBHOOK_EVENTS }], default: [] },
+    secret:      { type: String, required: true, select: false },
+    active:      { type: Boolean, default: true },
+    created_by:  { type: String, default: null },
+    createdAt:   { type: Date, default: Date.now },
+  },
+  { collection: 'webhooks', versionKey: false }
+);
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+// WebhookDelivery: one event sent to one webhook, with every attempt.
+// pending → delivered (2xx) | retrying (backoff) → … → failed once
+// WEBHOOK_MAX_ATTEMPTS are used up. A redelivery is a new row.
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+const deliveryAttemptSchema = new mongoose.Schema(
+  {
+    at:          { type: Date,   default: Date.now },
+    status_code: { type: Number, default: null },   // null = no HTTP response
+    error:       { type: String, default: null },
+    duration_ms: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    org_id:          { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    webhook_id:      { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    event:           { type: String, required: true },   // alert type, or 'ping'
+    alert_id:        { type: mongoose.Schema.Types.ObjectId, ref: 'CargoAlert', default: null },
+    payload:         { type: mongoose.Schema.Types.Mixed, required: true },
+    status:          { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+    attempts:        { type: [deliveryAttemptSchema], default: [] },
+    next_attempt_at: { type: Date, default: Date.now },
+    last_status_code: { type: Number, default: null },
+    redelivery_of:   { type: mongoose.Schema.Types.ObjectId, default: null },
+    createdAt:       { type: Date, default: Date.now },
+    deliveredAt:     { type: Date, default: null },
+  },
+  { collection: 'webhook_deliveries', versionKey: false }
+);
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ org_id: 1, createdAt: -1 });
+webhookDeliverySchema.index({ webhook_id: 1, createdAt: -1 });
+// Delivery log is kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 30 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// Set by configure() from the WEBHOOK_* environment
+const WEBHOOK = {
+  timeoutMs:    null,
+  maxAttempts:  null,
+  baseMs:       null,
+  maxDelayMs:   null,
+  allowPrivate: false,
+  batch:        20,        // deliveries attempted per sweep
+};
+let webhookSweepTimer = null;
+const deliveriesInFlight = new Set();   // delivery ids being attempted
+
+function configure({ timeoutS, maxAttempts, retryBaseS, retryMaxS, allowPrivateUrls = false }) {
+  Object.assign(WEBHOOK, {
+    timeoutMs:    timeoutS * 1000,
+    maxAttempts,
+    baseMs:       retryBaseS * 1000,
+    maxDelayMs:   retryMaxS * 1000,
+    allowPrivate: allowPrivateUrls,
+  });
+}
+
+const webhookSignature = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const retryDelayMs = (attempt) => Math.min(WEBHOOK.baseMs * 2 ** (attempt - 1), WEBHOOK.maxDelayMs);
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const nonPublicAddresses = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) nonPublicAddresses.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) nonPublicAddresses.addSubnet(prefix, bits, 'ipv6');
+
+function isNonPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);   // IPv4-mapped IPv6
+  if (mapped) return nonPublicAddresses.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  return family === 0 || nonPublicAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that refuses hosts resolving to a non-public address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list    = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = list.find((a) => isNonPublicAddress(a.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    callback(null, address, family);
+  });
+}
+
+// Throws QueryError for a URL the dispatcher would refuse to call
+async function checkWebhookUrl(url) {
+  if (WEBHOOK.allowPrivate || url === undefined) return;
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return;   // left to the schema validator
+  }
+  const addresses = await dns.promises.lookup(hostname, { all: true }).catch(() => {
+    throw new QueryError(`Webhook host ${hostname} cannot be resolved`);
+  });
+  const blocked = addresses.find((a) => isNonPublicAddress(a.address));
+  if (blocked) {
+    throw new QueryError(`Webhook host ${hostname} resolves to non-public address ${blocked.address}`);
+  }
+}
+
+// POST `body` to `url`; resolves with the HTTP status code, the response
+// body is discarded. Redirects are not followed.
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target   = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    // IP literals never reach `lookup`
+    if (!WEBHOOK.allowPrivate && net.isIP(hostname) && isNonPublicAddress(hostname)) {
+      return reject(new Error(`${hostname} is a non-public address`));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method:  'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup:  WEBHOOK.allowPrivate ? undefined : publicLookup,
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.setTimeout(WEBHOOK.timeoutMs, () => req.destroy(new Error(`Timed out after ${WEBHOOK.timeoutMs} ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// What subscribers receive for an alert
+function alertWebhookPayload(alert) {
+  return {
+    event: alert.type,
+    alert: {
+      id:          String(alert._id),
+      device_id:   alert.device_id,
+      code:        alert.alert,
+      type:        alert.type,
+      severity:    alert.severity,
+      message:     alert.message,
+      metric:      alert.metric,
+      value:       alert.value,
+      threshold:   alert.threshold,
+      lat:         alert.lat,
+      lon:         alert.lon,
+      eventAt:     alert.eventAt,
+      historical:  alert.historical,
+      shipment_id: alert.shipment_id,
+    },
+  };
+}
+
+// Called from the CargoAlert post-save hook — never throws. Historical
+// alerts (late / replayed data) describe incidents that are already
+// over and are not sent.
+function queueAlertWebhooks(alert) {
+  if (alert.historical) return;
+  (async () => {
+    const hooks = await Webhook.find({
+      org_id: alert.org_id,
+      active: true,
+      $or:    [{ events: alert.type }, { events: { $size: 0 } }],
+    }, { _id: 1 }).lean();
+    if (!hooks.length) return;
+
+    const deliveries = await WebhookDelivery.insertMany(hooks.map((hook) => ({
+      org_id:     alert.org_id,
+      webhook_id: hook._id,
+      event:      alert.type,
+      alert_id:   alert._id,
+      payload:    alertWebhookPayload(alert),
+    })));
+    for (const delivery of deliveries) attemptDelivery(delivery._id);
+  })().catch((err) => error('Webhook queue error:', err.message));
+}
+
+/**
+ * One POST of a delivery to its webhook; records the attempt and
+ * schedules the next one (or gives up). Resolves with the updated
+ * delivery, never rejects.
+ */
+async function attemptDelivery(delivery_id) {
+  const key = String(delivery_id);
+  if (deliveriesInFlight.has(key)) return null;
+  deliveriesInFlight.add(key);
+
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: delivery_id, status: { $in: ['pending', 'retrying'] } });
+    if (!delivery) return null;
+
+    const hook = await Webhook.findById(delivery.webhook_id).select('+secret').lean();
+    if (!hook?.active) {
+      delivery.status = 'failed';
+      delivery.attempts.push({ error: hook ? 'Webhook disabled' : 'Webhook deleted' });
+      return await delivery.save();
+    }
+
+    const body      = JSON.stringify({ id: key, ...delivery.payload, sentAt: new Date() });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started   = Date.now();
+    const attempt   = { at: new Date(started) };
+
+    try {
+      attempt.status_code = await postWebhook(hook.url, {
+        'Content-Type':      'application/json',
+        'User-Agent':        'cargo-monitor-webhooks/1.0',
+        'X-Cargo-Event':     delivery.event,
+        'X-Cargo-Delivery':  key,
+        'X-Cargo-Signature': `t=${timestamp},v1=${webhookSignature(hook.secret, timestamp, body)}`,
+      }, body);
+    } catch (err) {
+      attempt.error = err.message;
+    }
+    attempt.duration_ms = Date.now() - started;
+
+    delivery.attempts.push(attempt);
+    delivery.last_status_code = attempt.status_code ?? null;
+    const ok = attempt.status_code >= 200 && attempt.status_code < 300;
+
+    if (ok) {
+      delivery.status      = 'delivered';
+      delivery.deliveredAt = new Date();
+    } else if (delivery.attempts.length >= WEBHOOK.maxAttempts) {
+      delivery.status = 'failed';
+      warn(`Webhook ${hook.url} gave up on delivery ${key} after ${delivery.attempts.length} attempts`);
+    } else {
+      delivery.status          = 'retrying';
+      delivery.next_attempt_at = new Date(Date.now() + retryDelayMs(delivery.attempts.length));
+    }
+    log(`Webhook ${delivery.event} → ${hook.url} ${attempt.status_code ?? attempt.error} (${delivery.status})`);
+    return await delivery.save();
+  } catch (err) {
+    error('Webhook delivery error:', err.message);
+    return null;
+  } finally {
+    deliveriesInFlight.delete(key);
+  }
+}
+
+async function sweepWebhookDeliveries() {
+  const due = await WebhookDelivery
+    .find({ status: { $in: ['pending', 'retrying'] }, next_attempt_at: { $lte: new Date() } }, { _id: 1 })
+    .sort({ next_attempt_at: 1 })
+    .limit(WEBHOOK.batch)
+    .lean();
+  await Promise.all(due.map((d) => attemptDelivery(d._id)));
+}
+
+function start() {
+  webhookSweepTimer = setInterval(() => {
+    sweepWebhookDeliveries().catch((err) => error('Webhook sweep error:', err.message));
+  }, 5_000);
+}
+
+const stop = () => clearInterval(webhookSweepTimer);
+
+const router = express.Router();
+
+// ─────────────────────────────────────────────────────────────
+//  REST API — Outbound webhooks (admin, per organization)
+//  GET    /api/webhooks                            subscriptions
+//  POST   /api/webhooks                            { url, events?, description?, secret? }
+//                                                  → includes `secret` (shown once)
+//  GET    /api/webhooks/deliveries                 delivery log, newest first
+//                                                  ?webhook_id= &status= &event= &limit=
+//  GET    /api/webhooks/deliveries/:id             single delivery with every attempt
+//  POST   /api/webhooks/deliveries/:id/redeliver   send the same payload again (new delivery)
+//  GET    /api/webhooks/:id                        single subscription
+//  PATCH  /api/webhooks/:id                        { url?, events?, description?, active?, secret? }
+//  DELETE /api/webhooks/:id                        unsubscribe (log is kept)
+//  POST   /api/webhooks/:id/ping                   send a `ping` event now
+//  Signing / retries: see the top of this file.
+// ─────────────────────────────────────────────────────────────
+const WEBHOOK_FIELDS = ['url', 'events', 'description', 'active', 'secret'];
+
+function pickWebhook(body = {}) {
+  const out = {};
+  for (const key of WEBHOOK_FIELDS) {
+    if (body[key] !== undefined) out[key] = body[key];
+  }
+  return out;
+}
+
+async function loadWebhook(req, res) {
+  const { id } = req.params;
+  const hook = mongoose.isValidObjectId(id)
+    ? await Webhook.findOne({ _id: id, org_id: req.user.org_id })
+    : null;
+  if (!hook) res.status(404).json({ error: 'Webhook not found' });
+  return hook;
+}
+
+async function loadDelivery(req, res) {
+  const { id } = req.params;
+  const delivery = mongoose.isValidObjectId(id)
+    ? await WebhookDelivery.findOne({ _id: id, org_id: req.user.org_id }).lean()
+    : null;
+  if (!delivery) res.status(404).json({ error: 'Delivery not found' });
+  return delivery;
+}
+
+// Queue + attempt immediately; responds with the delivery after the first try
+async function sendDelivery(fields) {
+  const delivery = await WebhookDelivery.create(fields);
+  return (await attemptDelivery(delivery._id)) ?? delivery;
+}
+
+router.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ org_id: req.user.org_id }).sort({ createdAt: -1 }).lean();
+    res.json({ count: webhooks.length, webhooks });
+  } catch (err) {
+    error('GET /api/webhooks error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const fields = pickWebhook(req.body);
+    fields.secret ??= crypto.randomBytes(32).toString('hex');
+    await checkWebhookUrl(fields.url);
+
+    const hook = await Webhook.create({ ...fields, org_id: req.user.org_id, created_by: req.user.username });
+    log(`Webhook created ${hook.url} events=${hook.events.join(',') || '*'}`);
+    res.status(201).json(hook.toObject());   // secret included this once
+  } catch (err) {
+    if (err.name === 'ValidationError' || err instanceof QueryError) {
+      return res.status(400).json({ error: err.message });
+    }
+    error('POST /api/webhooks error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/webhooks/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const filter = { org_id: req.user.org_id };
+    if (req.query.webhook_id) {
+      if (!mongoose.isValidObjectId(req.query.webhook_id)) {
+        return res.status(400).json({ error: 'Invalid webhook_id' });
+      }
+      filter.webhook_id = req.query.webhook_id;
+    }
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event)  filter.event  = req.query.event;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const deliveries = await WebhookDelivery
+      .find(filter, { payload: 0 })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ count: deliveries.length, deliveries });
+  } catch (err) {
+    error('GET /api/webhooks/deliveries error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/webhooks/deliveries/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await loadDelivery(req, res);
+    if (delivery) res.json(delivery);
+  } catch (err) {
+    error('GET /api/webhooks/deliveries/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/webhooks/deliveries/:id/redeliver', requireRole('admin'), async (req, res) => {
+  try {
+    const original = await loadDelivery(req, res);
+    if (!original) return;
+    if (!await Webhook.exists({ _id: original.webhook_id, active: true })) {
+      return res.status(409).json({ error: 'Webhook is deleted or disabled' });
+    }
+
+    const delivery = await sendDelivery({
+      org_id:        original.org_id,
+      webhook_id:    original.webhook_id,
+      event:         original.event,
+      alert_id:      original.alert_id,
+      payload:       original.payload,
+      redelivery_of: original._id,
+    });
+    log(`Webhook delivery ${original._id} redelivered as ${delivery._id} by ${req.user.username}`);
+    res.status(201).json(delivery);
+  } catch (err) {
+    error('POST /api/webhooks/deliveries/:id/redeliver error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const hook = await loadWebhook(req, res);
+    if (hook) res.json(hook);
+  } catch (err) {
+    error('GET /api/webhooks/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.patch('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const hook = await loadWebhook(req, res);
+    if (!hook) return;
+
+    const fields = pickWebhook(req.body);
+    await checkWebhookUrl(fields.url);
+    hook.set(fields);
+    await hook.save();
+
+    log(`Webhook updated ${hook.url}${fields.secret ? ' (secret rotated)' : ''}`);
+    const view = hook.toObject();
+    if (!fields.secret) delete view.secret;
+    res.json(view);
+  } catch (err) {
+    if (err.name === 'ValidationError' || err instanceof QueryError) {
+      return res.status(400).json({ error: err.message });
+    }
+    error('PATCH /api/webhooks/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const hook = await loadWebhook(req, res);
+    if (!hook) return;
+
+    await hook.deleteOne();
+    log(`Webhook deleted ${hook.url}`);
+    res.json({ deleted: hook.id });
+  } catch (err) {
+    error('DELETE /api/webhooks/:id error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/api/webhooks/:id/ping', requireRole('admin'), async (req, res) => {
+  try {
+    const hook = await loadWebhook(req, res);
+    if (!hook) return;
+    if (!hook.active) return res.status(409).json({ error: 'Webhook is disabled' });
+
+    const delivery = await sendDelivery({
+      org_id:     hook.org_id,
+      webhook_id: hook._id,
+      event:      'ping',
+      payload:    { event: 'ping', webhook_id: hook.id, events: hook.events },
+    });
+    res.status(201).json(delivery);
+  } catch (err) {
+    error('POST /api/webhooks/:id/ping error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  Webhook,
+  WebhookDelivery,
+  configure,
+  router,
+  start,
+  stop,
+  webhookSignature,
+  retryDelayMs,
+  isNonPublicAddress,
+  checkWebhookUrl,
+  alertWebhookPayload,
+  queueAlertWebhooks,
+  attemptDelivery,
+  sweepWebhookDeliveries,
+};
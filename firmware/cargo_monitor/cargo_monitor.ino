@@ -53,13 +53,16 @@
 // ─────────────────────────────────────────────────────────────
 //  Application Constants
 // ─────────────────────────────────────────────────────────────
-// Shock threshold in G-force (1 G ≈ 9.81 m/s²)
+// Default shock threshold in G-force (1 G ≈ 9.81 m/s²) — overridable
+// through the device shadow (shock_threshold_g)
 constexpr float     SHOCK_THRESHOLD_G      = 2.5f;
 
-// MPU6050 sampling interval (50 Hz → 20 ms)
+// MPU6050 sampling interval (50 Hz → 20 ms); 10 Hz in "eco" reporting mode
 constexpr uint32_t  MPU_SAMPLE_INTERVAL_MS = 20;
+constexpr uint32_t  MPU_ECO_INTERVAL_MS    = 100;
 
-// Normal telemetry publish interval (every 5 seconds)
+// Default telemetry publish interval (every 5 seconds) — the backend can
+// change it at runtime with the set_interval downlink command
 constexpr uint32_t  TELEMETRY_INTERVAL_MS  = 5000;
 
 // Wi-Fi reconnect attempt interval
@@ -99,12 +102,31 @@ static uint32_t   lastWiFiCheckMs  = 0;
 static uint32_t   lastMqttCheckMs  = 0;
 static uint32_t   lastMpuSampleMs  = 0;
 
+// Downlink commands: cargo/<DEVICE_ID>/cmd in, cargo/<DEVICE_ID>/cmd/reply out
+static char       topicCmd[64];
+static char       topicCmdReply[72];
+static uint32_t   telemetryIntervalMs = TELEMETRY_INTERVAL_MS;
+static bool       rebootPending    = false;   // restart after the ack is flushed
+static char       flushCommandId[48] = "";     // pending flush_buffer command
+
+// Device shadow: desired config arrives retained on cargo/<DEVICE_ID>/config/desired,
+// the applied config goes back on cargo/<DEVICE_ID>/config/reported
+static char       topicConfigDesired[72];
+static char       topicConfigReported[72];
+static uint32_t   configVersion    = 0;         // desired version applied (0 = defaults)
+static float      shockThresholdG  = SHOCK_THRESHOLD_G;
+static bool       ecoMode          = false;     // reporting_mode "eco"
+
 // ═════════════════════════════════════════════════════════════
 //  FORWARD DECLARATIONS
 // ═════════════════════════════════════════════════════════════
 void wifiConnect();
 bool mqttReconnect();
 void mqttCallback(char* topic, byte* payload, unsigned int length);
+void publishCommandReply(const char* id, bool ok,
+                         JsonVariantConst result, const char* err);
+void applyDesiredConfig(byte* payload, unsigned int length);
+void publishReportedConfig();
 bool publishPayload(const char* topic, const char* jsonStr);
 void buildTelemetryJson(char* buf, size_t bufLen,
                         float temp, float hum,
@@ -164,6 +186,10 @@ void setup() {
     //   secureClient.setInsecure();
 
     mqttClient.setServer(MQTT_BROKER, MQTT_PORT);
+    snprintf(topicCmd,      sizeof(topicCmd),      "cargo/%s/cmd",       DEVICE_ID);
+    snprintf(topicCmdReply, sizeof(topicCmdReply), "cargo/%s/cmd/reply", DEVICE_ID);
+    snprintf(topicConfigDesired,  sizeof(topicConfigDesired),  "cargo/%s/config/desired",  DEVICE_ID);
+    snprintf(topicConfigReported, sizeof(topicConfigReported), "cargo/%s/config/reported", DEVICE_ID);
     mqttClient.setCallback(mqttCallback);
     mqttClient.setBufferSize(MQTT_MAX_PAYLOAD);
     mqttClient.setKeepAlive(60);  // Send PINGREQ every 60s
@@ -201,7 +227,7 @@ void loop() {
     }
 
     // ── 3. MPU6050 Shock Detection at 50 Hz ───────────────
-    if (now - lastMpuSampleMs >= MPU_SAMPLE_INTERVAL_MS) {
+    if (now - lastMpuSampleMs >= (ecoMode ? MPU_ECO_INTERVAL_MS : MPU_SAMPLE_INTERVAL_MS)) {
         lastMpuSampleMs = now;
         sampleMPU();
     }
@@ -221,7 +247,7 @@ void loop() {
     }
 
     // ── 5. Periodic Telemetry Publish ─────────────────────
-    if (now - lastTelemetryMs >= TELEMETRY_INTERVAL_MS) {
+    if (now - lastTelemetryMs >= telemetryIntervalMs) {
         lastTelemetryMs = now;
         readDHTAndPublish();
     }
@@ -230,6 +256,22 @@ void loop() {
     if (isConnected() && sdAvailable) {
         drainOfflineBuffer();
     }
+
+    // ── 7. Answer a flush_buffer command (drain above just ran) ──
+    if (flushCommandId[0] != '\0' && isConnected()) {
+        JsonDocument result;
+        result["buffered"] = SD.exists(BUFFER_FILE);   // true = partial drain
+        publishCommandReply(flushCommandId, true, result.as<JsonVariantConst>(), nullptr);
+        flushCommandId[0] = '\0';
+    }
+
+    // ── 8. Deferred reboot (ack for the reboot command is out) ──
+    if (rebootPending) {
+        Serial.println(F("[CMD]     Rebooting..."));
+        mqttClient.disconnect();
+        delay(200);
+        ESP.restart();
+    }
 }
 
 // ═════════════════════════════════════════════════════════════
@@ -276,8 +318,13 @@ bool mqttReconnect() {
 
     if (connected) {
         Serial.println(F("[MQTT]    Connected!"));
-        // Subscribe to any downlink command topics here if needed
-        // mqttClient.subscribe("cargo/cmd/CARGO-UNIT-001");
+        // Downlink commands (QoS 1 so a command sent while we were
+        // reconnecting is still delivered)
+        mqttClient.subscribe(topicCmd, 1);
+        // Tell the backend what we run now; the retained desired config
+        // (if any) is delivered right after subscribing
+        publishReportedConfig();
+        mqttClient.subscribe(topicConfigDesired, 1);
         return true;
     } else {
         Serial.printf("[MQTT]    Failed (rc=%d) — will retry\n",
@@ -288,6 +335,9 @@ bool mqttReconnect() {
 
 // ═════════════════════════════════════════════════════════════
 //  MQTT: Incoming message callback
+//  Commands arrive on cargo/<DEVICE_ID>/cmd as
+//    { "id": "<uuid>", "command": "ping", "params": {...}, "ts": ... }
+//  and are answered on cargo/<DEVICE_ID>/cmd/reply with the same id.
 // ═════════════════════════════════════════════════════════════
 void mqttCallback(char* topic, byte* payload, unsigned int length) {
     Serial.printf("[MQTT RX] Topic: %s | Payload: ", topic);
@@ -295,7 +345,80 @@ void mqttCallback(char* topic, byte* payload, unsigned int length) {
         Serial.print((char)payload[i]);
     }
     Serial.println();
-    // TODO: Parse commands (OTA trigger, config change, etc.)
+
+    if (strcmp(topic, topicConfigDesired) == 0) {
+        applyDesiredConfig(payload, length);
+        return;
+    }
+    if (strcmp(topic, topicCmd) != 0) return;
+
+    JsonDocument cmd;
+    if (deserializeJson(cmd, payload, length)) {
+        Serial.println(F("[CMD]     Malformed command — ignored"));
+        return;
+    }
+
+    const char* id      = cmd["id"]      | "";
+    const char* command = cmd["command"] | "";
+    if (strlen(id) == 0) return;   // nothing to correlate a reply with
+
+    JsonDocument result;
+
+    if (strcmp(command, "ping") == 0) {
+        result["uptime_ms"] = millis();
+        result["rssi"]      = WiFi.RSSI();
+        publishCommandReply(id, true, result.as<JsonVariantConst>(), nullptr);
+
+    } else if (strcmp(command, "reboot") == 0) {
+        publishCommandReply(id, true, result.as<JsonVariantConst>(), nullptr);
+        rebootPending = true;      // restart from loop() once the ack is out
+
+    } else if (strcmp(command, "set_interval") == 0) {
+        uint32_t intervalS = cmd["params"]["interval_s"] | 0;
+        if (intervalS < 1 || intervalS > 3600) {
+            publishCommandReply(id, false, result.as<JsonVariantConst>(),
+                                "interval_s out of range");
+            return;
+        }
+        telemetryIntervalMs  = intervalS * 1000UL;
+        result["interval_s"] = intervalS;
+        publishCommandReply(id, true, result.as<JsonVariantConst>(), nullptr);
+        publishReportedConfig();   // shadow shows the override as drift
+
+    } else if (strcmp(command, "flush_buffer") == 0) {
+        if (!sdAvailable) {
+            publishCommandReply(id, false, result.as<JsonVariantConst>(),
+                                "SD card unavailable");
+            return;
+        }
+        // Draining pumps mqttClient.loop(), which must not run inside
+        // this callback — loop() does it and sends the reply
+        strlcpy(flushCommandId, id, sizeof(flushCommandId));
+
+    } else {
+        publishCommandReply(id, false, result.as<JsonVariantConst>(),
+                            "unknown command");
+    }
+}
+
+// ═════════════════════════════════════════════════════════════
+//  MQTT: Reply to a downlink command (correlated by id)
+// ═════════════════════════════════════════════════════════════
+void publishCommandReply(const char* id, bool ok,
+                         JsonVariantConst result, const char* err) {
+    JsonDocument doc;
+
+    doc["device_id"] = DEVICE_ID;
+    doc["id"]        = id;
+    doc["status"]    = ok ? "ok" : "error";
+    if (ok) doc["result"] = result;
+    else    doc["error"]  = err;
+
+    char buf[MQTT_MAX_PAYLOAD];
+    serializeJson(doc, buf, sizeof(buf));
+
+    Serial.printf("[CMD]     %s → %s\n", id, ok ? "ok" : err);
+    publishPayload(topicCmdReply, buf);
 }
 
 // ═════════════════════════════════════════════════════════════
@@ -328,7 +451,7 @@ void sampleMPU() {
     float magnitude_ms2 = sqrtf(ax * ax + ay * ay + az * az);
     float magnitude_G   = magnitude_ms2 / 9.80665f;
 
-    if (magnitude_G > SHOCK_THRESHOLD_G) {
+    if (magnitude_G > shockThresholdG) {
         latestShockG      = magnitude_G;
         shockAlertPending = true;   // Picked up in main loop
     }
@@ -357,6 +480,57 @@ void readDHTAndPublish() {
         writeToBuffer(payloadBuf);
     }
 }
+// ═════════════════════════════════════════════════════════════
+//  Shadow: Apply desired configuration
+//    { "version": 3, "config": { "interval_s": 10,
+//      "shock_threshold_g": 3.0, "reporting_mode": "eco" }, "ts": ... }
+//  Fields missing from config fall back to the built-in defaults.
+//  Out-of-range values are ignored and show up as delta on the backend.
+// ═════════════════════════════════════════════════════════════
+void applyDesiredConfig(byte* payload, unsigned int length) {
+    if (length == 0) return;   // retained message cleared
+
+    JsonDocument doc;
+    if (deserializeJson(doc, payload, length)) {
+        Serial.println(F("[SHADOW]  Malformed desired config — ignored"));
+        return;
+    }
+
+    JsonVariantConst cfg = doc["config"];
+
+    uint32_t intervalS = cfg["interval_s"] | (TELEMETRY_INTERVAL_MS / 1000);
+    if (intervalS >= 1 && intervalS <= 3600) telemetryIntervalMs = intervalS * 1000UL;
+
+    float threshold = cfg["shock_threshold_g"] | SHOCK_THRESHOLD_G;
+    if (threshold >= 0.1f && threshold <= 16.0f) shockThresholdG = threshold;
+
+    const char* mode = cfg["reporting_mode"] | "normal";
+    if (strcmp(mode, "normal") == 0 || strcmp(mode, "eco") == 0) {
+        ecoMode = strcmp(mode, "eco") == 0;
+    }
+
+    configVersion = doc["version"] | configVersion;
+    Serial.printf("[SHADOW]  Applied desired v%u\n", (unsigned int)configVersion);
+    publishReportedConfig();
+}
+
+// ═════════════════════════════════════════════════════════════
+//  Shadow: Report the configuration currently in effect
+// ═════════════════════════════════════════════════════════════
+void publishReportedConfig() {
+    JsonDocument doc;
+
+    doc["device_id"] = DEVICE_ID;
+    doc["version"]   = configVersion;
+    JsonObject cfg   = doc["config"].to<JsonObject>();
+    cfg["interval_s"]        = telemetryIntervalMs / 1000;
+    cfg["shock_threshold_g"] = shockThresholdG;
+    cfg["reporting_mode"]    = ecoMode ? "eco" : "normal";
+
+    char buf[MQTT_MAX_PAYLOAD];
+    serializeJson(doc, buf, sizeof(buf));
+    publishPayload(topicConfigReported, buf);
+}
 
 // ═════════════════════════════════════════════════════════════
 //  JSON: Build standard telemetry payload
@@ -5,8 +5,53 @@
  *
  * Socket.IO events consumed:
  *   cargo:telemetry   — live sensor reading
- *   cargo:alert       — threshold-crossing alert from backend
+ *   cargo:alert       — threshold excursion raised (or still active) on backend
+ *   cargo:alert_cleared — excursion back in range, with duration_ms
  *   cargo:shock_alert — shock-only alert from device
+ *   thresholds:changed — a threshold profile / assignment was edited
+ *   alert:state       — an alert was acknowledged / resolved
+ *   geofence:enter / geofence:exit — device crossed a geofence boundary
+ *   geofence:changed  — a geofence was created / edited / deleted
+ *   door:opened / door:closed — door event started / finished
+ *   door:sealed / door:unsealed — seal window changed
+ *   device:online / device:stale / device:offline — watchdog transitions
+ *   command:sent / command:updated — downlink command published / settled
+ *   fleet:summary     — per-device status / last reading / open alerts
+ *   route:status      — corridor status, remaining distance and ETA per fix
+ *   route:changed     — a planned route was created / edited / deleted
+ *
+ * Views (hash routes, no router library):
+ *   #/                 — fleet overview: summary tiles, clustered map of
+ *                        every device, fleet-wide alert feed, device table
+ *   #/devices/<id>     — device detail: status, chart, map and that
+ *                        device's own alert feed; "Playback" replays a
+ *                        time range of history on the map, chart and feed
+ *
+ * Socket.IO subscriptions: the hook joins the room of the device being
+ * viewed plus the fleet channel (`subscribe { devices, fleet }`); per-device
+ * events arrive for that device only, alerts and status changes for all.
+ *
+ * Every request carries `Authorization: Bearer <token>` and the socket
+ * handshake sends the same token (auth.token); a 401 / refused
+ * handshake drops back to the login screen. The backend scopes every
+ * request and socket event to the user's organization.
+ *
+ * REST endpoints used:
+ *   POST /api/auth/login                    — username/password → token
+ *   GET  /api/organizations/current         — tenant name for the header
+ *   GET  /api/devices/:device_id/thresholds — limits in effect for a device
+ *   GET  /api/alerts                        — seed the alert feed on load
+ *   GET  /api/alerts/:device_id             — seed a device page's alert feed
+ *   GET  /api/telemetry/:device_id?from&to&order=asc — playback history (paged)
+ *   POST /api/alerts/:id/acknowledge|resolve — operator workflow
+ *   GET  /api/geofences                     — fences drawn on the map
+ *   GET  /api/devices/:device_id/door-events — door timeline
+ *   GET|POST|DELETE /api/devices/:device_id/seal — seal status / toggle
+ *   GET  /api/devices/:device_id            — registry row with live status
+ *   GET  /api/devices/:device_id/battery    — battery level + time-to-empty forecast
+ *   GET|POST /api/devices/:device_id/commands — downlink command history / send
+ *   GET  /api/devices/:device_id/trip       — route, distance, speed, stops
+ *   GET  /api/devices/:device_id/route      — planned route corridor + last status
  */
 
 import React, {
@@ -17,7 +62,19 @@ import React, {
   useMemo,
 } from 'react';
 import { io } from 'socket.io-client';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import {
+  MapContainer,
+  TileLayer,
+  Marker,
+  Popup,
+  Circle,
+  Polygon,
+  Polyline,
+  CircleMarker,
+  Tooltip as MapTooltip,
+  useMap,
+  useMapEvents,
+} from 'react-leaflet';
 import L from 'leaflet';
 import {
   ComposedChart,
@@ -49,13 +106,24 @@ L.Icon.Default.mergeOptions({
 //  Constants
 // ─────────────────────────────────────────────────────────────
 const BACKEND_URL       = 'http://localhost:4000';
-const SHOCK_THRESHOLD   = 2.5;    // G  — mirrors backend ALERT_SHOCK_G_MAX
-const TEMP_THRESHOLD    = 8.0;    // °C — mirrors backend ALERT_TEMP_MAX
 const MAX_CHART_POINTS  = 60;     // Rolling window for live chart
 const MAX_ALERT_ENTRIES = 50;     // Max alerts kept in local feed
 const ALERT_DISMISS_MS  = 8000;   // Auto-dismiss banner after 8 s
 const DEFAULT_CENTER    = [34.0522, -118.2437]; // Fallback: Los Angeles
 const DEFAULT_ZOOM      = 13;
+const DOOR_TIMELINE_MS  = 24 * 60 * 60 * 1000;   // Door strip covers last 24 h
+const MAX_DOOR_ENTRIES  = 10;                    // Door events listed under the strip
+const MAX_COMMAND_ENTRIES = 20;                  // Commands listed per device
+const SESSION_KEY       = 'cargo.session';         // { token, expiresAt, user } in localStorage
+const ROLE_RANK         = { viewer: 0, operator: 1, admin: 2, superadmin: 3 };
+const CLUSTER_CELL_PX   = 56;                      // Fleet map: markers closer than this cluster
+const STATUS_COLORS     = { online: '#10b981', stale: '#f59e0b', offline: '#ef4444' };
+const PLAYBACK_PAGE     = 500;                     // Telemetry records per history request
+const MAX_PLAYBACK_RECORDS = 5000;                 // Cap on records loaded for one playback
+const PLAYBACK_SPEEDS   = [1, 2, 5, 10, 25, 50, 100];
+const PLAYBACK_RANGE_MS = 60 * 60 * 1000;          // Default playback window: last hour
+const TRIP_WINDOW_MS    = 24 * 60 * 60 * 1000;     // Live route / stops cover the last 24 h
+const TRIP_REFRESH_MS   = 60 * 1000;               // Re-run trip analytics this often
 
 // ─────────────────────────────────────────────────────────────
 //  Formatting helpers
@@ -70,34 +138,231 @@ const fmtTemp  = (v) => (v != null ? `${Number(v).toFixed(1)} °C` : '--');
 const fmtHum   = (v) => (v != null ? `${Number(v).toFixed(1)} %`  : '--');
 const fmtShock = (v) => (v != null ? `${Number(v).toFixed(3)} G`  : '--');
 const fmtCoord = (v) => (v != null ? Number(v).toFixed(4)          : '--');
+const fmtKm    = (m) => (m != null ? `${(m / 1000).toFixed(1)} km`   : '--');
+const fmtSpeed = (v) => (v != null ? `${Math.round(v)} km/h`          : '--');
+
+// 95000 → "1m 35s"
+const fmtDuration = (ms) => {
+  if (ms == null) return '--';
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ${s % 60}s`;
+  return `${Math.floor(m / 60)}h ${m % 60}m`;
+};
+
+// Telemetry record → chart point (live buffer and playback window)
+const toChartPoint = (reading) => ({
+  time:    new Date(reading.eventAt ?? Date.now()).toLocaleTimeString('en-US', {
+    hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }),
+  temp:    Number(Number(reading.temp).toFixed(2)),
+  shock_g: Number(Number(reading.shock_g).toFixed(3)),
+  hum:     Number(Number(reading.hum).toFixed(1)),
+});
+
+// Date → value for <input type="datetime-local"> (local time, minutes)
+const toLocalInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Threshold helpers — limits come from the backend profile
+//  shape: { temp: {min,max}, hum: {min,max}, shock_g: {min,max} }
+// ─────────────────────────────────────────────────────────────
+const isOutOfRange = (limits, metric, value) => {
+  const { min = null, max = null } = limits?.[metric] ?? {};
+  if (value == null) return false;
+  return (max != null && value > max) || (min != null && value < min);
+};
+
+// "2 – 8 °C", "≤ 2.5 G", "≥ -25 °C" — null when no bound is set
+const fmtRange = (limits, metric, unit) => {
+  const { min = null, max = null } = limits?.[metric] ?? {};
+  if (min != null && max != null) return `${min} – ${max} ${unit}`;
+  if (max != null) return `≤ ${max} ${unit}`;
+  if (min != null) return `≥ ${min} ${unit}`;
+  return null;
+};
+
+// ─────────────────────────────────────────────────────────────
+//  Alert feed entries
+// ─────────────────────────────────────────────────────────────
+const ALERT_MESSAGES = {
+  shock:     (d) => `⚡ SHOCK ${Number(d.shock_g).toFixed(3)} G on ${d.device_id}`,
+  threshold: (d) => `⚠ ALERT: ${d.message ?? (d.alerts ?? []).join(' | ')}`
+                  + `${d.repeat ? ' (still active)' : ''} on ${d.device_id}`,
+  cleared:   (d) => (d.metric === 'route'
+    ? `✓ ${d.device_id} back on planned route after ${fmtDuration(d.duration_ms)} (max ${d.peak} m off)`
+    : `✓ ${d.metric} back in range on ${d.device_id} after ${fmtDuration(d.duration_ms)} (peak ${d.peak})`),
+  geofence:  (d) => `📍 ${d.device_id} ${d.event === 'enter' ? 'entered' : 'left'} ${d.geofence_name}`
+                  + `${d.dwell_ms != null ? ` after ${fmtDuration(d.dwell_ms)}` : ''}`,
+  offline:   (d) => d.message ?? `📡 ${d.device_id} OFFLINE — no data for ${fmtDuration(d.age_ms)}`,
+  online:    (d) => `📡 ${d.device_id} back online after ${fmtDuration(d.downtime_ms)}`,
+};
+
+// Informational entries: feed only, no banner, no Ack/Resolve
+const INFO_ALERT_TYPES = ['cleared', 'geofence', 'online'];
+
+// type: 'threshold' | 'shock' | 'cleared' | 'geofence' | 'offline' | 'online'
+const buildAlertEntry = (type, data) => ({
+  id:        `${Date.now()}-${Math.random()}`,
+  type,
+  device_id: data.device_id,
+  message:   ALERT_MESSAGES[type](data),
+  ts:        new Date().toLocaleTimeString(),
+  // Workflow fields — recoveries are informational only
+  alertId:      INFO_ALERT_TYPES.includes(type) ? null : (data.alert_id ?? null),
+  state:        'open',
+  acknowledged: null,
+  resolved:     null,
+  raw:       data,
+});
+
+// Persisted CargoAlert document (REST) → feed entry
+const entryFromAlertDoc = (doc) => ({
+  ...buildAlertEntry({ SHOCK_DETECTED: 'shock', DEVICE_OFFLINE: 'offline' }[doc.alert] ?? 'threshold', {
+    ...doc,
+    alert_id: doc._id,
+  }),
+  id:           doc._id,
+  ts:           new Date(doc.eventAt ?? doc.receivedAt).toLocaleString(),
+  historical:   doc.historical ?? false,
+  state:        doc.state,
+  acknowledged: doc.acknowledged,
+  resolved:     doc.resolved,
+});
+
+// ═════════════════════════════════════════════════════════════
+//  CUSTOM HOOK — useAuth
+//  Login session (token + user) persisted in localStorage, and a
+//  fetch wrapper that sends the token and logs out on a 401
+// ═════════════════════════════════════════════════════════════
+const loadSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    return session && new Date(session.expiresAt) > new Date() ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+function useAuth() {
+  const [session, setSession] = useState(loadSession);
+
+  const logout = useCallback(() => {
+    localStorage.removeItem(SESSION_KEY);
+    setSession(null);
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const res = await fetch(`${BACKEND_URL}/api/auth/login`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ username, password }),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error ?? `HTTP ${res.status}`);
+    localStorage.setItem(SESSION_KEY, JSON.stringify(body));
+    setSession(body);
+  }, []);
+
+  const token = session?.token ?? null;
+  const authFetch = useCallback(async (path, options = {}) => {
+    const res = await fetch(`${BACKEND_URL}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${token}` },
+    });
+    if (res.status === 401) logout();
+    return res;
+  }, [token, logout]);
+
+  // Drop the session when the token runs out while the page is open
+  useEffect(() => {
+    if (!session) return undefined;
+    const id = setTimeout(logout, new Date(session.expiresAt) - Date.now());
+    return () => clearTimeout(id);
+  }, [session, logout]);
+
+  return {
+    token,
+    user: session?.user ?? null,
+    login,
+    logout,
+    authFetch,
+    hasRole: (role) => ROLE_RANK[session?.user?.role] >= ROLE_RANK[role],
+  };
+}
+
+// ═════════════════════════════════════════════════════════════
+//  CUSTOM HOOK — useHashRoute
+//  '#/devices/<id>' → device detail page, anything else → fleet
+//  overview; navigate(null) goes back to the fleet
+// ═════════════════════════════════════════════════════════════
+const parseRoute = (hash) => {
+  const match = /^#\/devices\/(.+)$/.exec(hash);
+  return { deviceId: match ? decodeURIComponent(match[1]) : null };
+};
+
+function useHashRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const onChange = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener('hashchange', onChange);
+    return () => window.removeEventListener('hashchange', onChange);
+  }, []);
+
+  const navigate = useCallback((deviceId) => {
+    window.location.hash = deviceId ? `#/devices/${encodeURIComponent(deviceId)}` : '#/';
+  }, []);
+
+  return { ...route, navigate };
+}
 
 // ═════════════════════════════════════════════════════════════
 //  CUSTOM HOOK — useTelemetry
 //  Manages Socket.IO connection, telemetry state, alert state
 // ═════════════════════════════════════════════════════════════
-function useTelemetry() {
+function useTelemetry({ token, authFetch, onUnauthorized, deviceId }) {
   const [connected,    setConnected]    = useState(false);
   const [latest,       setLatest]       = useState(null);   // most recent reading
   const [chartData,    setChartData]    = useState([]);      // rolling 60-point array
-  const [alerts,       setAlerts]       = useState([]);      // alert feed entries
+  const [alerts,       setAlerts]       = useState([]);      // alert feed entries (whole fleet)
+  const [deviceAlerts, setDeviceAlerts] = useState([]);      // alert feed of the viewed device
   const [bannerAlert,  setBannerAlert]  = useState(null);    // top banner (auto-dismiss)
+  const [thresholds,   setThresholds]   = useState(null);    // { profile, limits } for latest device
+  const [thresholdRev, setThresholdRev] = useState(0);       // bumped on thresholds:changed
+  const [geofences,    setGeofences]    = useState([]);      // all geofences for the map
+  const [geofenceRev,  setGeofenceRev]  = useState(0);       // bumped on geofence:changed
+  const [doorEvents,   setDoorEvents]   = useState([]);      // door open/close history (newest first)
+  const [seal,         setSeal]         = useState(null);    // active DoorSeal for latest device
+  const [sealRev,      setSealRev]      = useState(0);       // bumped on door:sealed / door:unsealed
+  const [deviceStatuses, setDeviceStatuses] = useState({});    // device_id → { status, at }
+  const [battery,      setBattery]      = useState(null);    // { battery, battery_v, at, forecast, low_pct }
+  const [trip,         setTrip]         = useState(null);    // GET /trip for the last TRIP_WINDOW_MS
+  const [plannedRoute, setPlannedRoute] = useState(null);    // RoutePlan in effect for the device
+  const [routeStatus,  setRouteStatus]  = useState(null);    // latest route:status (deviation, ETA)
+  const [routeRev,     setRouteRev]     = useState(0);       // bumped on route:changed
+  const [commands,     setCommands]     = useState([]);      // downlink commands (newest first)
+  const [organization, setOrganization] = useState(null);    // tenant the user belongs to
+  const [fleet,        setFleet]        = useState(null);    // latest fleet:summary
   const bannerTimerRef = useRef(null);
   const socketRef      = useRef(null);
+  const deviceIdRef    = useRef(deviceId);                   // device the socket is subscribed to
 
   // ── Push a new alert entry ─────────────────────────────
   const pushAlert = useCallback((type, data) => {
-    const entry = {
-      id:        `${Date.now()}-${Math.random()}`,
-      type,       // 'threshold' | 'shock'
-      device_id: data.device_id,
-      message:   type === 'shock'
-        ? `⚡ SHOCK ${Number(data.shock_g).toFixed(3)} G on ${data.device_id}`
-        : `⚠ ALERT: ${(data.alerts ?? []).join(' | ')} on ${data.device_id}`,
-      ts:        new Date().toLocaleTimeString(),
-      raw:       data,
-    };
+    const entry = buildAlertEntry(type, data);
 
     setAlerts((prev) => [entry, ...prev].slice(0, MAX_ALERT_ENTRIES));
+    if (entry.device_id === deviceIdRef.current) {
+      setDeviceAlerts((prev) => [entry, ...prev].slice(0, MAX_ALERT_ENTRIES));
+    }
+
+    // Recoveries / geofence crossings go to the feed only — no red banner
+    if (INFO_ALERT_TYPES.includes(type)) return;
 
     // Banner with auto-dismiss
     setBannerAlert(entry);
@@ -105,18 +370,35 @@ function useTelemetry() {
     bannerTimerRef.current = setTimeout(() => setBannerAlert(null), ALERT_DISMISS_MS);
   }, []);
 
+  // ── Apply an alert:state change to every matching entry ─
+  const applyAlertState = useCallback((doc) => {
+    const alertId = String(doc._id);
+    const apply   = (prev) => prev.map((a) => (
+      a.alertId && String(a.alertId) === alertId
+        ? { ...a, state: doc.state, acknowledged: doc.acknowledged, resolved: doc.resolved }
+        : a
+    ));
+    setAlerts(apply);
+    setDeviceAlerts(apply);
+  }, []);
+
+  // ── Operator workflow: acknowledge / resolve ──────────
+  const updateAlert = useCallback(async (alertId, action, note) => {
+    const res = await authFetch(`/api/alerts/${alertId}/${action}`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ note: note || null }),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error ?? `HTTP ${res.status}`);
+    applyAlertState(body);
+  }, [applyAlertState, authFetch]);
+
   // ── Append a new data point to the chart buffer ────────
   const appendChartPoint = useCallback((reading) => {
     setChartData((prev) => {
-      const point = {
-        time:    new Date().toLocaleTimeString('en-US', {
-          hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit',
-        }),
-        temp:    Number(Number(reading.temp).toFixed(2)),
-        shock_g: Number(Number(reading.shock_g).toFixed(3)),
-        hum:     Number(Number(reading.hum).toFixed(1)),
-      };
-      const next = [...prev, point];
+      // Event time from the backend (device clock, reconciled)
+      const next = [...prev, toChartPoint(reading)];
       return next.length > MAX_CHART_POINTS ? next.slice(-MAX_CHART_POINTS) : next;
     });
   }, []);
@@ -127,16 +409,60 @@ function useTelemetry() {
       transports:        ['websocket', 'polling'],
       reconnectionDelay:  2000,
       reconnectionAttempts: Infinity,
+      auth:              { token },
     });
     socketRef.current = socket;
 
-    socket.on('connect',    () => setConnected(true));
+    // Rooms do not survive a reconnect — subscribe again every time
+    socket.on('connect', () => {
+      setConnected(true);
+      const current = deviceIdRef.current;
+      socket.emit('subscribe', { devices: current ? [current] : [], fleet: true });
+    });
     socket.on('disconnect', () => setConnected(false));
 
-    // Real-time telemetry
+    // Per-device rows for the selector; alerts for every device arrive
+    // through the same fleet subscription
+    socket.on('fleet:summary', setFleet);
+    // Handshake refused — token expired or revoked
+    socket.on('connect_error', (err) => {
+      if (err.message === 'unauthorized') onUnauthorized();
+    });
+
+    // Real-time telemetry (only the subscribed device is sent)
     socket.on('cargo:telemetry', (data) => {
+      if (data.device_id !== deviceIdRef.current) return;
       setLatest(data);
       appendChartPoint(data);
+      if (data.battery != null) {
+        setBattery((prev) => ({
+          ...(prev?.device_id === data.device_id ? prev : {}),
+          device_id: data.device_id,
+          battery:   data.battery,
+          battery_v: data.battery_v,
+          at:        data.receivedAt,
+          forecast:  data.battery_forecast ?? prev?.forecast ?? null,
+        }));
+      }
+    });
+
+    // Watchdog transitions — offline raises an alert, recovery is informational
+    const applyDeviceStatus = (evt) => {
+      setDeviceStatuses((prev) => ({ ...prev, [evt.device_id]: { status: evt.status, at: evt.at } }));
+      // Keep the fleet rows current between two summaries
+      setFleet((prev) => prev && {
+        ...prev,
+        devices: prev.devices.map((d) => (d.device_id === evt.device_id ? { ...d, status: evt.status } : d)),
+      });
+    };
+    socket.on('device:stale', applyDeviceStatus);
+    socket.on('device:offline', (evt) => {
+      applyDeviceStatus(evt);
+      pushAlert('offline', evt);
+    });
+    socket.on('device:online', (evt) => {
+      applyDeviceStatus(evt);
+      if (evt.previous === 'offline' && evt.downtime_ms != null) pushAlert('online', evt);
     });
 
     // Threshold alert (temp or shock) from backend
@@ -144,9 +470,51 @@ function useTelemetry() {
       pushAlert('threshold', data);
     });
 
+    // Excursion ended (includes duration_ms and peak)
+    socket.on('cargo:alert_cleared', (data) => {
+      pushAlert('cleared', data);
+    });
+
+    // Someone acknowledged / resolved an alert (possibly another operator)
+    socket.on('alert:state', applyAlertState);
+
+    // Geofence crossings + fence edits
+    socket.on('geofence:enter',   (data) => pushAlert('geofence', data));
+    socket.on('geofence:exit',    (data) => pushAlert('geofence', data));
+    socket.on('geofence:changed', () => setGeofenceRev((n) => n + 1));
+
+    // Door timeline — new openings prepend, closings update in place
+    socket.on('door:opened', (evt) => {
+      setDoorEvents((prev) => [evt, ...prev].slice(0, 200));
+    });
+    socket.on('door:closed', (evt) => {
+      setDoorEvents((prev) => prev.map((d) => (d._id === evt._id ? evt : d)));
+    });
+    socket.on('door:sealed',   () => setSealRev((n) => n + 1));
+    socket.on('door:unsealed', () => setSealRev((n) => n + 1));
+
+    // A profile or device assignment changed — refetch limits
+    socket.on('thresholds:changed', () => setThresholdRev((n) => n + 1));
+
+    // Planned route: per-fix corridor status / ETA, and plan edits
+    socket.on('route:status', (status) => {
+      if (status.device_id === deviceIdRef.current) setRouteStatus(status);
+    });
+    socket.on('route:changed', () => setRouteRev((n) => n + 1));
+
+    // ── Downlink commands: insert or replace by command_id ─
+    const upsertCommand = (cmd) => setCommands((prev) => (
+      [cmd, ...prev.filter((c) => c.command_id !== cmd.command_id)]
+        .sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt))
+        .slice(0, MAX_COMMAND_ENTRIES * 5)
+    ));
+    socket.on('command:sent',    upsertCommand);
+    socket.on('command:updated', upsertCommand);
+
     // Shock alert published directly from device firmware
     socket.on('cargo:shock_alert', (data) => {
       pushAlert('shock', data);
+      if (data.device_id !== deviceIdRef.current) return;
       setLatest((prev) => ({
         ...prev,
         ...data,
@@ -159,14 +527,450 @@ function useTelemetry() {
       clearTimeout(bannerTimerRef.current);
       socket.disconnect();
     };
-  }, [appendChartPoint, pushAlert]);
+  }, [appendChartPoint, pushAlert, applyAlertState, token, onUnauthorized]);
+
+  // ── Follow the viewed device: swap the room, start a fresh chart ──
+  useEffect(() => {
+    deviceIdRef.current = deviceId;
+    setLatest(null);
+    setChartData([]);
+    setThresholds(null);
+    setDeviceAlerts([]);
+    setTrip(null);
+    setPlannedRoute(null);
+    setRouteStatus(null);
+
+    const socket = socketRef.current;
+    if (!deviceId || !socket) return undefined;
+    if (socket.connected) socket.emit('subscribe', { devices: [deviceId] });
+    return () => {
+      if (socket.connected) socket.emit('unsubscribe', { devices: [deviceId] });
+    };
+  }, [deviceId]);
+
+  // ── Seed the feed with recent persisted alerts ─────────
+  useEffect(() => {
+    const ctrl = new AbortController();
+    authFetch(`/api/alerts?limit=${MAX_ALERT_ENTRIES}`, { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then(({ alerts: docs }) => {
+        setAlerts((prev) => [...prev, ...docs.map(entryFromAlertDoc)].slice(0, MAX_ALERT_ENTRIES));
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Alert history fetch failed:', err.message);
+      });
+    return () => ctrl.abort();
+  }, [authFetch]);
+
+  // ── Alert history of the viewed device ────────────────
+  useEffect(() => {
+    if (!deviceId) return undefined;
+    const ctrl = new AbortController();
+
+    authFetch(`/api/alerts/${encodeURIComponent(deviceId)}?limit=${MAX_ALERT_ENTRIES}`, {
+      signal: ctrl.signal,
+    })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then(({ alerts: docs }) => {
+        setDeviceAlerts((prev) => [...prev, ...docs.map(entryFromAlertDoc)].slice(0, MAX_ALERT_ENTRIES));
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Device alert fetch failed:', err.message);
+      });
+
+    return () => ctrl.abort();
+  }, [deviceId, authFetch]);
+
+  // ── Organization (tenant) name for the header ──────────
+  useEffect(() => {
+    const ctrl = new AbortController();
+    authFetch('/api/organizations/current', { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then(setOrganization)
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Organization fetch failed:', err.message);
+      });
+    return () => ctrl.abort();
+  }, [authFetch]);
+
+  // ── Limits for the device currently shown ─────────────
+  useEffect(() => {
+    if (!deviceId) return undefined;
+    const ctrl = new AbortController();
+
+    authFetch(`/api/devices/${encodeURIComponent(deviceId)}/thresholds`, {
+      signal: ctrl.signal,
+    })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data) => setThresholds({ profile: data.profile, limits: data.limits }))
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Threshold fetch failed:', err.message);
+      });
+
+    return () => ctrl.abort();
+  }, [deviceId, thresholdRev, authFetch]);
+
+  // ── Door history + seal for the device currently shown ─
+  useEffect(() => {
+    if (!deviceId) return undefined;
+    const ctrl = new AbortController();
+    const base = `/api/devices/${encodeURIComponent(deviceId)}`;
+
+    authFetch(`${base}/door-events?limit=100`, { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data) => setDoorEvents(data.events))
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Door event fetch failed:', err.message);
+      });
+
+    return () => ctrl.abort();
+  }, [deviceId, authFetch]);
+
+  useEffect(() => {
+    if (!deviceId) return undefined;
+    const ctrl = new AbortController();
+
+    authFetch(`/api/devices/${encodeURIComponent(deviceId)}/seal`, { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data) => setSeal(data.seal))
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Seal fetch failed:', err.message);
+      });
+
+    return () => ctrl.abort();
+  }, [deviceId, sealRev, authFetch]);
+
+  // ── Watchdog status for the device currently shown ────
+  useEffect(() => {
+    if (!deviceId) return undefined;
+    const ctrl = new AbortController();
+
+    authFetch(`/api/devices/${encodeURIComponent(deviceId)}`, { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((device) => {
+        setDeviceStatuses((prev) => (
+          prev[deviceId] ? prev : { ...prev, [deviceId]: { status: device.status, at: device.statusChangedAt } }
+        ));
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Device status fetch failed:', err.message);
+      });
+
+    return () => ctrl.abort();
+  }, [deviceId, authFetch]);
+
+  // ── Route, speed and stops of the viewed device, refreshed periodically ─
+  useEffect(() => {
+    if (!deviceId) return undefined;
+    const ctrl = new AbortController();
+
+    const fetchTrip = () => {
+      const from = new Date(Date.now() - TRIP_WINDOW_MS).toISOString();
+      authFetch(`/api/devices/${encodeURIComponent(deviceId)}/trip?from=${from}`, { signal: ctrl.signal })
+        .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+        .then(setTrip)
+        .catch((err) => {
+          if (err.name !== 'AbortError') console.warn('Trip fetch failed:', err.message);
+        });
+    };
+    fetchTrip();
+    const timer = setInterval(fetchTrip, TRIP_REFRESH_MS);
+
+    return () => {
+      clearInterval(timer);
+      ctrl.abort();
+    };
+  }, [deviceId, authFetch]);
+
+  // ── Planned route of the viewed device (refetched on route:changed) ─
+  useEffect(() => {
+    if (!deviceId) return undefined;
+    const ctrl = new AbortController();
+
+    authFetch(`/api/devices/${encodeURIComponent(deviceId)}/route`, { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data) => {
+        setPlannedRoute(data.route);
+        // A live status that arrived meanwhile is newer than the snapshot
+        setRouteStatus((prev) => (data.route && prev?.route_id === data.route._id ? prev : data.status));
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Route fetch failed:', err.message);
+      });
+
+    return () => ctrl.abort();
+  }, [deviceId, routeRev, authFetch]);
+
+  // ── Battery level + forecast for the device currently shown ─
+  useEffect(() => {
+    if (!deviceId) return undefined;
+    const ctrl = new AbortController();
+
+    authFetch(`/api/devices/${encodeURIComponent(deviceId)}/battery`, { signal: ctrl.signal })
+      .then((res) => {
+        if (res.status === 404) return null;   // device doesn't report battery
+        return res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`));
+      })
+      .then((data) => {
+        if (!data) return;
+        // Keep a live forecast that arrived while the request was in flight
+        setBattery((prev) => ({
+          ...data,
+          ...(prev?.device_id === deviceId ? prev : {}),
+          low_pct: data.low_pct,
+        }));
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Battery fetch failed:', err.message);
+      });
+
+    return () => ctrl.abort();
+  }, [deviceId, authFetch]);
+
+  // ── Downlink command history for the device currently shown ─
+  useEffect(() => {
+    if (!deviceId) return undefined;
+    const ctrl = new AbortController();
+
+    authFetch(`/api/devices/${encodeURIComponent(deviceId)}/commands?limit=${MAX_COMMAND_ENTRIES}`, { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data) => setCommands((prev) => {
+        // Keep anything a socket event delivered while the request was in flight
+        const seen = new Set(prev.map((c) => c.command_id));
+        return [...prev, ...data.commands.filter((c) => !seen.has(c.command_id))]
+          .sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt));
+      }))
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Command fetch failed:', err.message);
+      });
+
+    return () => ctrl.abort();
+  }, [deviceId, authFetch]);
+
+  // ── Send a downlink command to the current device ─────
+  const sendCommand = useCallback(async (command, params) => {
+    if (!deviceId) return;
+    const res = await authFetch(`/api/devices/${encodeURIComponent(deviceId)}/commands`, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ command, params }),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error ?? `HTTP ${res.status}`);
+  }, [deviceId, authFetch]);
+
+  // ── Seal / unseal the current device's container ──────
+  const toggleSeal = useCallback(async () => {
+    if (!deviceId) return;
+    const res = await authFetch(`/api/devices/${encodeURIComponent(deviceId)}/seal`, {
+      method:  seal ? 'DELETE' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    seal ? undefined : JSON.stringify({}),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    setSealRev((n) => n + 1);
+  }, [deviceId, seal, authFetch]);
+
+  // ── Geofences for the map ─────────────────────────────
+  useEffect(() => {
+    const ctrl = new AbortController();
+    authFetch(`/api/geofences?active=true`, { signal: ctrl.signal })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data) => setGeofences(data.geofences))
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.warn('Geofence fetch failed:', err.message);
+      });
+    return () => ctrl.abort();
+  }, [geofenceRev, authFetch]);
 
   const dismissBanner = useCallback(() => {
     clearTimeout(bannerTimerRef.current);
     setBannerAlert(null);
   }, []);
 
-  return { connected, latest, chartData, alerts, bannerAlert, dismissBanner };
+  return {
+    connected, latest, chartData, alerts, deviceAlerts, bannerAlert, dismissBanner, thresholds, updateAlert,
+    geofences, doorEvents, seal, toggleSeal, organization, fleet,
+    deviceStatus: deviceId ? deviceStatuses[deviceId] ?? null : null,
+    battery:      battery?.device_id === deviceId ? battery : null,
+    trip:         trip?.device_id === deviceId ? trip : null,
+    plannedRoute,
+    routeStatus:  routeStatus?.route_id === plannedRoute?._id ? routeStatus : null,
+    commands:     commands.filter((c) => c.device_id === deviceId).slice(0, MAX_COMMAND_ENTRIES),
+    sendCommand,
+  };
+}
+
+// ═════════════════════════════════════════════════════════════
+//  CUSTOM HOOK — usePlayback
+//  Loads a time range of a device's history (telemetry pages +
+//  alerts) and replays it against a cursor that advances at
+//  `speed` × real time; the views read the frame at the cursor
+// ═════════════════════════════════════════════════════════════
+function usePlayback({ authFetch, deviceId }) {
+  const [range,   setRange]   = useState(null);    // { from, to } in epoch ms
+  const [records, setRecords] = useState([]);      // telemetry, oldest-first
+  const [events,  setEvents]  = useState([]);      // alert docs, oldest-first
+  const [trip,    setTrip]    = useState(null);    // trip analytics of the range
+  const [loading, setLoading] = useState(false);
+  const [error,   setError]   = useState(null);
+  const [truncated, setTruncated] = useState(false);
+  const [cursor,  setCursor]  = useState(null);    // playback position, epoch ms
+  const [playing, setPlaying] = useState(false);
+  const [speed,   setSpeed]   = useState(1);
+  const loadRef = useRef(null);                    // AbortController of the running load
+
+  const reset = useCallback(() => {
+    loadRef.current?.abort();
+    setRange(null);
+    setRecords([]);
+    setEvents([]);
+    setTrip(null);
+    setError(null);
+    setTruncated(false);
+    setCursor(null);
+    setPlaying(false);
+  }, []);
+
+  // A different device never replays the previous one's history
+  useEffect(() => reset, [deviceId, reset]);
+
+  const load = useCallback(async (from, to) => {
+    loadRef.current?.abort();
+    const ctrl = new AbortController();
+    loadRef.current = ctrl;
+    setLoading(true);
+    setError(null);
+    setPlaying(false);
+
+    const id     = encodeURIComponent(deviceId);
+    const bounds = `from=${new Date(from).toISOString()}&to=${new Date(to).toISOString()}`;
+    const get    = async (path) => {
+      const res  = await authFetch(path, { signal: ctrl.signal });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error ?? `HTTP ${res.status}`);
+      return body;
+    };
+
+    try {
+      // Follow the keyset cursor oldest-first until the range (or the cap) is exhausted
+      const rows = [];
+      let next = null;
+      do {
+        const page = await get(`/api/telemetry/${id}?${bounds}&order=asc&limit=${PLAYBACK_PAGE}`
+          + (next ? `&cursor=${next}` : ''));
+        rows.push(...page.records);
+        next = page.next_cursor;
+      } while (next && rows.length < MAX_PLAYBACK_RECORDS);
+
+      const [{ alerts: docs }, analytics] = await Promise.all([
+        get(`/api/alerts/${id}?${bounds}&limit=200`),
+        get(`/api/devices/${id}/trip?${bounds}`),
+      ]);
+
+      setRecords(rows.slice(0, MAX_PLAYBACK_RECORDS));
+      setTruncated(Boolean(next));
+      setEvents([...docs].reverse());
+      setTrip(analytics);
+      setRange({ from, to });
+      setCursor(from);
+    } catch (err) {
+      if (err.name !== 'AbortError') setError(err.message);
+    } finally {
+      if (loadRef.current === ctrl) setLoading(false);
+    }
+  }, [authFetch, deviceId]);
+
+  // ── Advance the cursor once per animation frame while playing ──
+  useEffect(() => {
+    if (!playing || !range) return undefined;
+    let frame;
+    let last = performance.now();
+
+    const tick = (now) => {
+      const elapsed = now - last;
+      last = now;
+      setCursor((c) => Math.min(c + elapsed * speed, range.to));
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, range]);
+
+  // Stop at the end of the range
+  useEffect(() => {
+    if (playing && range && cursor >= range.to) setPlaying(false);
+  }, [playing, range, cursor]);
+
+  const times = useMemo(() => records.map((r) => new Date(r.eventAt).getTime()), [records]);
+
+  // ── Frame at the cursor ───────────────────────────────
+  const frame = useMemo(() => {
+    if (!range) return null;
+
+    // Last record at or before the cursor (binary search)
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= cursor) lo = mid + 1; else hi = mid;
+    }
+    const index = lo - 1;
+
+    const shown = records.slice(0, index + 1);
+    return {
+      latest:    index >= 0 ? records[index] : null,
+      chartData: shown.slice(-MAX_CHART_POINTS).map(toChartPoint),
+      route:     shown.filter((r) => r.lat != null && r.lon != null).map((r) => [r.lat, r.lon]),
+      stops:     (trip?.stops ?? []).filter((st) => new Date(st.start).getTime() <= cursor),
+      trip,
+      alerts:    events
+        .filter((a) => new Date(a.eventAt).getTime() <= cursor)
+        .reverse()
+        .map(entryFromAlertDoc),
+    };
+  }, [range, times, records, events, trip, cursor]);
+
+  const seek = useCallback((t) => {
+    setCursor(range ? Math.min(Math.max(t, range.from), range.to) : t);
+  }, [range]);
+
+  const play = useCallback(() => {
+    // Restart from the beginning once the end has been reached
+    if (range && cursor >= range.to) setCursor(range.from);
+    setPlaying(true);
+  }, [range, cursor]);
+
+  return {
+    range, records, events, loading, error, truncated,
+    cursor, playing, speed, frame,
+    load, reset, seek, play, setSpeed,
+    pause: useCallback(() => setPlaying(false), []),
+  };
+}
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — DeviceSelector
+//  Jumps between the fleet overview ("") and a device detail page
+// ═════════════════════════════════════════════════════════════
+function DeviceSelector({ devices, value, onChange }) {
+  if (!devices?.length) {
+    return <span className="text-xs text-gray-500">No devices</span>;
+  }
+  return (
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      className="bg-gray-800 text-gray-200 text-xs font-mono rounded-md px-2 py-1 ring-1 ring-gray-700 focus:outline-none focus:ring-blue-500"
+    >
+      <option value="">Fleet overview</option>
+      {devices.map((d) => (
+        <option key={d.device_id} value={d.device_id}>
+          {d.device_id} · {d.status}{d.open_alerts ? ` · ${d.open_alerts} open` : ''}
+        </option>
+      ))}
+    </select>
+  );
 }
 
 // ═════════════════════════════════════════════════════════════
@@ -254,12 +1058,26 @@ function SensorCard({ label, value, unit, icon, highlight, subtext }) {
 
 // ═════════════════════════════════════════════════════════════
 //  SUB-COMPONENT — StatusPanel
-//  The entire panel turns bright red when shock_g > 2.5
+//  The entire panel turns bright red when any metric leaves the
+//  device's threshold profile
 // ═════════════════════════════════════════════════════════════
-function StatusPanel({ latest }) {
-  const shockCritical = (latest?.shock_g ?? 0) > SHOCK_THRESHOLD;
-  const tempCritical  = (latest?.temp    ?? 0) > TEMP_THRESHOLD;
-  const anyCritical   = shockCritical || tempCritical;
+function StatusPanel({ latest, thresholds, deviceStatus }) {
+  // Re-render every second so the data age keeps counting between packets
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  const limits        = thresholds?.limits;
+  const shockCritical = isOutOfRange(limits, 'shock_g', latest?.shock_g);
+  const tempCritical  = isOutOfRange(limits, 'temp',    latest?.temp);
+  const humCritical   = isOutOfRange(limits, 'hum',     latest?.hum);
+  const anyCritical   = shockCritical || tempCritical || humCritical;
+  const status        = deviceStatus?.status ?? 'online';
+  const offline       = status === 'offline';
+  const takenAt       = latest?.eventAt ?? latest?.receivedAt;
+  const ageMs         = takenAt ? Math.max(0, now - new Date(takenAt).getTime()) : null;
 
   if (!latest) {
     return (
@@ -277,9 +1095,11 @@ function StatusPanel({ latest }) {
   return (
     <div className={`
       rounded-2xl p-5 ring-1 transition-all duration-500
-      ${anyCritical
-        ? 'bg-red-950/90 ring-red-500 shadow-[0_0_40px_rgba(239,68,68,0.3)]'
-        : 'bg-gray-800/40 ring-gray-700/50'}
+      ${offline
+        ? 'bg-gray-900/60 ring-gray-600 grayscale opacity-70'
+        : anyCritical
+          ? 'bg-red-950/90 ring-red-500 shadow-[0_0_40px_rgba(239,68,68,0.3)]'
+          : 'bg-gray-800/40 ring-gray-700/50'}
     `}>
       {/* Header */}
       <div className="flex items-center justify-between mb-4">
@@ -289,7 +1109,15 @@ function StatusPanel({ latest }) {
         `}>
           Status Panel
         </h2>
-        {anyCritical && (
+        {offline ? (
+          <span className="text-xs font-bold text-gray-300 tracking-widest">
+            ● OFFLINE
+          </span>
+        ) : status === 'stale' ? (
+          <span className="text-xs font-bold text-amber-300 tracking-widest">
+            ● STALE
+          </span>
+        ) : anyCritical && (
           <span className="animate-pulse-fast text-xs font-bold text-red-300 tracking-widest">
             ● CRITICAL
           </span>
@@ -304,8 +1132,16 @@ function StatusPanel({ latest }) {
             {latest.device_id ?? 'Unknown Device'}
           </p>
           <p className="text-xs text-gray-500">
-            Last update: <span className="text-gray-400">{new Date().toLocaleTimeString()}</span>
+            Last update:{' '}
+            <span className={status === 'online' ? 'text-gray-400' : 'text-amber-300 font-semibold'}>
+              {ageMs != null ? `${fmtDuration(ageMs)} ago` : '--'}
+            </span>
           </p>
+          {thresholds?.profile && (
+            <p className="text-xs text-gray-500">
+              Profile: <span className="text-gray-400">{thresholds.profile}</span>
+            </p>
+          )}
         </div>
         {/* Door status pill */}
         <div className={`
@@ -326,14 +1162,15 @@ function StatusPanel({ latest }) {
           unit="°C"
           icon="🌡️"
           highlight={tempCritical}
-          subtext={tempCritical ? `Threshold: ${TEMP_THRESHOLD} °C` : null}
+          subtext={fmtRange(limits, 'temp', '°C') && `Range: ${fmtRange(limits, 'temp', '°C')}`}
         />
         <SensorCard
           label="Humidity"
           value={latest.hum != null ? Number(latest.hum).toFixed(1) : '--'}
           unit="%"
           icon="💧"
-          highlight={false}
+          highlight={humCritical}
+          subtext={fmtRange(limits, 'hum', '%') && `Range: ${fmtRange(limits, 'hum', '%')}`}
         />
         <SensorCard
           label="Shock (G-force)"
@@ -341,7 +1178,7 @@ function StatusPanel({ latest }) {
           unit="G"
           icon="💥"
           highlight={shockCritical}
-          subtext={shockCritical ? `Threshold: ${SHOCK_THRESHOLD} G` : null}
+          subtext={fmtRange(limits, 'shock_g', 'G') && `Range: ${fmtRange(limits, 'shock_g', 'G')}`}
         />
         <SensorCard
           label="GPS Position"
@@ -358,22 +1195,75 @@ function StatusPanel({ latest }) {
 
 // ═════════════════════════════════════════════════════════════
 //  SUB-COMPONENT — MapViewUpdater (must be a child of MapContainer)
-//  Smoothly flies the map to new coordinates as they arrive
+//  Smoothly flies the map to new coordinates as they arrive;
+//  `smooth={false}` just pans (playback moves too fast to fly)
 // ═════════════════════════════════════════════════════════════
-function MapViewUpdater({ center }) {
+function MapViewUpdater({ center, smooth = true }) {
   const map = useMap();
   useEffect(() => {
-    if (center) {
+    if (!center) return;
+    if (smooth) {
       map.flyTo(center, DEFAULT_ZOOM, { duration: 1.4, easeLinearity: 0.25 });
+    } else {
+      map.panTo(center, { animate: false });
     }
-  }, [map, center]);
+  }, [map, center, smooth]);
   return null;
 }
 
+// ─────────────────────────────────────────────────────────────
+//  Planned route status → label / colour
+// ─────────────────────────────────────────────────────────────
+const ROUTE_STATUS = {
+  on_route:  { label: 'On route',  color: '#10b981', chip: 'bg-emerald-900/60 text-emerald-300 ring-emerald-600/50' },
+  off_route: { label: 'Off route', color: '#f59e0b', chip: 'bg-amber-900/60 text-amber-300 ring-amber-600/50' },
+  deviated:  { label: 'Deviated',  color: '#ef4444', chip: 'bg-red-900/60 text-red-300 ring-red-600/50' },
+  arrived:   { label: 'Arrived',   color: '#3b82f6', chip: 'bg-blue-900/60 text-blue-300 ring-blue-600/50' },
+};
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — RouteCorridor (child of MapContainer)
+//  The planned route with its corridor drawn to scale: the band's
+//  stroke width is corridor_m converted to pixels at the current zoom
+// ═════════════════════════════════════════════════════════════
+function RouteCorridor({ plan, status }) {
+  const map = useMap();
+  const [zoom, setZoom] = useState(() => map.getZoom());
+  useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+
+  const [destLat, destLon] = plan.waypoints[plan.waypoints.length - 1];
+  // Web Mercator ground resolution at the route's latitude
+  const metersPerPx = (40_075_016.686 * Math.cos((destLat * Math.PI) / 180)) / 2 ** (zoom + 8);
+  const color = ROUTE_STATUS[status?.status]?.color ?? '#10b981';
+
+  return (
+    <>
+      <Polyline
+        positions={plan.waypoints}
+        pathOptions={{ color, weight: Math.max((2 * plan.corridor_m) / metersPerPx, 4), opacity: 0.15, lineCap: 'round', lineJoin: 'round' }}
+      />
+      <Polyline positions={plan.waypoints} pathOptions={{ color, weight: 2, dashArray: '6 6', opacity: 0.9 }} />
+      <CircleMarker
+        center={[destLat, destLon]}
+        radius={8}
+        pathOptions={{ color: 'white', weight: 2, fillColor: color, fillOpacity: 1 }}
+      >
+        <MapTooltip direction="top">
+          🏁 {plan.name}
+          {status?.eta && ` · ETA ${new Date(status.eta).toLocaleTimeString('en-US', { hour12: false })}`}
+        </MapTooltip>
+      </CircleMarker>
+    </>
+  );
+}
+
 // ═════════════════════════════════════════════════════════════
 //  SUB-COMPONENT — LiveMap
 // ═════════════════════════════════════════════════════════════
-function LiveMap({ latest }) {
+function LiveMap({
+  latest, thresholds, geofences = [], route = null, stops = [], trip = null,
+  plan = null, routeStatus = null, smooth = true, title = 'Live Location',
+}) {
   const position = useMemo(() => {
     if (latest?.lat != null && latest?.lon != null) {
       return [latest.lat, latest.lon];
@@ -381,7 +1271,7 @@ function LiveMap({ latest }) {
     return null;
   }, [latest?.lat, latest?.lon]);
 
-  const shockCritical = (latest?.shock_g ?? 0) > SHOCK_THRESHOLD;
+  const shockCritical = isOutOfRange(thresholds?.limits, 'shock_g', latest?.shock_g);
 
   // Custom marker icon — red when shock critical
   const customIcon = useMemo(() => L.divIcon({
@@ -398,17 +1288,40 @@ function LiveMap({ latest }) {
     iconAnchor: [9, 9],
   }), [shockCritical]);
 
+  // Fences the device is currently inside (sent with each telemetry packet)
+  const insideIds = useMemo(
+    () => new Set((latest?.geofences ?? []).map((g) => String(g._id))),
+    [latest?.geofences],
+  );
+  const insideNames = (latest?.geofences ?? []).map((g) => g.name);
+
   return (
     <div className="bg-gray-800/40 ring-1 ring-gray-700/50 rounded-2xl p-5 flex flex-col gap-3">
       <div className="flex items-center justify-between">
         <h2 className="text-gray-400 text-sm font-semibold tracking-wider uppercase">
-          Live Location
+          {title}
         </h2>
-        {position && (
-          <span className="text-xs text-gray-500 font-mono">
-            {Number(position[0]).toFixed(4)}, {Number(position[1]).toFixed(4)}
-          </span>
-        )}
+        <div className="flex items-center gap-3">
+          {plan && routeStatus && (
+            <span className={`text-xs font-medium px-2 py-0.5 rounded-full ring-1 ${ROUTE_STATUS[routeStatus.status]?.chip}`}>
+              {ROUTE_STATUS[routeStatus.status]?.label ?? routeStatus.status}
+              {routeStatus.status !== 'on_route' && routeStatus.status !== 'arrived' && ` · ${fmtKm(routeStatus.offset_m)} off`}
+              {' · '}{fmtKm(routeStatus.remaining_m)} left
+              {routeStatus.eta && routeStatus.status !== 'arrived'
+                && ` · ETA ${new Date(routeStatus.eta).toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' })}`}
+            </span>
+          )}
+          {insideNames.length > 0 && (
+            <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-violet-900/60 text-violet-300 ring-1 ring-violet-600/50">
+              📍 Inside: {insideNames.join(', ')}
+            </span>
+          )}
+          {position && (
+            <span className="text-xs text-gray-500 font-mono">
+              {Number(position[0]).toFixed(4)}, {Number(position[1]).toFixed(4)}
+            </span>
+          )}
+        </div>
       </div>
 
       {/* Map container — explicit height required by Leaflet */}
@@ -421,7 +1334,7 @@ function LiveMap({ latest }) {
           zoomControl={true}
         >
           {/* Smooth map tile updates when position changes */}
-          {position && <MapViewUpdater center={position} />}
+          {position && <MapViewUpdater center={position} smooth={smooth} />}
 
           {/* OpenStreetMap tiles — no API key required */}
           <TileLayer
@@ -429,6 +1342,65 @@ function LiveMap({ latest }) {
             url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
           />
 
+          {/* Geofences — highlighted while the device is inside */}
+          {geofences.map((fence) => {
+            const inside  = insideIds.has(String(fence._id));
+            const options = {
+              color:       inside ? '#a78bfa' : '#6b7280',
+              weight:      inside ? 3 : 1.5,
+              fillOpacity: inside ? 0.25 : 0.08,
+            };
+            const label = (
+              <MapTooltip direction="top">{fence.name} · {fence.category}</MapTooltip>
+            );
+            return fence.shape === 'circle' ? (
+              <Circle
+                key={fence._id}
+                center={[fence.center.lat, fence.center.lon]}
+                radius={fence.radius_m}
+                pathOptions={options}
+              >
+                {label}
+              </Circle>
+            ) : (
+              <Polygon key={fence._id} positions={fence.polygon} pathOptions={options}>
+                {label}
+              </Polygon>
+            );
+          })}
+
+          {/* Planned route + corridor, coloured by deviation status */}
+          {plan && <RouteCorridor plan={plan} status={routeStatus} />}
+
+          {/* Route travelled (live: trip window, playback: up to the cursor) */}
+          {route?.length > 1 && (
+            <Polyline positions={route} pathOptions={{ color: '#3b82f6', weight: 3, opacity: 0.7 }} />
+          )}
+
+          {/* Detected stops — red when the cargo got warmer than allowed */}
+          {stops.map((st) => {
+            const hot = isOutOfRange(thresholds?.limits, 'temp', st.temp_max);
+            return (
+              <CircleMarker
+                key={st.start}
+                center={[st.lat, st.lon]}
+                radius={7}
+                pathOptions={{ color: 'white', weight: 2, fillColor: hot ? '#ef4444' : '#f59e0b', fillOpacity: 0.9 }}
+              >
+                <Popup>
+                  <div className="text-sm font-sans">
+                    <p className="font-bold text-gray-800 mb-1">
+                      ⏸ Stop {st.ongoing ? '(ongoing)' : ''}
+                    </p>
+                    <p>From <strong>{new Date(st.start).toLocaleString()}</strong></p>
+                    <p>Duration <strong>{fmtDuration(st.duration_ms)}</strong></p>
+                    <p>🌡 Avg / max: <strong>{fmtTemp(st.temp_avg)} / {fmtTemp(st.temp_max)}</strong></p>
+                  </div>
+                </Popup>
+              </CircleMarker>
+            );
+          })}
+
           {/* Cargo device marker */}
           {position && (
             <Marker position={position} icon={customIcon}>
@@ -453,6 +1425,16 @@ function LiveMap({ latest }) {
           Map centered on default coordinates — awaiting live GPS
         </p>
       )}
+
+      {trip && (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400 -mt-1">
+          <span>Distance <strong className="text-gray-200 font-mono">{fmtKm(trip.distance_m)}</strong></span>
+          <span>Avg <strong className="text-gray-200 font-mono">{fmtSpeed(trip.avg_moving_speed_kmh)}</strong> moving</span>
+          <span>Now <strong className="text-gray-200 font-mono">{fmtSpeed(trip.current_speed_kmh)}</strong></span>
+          <span>Stops <strong className="text-gray-200 font-mono">{trip.stops.length}</strong>
+            {trip.stopped_ms > 0 && ` · ${fmtDuration(trip.stopped_ms)}`}</span>
+        </div>
+      )}
     </div>
   );
 }
@@ -461,8 +1443,10 @@ function LiveMap({ latest }) {
 //  SUB-COMPONENT — TelemetryChart
 //  Dual-axis live line chart: Temperature (left) · Shock G (right)
 // ═════════════════════════════════════════════════════════════
-function TelemetryChart({ data }) {
+function TelemetryChart({ data, thresholds, title = 'Live Telemetry' }) {
   const hasData = data.length > 0;
+  const tempLimits  = thresholds?.limits?.temp    ?? {};
+  const shockLimits = thresholds?.limits?.shock_g ?? {};
 
   const CustomTooltip = ({ active, payload, label }) => {
     if (!active || !payload?.length) return null;
@@ -484,7 +1468,7 @@ function TelemetryChart({ data }) {
     <div className="bg-gray-800/40 ring-1 ring-gray-700/50 rounded-2xl p-5 flex flex-col gap-4">
       <div className="flex items-center justify-between">
         <h2 className="text-gray-400 text-sm font-semibold tracking-wider uppercase">
-          Live Telemetry
+          {title}
         </h2>
         <div className="flex items-center gap-4 text-xs text-gray-500">
           <span className="flex items-center gap-1.5">
@@ -541,11 +1525,19 @@ function TelemetryChart({ data }) {
 
             <Tooltip content={<CustomTooltip />} />
 
-            {/* Threshold reference lines */}
-            <ReferenceLine yAxisId="temp"  y={TEMP_THRESHOLD}  stroke="#ef4444" strokeDasharray="4 4"
-              label={{ value: `${TEMP_THRESHOLD}°C`, fill: '#ef4444', fontSize: 9, position: 'right' }} />
-            <ReferenceLine yAxisId="shock" y={SHOCK_THRESHOLD} stroke="#f97316" strokeDasharray="4 4"
-              label={{ value: `${SHOCK_THRESHOLD}G`, fill: '#f97316', fontSize: 9, position: 'right' }} />
+            {/* Threshold reference lines — from the device's profile */}
+            {tempLimits.max != null && (
+              <ReferenceLine yAxisId="temp"  y={tempLimits.max}  stroke="#ef4444" strokeDasharray="4 4"
+                label={{ value: `${tempLimits.max}°C`, fill: '#ef4444', fontSize: 9, position: 'right' }} />
+            )}
+            {tempLimits.min != null && (
+              <ReferenceLine yAxisId="temp"  y={tempLimits.min}  stroke="#38bdf8" strokeDasharray="4 4"
+                label={{ value: `${tempLimits.min}°C`, fill: '#38bdf8', fontSize: 9, position: 'right' }} />
+            )}
+            {shockLimits.max != null && (
+              <ReferenceLine yAxisId="shock" y={shockLimits.max} stroke="#f97316" strokeDasharray="4 4"
+                label={{ value: `${shockLimits.max}G`, fill: '#f97316', fontSize: 9, position: 'right' }} />
+            )}
 
             <Line
               yAxisId="temp"
@@ -581,20 +1573,449 @@ function TelemetryChart({ data }) {
   );
 }
 
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — BatteryCard
+//  Level gauge plus the backend's drain-rate / time-to-empty forecast
+// ═════════════════════════════════════════════════════════════
+function BatteryCard({ battery }) {
+  if (!battery) return null;
+
+  const lowPct   = battery.low_pct ?? 20;
+  const level    = Number(battery.battery);
+  const forecast = battery.forecast;
+  const tone = level <= lowPct ? 'red' : level <= lowPct * 2 ? 'amber' : 'emerald';
+  const bar  = { red: 'bg-red-500', amber: 'bg-amber-400', emerald: 'bg-emerald-500' }[tone];
+  const text = { red: 'text-red-300', amber: 'text-amber-300', emerald: 'text-white' }[tone];
+
+  let outlook = 'Collecting data for forecast…';
+  if (forecast) {
+    outlook = forecast.time_to_empty_ms != null
+      ? `Empty in ~${fmtDuration(forecast.time_to_empty_ms)}`
+        + ` (${new Date(forecast.empty_at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })})`
+      : 'Not discharging';
+  }
+
+  return (
+    <div className={`
+      rounded-2xl p-5 ring-1 flex flex-col gap-3
+      ${tone === 'red' ? 'bg-red-950/60 ring-red-700/60' : 'bg-gray-800/40 ring-gray-700/50'}
+    `}>
+      <div className="flex items-center justify-between">
+        <h2 className="text-gray-400 text-sm font-semibold tracking-wider uppercase">
+          Battery
+        </h2>
+        <span className="text-lg">🔋</span>
+      </div>
+
+      <div className="flex items-baseline gap-2">
+        <span className={`text-2xl font-bold font-mono tracking-tight ${text}`}>
+          {level.toFixed(0)}
+          <span className="text-sm font-normal ml-1 text-gray-400">%</span>
+        </span>
+        {battery.battery_v != null && (
+          <span className="text-xs text-gray-500 font-mono">{Number(battery.battery_v).toFixed(2)} V</span>
+        )}
+      </div>
+
+      <div className="h-2 rounded-full bg-gray-700/60 overflow-hidden">
+        <div className={`h-full ${bar} transition-all duration-500`} style={{ width: `${Math.min(100, Math.max(0, level))}%` }} />
+      </div>
+
+      <div className="text-xs text-gray-500 space-y-0.5">
+        <p className={tone === 'red' ? 'text-red-300 font-semibold' : 'text-gray-400'}>{outlook}</p>
+        {forecast && (
+          <p>Drain: <span className="text-gray-400 font-mono">{forecast.drain_pct_per_h} %/h</span></p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — DoorTimeline
+//  24 h strip of door openings (red = opened while sealed) plus
+//  the most recent events and a seal / unseal toggle
+// ═════════════════════════════════════════════════════════════
+function DoorTimeline({ deviceId, events, seal, canSeal, onToggleSeal }) {
+  const [busy, setBusy] = useState(false);
+  const [now,  setNow]  = useState(Date.now());
+
+  // Keep open segments growing without waiting for the next packet
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 30_000);
+    return () => clearInterval(id);
+  }, []);
+
+  const mine   = events.filter((e) => e.device_id === deviceId);
+  const start  = now - DOOR_TIMELINE_MS;
+  const inView = mine.filter((e) => !e.closedAt || new Date(e.closedAt).getTime() > start);
+
+  const toggle = async () => {
+    setBusy(true);
+    try {
+      await onToggleSeal();
+    } catch (err) {
+      console.warn('Seal toggle failed:', err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800/40 ring-1 ring-gray-700/50 rounded-2xl p-5 flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-gray-400 text-sm font-semibold tracking-wider uppercase">
+          Door Events
+        </h2>
+        {deviceId && canSeal && (
+          <button
+            onClick={toggle}
+            disabled={busy}
+            className={`text-xs font-semibold px-2.5 py-1 rounded-full ring-1 disabled:opacity-50 ${seal
+              ? 'bg-violet-900/60 text-violet-300 ring-violet-600/50 hover:bg-violet-800/60'
+              : 'bg-gray-700/60 text-gray-300 ring-gray-600/50 hover:bg-gray-600/60'}`}
+            title={seal ? `Sealed${seal.by ? ` by ${seal.by}` : ''} — click to unseal` : 'Seal container'}
+          >
+            {seal ? '🔏 Sealed' : 'Seal'}
+          </button>
+        )}
+      </div>
+
+      {/* 24 h strip */}
+      <div className="relative h-3 rounded bg-gray-900/70 ring-1 ring-gray-700/50 overflow-hidden">
+        {inView.map((e) => {
+          const from = Math.max(new Date(e.openedAt).getTime(), start);
+          const to   = e.closedAt ? new Date(e.closedAt).getTime() : now;
+          return (
+            <div
+              key={e._id}
+              className={`absolute top-0 h-full ${e.sealed ? 'bg-red-500' : 'bg-orange-400'}`}
+              style={{
+                left:  `${((from - start) / DOOR_TIMELINE_MS) * 100}%`,
+                width: `${Math.max(((to - from) / DOOR_TIMELINE_MS) * 100, 0.4)}%`,
+              }}
+              title={`${new Date(e.openedAt).toLocaleTimeString()} · ${e.closedAt ? fmtDuration(e.duration_ms) : 'open'}`}
+            />
+          );
+        })}
+      </div>
+      <div className="flex justify-between text-[10px] text-gray-600 -mt-2">
+        <span>-24 h</span>
+        <span>now</span>
+      </div>
+
+      {mine.length === 0 ? (
+        <p className="text-gray-600 text-xs text-center py-2">No door openings recorded</p>
+      ) : (
+        <ul className="flex flex-col gap-1.5 text-xs">
+          {mine.slice(0, MAX_DOOR_ENTRIES).map((e) => (
+            <li key={e._id} className="flex items-center justify-between gap-2">
+              <span className="text-gray-400">
+                {new Date(e.openedAt).toLocaleString()}
+              </span>
+              <span className="flex items-center gap-2">
+                {e.sealed && (
+                  <span className="text-[10px] font-bold text-red-300 bg-red-900/60 px-1.5 py-0.5 rounded">
+                    UNAUTHORIZED
+                  </span>
+                )}
+                <span className={e.closedAt ? 'text-gray-300' : 'text-orange-300 font-semibold'}>
+                  {e.closedAt ? fmtDuration(e.duration_ms) : 'open now'}
+                </span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — CommandPanel
+//  Downlink buttons for the current device and its command
+//  history with pending / acked / failed / timed-out status
+// ═════════════════════════════════════════════════════════════
+const COMMAND_STYLES = {
+  pending:   'bg-sky-900/60 text-sky-300',
+  acked:     'bg-green-900/60 text-green-300',
+  failed:    'bg-red-900/60 text-red-300',
+  timed_out: 'bg-gray-700/60 text-gray-300',
+};
+
+const fmtCommandResult = (cmd) => {
+  if (cmd.error) return cmd.error;
+  if (!cmd.result || typeof cmd.result !== 'object') return null;
+  return Object.entries(cmd.result).map(([k, v]) => `${k}=${v}`).join(' · ');
+};
+
+function CommandPanel({ deviceId, commands, canSend, onSend }) {
+  const [busy,  setBusy]  = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!deviceId) return null;
+
+  const send = async (command, params = {}) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onSend(command, params);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const promptInterval = () => {
+    const input = window.prompt('Telemetry interval (seconds, 1–3600):', '5');
+    if (input == null) return;
+    send('set_interval', { interval_s: Number(input) });
+  };
+
+  const buttons = [
+    ['Ping',         () => send('ping')],
+    ['Flush buffer', () => send('flush_buffer')],
+    ['Set interval', promptInterval],
+    ['Reboot',       () => window.confirm(`Reboot ${deviceId}?`) && send('reboot')],
+  ];
+
+  return (
+    <div className="bg-gray-800/40 ring-1 ring-gray-700/50 rounded-2xl p-5 flex flex-col gap-3">
+      <h2 className="text-gray-400 text-sm font-semibold tracking-wider uppercase">
+        Commands
+      </h2>
+
+      {canSend && (
+        <div className="flex flex-wrap gap-2">
+          {buttons.map(([label, onClick]) => (
+            <button
+              key={label}
+              onClick={onClick}
+              disabled={busy}
+              className="text-xs font-semibold px-2.5 py-1 rounded-full ring-1 bg-gray-700/60 text-gray-300 ring-gray-600/50 hover:bg-gray-600/60 disabled:opacity-50"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {commands.length === 0 ? (
+        <p className="text-gray-600 text-xs text-center py-2">No commands sent</p>
+      ) : (
+        <ul className="flex flex-col gap-1.5 text-xs">
+          {commands.map((c) => {
+            const detail = fmtCommandResult(c);
+            return (
+              <li key={c.command_id} className="flex flex-col gap-0.5">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-mono text-gray-300">
+                    {c.command}
+                    {c.params?.interval_s != null && ` ${c.params.interval_s}s`}
+                  </span>
+                  <span className="flex items-center gap-2">
+                    <span className="text-gray-500">{new Date(c.sentAt).toLocaleTimeString()}</span>
+                    <span className={`text-[10px] font-bold uppercase px-1.5 py-0.5 rounded ${COMMAND_STYLES[c.status] ?? COMMAND_STYLES.pending}`}>
+                      {c.status.replace('_', ' ')}
+                    </span>
+                  </span>
+                </div>
+                {detail && (
+                  <span className={`truncate ${c.error ? 'text-red-400' : 'text-gray-500'}`} title={detail}>
+                    {detail}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — PlaybackControls
+//  Range picker, play / pause, speed, scrubber and one button per
+//  alert in the range (jumps the cursor to it)
+// ═════════════════════════════════════════════════════════════
+function PlaybackControls({ playback }) {
+  const [from, setFrom] = useState(() => toLocalInput(new Date(Date.now() - PLAYBACK_RANGE_MS)));
+  const [to,   setTo]   = useState(() => toLocalInput(new Date()));
+  const { range, records, events, loading, error, truncated, cursor, playing, speed } = playback;
+
+  const submit = (e) => {
+    e.preventDefault();
+    playback.load(new Date(from).getTime(), new Date(to).getTime());
+  };
+
+  const inputClass = `bg-gray-900/60 ring-1 ring-gray-700 rounded-md px-2 py-1 text-xs text-gray-200
+                      focus:outline-none focus:ring-blue-500`;
+  const buttonClass = 'text-xs font-semibold px-3 py-1 rounded-md ring-1 disabled:opacity-50';
+
+  return (
+    <div className="bg-gray-800/40 ring-1 ring-gray-700/50 rounded-2xl p-5 flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-gray-400 text-sm font-semibold tracking-wider uppercase">
+          Playback
+        </h2>
+        {range && (
+          <span className="text-xs text-gray-500">
+            {records.length} readings · {events.length} alerts{truncated ? ' · truncated' : ''}
+          </span>
+        )}
+      </div>
+
+      <form onSubmit={submit} className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+        <label className="flex items-center gap-1.5">
+          From
+          <input type="datetime-local" value={from} onChange={(e) => setFrom(e.target.value)} className={inputClass} />
+        </label>
+        <label className="flex items-center gap-1.5">
+          To
+          <input type="datetime-local" value={to} onChange={(e) => setTo(e.target.value)} className={inputClass} />
+        </label>
+        <button
+          type="submit"
+          disabled={loading || !from || !to}
+          className={`${buttonClass} bg-blue-600 hover:bg-blue-500 text-white ring-blue-500/50`}
+        >
+          {loading ? 'Loading…' : 'Load'}
+        </button>
+      </form>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {range && (
+        <>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={playing ? playback.pause : playback.play}
+              className={`${buttonClass} bg-gray-700 hover:bg-gray-600 text-gray-100 ring-gray-600 w-16`}
+            >
+              {playing ? '❚❚ Pause' : '▶ Play'}
+            </button>
+            <select
+              value={speed}
+              onChange={(e) => playback.setSpeed(Number(e.target.value))}
+              className={inputClass}
+            >
+              {PLAYBACK_SPEEDS.map((x) => <option key={x} value={x}>{x}×</option>)}
+            </select>
+            <input
+              type="range"
+              min={range.from}
+              max={range.to}
+              step={1000}
+              value={cursor}
+              onChange={(e) => playback.seek(Number(e.target.value))}
+              className="flex-1 accent-blue-500"
+            />
+            <span className="text-xs text-gray-300 font-mono whitespace-nowrap">
+              {new Date(cursor).toLocaleString()}
+            </span>
+          </div>
+
+          {events.length > 0 && (
+            <div className="flex flex-wrap gap-1.5">
+              {events.map((a) => (
+                <button
+                  key={a._id}
+                  onClick={() => { playback.pause(); playback.seek(new Date(a.eventAt).getTime()); }}
+                  title={a.message}
+                  className={`${buttonClass} bg-red-950/60 hover:bg-red-900/60 text-red-300 ring-red-800/50 font-medium`}
+                >
+                  {a.alert === 'SHOCK_DETECTED' ? '⚡' : '⚠'} {new Date(a.eventAt).toLocaleTimeString('en-US', { hour12: false })}
+                </button>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — AlertStateControls
+//  State pill + Ack / Resolve buttons for one persisted alert
+// ═════════════════════════════════════════════════════════════
+const STATE_STYLES = {
+  open:         'bg-red-900/70 text-red-300 ring-red-700/50',
+  acknowledged: 'bg-amber-900/70 text-amber-300 ring-amber-700/50',
+  resolved:     'bg-emerald-900/70 text-emerald-300 ring-emerald-700/50',
+};
+
+function AlertStateControls({ entry, canAct, onUpdate }) {
+  const [busy,  setBusy]  = useState(false);
+  const [error, setError] = useState(null);
+
+  const act = async (action) => {
+    const note = window.prompt(`Note for ${action} (optional)`) ?? null;
+    setBusy(true);
+    setError(null);
+    try {
+      await onUpdate(entry.alertId, action, note);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handledBy = entry.resolved ?? entry.acknowledged;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-1.5">
+      <span className={`text-[10px] uppercase tracking-wider font-bold px-1.5 py-0.5 rounded ring-1 ${STATE_STYLES[entry.state]}`}>
+        {entry.state}
+      </span>
+      {canAct && entry.state === 'open' && (
+        <button
+          disabled={busy}
+          onClick={() => act('acknowledge')}
+          className="text-[10px] font-semibold px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-200 disabled:opacity-50"
+        >
+          Ack
+        </button>
+      )}
+      {canAct && entry.state !== 'resolved' && (
+        <button
+          disabled={busy}
+          onClick={() => act('resolve')}
+          className="text-[10px] font-semibold px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600 text-gray-200 disabled:opacity-50"
+        >
+          Resolve
+        </button>
+      )}
+      {handledBy && (
+        <span className="text-gray-500">
+          {entry.state === 'resolved' ? 'Resolved' : 'Ack'} by {handledBy.by}
+          {handledBy.note ? ` · “${handledBy.note}”` : ''}
+        </span>
+      )}
+      {error && <span className="text-red-400">{error}</span>}
+    </div>
+  );
+}
+
 // ═════════════════════════════════════════════════════════════
 //  SUB-COMPONENT — AlertFeed
 //  Scrollable feed of all received alert events
 // ═════════════════════════════════════════════════════════════
-function AlertFeed({ alerts }) {
+function AlertFeed({ alerts, canAct, onUpdate }) {
+  const openCount = alerts.filter((a) => a.alertId && a.state === 'open').length;
+
   return (
     <div className="bg-gray-800/40 ring-1 ring-gray-700/50 rounded-2xl p-5 flex flex-col gap-3">
       <div className="flex items-center justify-between">
         <h2 className="text-gray-400 text-sm font-semibold tracking-wider uppercase">
           Alert Feed
         </h2>
-        {alerts.length > 0 && (
+        {openCount > 0 && (
           <span className="bg-red-900/70 text-red-300 text-xs font-bold px-2 py-0.5 rounded-full ring-1 ring-red-700/50">
-            {alerts.length}
+            {openCount} open
           </span>
         )}
       </div>
@@ -610,15 +2031,32 @@ function AlertFeed({ alerts }) {
               key={a.id}
               className={`
                 flex items-start gap-2.5 px-3 py-2.5 rounded-lg ring-1 text-xs animate-fade-in
-                ${a.type === 'shock'
-                  ? 'bg-red-950/60 ring-red-800/50 text-red-300'
-                  : 'bg-amber-950/60 ring-amber-800/50 text-amber-300'}
+                ${{
+                  shock:     'bg-red-950/60 ring-red-800/50 text-red-300',
+                  threshold: 'bg-amber-950/60 ring-amber-800/50 text-amber-300',
+                  cleared:   'bg-emerald-950/60 ring-emerald-800/50 text-emerald-300',
+                  geofence:  'bg-violet-950/60 ring-violet-800/50 text-violet-300',
+                  offline:   'bg-gray-800/80 ring-gray-600/50 text-gray-300',
+                  online:    'bg-emerald-950/60 ring-emerald-800/50 text-emerald-300',
+                }[a.type]}
               `}
             >
-              <span className="shrink-0 mt-0.5">{a.type === 'shock' ? '⚡' : '⚠️'}</span>
+              <span className="shrink-0 mt-0.5">
+                {{ shock: '⚡', threshold: '⚠️', cleared: '✅', geofence: '📍', offline: '📡', online: '📶' }[a.type]}
+              </span>
               <div className="min-w-0">
                 <p className="font-medium truncate">{a.message}</p>
-                <p className="text-gray-500 mt-0.5">{a.ts}</p>
+                <p className="text-gray-500 mt-0.5">
+                  {a.ts}
+                  {a.historical && (
+                    <span className="ml-1.5 text-gray-400" title="Reconstructed from late / backfilled data">
+                      · past
+                    </span>
+                  )}
+                </p>
+                {a.alertId && (
+                  <AlertStateControls entry={a} canAct={canAct} onUpdate={onUpdate} />
+                )}
               </div>
             </div>
           ))
@@ -629,20 +2067,425 @@ function AlertFeed({ alerts }) {
 }
 
 // ═════════════════════════════════════════════════════════════
-//  MAIN — Dashboard
+//  SUB-COMPONENT — StatusDot
+// ═════════════════════════════════════════════════════════════
+function StatusDot({ status }) {
+  return (
+    <span className="inline-flex items-center gap-1.5">
+      <span className="w-2 h-2 rounded-full" style={{ background: STATUS_COLORS[status] ?? '#6b7280' }} />
+      <span className="uppercase tracking-wider">{status ?? 'unknown'}</span>
+    </span>
+  );
+}
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — FleetSummaryBar
+//  Online / stale / offline counts and open alerts across the fleet
+// ═════════════════════════════════════════════════════════════
+function FleetSummaryBar({ fleet }) {
+  // Counted from the rows so watchdog transitions between summaries show up
+  const counts = { online: 0, stale: 0, offline: 0 };
+  for (const d of fleet?.devices ?? []) counts[d.status] = (counts[d.status] ?? 0) + 1;
+
+  const tiles = [
+    { label: 'Devices',     value: fleet?.devices.length ?? '--', color: 'text-gray-200' },
+    { label: 'Online',      value: counts.online,                color: 'text-emerald-400' },
+    { label: 'Stale',       value: counts.stale,                 color: 'text-amber-400' },
+    { label: 'Offline',     value: counts.offline,               color: 'text-red-400' },
+    { label: 'Open alerts', value: fleet?.open_alerts ?? '--',   color: 'text-red-300' },
+  ];
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-5 gap-4">
+      {tiles.map((t) => (
+        <div key={t.label} className="bg-gray-800/40 ring-1 ring-gray-700/50 rounded-2xl px-5 py-4">
+          <p className="text-gray-500 text-xs uppercase tracking-wider">{t.label}</p>
+          <p className={`text-2xl font-bold font-mono mt-1 ${t.color}`}>{t.value}</p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — FleetTable
+//  One row per device: status, last reading, open alerts
+// ═════════════════════════════════════════════════════════════
+function FleetTable({ devices, onOpen }) {
+  return (
+    <div className="bg-gray-800/40 ring-1 ring-gray-700/50 rounded-2xl p-5 flex flex-col gap-3">
+      <h2 className="text-gray-400 text-sm font-semibold tracking-wider uppercase">Devices</h2>
+
+      {devices.length === 0 ? (
+        <p className="text-gray-600 text-xs text-center py-4">No devices registered</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-500 text-left uppercase tracking-wider">
+                <th className="py-2 pr-4 font-medium">Device</th>
+                <th className="py-2 pr-4 font-medium">Group</th>
+                <th className="py-2 pr-4 font-medium">Status</th>
+                <th className="py-2 pr-4 font-medium">Temp</th>
+                <th className="py-2 pr-4 font-medium">Humidity</th>
+                <th className="py-2 pr-4 font-medium">Shock</th>
+                <th className="py-2 pr-4 font-medium">Battery</th>
+                <th className="py-2 pr-4 font-medium">Last seen</th>
+                <th className="py-2 font-medium text-right">Open alerts</th>
+              </tr>
+            </thead>
+            <tbody>
+              {devices.map((d) => (
+                <tr
+                  key={d.device_id}
+                  onClick={() => onOpen(d.device_id)}
+                  className="border-t border-gray-700/50 text-gray-300 hover:bg-gray-700/30 cursor-pointer"
+                >
+                  <td className="py-2 pr-4">
+                    <span className="font-mono text-gray-200">{d.device_id}</span>
+                    {d.name && <span className="text-gray-500 ml-2">{d.name}</span>}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-400">{d.group ?? '--'}</td>
+                  <td className="py-2 pr-4"><StatusDot status={d.status} /></td>
+                  <td className="py-2 pr-4 font-mono">{fmtTemp(d.last?.temp)}</td>
+                  <td className="py-2 pr-4 font-mono">{fmtHum(d.last?.hum)}</td>
+                  <td className="py-2 pr-4 font-mono">{fmtShock(d.last?.shock_g)}</td>
+                  <td className="py-2 pr-4 font-mono">{d.last?.battery != null ? `${Math.round(d.last.battery)} %` : '--'}</td>
+                  <td className="py-2 pr-4 text-gray-400">
+                    {d.lastSeen ? `${fmtDuration(Date.now() - new Date(d.lastSeen))} ago` : 'never'}
+                  </td>
+                  <td className="py-2 text-right">
+                    {d.open_alerts > 0 ? (
+                      <span className="bg-red-900/70 text-red-300 font-bold px-2 py-0.5 rounded-full ring-1 ring-red-700/50">
+                        {d.open_alerts}
+                      </span>
+                    ) : (
+                      <span className="text-gray-600">0</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────
+//  Marker clustering — devices whose projected positions fall in
+//  the same CLUSTER_CELL_PX grid cell at the current zoom merge
+//  into one marker coloured by the worst status among them
+// ─────────────────────────────────────────────────────────────
+const STATUS_SEVERITY = { online: 0, stale: 1, offline: 2 };
+
+const clusterDevices = (map, devices, zoom) => {
+  const cells = new Map();
+  for (const d of devices) {
+    const point = map.project([d.position.lat, d.position.lon], zoom);
+    const key   = `${Math.floor(point.x / CLUSTER_CELL_PX)}:${Math.floor(point.y / CLUSTER_CELL_PX)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(d);
+  }
+  return [...cells.entries()].map(([key, members]) => ({
+    key,
+    members,
+    lat:    members.reduce((n, d) => n + d.position.lat, 0) / members.length,
+    lon:    members.reduce((n, d) => n + d.position.lon, 0) / members.length,
+    status: members.reduce((worst, d) =>
+      (STATUS_SEVERITY[d.status] ?? 2) > (STATUS_SEVERITY[worst] ?? 0) ? d.status : worst, 'online'),
+  }));
+};
+
+const deviceIcon = (status, alerting) => L.divIcon({
+  className: '',
+  html: `
+    <div style="
+      background: ${STATUS_COLORS[status] ?? '#6b7280'};
+      width: 16px; height: 16px;
+      border-radius: 50%;
+      border: ${alerting ? '3px solid #fca5a5' : '2px solid white'};
+      box-shadow: 0 0 6px 2px rgba(0,0,0,0.4);
+    "></div>`,
+  iconSize:   [16, 16],
+  iconAnchor: [8, 8],
+});
+
+const clusterIcon = (status, count) => {
+  const size = count < 10 ? 30 : count < 100 ? 36 : 42;
+  return L.divIcon({
+    className: '',
+    html: `
+      <div style="
+        background: ${STATUS_COLORS[status] ?? '#6b7280'};
+        width: ${size}px; height: ${size}px;
+        border-radius: 50%;
+        border: 3px solid rgba(255,255,255,0.85);
+        color: white; font: 700 12px sans-serif;
+        display: flex; align-items: center; justify-content: center;
+        box-shadow: 0 0 8px 2px rgba(0,0,0,0.4);
+      ">${count}</div>`,
+    iconSize:   [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+};
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — ClusteredDeviceMarkers (child of MapContainer)
+//  Re-clusters on zoom; fits the whole fleet once on first data
+// ═════════════════════════════════════════════════════════════
+function ClusteredDeviceMarkers({ devices, onOpen }) {
+  const map = useMap();
+  const [zoom, setZoom] = useState(() => map.getZoom());
+  const fitted = useRef(false);
+  useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+
+  useEffect(() => {
+    if (fitted.current || devices.length === 0) return;
+    fitted.current = true;
+    map.fitBounds(
+      L.latLngBounds(devices.map((d) => [d.position.lat, d.position.lon])),
+      { padding: [40, 40], maxZoom: DEFAULT_ZOOM },
+    );
+  }, [map, devices]);
+
+  const clusters = useMemo(() => clusterDevices(map, devices, zoom), [map, devices, zoom]);
+
+  return clusters.map((c) => {
+    if (c.members.length === 1) {
+      const d = c.members[0];
+      return (
+        <Marker key={d.device_id} position={[d.position.lat, d.position.lon]} icon={deviceIcon(d.status, d.open_alerts > 0)}>
+          <Popup>
+            <div className="text-sm font-sans">
+              <p className="font-bold text-gray-800 mb-1">📦 {d.device_id}{d.name ? ` · ${d.name}` : ''}</p>
+              <p>Status: <strong>{d.status}</strong></p>
+              <p>🌡 Temp: <strong>{fmtTemp(d.last?.temp)}</strong></p>
+              <p>💥 Shock: <strong>{fmtShock(d.last?.shock_g)}</strong></p>
+              <p>⚠ Open alerts: <strong>{d.open_alerts}</strong></p>
+              <button
+                onClick={() => onOpen(d.device_id)}
+                className="mt-2 text-xs font-semibold text-blue-600 hover:underline"
+              >
+                Open device →
+              </button>
+            </div>
+          </Popup>
+        </Marker>
+      );
+    }
+    return (
+      <Marker
+        key={c.key}
+        position={[c.lat, c.lon]}
+        icon={clusterIcon(c.status, c.members.length)}
+        eventHandlers={{
+          click: () => map.fitBounds(
+            L.latLngBounds(c.members.map((d) => [d.position.lat, d.position.lon])),
+            { padding: [40, 40] },
+          ),
+        }}
+      >
+        <MapTooltip direction="top">
+          {c.members.map((d) => d.device_id).join(', ')}
+        </MapTooltip>
+      </Marker>
+    );
+  });
+}
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — FleetMap
+//  Every device with a known position, clustered
+// ═════════════════════════════════════════════════════════════
+function FleetMap({ devices, onOpen }) {
+  const located = useMemo(() => devices.filter((d) => d.position), [devices]);
+
+  return (
+    <div className="bg-gray-800/40 ring-1 ring-gray-700/50 rounded-2xl p-5 flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-gray-400 text-sm font-semibold tracking-wider uppercase">
+          Fleet Map
+        </h2>
+        <span className="text-xs text-gray-500">
+          {located.length} of {devices.length} located
+        </span>
+      </div>
+
+      <div className="rounded-xl overflow-hidden" style={{ height: '400px' }}>
+        <MapContainer
+          center={DEFAULT_CENTER}
+          zoom={DEFAULT_ZOOM}
+          scrollWheelZoom={true}
+          style={{ width: '100%', height: '100%' }}
+        >
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
+          <ClusteredDeviceMarkers devices={located} onOpen={onOpen} />
+        </MapContainer>
+      </div>
+    </div>
+  );
+}
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — FleetOverview
+//  Landing view: summary tiles, clustered map, fleet-wide alert
+//  feed and the device table; clicking a device opens its page
+// ═════════════════════════════════════════════════════════════
+function FleetOverview({ fleet, alerts, canAct, onUpdateAlert, onOpen }) {
+  const devices = fleet?.devices ?? [];
+
+  return (
+    <div className="flex flex-col gap-6">
+      <FleetSummaryBar fleet={fleet} />
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2">
+          <FleetMap devices={devices} onOpen={onOpen} />
+        </div>
+        <AlertFeed alerts={alerts} canAct={canAct} onUpdate={onUpdateAlert} />
+      </div>
+      <FleetTable devices={devices} onOpen={onOpen} />
+    </div>
+  );
+}
+
+// ═════════════════════════════════════════════════════════════
+//  SUB-COMPONENT — LoginScreen
+// ═════════════════════════════════════════════════════════════
+function LoginScreen({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy,     setBusy]     = useState(false);
+  const [error,    setError]    = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await onLogin(username, password);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  const inputClass = `bg-gray-900/60 ring-1 ring-gray-700 rounded-md px-3 py-2 text-sm text-gray-200
+                      placeholder-gray-600 focus:outline-none focus:ring-blue-500`;
+
+  return (
+    <div className="min-h-screen bg-gray-950 flex items-center justify-center px-6 font-sans">
+      <form
+        onSubmit={submit}
+        className="w-full max-w-sm bg-gray-800/40 ring-1 ring-gray-700/50 rounded-2xl p-6 flex flex-col gap-4"
+      >
+        <div className="flex items-center gap-3">
+          <span className="text-2xl">📦</span>
+          <div>
+            <h1 className="text-white font-bold text-base tracking-tight">Smart Cargo Monitor</h1>
+            <p className="text-gray-500 text-xs">Sign in to continue</p>
+          </div>
+        </div>
+
+        <input
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          autoFocus
+          className={inputClass}
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete="current-password"
+          className={inputClass}
+        />
+        {error && <p className="text-xs text-red-400">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={busy || !username || !password}
+          className="bg-blue-600 hover:bg-blue-500 text-white text-sm font-semibold rounded-md py-2 disabled:opacity-50"
+        >
+          {busy ? 'Signing in…' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// ═════════════════════════════════════════════════════════════
+//  MAIN — Dashboard (login gate → MonitorView)
 // ═════════════════════════════════════════════════════════════
 export default function Dashboard() {
+  const auth = useAuth();
+  if (!auth.token) return <LoginScreen onLogin={auth.login} />;
+  // Keyed by user so a different login starts from a clean slate
+  return <MonitorView key={auth.user?._id} auth={auth} />;
+}
+
+function MonitorView({ auth }) {
+  const { deviceId, navigate } = useHashRoute();
   const {
     connected,
     latest,
     chartData,
     alerts,
+    deviceAlerts,
     bannerAlert,
     dismissBanner,
-  } = useTelemetry();
+    thresholds,
+    updateAlert,
+    geofences,
+    doorEvents,
+    seal,
+    toggleSeal,
+    deviceStatus,
+    battery,
+    trip,
+    plannedRoute,
+    routeStatus,
+    commands,
+    sendCommand,
+    organization,
+    fleet,
+  } = useTelemetry({ token: auth.token, authFetch: auth.authFetch, onUnauthorized: auth.logout, deviceId });
+  const playback = usePlayback({ authFetch: auth.authFetch, deviceId });
+  const [replaying, setReplaying] = useState(false);
+
+  // Map, chart, status and alert feed show the playback frame while replaying
+  const frame = replaying ? playback.frame : null;
+  // Live route: the analysed trip plus whatever arrived since it was fetched
+  const liveRoute = useMemo(() => {
+    const points = (trip?.route ?? []).map((p) => [p.lat, p.lon]);
+    const tail   = trip?.route?.at(-1);
+    if (latest?.lat != null && latest?.lon != null
+        && (!tail || new Date(latest.eventAt) > new Date(tail.at))) {
+      points.push([latest.lat, latest.lon]);
+    }
+    return points;
+  }, [trip, latest]);
+
+  const view = frame ?? { latest, chartData, alerts: deviceAlerts, route: liveRoute, stops: trip?.stops ?? [], trip };
+
+  // A device that isn't (or is no longer) in the fleet → back to the overview
+  useEffect(() => {
+    if (fleet && deviceId && !fleet.devices.some((d) => d.device_id === deviceId)) {
+      navigate(null);
+    }
+  }, [fleet, deviceId, navigate]);
+
+  const isOperator = auth.hasRole('operator');
 
-  const anyCritical = (latest?.shock_g ?? 0) > SHOCK_THRESHOLD
-                   || (latest?.temp    ?? 0) > TEMP_THRESHOLD;
+  const anyCritical = ['temp', 'hum', 'shock_g']
+    .some((metric) => isOutOfRange(thresholds?.limits, metric, view.latest?.[metric]));
 
   return (
     <div className={`
@@ -668,12 +2511,21 @@ export default function Dashboard() {
           </div>
 
           <div className="flex items-center gap-4">
-            {latest?.device_id && (
-              <span className="hidden sm:block text-xs text-gray-500 font-mono">
-                {latest.device_id}
-              </span>
-            )}
+            <DeviceSelector devices={fleet?.devices} value={deviceId} onChange={navigate} />
             <ConnectionBadge connected={connected} />
+            <div className="flex items-center gap-2 text-xs">
+              {organization && (
+                <span className="text-gray-500">{organization.name}</span>
+              )}
+              <span className="text-gray-300">{auth.user?.name ?? auth.user?.username}</span>
+              <span className="text-gray-500 uppercase tracking-wider">{auth.user?.role}</span>
+              <button
+                onClick={auth.logout}
+                className="text-gray-400 hover:text-white px-2 py-1 rounded ring-1 ring-gray-700 hover:ring-gray-500"
+              >
+                Log out
+              </button>
+            </div>
           </div>
         </div>
       </header>
@@ -687,21 +2539,84 @@ export default function Dashboard() {
 
       {/* ── Main grid ───────────────────────────────────── */}
       <main className="max-w-screen-2xl mx-auto px-6 py-6">
+        {!deviceId ? (
+          <FleetOverview
+            fleet={fleet}
+            alerts={alerts}
+            canAct={isOperator}
+            onUpdateAlert={updateAlert}
+            onOpen={navigate}
+          />
+        ) : (
+        <>
+        <div className="flex items-center gap-3 mb-4">
+          <button
+            onClick={() => navigate(null)}
+            className="text-xs text-gray-400 hover:text-white px-2 py-1 rounded ring-1 ring-gray-700 hover:ring-gray-500"
+          >
+            ← Fleet overview
+          </button>
+          <h2 className="text-gray-200 font-mono text-sm">{deviceId}</h2>
+          <button
+            onClick={() => { if (replaying) playback.reset(); setReplaying(!replaying); }}
+            className={`ml-auto text-xs px-2 py-1 rounded ring-1 ${replaying
+              ? 'text-blue-300 ring-blue-600 bg-blue-950/60'
+              : 'text-gray-400 hover:text-white ring-gray-700 hover:ring-gray-500'}`}
+          >
+            {replaying ? '● Back to live' : '⏮ Playback'}
+          </button>
+        </div>
+        {replaying && (
+          <div className="mb-6">
+            <PlaybackControls playback={playback} />
+          </div>
+        )}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
 
           {/* ── Left column: Status Panel + Alert Feed ──── */}
           <div className="flex flex-col gap-6">
-            <StatusPanel latest={latest} />
-            <AlertFeed alerts={alerts} />
+            <StatusPanel latest={view.latest} thresholds={thresholds} deviceStatus={deviceStatus} />
+            <BatteryCard battery={battery} />
+            <AlertFeed alerts={view.alerts} canAct={isOperator && !frame} onUpdate={updateAlert} />
+            <DoorTimeline
+              deviceId={deviceId}
+              events={doorEvents}
+              seal={seal}
+              canSeal={isOperator}
+              onToggleSeal={toggleSeal}
+            />
+            <CommandPanel
+              deviceId={deviceId}
+              commands={commands}
+              canSend={isOperator}
+              onSend={sendCommand}
+            />
           </div>
 
           {/* ── Right columns: Map + Chart ──────────────── */}
           <div className="lg:col-span-2 flex flex-col gap-6">
-            <LiveMap latest={latest} />
-            <TelemetryChart data={chartData} />
+            <LiveMap
+              latest={view.latest}
+              thresholds={thresholds}
+              geofences={geofences}
+              route={view.route}
+              stops={view.stops}
+              trip={view.trip}
+              plan={plannedRoute}
+              routeStatus={frame ? null : routeStatus}
+              smooth={!frame}
+              title={frame ? 'Playback Location' : 'Live Location'}
+            />
+            <TelemetryChart
+              data={view.chartData}
+              thresholds={thresholds}
+              title={frame ? 'Playback Telemetry' : 'Live Telemetry'}
+            />
           </div>
 
         </div>
+        </>
+        )}
       </main>
 
       {/* ── Footer ──────────────────────────────────────── */}